@@ -8,6 +8,7 @@ import NewAgentPage from './pages/NewAgentPage';
 import DataPage from './pages/DataPage';
 import DataUploadPage from './pages/DataUploadPage';
 import ReportsPage from './pages/ReportsPage';
+import RunsPage from './pages/RunsPage';
 import SettingsPage from './pages/SettingsPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
@@ -231,6 +232,7 @@ function AppContent() {
         <Route path="/data" element={<DataPage />} />
         <Route path="/data/upload" element={<DataUploadPage />} />
         <Route path="/reports" element={<ReportsPage />} />
+        <Route path="/runs" element={<RunsPage />} />
         <Route path="/settings" element={<SettingsPage />} />
         
         {/* Debug routes */}
@@ -1,10 +1,18 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import Card from '../shared/Card';
 import Button from '../shared/Button';
 import OpenAISettings from './OpenAISettings';
 import Modal from '../shared/Modal';
 import useDataStore from '../../stores/dataStore';
 import useAgentStore from '../../stores/agentStore';
+import useExecutionStore from '../../stores/executionStore';
+import useScheduleStore from '../../stores/scheduleStore';
+import { getProvider } from '../../services/providerRegistry';
+import { checkSchedules } from '../../services/scheduler';
+import { sumUsage } from '../../utils/costUtils';
+import { EXECUTION_PRIORITIES } from '../../utils/queueUtils';
+import { formatTokens, formatCost } from '../../utils/formatUtils';
+import { getAgentSchedule, describeSchedule } from '../../utils/scheduleUtils';
 
 const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
   // Get data sources from the store
@@ -12,23 +20,53 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
   const agentStore = useAgentStore();
   const dataSources = dataStore.dataSources || [];
   const allAgents = agentStore.agents || [];
+  const runs = useExecutionStore(state => state.runs);
+  const scheduleState = useScheduleStore(state => state.agents[agent.id]);
+  const schedule = getAgentSchedule(agent);
+  
+  // Token usage of this agent's recorded runs (newest first)
+  const usageSummary = useMemo(() => {
+    const usages = runs
+      .filter(run => run.agentId === agent.id && run.usage)
+      .map(run => run.usage);
+    return usages.length > 0
+      ? { lastRun: usages[0], total: sumUsage(usages), runCount: usages.length }
+      : null;
+  }, [runs, agent.id]);
   
   // Initialize data sources on component mount
   useEffect(() => {
     dataStore.fetchDataSources();
   }, [dataStore]);
   
+  // Starting or stopping an agent starts or stops its schedule; the next run time shows right away
+  const handleToggleSchedule = async () => {
+    if (agent.status === 'active') {
+      await agentStore.stopAgent(agent.id);
+    } else {
+      await agentStore.startAgent(agent.id);
+    }
+    checkSchedules();
+  };
+  
   // Component state
   const [showModal, setShowModal] = useState(false);
   const [selectedDataSource, setSelectedDataSource] = useState(null);
+  const [priority, setPriority] = useState('normal');
+  const [bypassCache, setBypassCache] = useState(false);
   const [openAISettings, setOpenAISettings] = useState({
     apiKey: '',
-    model: 'gpt-4-turbo',
+    model: '',
     temperature: 0.2,
     provider: 'openai'
   });
+  const selectedProvider = getProvider(openAISettings.provider);
+  // Local servers can run without an API key
+  const canExecuteWithAI = !!selectedProvider && (!selectedProvider.requiresApiKey || !!openAISettings.apiKey);
   const [collaborators, setCollaborators] = useState([]);
   const [isCollaborative, setIsCollaborative] = useState(false);
+  // Notifiers check threshold rules locally, so no provider settings apply
+  const isNotifier = agent.type === 'notifier';
   
   // Check if this is a collaborative agent
   useEffect(() => {
@@ -53,6 +91,8 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
         return 'status-completed';
       case 'error':
         return 'status-error';
+      case 'cancelled':
+        return 'status-cancelled';
       default:
         return '';
     }
@@ -62,6 +102,18 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
     setOpenAISettings(settings);
   };
   
+  // The agent's own model settings, kept stable so the settings panel only reacts to real changes
+  const agentModelSettings = useMemo(() => ({
+    provider: agent.configuration?.provider,
+    model: agent.configuration?.model,
+    temperature: agent.configuration?.temperature,
+    maxTokens: agent.configuration?.maxTokens
+  }), [agent.configuration]);
+  
+  const handleSaveModelSettings = async (settings) => {
+    await agentStore.updateAgent({ ...agent, configuration: { ...agent.configuration, ...settings } });
+  };
+  
   const handleExecuteClick = () => {
     setShowModal(true);
   };
@@ -78,9 +130,13 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
       apiKey: openAISettings.apiKey,
       model: openAISettings.model,
       temperature: openAISettings.temperature,
+      maxTokens: openAISettings.maxTokens,
       provider: openAISettings.provider,
+      overrideModelSettings: openAISettings.overrideModelSettings,
       executionMode: agent.configuration?.executionMode || 'sequential',
-      synthesizeResults: agent.configuration?.synthesizeResults !== false
+      synthesizeResults: agent.configuration?.synthesizeResults !== false,
+      priority,
+      bypassCache
     });
   };
   
@@ -91,7 +147,7 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
     }
     
     setShowModal(false);
-    onExecute(agent, selectedDataSource, { useOpenAI: false });
+    onExecute(agent, selectedDataSource, { useOpenAI: false, priority, bypassCache });
   };
 
   return (
@@ -109,6 +165,15 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
                 Execute
               </Button>
             )}
+            {schedule && (
+              <Button
+                variant="secondary"
+                onClick={handleToggleSchedule}
+                disabled={agent.status === 'running'}
+              >
+                {agent.status === 'active' ? 'Stop Schedule' : 'Start Schedule'}
+              </Button>
+            )}
             {onEdit && (
               <Button
                 variant="secondary"
@@ -153,7 +218,11 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
               <div className="execution-config">
                 <div className="config-item">
                   <span className="config-label">Mode:</span>
-                  <span className="config-value">{agent.configuration?.executionMode || 'sequential'}</span>
+                  <span className="config-value">
+                    {agent.configuration?.executionMode || 'sequential'}
+                    {agent.configuration?.executionMode === 'workflow' &&
+                      ` (${agent.configuration?.workflow?.edges?.length || 0} connections)`}
+                  </span>
                 </div>
                 <div className="config-item">
                   <span className="config-label">Synthesize:</span>
@@ -180,6 +249,40 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
                 : null;
             })()}
           </div>
+          {usageSummary && (
+            <div className="agent-usage">
+              <div>
+                <span className="agent-usage-label">Last run:</span>
+                {formatTokens(usageSummary.lastRun.totalTokens)} tokens · {formatCost(usageSummary.lastRun.cost)}
+              </div>
+              <div>
+                <span className="agent-usage-label">Total:</span>
+                {formatTokens(usageSummary.total.totalTokens)} tokens · {formatCost(usageSummary.total.cost)}
+                {' '}over {usageSummary.runCount} run{usageSummary.runCount === 1 ? '' : 's'}
+              </div>
+            </div>
+          )}
+          {schedule && (
+            <div className="agent-usage">
+              <div>
+                <span className="agent-usage-label">Schedule:</span>
+                {describeSchedule(schedule)}{agent.status === 'active' ? '' : ' (stopped)'}
+              </div>
+              {agent.status === 'active' && scheduleState?.nextRunAt && (
+                <div>
+                  <span className="agent-usage-label">Next run:</span>
+                  {new Date(scheduleState.nextRunAt).toLocaleString()}
+                </div>
+              )}
+              {scheduleState?.lastMissedRuns > 0 && (
+                <div>
+                  <span className="agent-usage-label">Missed:</span>
+                  {scheduleState.lastMissedRuns} run{scheduleState.lastMissedRuns === 1 ? '' : 's'} while the app was closed
+                  {schedule.missedRuns === 'catch-up' ? ' (caught up)' : ' (skipped)'}
+                </div>
+              )}
+            </div>
+          )}
           <div className="agent-timestamp">
             <small>Created: {new Date(agent.createdAt).toLocaleString()}</small>
           </div>
@@ -233,11 +336,19 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
           </div>
           
           <h4>2. Execution Method</h4>
-          <p>Choose how you want to execute this agent:</p>
-          
-          <OpenAISettings
-            onSettingsChange={handleOpenAISettingsChange}
-          />
+          {isNotifier ? (
+            <p>This notifier checks its threshold rules against the data source and sends its alerts. No AI provider is used.</p>
+          ) : (
+            <>
+              <p>Choose how you want to execute this agent:</p>
+              
+              <OpenAISettings
+                agentSettings={agentModelSettings}
+                onSettingsChange={handleOpenAISettingsChange}
+                onSaveToAgent={handleSaveModelSettings}
+              />
+            </>
+          )}
           
           {/* Display collaborative agent information in execution modal */}
           {isCollaborative && collaborators.length > 0 && (
@@ -255,6 +366,11 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
                 {collaborators.map(collab => (
                   <li key={collab.id}>
                     <strong>{collab.name}</strong> ({collab.type})
+                    {(collab.configuration?.provider || collab.configuration?.model) && !openAISettings.overrideModelSettings && (
+                      <span style={{ color: '#666' }}>
+                        {' '}— runs on {[getProvider(collab.configuration.provider)?.name, collab.configuration.model].filter(Boolean).join(', ')}
+                      </span>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -270,26 +386,65 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
             </div>
           )}
           
+          <h4 style={{ marginTop: '20px' }}>3. Queue Priority</h4>
+          <select
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            aria-label="Queue priority"
+          >
+            {EXECUTION_PRIORITIES.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <p style={{ fontSize: '12px', color: '#666' }}>
+            When other executions are running, higher priority executions start first.
+          </p>
+          
+          {!isNotifier && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
+              <input
+                type="checkbox"
+                checked={bypassCache}
+                onChange={(e) => setBypassCache(e.target.checked)}
+              />
+              Bypass the result cache
+            </label>
+          )}
+          
           <div className="execute-actions" style={{ marginTop: '20px' }}>
-            <Button 
-              onClick={handleExecuteWithAPI}
-              disabled={!openAISettings.apiKey || !selectedDataSource}
-              style={{
-                opacity: (!openAISettings.apiKey || !selectedDataSource) ? 0.5 : 1
-              }}
-            >
-              Execute with {openAISettings.provider === 'openai' ? 'OpenAI' : 'OpenRouter'}
-            </Button>
-            <Button 
-              variant="secondary"
-              onClick={handleExecuteWithoutAPI}
-              disabled={!selectedDataSource}
-              style={{
-                opacity: !selectedDataSource ? 0.5 : 1
-              }}
-            >
-              Execute with Data Analysis
-            </Button>
+            {isNotifier ? (
+              <Button 
+                onClick={handleExecuteWithoutAPI}
+                disabled={!selectedDataSource}
+                style={{
+                  opacity: !selectedDataSource ? 0.5 : 1
+                }}
+              >
+                Check Rules
+              </Button>
+            ) : (
+              <>
+                <Button 
+                  onClick={handleExecuteWithAPI}
+                  disabled={!canExecuteWithAI || !selectedDataSource}
+                  style={{
+                    opacity: (!canExecuteWithAI || !selectedDataSource) ? 0.5 : 1
+                  }}
+                >
+                  Execute with {selectedProvider?.name || openAISettings.provider}
+                </Button>
+                <Button 
+                  variant="secondary"
+                  onClick={handleExecuteWithoutAPI}
+                  disabled={!selectedDataSource}
+                  style={{
+                    opacity: !selectedDataSource ? 0.5 : 1
+                  }}
+                >
+                  Execute with Data Analysis
+                </Button>
+              </>
+            )}
             <Button 
               variant="tertiary"
               onClick={() => setShowModal(false)}
@@ -304,7 +459,7 @@ const AgentCard = ({ agent, onDelete, onEdit, onExecute }) => {
             </div>
           )}
           
-          {!openAISettings.apiKey && selectedDataSource && (
+          {!isNotifier && !openAISettings.apiKey && selectedDataSource && (
             <div className="openai-notice">
               <p><strong>Note:</strong> An API key is required to use AI-powered analysis.</p>
             </div>
@@ -1,7 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import useAgentStore from '../../stores/agentStore';
+import useDataStore from '../../stores/dataStore';
 import Button from '../shared/Button';
+import WorkflowEditor from './WorkflowEditor';
+import FailoverEditor from './FailoverEditor';
+import ModelSettingsEditor from './ModelSettingsEditor';
+import RuleEditor from './RuleEditor';
+import RoutingEditor from './RoutingEditor';
 import { agentTemplates, agentCapabilities } from './AgentTemplates';
+import { edgesFromExecutionMode } from '../../utils/workflowUtils';
+import { validateSchedule } from '../../utils/scheduleUtils';
+import { getRuleSet, validateRuleSet } from '../../utils/ruleUtils';
+import { SYNTHESIS_STRATEGIES } from '../../utils/synthesisUtils';
+import { validateRouting } from '../../utils/routingUtils';
+import { NOTIFICATION_CHANNELS, isLocalUrl } from '../../services/notificationService';
 
 const AgentForm = ({ onSubmit, initialValues }) => {
   const agentStore = useAgentStore();
@@ -16,6 +28,7 @@ const AgentForm = ({ onSubmit, initialValues }) => {
       collaborators: [] // IDs of collaborating agents
     }
   );
+  const dataSources = useDataStore(state => state.dataSources) || [];
   const [errors, setErrors] = useState({});
   const [isCollaborative, setIsCollaborative] = useState(false);
 
@@ -70,8 +83,84 @@ const AgentForm = ({ onSubmit, initialValues }) => {
     });
   };
 
-  const handleExecutionModeChange = (mode) => {
-    handleConfigChange('executionMode', mode);
+  // Agents saved before schedules existed run every refreshInterval minutes
+  const schedule = formData.configuration?.schedule || (formData.configuration?.refreshInterval
+    ? { type: 'interval', intervalMinutes: formData.configuration.refreshInterval }
+    : { type: 'none' });
+
+  const handleScheduleChange = (key, value) => {
+    handleConfigChange('schedule', { ...schedule, [key]: value });
+  };
+
+  // Notifier agents saved with the older thresholds format are shown as a single rule
+  const isNotifier = formData.type === 'notifier';
+  const selectedSourceIds = formData.configuration?.dataSourceIds || [];
+  const ruleColumns = [...new Set(dataSources
+    .filter(ds => selectedSourceIds.length === 0 || selectedSourceIds.includes(ds.id))
+    .flatMap(ds => ds.columns || []))];
+  const ruleSet = getRuleSet(formData.configuration, [], ruleColumns);
+  const notificationChannels = formData.configuration?.notificationChannels || [];
+
+  // Saving the rules replaces the older thresholds format
+  const handleRulesChange = (rules) => {
+    setFormData(prev => {
+      const configuration = { ...prev.configuration, rules };
+      delete configuration.thresholds;
+      return { ...prev, configuration };
+    });
+  };
+
+  // Empty settings are stored as undefined, so they fall back to the agent running this one or to Settings
+  const handleModelSettingsChange = ({ provider, model, temperature, maxTokens }) => {
+    setFormData(prev => ({
+      ...prev,
+      configuration: { ...prev.configuration, provider, model, temperature, maxTokens }
+    }));
+  };
+
+  const handleChannelToggle = (channelId) => {
+    handleConfigChange('notificationChannels', notificationChannels.includes(channelId)
+      ? notificationChannels.filter(id => id !== channelId)
+      : [...notificationChannels, channelId]);
+  };
+
+  const handleDataSourceToggle = (dataSourceId) => {
+    const dataSourceIds = formData.configuration?.dataSourceIds || [];
+    handleConfigChange('dataSourceIds', dataSourceIds.includes(dataSourceId)
+      ? dataSourceIds.filter(id => id !== dataSourceId)
+      : [...dataSourceIds, dataSourceId]);
+  };
+
+  // Pipeline stages run in the order of the collaborators array
+  const handleMoveStage = (index, direction) => {
+    setFormData(prev => {
+      const collaborators = [...(prev.collaborators || [])];
+      const target = index + direction;
+      if (target < 0 || target >= collaborators.length) return prev;
+      [collaborators[index], collaborators[target]] = [collaborators[target], collaborators[index]];
+      return { ...prev, collaborators };
+    });
+  };
+
+  // Pipelines pause for approval after the stages listed in approveAfterStages
+  const approveAfterStages = formData.configuration?.approveAfterStages || [];
+
+  const handleApprovalStageToggle = (agentId) => {
+    handleConfigChange('approveAfterStages', approveAfterStages.includes(agentId)
+      ? approveAfterStages.filter(id => id !== agentId)
+      : [...approveAfterStages, agentId]);
+  };
+
+  // The workflow graph replaces the sequential/parallel modes: no connections means parallel
+  const handleWorkflowChange = (edges) => {
+    setFormData(prev => ({
+      ...prev,
+      configuration: {
+        ...prev.configuration,
+        executionMode: edges.length > 0 ? 'workflow' : 'parallel',
+        workflow: { edges }
+      }
+    }));
   };
 
   const validateForm = () => {
@@ -84,6 +173,29 @@ const AgentForm = ({ onSubmit, initialValues }) => {
       newErrors.collaborators = 'At least one collaborator agent is required';
     }
     
+    if (isCollaborative && formData.type !== 'pipeline') {
+      const routingError = validateRouting(formData.configuration?.routing, workflowNodes);
+      if (routingError) newErrors.routing = routingError;
+    }
+    
+    if (isNotifier) {
+      // Columns are only checked against data sources the agent is set to run on
+      const rulesError = validateRuleSet(ruleSet, selectedSourceIds.length > 0 ? ruleColumns : []);
+      if (rulesError) newErrors.rules = rulesError;
+      if (notificationChannels.length === 0) {
+        newErrors.notifications = 'Choose at least one notification channel';
+      } else if (notificationChannels.includes('webhook') && !isLocalUrl(formData.configuration?.webhookUrl)) {
+        newErrors.notifications = 'The webhook URL must be an http(s) URL on localhost or the local network';
+      }
+    }
+    
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      newErrors.schedule = scheduleError;
+    } else if (schedule.type !== 'none' && !(formData.configuration?.dataSourceIds || []).length) {
+      newErrors.schedule = 'Choose at least one data source for scheduled runs';
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -134,6 +246,14 @@ const AgentForm = ({ onSubmit, initialValues }) => {
     agent.id !== initialValues?.id && agentTemplates.find(t => t.type === agent.type)?.canCollaborate
   );
 
+  // Nodes of the workflow graph are the selected collaborators; agents saved before
+  // workflows existed are shown with the edges equivalent to their execution mode
+  const workflowNodes = (formData.collaborators || [])
+    .map(id => agents.find(a => a.id === id))
+    .filter(Boolean);
+  const workflowEdges = formData.configuration?.workflow?.edges ||
+    edgesFromExecutionMode(workflowNodes.map(n => n.id), formData.configuration?.executionMode || 'sequential');
+
   return (
     <form onSubmit={handleSubmit} className="agent-form">
       <div className="form-group">
@@ -175,6 +295,7 @@ const AgentForm = ({ onSubmit, initialValues }) => {
           <option value="visualizer">Visualizer</option>
           <option value="collaborative">Collaborative Analyzer</option>
           <option value="pipeline">Analysis Pipeline</option>
+          <option value="notifier">Notifier (threshold rules)</option>
         </select>
         {errors.type && <div className="error-message">{errors.type}</div>}
       </div>
@@ -218,35 +339,167 @@ const AgentForm = ({ onSubmit, initialValues }) => {
         </div>
       </div>
 
-      {/* Collaborative agent specific settings */}
-      {isCollaborative && (
+      {/* Notifiers check rules locally and send alerts instead of asking a model */}
+      {isNotifier && (
         <>
           <div className="form-group">
-            <label>Execution Mode</label>
-            <div className="radio-group">
-              <label>
+            <label>Threshold Rules</label>
+            <RuleEditor
+              ruleSet={ruleSet}
+              columns={ruleColumns}
+              onChange={handleRulesChange}
+            />
+            {errors.rules && <div className="error-message">{errors.rules}</div>}
+            <p className="helper-text">
+              Row rules trigger on every row whose value matches; those rows are listed in the alert report.
+              Aggregate rules compare the sum, average, minimum, maximum or count of a column over all rows.
+              Numbers are compared as numbers and anything else as text.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label>Notification Channels</label>
+            <div className="capabilities-list">
+              {NOTIFICATION_CHANNELS.map(channel => (
+                <div key={channel.id} className="capability-item">
+                  <input
+                    type="checkbox"
+                    id={`channel-${channel.id}`}
+                    checked={notificationChannels.includes(channel.id)}
+                    onChange={() => handleChannelToggle(channel.id)}
+                  />
+                  <label htmlFor={`channel-${channel.id}`}>{channel.name}</label>
+                </div>
+              ))}
+            </div>
+            {notificationChannels.includes('webhook') && (
+              <input
+                type="url"
+                id="webhook-url"
+                aria-label="Webhook URL"
+                value={formData.configuration?.webhookUrl || ''}
+                onChange={(e) => handleConfigChange('webhookUrl', e.target.value)}
+                placeholder="http://localhost:8080/alerts"
+              />
+            )}
+            {errors.notifications && <div className="error-message">{errors.notifications}</div>}
+            <p className="helper-text">
+              Alerts are sent only when the rules trigger. Webhooks receive the alert as JSON in a POST request
+              and must be on this machine or the local network. Only the address in the URL is checked:
+              a .local or .localhost name is trusted wherever it resolves to.
+            </p>
+          </div>
+        </>
+      )}
+
+      {!isNotifier && (
+        <div className="form-group">
+          <label>Model Settings</label>
+          <ModelSettingsEditor
+            settings={{
+              provider: formData.configuration?.provider,
+              model: formData.configuration?.model,
+              temperature: formData.configuration?.temperature,
+              maxTokens: formData.configuration?.maxTokens
+            }}
+            onChange={handleModelSettingsChange}
+          />
+          <p className="helper-text">
+            {isCollaborative
+              ? 'Used for the synthesis, and by collaborators that have no model settings of their own. '
+              : 'As a collaborator, the agent keeps these settings; empty ones come from the agent running it. '}
+            Leave a setting empty to use the default from Settings. Settings chosen when executing override these.
+          </p>
+        </div>
+      )}
+
+      {/* Single agents can look at a sample of the data or at every row in chunks */}
+      {!isCollaborative && !isNotifier && (
+        <>
+          <div className="form-group">
+            <label htmlFor="analysis-mode">Analysis Mode</label>
+            <select
+              id="analysis-mode"
+              value={formData.configuration?.analysisMode || 'sample'}
+              onChange={(e) => handleConfigChange('analysisMode', e.target.value)}
+            >
+              <option value="sample">Sample (one request)</option>
+              <option value="map-reduce">Map-reduce (every row, in chunks)</option>
+            </select>
+            <p className="helper-text">
+              Sample mode sends column profiles and a sample of rows. Map-reduce analyzes every row in chunks
+              and combines the chunk results into one report, at the cost of one request per chunk.
+            </p>
+          </div>
+
+          <div className="form-group">
+            <label>Fallback Models</label>
+            <FailoverEditor
+              targets={formData.configuration?.failover || []}
+              onChange={(targets) => handleConfigChange('failover', targets)}
+            />
+            <p className="helper-text">
+              When the agent's provider still fails after its retries, requests move down this list in order.
+              Leave the model empty to use the provider's saved model. Each provider needs its settings (API key) saved.
+            </p>
+          </div>
+
+          {formData.configuration?.analysisMode !== 'map-reduce' && (
+            <div className="form-group">
+              <label htmlFor="use-tools">
                 <input
-                  type="radio"
-                  name="executionMode"
-                  value="sequential"
-                  checked={(formData.configuration?.executionMode || 'sequential') === 'sequential'}
-                  onChange={() => handleExecutionModeChange('sequential')}
+                  type="checkbox"
+                  id="use-tools"
+                  checked={formData.configuration?.useTools !== false}
+                  onChange={(e) => handleConfigChange('useTools', e.target.checked)}
                 />
-                Sequential (One after another)
+                Use Data Tools
               </label>
-              <label>
+              <p className="helper-text">
+                Lets the model request exact statistics, group-by aggregates, filters, correlations, outliers
+                and top rows computed over the full dataset. Each round of tool calls is another request.
+                Providers without tool calling ignore this setting.
+              </p>
+            </div>
+          )}
+
+          {formData.configuration?.analysisMode === 'map-reduce' && (
+            <>
+              <div className="form-group">
+                <label htmlFor="chunk-size">Rows per Chunk</label>
                 <input
-                  type="radio"
-                  name="executionMode"
-                  value="parallel"
-                  checked={(formData.configuration?.executionMode || 'sequential') === 'parallel'}
-                  onChange={() => handleExecutionModeChange('parallel')}
+                  type="number"
+                  id="chunk-size"
+                  min="1"
+                  value={formData.configuration?.chunkSize || ''}
+                  onChange={(e) => handleConfigChange('chunkSize', parseInt(e.target.value, 10) || undefined)}
                 />
-                Parallel (All at once)
-              </label>
-            </div>
-          </div>
+                <p className="helper-text">
+                  Leave empty to use as many rows as fit the model's data context.
+                </p>
+              </div>
 
+              <div className="form-group">
+                <label htmlFor="chunk-concurrency">Chunks at a Time</label>
+                <input
+                  type="number"
+                  id="chunk-concurrency"
+                  min="1"
+                  value={formData.configuration?.chunkConcurrency || ''}
+                  onChange={(e) => handleConfigChange('chunkConcurrency', parseInt(e.target.value, 10) || undefined)}
+                />
+                <p className="helper-text">
+                  How many chunk requests are sent at once. Leave empty for 3.
+                </p>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {/* Collaborative agent specific settings */}
+      {isCollaborative && (
+        <>
           <div className="form-group">
             <label>Select Collaborator Agents</label>
             {availableCollaborators.length === 0 ? (
@@ -275,6 +528,169 @@ const AgentForm = ({ onSubmit, initialValues }) => {
             )}
           </div>
 
+          {formData.type !== 'pipeline' && (
+            <div className="form-group">
+              <label>Execution Workflow</label>
+              <WorkflowEditor
+                nodes={workflowNodes}
+                edges={workflowEdges}
+                onChange={handleWorkflowChange}
+              />
+            </div>
+          )}
+
+          {formData.type !== 'pipeline' && (
+            <div className="form-group">
+              <label>Routing Rules</label>
+              <RoutingEditor
+                collaborators={workflowNodes}
+                routing={formData.configuration?.routing || {}}
+                columns={ruleColumns}
+                onChange={(routing) => handleConfigChange('routing', routing)}
+              />
+              {errors.routing && <div className="error-message">{errors.routing}</div>}
+              <p className="helper-text">
+                Checked against the data source before the collaborators start, e.g. run a time-series analyzer only
+                when there is a date column. Collaborators whose conditions don't hold are skipped and shown with the reason.
+              </p>
+            </div>
+          )}
+
+          {/* Pipeline stages run in order, each one receiving the previous stage's output */}
+          {formData.type === 'pipeline' && (
+            <>
+              <div className="form-group">
+                <label>Stage Order</label>
+                {(formData.collaborators || []).length === 0 ? (
+                  <div className="empty-state">Select collaborator agents above to build the pipeline.</div>
+                ) : (
+                  <ol className="pipeline-stage-list">
+                    {formData.collaborators.map((agentId, index) => {
+                      const stageAgent = agents.find(a => a.id === agentId);
+                      return (
+                        <li key={agentId} className="pipeline-stage-item">
+                          <span>
+                            {stageAgent?.name || agentId}{' '}
+                            <span className="agent-type">({stageAgent?.type || 'unknown'})</span>
+                          </span>
+                          <span className="pipeline-stage-actions">
+                            <label className="pipeline-stage-approval">
+                              <input
+                                type="checkbox"
+                                checked={approveAfterStages.includes(agentId)}
+                                onChange={() => handleApprovalStageToggle(agentId)}
+                              />
+                              Pause for approval
+                            </label>
+                            <button
+                              type="button"
+                              onClick={() => handleMoveStage(index, -1)}
+                              disabled={index === 0}
+                              aria-label="Move stage up"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleMoveStage(index, 1)}
+                              disabled={index === formData.collaborators.length - 1}
+                              aria-label="Move stage down"
+                            >
+                              ↓
+                            </button>
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ol>
+                )}
+                <p className="helper-text">
+                  A stage set to pause for approval suspends the run after it finishes, until its output is approved,
+                  edited or rejected on the Runs page.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="max-stages">Maximum Stages</label>
+                <input
+                  type="number"
+                  id="max-stages"
+                  min="1"
+                  value={formData.configuration?.maxStages || ''}
+                  onChange={(e) => handleConfigChange('maxStages', parseInt(e.target.value, 10) || undefined)}
+                />
+                <p className="helper-text">
+                  Stages beyond this limit are skipped. Leave empty to run every stage.
+                </p>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="pass-through-results">
+                  <input
+                    type="checkbox"
+                    id="pass-through-results"
+                    checked={formData.configuration?.passThroughResults !== false}
+                    onChange={(e) => handleConfigChange('passThroughResults', e.target.checked)}
+                  />
+                  Pass Results Between Stages
+                </label>
+                <p className="helper-text">
+                  When enabled, each stage receives the previous stage's summary, insights and statistics.
+                  Stages with the Data Transformation capability can also hand a transformed dataset to the next stage.
+                </p>
+              </div>
+            </>
+          )}
+
+          {formData.type !== 'pipeline' && (
+            <div className="form-group">
+              <label htmlFor="failure-policy">When a Collaborator Fails</label>
+              <select
+                id="failure-policy"
+                value={formData.configuration?.failurePolicy || 'best-effort'}
+                onChange={(e) => handleConfigChange('failurePolicy', e.target.value)}
+              >
+                <option value="best-effort">Best effort (use whatever succeeded)</option>
+                <option value="fail-fast">Fail fast (stop at the first failure)</option>
+                <option value="quorum">Quorum (require a minimum number of successes)</option>
+              </select>
+              {formData.configuration?.failurePolicy === 'quorum' && (
+                <input
+                  type="number"
+                  id="min-successes"
+                  aria-label="Minimum successful collaborators"
+                  min="1"
+                  max={Math.max(1, (formData.collaborators || []).length)}
+                  value={formData.configuration?.minSuccesses || ''}
+                  onChange={(e) => handleConfigChange('minSuccesses', parseInt(e.target.value, 10) || undefined)}
+                  placeholder="Minimum successful collaborators"
+                />
+              )}
+              <p className="helper-text">
+                A failing collaborator never loses the others' results; failed collaborators are listed in the report.
+                Fail fast and quorum cancel the remaining collaborators as soon as the run can no longer succeed.
+              </p>
+            </div>
+          )}
+
+          {formData.type !== 'pipeline' && (
+            <div className="form-group">
+              <label htmlFor="debate-rounds">Debate Rounds</label>
+              <input
+                type="number"
+                id="debate-rounds"
+                min="0"
+                max="3"
+                value={formData.configuration?.debateRounds || 0}
+                onChange={(e) => handleConfigChange('debateRounds', Math.min(3, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              />
+              <p className="helper-text">
+                After the first analysis, each collaborator receives the others' findings and can revise, challenge
+                or confirm them, once per round (up to 3). Every round repeats each collaborator's request.
+              </p>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="synthesize-results">
               <input
@@ -289,9 +705,112 @@ const AgentForm = ({ onSubmit, initialValues }) => {
               When enabled, the collaborative agent will combine results from all collaborators into a cohesive report.
             </p>
           </div>
+
+          {formData.type !== 'pipeline' && (
+            <div className="form-group">
+              <label htmlFor="approve-before-synthesis">
+                <input
+                  type="checkbox"
+                  id="approve-before-synthesis"
+                  checked={formData.configuration?.approveBeforeSynthesis || false}
+                  onChange={(e) => handleConfigChange('approveBeforeSynthesis', e.target.checked)}
+                />
+                Pause for Approval Before Combining Results
+              </label>
+              <p className="helper-text">
+                The run is suspended once the collaborators (and any debate rounds) finish. Their results can be
+                approved, edited or rejected on the Runs page before they are combined into the report.
+              </p>
+            </div>
+          )}
+
+          {formData.type !== 'pipeline' && formData.configuration?.synthesizeResults && (
+            <div className="form-group">
+              <label htmlFor="synthesis-strategy">Synthesis Strategy</label>
+              <select
+                id="synthesis-strategy"
+                value={formData.configuration?.synthesisStrategy || 'ai-summary'}
+                onChange={(e) => handleConfigChange('synthesisStrategy', e.target.value)}
+              >
+                {SYNTHESIS_STRATEGIES.map(strategy => (
+                  <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+                ))}
+              </select>
+              <p className="helper-text">
+                {SYNTHESIS_STRATEGIES.find(s => s.id === (formData.configuration?.synthesisStrategy || 'ai-summary'))?.description}.
+                {' '}Conflicting statistics, and the contradictions a critic finds, are listed in the report.
+              </p>
+            </div>
+          )}
         </>
       )}
 
+      <div className="form-group">
+        <label htmlFor="schedule-type">Schedule</label>
+        <select
+          id="schedule-type"
+          value={schedule.type}
+          onChange={(e) => handleScheduleChange('type', e.target.value)}
+          className={errors.schedule ? 'error' : ''}
+        >
+          <option value="none">Not scheduled</option>
+          <option value="interval">Every few minutes</option>
+          <option value="cron">Cron expression</option>
+        </select>
+        {schedule.type === 'interval' && (
+          <input
+            type="number"
+            id="schedule-interval"
+            aria-label="Minutes between runs"
+            min="1"
+            value={schedule.intervalMinutes || ''}
+            onChange={(e) => handleScheduleChange('intervalMinutes', parseInt(e.target.value, 10) || undefined)}
+            placeholder="Minutes between runs"
+          />
+        )}
+        {schedule.type === 'cron' && (
+          <input
+            type="text"
+            id="schedule-cron"
+            aria-label="Cron expression"
+            value={schedule.cron || ''}
+            onChange={(e) => handleScheduleChange('cron', e.target.value)}
+            placeholder="minute hour day-of-month month day-of-week, e.g. 0 9 * * 1-5"
+          />
+        )}
+        {schedule.type !== 'none' && (
+          <>
+            <select
+              id="schedule-missed-runs"
+              aria-label="Missed runs"
+              value={schedule.missedRuns || 'skip'}
+              onChange={(e) => handleScheduleChange('missedRuns', e.target.value)}
+            >
+              <option value="skip">Skip runs missed while the app was closed</option>
+              <option value="catch-up">Catch up with one run when the app opens</option>
+            </select>
+            <div className="capabilities-list">
+              {dataSources.map(dataSource => (
+                <div key={dataSource.id} className="capability-item">
+                  <input
+                    type="checkbox"
+                    id={`schedule-source-${dataSource.id}`}
+                    checked={(formData.configuration?.dataSourceIds || []).includes(dataSource.id)}
+                    onChange={() => handleDataSourceToggle(dataSource.id)}
+                  />
+                  <label htmlFor={`schedule-source-${dataSource.id}`}>{dataSource.name}</label>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {errors.schedule && <div className="error-message">{errors.schedule}</div>}
+        <p className="helper-text">
+          Scheduled runs analyze each selected data source while the app is open and the agent is started.
+          Cron times are in local time. Runs are recorded on the Runs page.
+        </p>
+      </div>
+
       <div className="form-actions">
         <Button type="submit">
           {initialValues?.id ? 'Update Agent' : 'Create Agent'}
@@ -63,6 +63,18 @@ export const agentTemplates = [
       passThroughResults: true
     },
     isCollaborative: true
+  },
+  {
+    id: 'threshold-notifier',
+    name: 'Threshold Notifier',
+    description: 'Checks data against threshold rules and sends alerts, without an AI request',
+    type: 'notifier',
+    capabilities: ['threshold-monitoring'],
+    defaultConfiguration: {
+      rules: { match: 'all', conditions: [] },
+      notificationChannels: ['in-app']
+    },
+    canCollaborate: false
   }
 ];
 
@@ -108,6 +120,11 @@ export const agentCapabilities = [
     name: 'Result Synthesis',
     description: 'Combines outputs from multiple agents into a cohesive result'
   },
+  {
+    id: 'threshold-monitoring',
+    name: 'Threshold Monitoring',
+    description: 'Raises alerts when data crosses threshold rules'
+  },
   {
     id: 'data-transformation',
     name: 'Data Transformation',
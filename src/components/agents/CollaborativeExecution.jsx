@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
-import useAgentStore from '../../stores/agentStore';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import ExecutionProgress from './ExecutionProgress';
+import StreamOutput from './StreamOutput';
 import './ExecutionProgress.css';
 
 /**
@@ -14,68 +14,46 @@ const CollaborativeExecution = ({
   dataSource,
   logMessages = [],
   executionProgress = {},
-  isExecuting = false
+  isExecuting = false,
+  onCancel,
+  isCancelling = false
 }) => {
-  const agentStore = useAgentStore();
   const [collaboratorStatus, setCollaboratorStatus] = useState({});
-  const [completedCount, setCompletedCount] = useState(0);
-  const [synthesisStarted, setSynthesisStarted] = useState(false);
-  const [synthesisProgress, setSynthesisProgress] = useState(0);
+  const wasExecuting = useRef(isExecuting);
+
+  // Collaborators the routing rules left out don't run, so they don't count towards progress
+  const skippedCollaborators = executionProgress.skippedCollaborators;
+  const skipReasons = useMemo(
+    () => Object.fromEntries((skippedCollaborators || []).map(s => [s.agentId, s.reason])),
+    [skippedCollaborators]
+  );
+  const runningCount = collaborators.filter(c => !skipReasons[c.id]).length;
+
+  // Debate rounds and synthesis report their own progress once the collaborators are done
+  const { synthesisProgress } = executionProgress;
+  const synthesisStarted = synthesisProgress !== undefined;
+  const debateRounds = parseInt(collaborativeAgent?.configuration?.debateRounds, 10) || 0;
+  const combinesResults = collaborativeAgent?.type !== 'pipeline' &&
+    (collaborativeAgent?.configuration?.synthesizeResults !== false || debateRounds > 0);
 
   // Calculate overall progress based on individual agent progress
   const calculateOverallProgress = () => {
-    // Add console logging for debugging
-    console.log('Calculating overall progress:', { 
-      collaboratorsCount: collaborators?.length || 0,
-      collaboratorStatus,
-      synthesisStarted,
-      synthesisProgress,
-      completedCount
-    });
-  
-    if (!collaborators || collaborators.length === 0) {
-      console.warn('No collaborators available for progress calculation');
-      return 0;
-    }
-    
-    // Get completed and in-progress agent statuses
-    const completedAgents = Object.values(collaboratorStatus).filter(status => status.completed);
-    const inProgressAgents = Object.values(collaboratorStatus).filter(status => !status.completed);
+    if (runningCount === 0) return 0;
     
-    // Calculate progress for completed agents (100% each)
-    const completedProgress = completedAgents.length * 100;
+    const collaboratorProgress = Object.entries(collaboratorStatus)
+      .filter(([id]) => !skipReasons[id])
+      .reduce((sum, [, status]) => sum + (status.completed ? 100 : (status.progress || 0)), 0);
     
-    // Calculate progress for in-progress agents (their current progress)
-    const inProgressTotal = inProgressAgents.reduce((sum, status) => sum + (status.progress || 0), 0);
-    
-    // Calculate synthesis progress (only if all agents are complete)
+    // Combining the results counts for a fifth of a collaborator
     const synthesisContribution = synthesisStarted ? synthesisProgress * 0.2 : 0;
+    const totalPossibleProgress = runningCount * 100 + (combinesResults ? 20 : 0);
     
-    // Combine all progress components
-    const totalPossibleProgress = collaborators.length * 100 + 20; // agents + synthesis
-    const currentProgress = completedProgress + inProgressTotal + synthesisContribution;
-    
-    const overallProgress = Math.min(100, Math.round((currentProgress / totalPossibleProgress) * 100));
-    
-    console.log('Progress calculation:', {
-      completedAgents: completedAgents.length,
-      inProgressAgents: inProgressAgents.length,
-      completedProgress,
-      inProgressTotal,
-      synthesisContribution,
-      totalPossibleProgress,
-      currentProgress,
-      overallProgress
-    });
-    
-    return overallProgress;
+    return Math.min(100, Math.round(((collaboratorProgress + synthesisContribution) / totalPossibleProgress) * 100));
   };
 
   // Initialize collaborator status when collaborators change
   useEffect(() => {
     if (isExecuting && collaborators && collaborators.length > 0) {
-      console.log('Initializing status for collaborators:', collaborators.map(c => c.id));
-      // Set initial status for all collaborators
       const initialStatus = {};
       collaborators.forEach(collaborator => {
         initialStatus[collaborator.id] = {
@@ -88,16 +66,12 @@ const CollaborativeExecution = ({
     }
   }, [isExecuting, collaborators]);
   
-  // Update collaborator status when execution progress changes
+  // Update the status of the collaborator a progress event comes from
   useEffect(() => {
     if (!isExecuting) return;
     
-    console.log('Execution progress update:', executionProgress);
-    
-    // Update status for the collaborator that changed
-    if (executionProgress.agentId && typeof executionProgress.progress === 'number') {
-      console.log(`Updating status for agent ${executionProgress.agentId}: ${executionProgress.progress}%`);
-      
+    // Debate rounds are shown as synthesis progress; the collaborator's first analysis stays complete
+    if (executionProgress.agentId && typeof executionProgress.progress === 'number' && !executionProgress.debateRound) {
       setCollaboratorStatus(prev => ({
         ...prev,
         [executionProgress.agentId]: {
@@ -106,50 +80,46 @@ const CollaborativeExecution = ({
           completed: executionProgress.progress >= 100
         }
       }));
-      
-      // Check if this completion means we've finished all collaborators
-      if (executionProgress.progress >= 100) {
-        console.log(`Agent ${executionProgress.agentId} completed`);
-        
-        // Count completed collaborators
-        setTimeout(() => {
-          setCollaboratorStatus(prev => {
-            const completed = Object.values(prev).filter(status => status.completed).length;
-            console.log(`${completed} out of ${collaborators?.length || 0} collaborators completed`);
-            
-            // Start synthesis when all collaborators are done and we have actual collaborators
-            if (completed === collaborators?.length && collaborators.length > 0 && !synthesisStarted) {
-              console.log('All collaborators completed, starting synthesis phase');
-              setSynthesisStarted(true);
-              
-              // Simulate synthesis progress more gradually
-              let progress = 0;
-              const interval = setInterval(() => {
-                progress += 5; // Slower progress
-                setSynthesisProgress(progress);
-                console.log(`Synthesis progress: ${progress}%`);
-                
-                if (progress >= 100) {
-                  clearInterval(interval);
-                  // Wait a moment before calling onComplete to allow the parent to handle final results
-                  setTimeout(() => {
-                    console.log('Synthesis complete, calling onComplete callback');
-                    if (onComplete) onComplete();
-                  }, 1000);
-                }
-              }, 200);
-            }
-            
-            return prev;
-          });
-        }, 100); // Small delay to ensure all state updates are processed
-      }
     }
-  }, [executionProgress, isExecuting, collaborators, synthesisStarted, onComplete]);
+  }, [executionProgress, isExecuting]);
+
+  // A run resumed after approval, or one that reached synthesis, has no collaborators left to run
+  const collaboratorsDone = !!executionProgress.resumed || synthesisStarted;
+  useEffect(() => {
+    if (!isExecuting || !collaboratorsDone) return;
+
+    setCollaboratorStatus(prev => {
+      const pending = Object.keys(prev).filter(id => !skipReasons[id] && !prev[id].completed);
+      if (pending.length === 0) return prev;
+      const next = { ...prev };
+      pending.forEach(id => {
+        next[id] = { progress: 100, stage: 'Completed', completed: true };
+      });
+      return next;
+    });
+  }, [collaboratorsDone, isExecuting, collaborators, skipReasons]);
+
+  // The execution has settled once the parent stops executing
+  useEffect(() => {
+    if (wasExecuting.current && !isExecuting && onComplete) onComplete();
+    wasExecuting.current = isExecuting;
+  }, [isExecuting, onComplete]);
 
   return (
     <div className="collaborative-execution">
-      <h3>Collaborative Execution: {collaborativeAgent?.name}</h3>
+      <div className="progress-header">
+        <h3>Collaborative Execution: {collaborativeAgent?.name}</h3>
+        {onCancel && (
+          <button
+            type="button"
+            className="cancel-execution-button"
+            onClick={onCancel}
+            disabled={isCancelling}
+          >
+            {isCancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
+      </div>
       
       <div className="execution-overall-progress">
         <div className="progress-bar-container">
@@ -164,27 +134,43 @@ const CollaborativeExecution = ({
       </div>
       
       <div className="collaborators-progress">
-        <h4>Collaborator Agents</h4>
+        <h4>{collaborativeAgent?.type === 'pipeline' ? 'Pipeline Stages' : 'Collaborator Agents'}</h4>
         
-        {collaborators.map(agent => (
-          <div key={agent.id} className="collaborator-progress-item">
+        {collaborators.map((agent, index) => (
+          <div key={agent.id} className={`collaborator-progress-item ${skipReasons[agent.id] ? 'skipped' : ''}`}>
             <div className="collaborator-info">
+              {collaborativeAgent?.type === 'pipeline' && (
+                <span className="collaborator-stage">Stage {index + 1}</span>
+              )}
               <span className="collaborator-name">{agent.name}</span>
               <span className="collaborator-type">({agent.type})</span>
             </div>
             
-            <div className="collaborator-status">
-              <div className="progress-bar-container">
-                <div 
-                  className="progress-bar" 
-                  style={{ width: `${collaboratorStatus[agent.id]?.progress || 0}%` }}
-                ></div>
+            {skipReasons[agent.id] ? (
+              <div className="collaborator-status">
+                <div className="progress-text">Skipped by routing rules</div>
+                <div className="collaborator-skip-reason">{skipReasons[agent.id]}</div>
               </div>
-              <div className="progress-text">
-                {collaboratorStatus[agent.id]?.stage || 'Waiting'} 
-                ({collaboratorStatus[agent.id]?.progress || 0}%)
+            ) : (
+              <div className="collaborator-status">
+                <div className="progress-bar-container">
+                  <div 
+                    className="progress-bar" 
+                    style={{ width: `${collaboratorStatus[agent.id]?.progress || 0}%` }}
+                  ></div>
+                </div>
+                <div className="progress-text">
+                  {collaboratorStatus[agent.id]?.stage || 'Waiting'} 
+                  ({collaboratorStatus[agent.id]?.progress || 0}%)
+                </div>
               </div>
-            </div>
+            )}
+            
+            <StreamOutput
+              output={executionProgress.collaboratorOutputs?.[agent.id]}
+              title="Output"
+              maxLength={1500}
+            />
           </div>
         ))}
       </div>
@@ -199,7 +185,7 @@ const CollaborativeExecution = ({
             ></div>
           </div>
           <div className="progress-text">
-            Combining results from all collaborators ({synthesisProgress}%)
+            {executionProgress.synthesisStage || 'Combining results from all collaborators'} ({synthesisProgress}%)
           </div>
         </div>
       )}
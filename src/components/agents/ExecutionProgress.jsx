@@ -1,17 +1,19 @@
 import React, { useState, useCallback } from 'react';
 import useInterval from '../../hooks/useInterval';
+import StreamOutput from './StreamOutput';
 import './ExecutionProgress.css';
 
 /**
  * Component to display real-time agent execution progress
  */
-const ExecutionProgress = ({ progress }) => {
+const ExecutionProgress = ({ progress, onCancel, isCancelling = false }) => {
   const {
     progress: percentage = 0,
     stage = 'Starting...',
     logs = [],
+    milestones = [],
     startTime,
-    estimatedCompletionTime
+    output
   } = progress || {};
 
   // State for time display
@@ -33,19 +35,13 @@ const ExecutionProgress = ({ progress }) => {
     ? `${elapsedMinutes}m ${elapsedSeconds % 60}s` 
     : `${elapsedSeconds}s`;
   
-  // Format estimated remaining time
-  const getEstimatedRemaining = () => {
-    if (!estimatedCompletionTime) return 'Calculating...';
+  // Time since the last milestone, so a long wait on the provider is visible
+  const lastMilestone = milestones[milestones.length - 1];
+  const getLastUpdate = () => {
+    if (!lastMilestone?.timestamp) return 'Waiting for first milestone...';
     
-    const remainingMs = new Date(estimatedCompletionTime) - new Date();
-    if (remainingMs <= 0) return 'Completing...';
-    
-    const remainingSeconds = Math.ceil(remainingMs / 1000);
-    const remainingMinutes = Math.floor(remainingSeconds / 60);
-    
-    return remainingMinutes > 0 
-      ? `~${remainingMinutes}m ${remainingSeconds % 60}s remaining` 
-      : `~${remainingSeconds}s remaining`;
+    const sinceSeconds = Math.max(0, Math.floor((new Date() - new Date(lastMilestone.timestamp)) / 1000));
+    return `Last update: ${sinceSeconds}s ago`;
   };
 
   return (
@@ -57,8 +53,18 @@ const ExecutionProgress = ({ progress }) => {
             Elapsed: {elapsedFormatted}
           </span>
           <span className="remaining-time">
-            {getEstimatedRemaining()}
+            {getLastUpdate()}
           </span>
+          {onCancel && (
+            <button
+              type="button"
+              className="cancel-execution-button"
+              onClick={onCancel}
+              disabled={isCancelling}
+            >
+              {isCancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          )}
         </div>
       </div>
       
@@ -73,6 +79,25 @@ const ExecutionProgress = ({ progress }) => {
         <span className="stage-name">{stage}</span>
       </div>
       
+      {milestones.length > 0 && (
+        <ol className="milestone-timeline">
+          {milestones.map((milestone, index) => (
+            <li
+              key={`${milestone.name}-${index}`}
+              className={index === milestones.length - 1 ? 'milestone current' : 'milestone'}
+            >
+              <span className="milestone-label">{milestone.label}</span>
+              <span className="milestone-time">
+                {new Date(milestone.timestamp).toLocaleTimeString()}
+                {typeof milestone.elapsedMs === 'number' && ` (+${(milestone.elapsedMs / 1000).toFixed(1)}s)`}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+      
+      <StreamOutput output={output} />
+      
       <div className="execution-logs">
         <h4>Execution Logs</h4>
         <div className="logs-container">
@@ -0,0 +1,89 @@
+import { listProviders } from '../../services/providerRegistry';
+import './FailoverEditor.css';
+
+/**
+ * Editor for an agent's ordered list of fallback provider/model pairs
+ * Requests move down the list when the agent's own provider keeps failing after its retries.
+ */
+const FailoverEditor = ({ targets = [], onChange = () => {} }) => {
+  const providers = listProviders();
+
+  const handleTargetChange = (index, key, value) => {
+    onChange(targets.map((target, i) => (i === index ? { ...target, [key]: value } : target)));
+  };
+
+  const handleAdd = () => {
+    onChange([...targets, { provider: providers[0]?.id || '', model: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(targets.filter((target, i) => i !== index));
+  };
+
+  const handleMove = (index, direction) => {
+    const next = [...targets];
+    const swap = index + direction;
+    if (swap < 0 || swap >= next.length) return;
+    [next[index], next[swap]] = [next[swap], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="failover-editor">
+      {targets.length > 0 && (
+        <ol className="failover-list">
+          {targets.map((target, index) => {
+            const provider = providers.find(p => p.id === target.provider);
+            const listId = `failover-models-${index}`;
+            return (
+              <li key={index} className="failover-row">
+                <select
+                  value={target.provider}
+                  onChange={(e) => handleTargetChange(index, 'provider', e.target.value)}
+                  aria-label={`Fallback ${index + 1} provider`}
+                >
+                  {providers.map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  list={listId}
+                  value={target.model}
+                  onChange={(e) => handleTargetChange(index, 'model', e.target.value)}
+                  placeholder="Saved model"
+                  aria-label={`Fallback ${index + 1} model`}
+                />
+                <datalist id={listId}>
+                  {(provider?.models || []).map(model => (
+                    <option key={model.id} value={model.id}>{model.name}</option>
+                  ))}
+                </datalist>
+                <button type="button" onClick={() => handleMove(index, -1)} disabled={index === 0} aria-label="Move up">
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === targets.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button type="button" onClick={() => handleRemove(index)} aria-label="Remove fallback">
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <button type="button" className="failover-add" onClick={handleAdd}>
+        Add Fallback
+      </button>
+    </div>
+  );
+};
+
+export default FailoverEditor;
@@ -0,0 +1,73 @@
+import { listProviders, getProvider, getDefaultProviderId } from '../../services/providerRegistry';
+import './FailoverEditor.css';
+
+/**
+ * Editor for an agent's own provider, model, temperature and response limit
+ * Settings left empty come from the agent running it (for collaborators) or from the Settings page.
+ */
+const ModelSettingsEditor = ({ settings = {}, onChange = () => {} }) => {
+  const providers = listProviders();
+  const provider = getProvider(settings.provider || getDefaultProviderId());
+
+  const handleChange = (key, value) => {
+    onChange({ ...settings, [key]: value });
+  };
+
+  // A model chosen for the previous provider doesn't carry over
+  const handleProviderChange = (value) => {
+    onChange({ ...settings, provider: value || undefined, model: undefined });
+  };
+
+  return (
+    <div className="failover-editor">
+      <div className="failover-row">
+        <select
+          value={settings.provider || ''}
+          onChange={(e) => handleProviderChange(e.target.value)}
+          aria-label="Provider"
+        >
+          <option value="">Default provider</option>
+          {providers.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          list="model-settings-models"
+          value={settings.model || ''}
+          onChange={(e) => handleChange('model', e.target.value || undefined)}
+          placeholder="Saved model"
+          aria-label="Model"
+        />
+        <datalist id="model-settings-models">
+          {(provider?.models || []).map(model => (
+            <option key={model.id} value={model.id}>{model.name}</option>
+          ))}
+        </datalist>
+      </div>
+      <div className="failover-row">
+        <input
+          type="number"
+          min="0"
+          max="2"
+          step="0.1"
+          value={settings.temperature ?? ''}
+          onChange={(e) => handleChange('temperature', e.target.value === '' ? undefined : parseFloat(e.target.value))}
+          placeholder="Temperature (0.2)"
+          aria-label="Temperature"
+        />
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={settings.maxTokens ?? ''}
+          onChange={(e) => handleChange('maxTokens', parseInt(e.target.value, 10) || undefined)}
+          placeholder="Max response tokens (4000)"
+          aria-label="Max response tokens"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ModelSettingsEditor;
@@ -1,143 +1,95 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import { listProviders, getProvider, getProviderConfig, getDefaultProviderId } from '../../services/providerRegistry';
 import './OpenAISettings.css';
 
 /**
- * Component for configuring OpenAI settings for agent execution
- * This can use settings from the settings page or override them for a specific execution
+ * Reads the settings the form starts from: the agent's own model settings, then the saved settings
+ * @param {Object} agentSettings - The agent's { provider, model, temperature, maxTokens } (optional)
+ * @returns {Object} - { provider, apiKey, model, temperature, maxTokens }
+ */
+const getInitialSettings = (agentSettings) => {
+  try {
+    const provider = agentSettings?.provider || getDefaultProviderId();
+    const config = getProviderConfig(provider);
+    const storedTemp = parseFloat(localStorage.getItem('openai_temperature'));
+
+    return {
+      provider,
+      apiKey: config.apiKey || '',
+      model: agentSettings?.model || config.model || '',
+      temperature: agentSettings?.temperature ?? (Number.isFinite(storedTemp) ? storedTemp : undefined),
+      maxTokens: agentSettings?.maxTokens
+    };
+  } catch (error) {
+    console.error('Error loading AI settings:', error);
+    return { provider: getDefaultProviderId() };
+  }
+};
+
+/**
+ * Component for configuring the AI provider settings for agent execution
+ * By default the agent runs with its own model settings, and the Settings page fills in the rest.
+ * Unchecking that overrides them for this execution, collaborators included; onSaveToAgent (optional)
+ * lets the chosen settings be saved as the agent's own.
  */
 const OpenAISettings = ({ 
   apiKey = '',  
   model = '',
   temperature = 0.2,
+  agentSettings = null,
   onSettingsChange = () => {},
+  onSaveToAgent = null,
   containerClassName = ''
 }) => {
   // State for settings
-  const [key, setKey] = useState(apiKey);
-  const [selectedModel, setSelectedModel] = useState(model);
-  const [temp, setTemp] = useState(temperature);
+  const [initial] = useState(() => getInitialSettings(agentSettings));
+  const [key, setKey] = useState(initial.apiKey || apiKey);
+  const [selectedModel, setSelectedModel] = useState(initial.model || model);
+  const [temp, setTemp] = useState(initial.temperature ?? temperature);
+  const [maxTokens, setMaxTokens] = useState(initial.maxTokens);
   const [isExpanded, setIsExpanded] = useState(false);
-  const [saveToLocalStorage, setSaveToLocalStorage] = useState(false);
+  const [saveToLocalStorage, setSaveToLocalStorage] = useState(!!initial.apiKey);
   const [useGlobalSettings, setUseGlobalSettings] = useState(true);
-  const [selectedProvider, setSelectedProvider] = useState('openai');
+  const [selectedProvider, setSelectedProvider] = useState(initial.provider);
   
-  // Available models for each provider
-  const availableModels = {
-    openai: [
-      { id: 'gpt-4-turbo', name: 'GPT-4 Turbo' },
-      { id: 'gpt-4', name: 'GPT-4' },
-      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo' }
-    ],
-    openrouter: [
-      { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku' },
-      { id: 'anthropic/claude-3-sonnet', name: 'Claude 3 Sonnet' },
-      { id: 'anthropic/claude-3-opus', name: 'Claude 3 Opus' },
-      { id: 'openai/gpt-4', name: 'GPT-4 (via OpenRouter)' },
-      { id: 'meta-llama/llama-3-70b-instruct', name: 'Llama 3 70B' }
-    ]
-  };
-
-  // Load settings on component mount
-  useEffect(() => {
-    const loadSettings = () => {
-      try {
-        // Try to load complete settings object first
-        const aiSettingsJson = localStorage.getItem('ai_settings');
-        if (aiSettingsJson) {
-          const aiSettings = JSON.parse(aiSettingsJson);
-          const defaultProvider = aiSettings.defaultProvider || 'openai';
-          setSelectedProvider(defaultProvider);
-          
-          // Get the provider settings
-          const providerSettings = aiSettings.providers[defaultProvider];
-          if (providerSettings) {
-            if (providerSettings.key) {
-              setKey(providerSettings.key);
-              setSaveToLocalStorage(true);
-            }
-            
-            if (providerSettings.model) {
-              setSelectedModel(providerSettings.model);
-            }
-          }
-        } else {
-          // Fall back to individual settings
-          const storedKey = localStorage.getItem('openai_api_key');
-          const storedModel = localStorage.getItem('openai_model');
-          const storedTemp = localStorage.getItem('openai_temperature');
-          
-          if (storedKey) {
-            setKey(storedKey);
-            setSaveToLocalStorage(true);
-          }
-          
-          if (storedModel) {
-            setSelectedModel(storedModel);
-          } else {
-            // Set default model based on provider
-            setSelectedModel(selectedProvider === 'openai' ? 'gpt-4-turbo' : 'anthropic/claude-3-haiku');
-          }
-          
-          if (storedTemp) {
-            setTemp(parseFloat(storedTemp));
-          }
-        }
-      } catch (error) {
-        console.error('Error loading AI settings:', error);
-      }
-    };
-    
-    loadSettings();
-  }, []);
+  const providers = listProviders();
+  const providerModule = getProvider(selectedProvider) || providers[0];
+  const hasAgentSettings = !!agentSettings &&
+    ['provider', 'model', 'temperature', 'maxTokens'].some(setting => agentSettings[setting] !== undefined);
+  const matchesAgentSettings = hasAgentSettings &&
+    agentSettings.provider === selectedProvider &&
+    (agentSettings.model || '') === (selectedModel || '') &&
+    agentSettings.temperature === temp &&
+    agentSettings.maxTokens === maxTokens;
   
   // Update parent component when settings change
   useEffect(() => {
     if (useGlobalSettings) {
-      // When using global settings, read from localStorage
-      try {
-        const aiSettingsJson = localStorage.getItem('ai_settings');
-        if (aiSettingsJson) {
-          const aiSettings = JSON.parse(aiSettingsJson);
-          const provider = aiSettings.defaultProvider || 'openai';
-          const providerSettings = aiSettings.providers[provider];
-          
-          if (providerSettings) {
-            onSettingsChange({
-              apiKey: providerSettings.key || '',
-              model: providerSettings.model || 'gpt-4-turbo',
-              temperature: temp,
-              provider
-            });
-          } else {
-            onSettingsChange({
-              apiKey: localStorage.getItem('openai_api_key') || '',
-              model: localStorage.getItem('openai_model') || 'gpt-4-turbo',
-              temperature: temp,
-              provider: 'openai'
-            });
-          }
-        } else {
-          onSettingsChange({
-            apiKey: localStorage.getItem('openai_api_key') || '',
-            model: localStorage.getItem('openai_model') || 'gpt-4-turbo',
-            temperature: temp,
-            provider: 'openai'
-          });
-        }
-      } catch (error) {
-        console.error('Error reading global settings:', error);
-      }
+      // The agent's own settings apply, and the default provider from Settings fills in the rest
+      const provider = agentSettings?.provider || getDefaultProviderId();
+      const config = getProviderConfig(provider);
+      
+      onSettingsChange({
+        apiKey: config.apiKey,
+        model: agentSettings?.model || config.model,
+        temperature: agentSettings?.temperature ?? temp,
+        maxTokens: agentSettings?.maxTokens,
+        provider,
+        overrideModelSettings: false
+      });
     } else {
-      // When using local settings, use the component state
+      // When using local settings, use the component state; they apply to collaborators too
       onSettingsChange({
         apiKey: key,
         model: selectedModel,
         temperature: temp,
-        provider: selectedProvider
+        maxTokens,
+        provider: selectedProvider,
+        overrideModelSettings: true
       });
     }
-  }, [key, selectedModel, temp, saveToLocalStorage, useGlobalSettings, selectedProvider]);
+  }, [key, selectedModel, temp, maxTokens, saveToLocalStorage, useGlobalSettings, selectedProvider, agentSettings]);
   
   // Handle API key input
   const handleKeyChange = (e) => {
@@ -154,6 +106,15 @@ const OpenAISettings = ({
     setTemp(parseFloat(e.target.value));
   };
   
+  // Empty means the provider's default limit
+  const handleMaxTokensChange = (e) => {
+    setMaxTokens(parseInt(e.target.value, 10) || undefined);
+  };
+  
+  const handleSaveToAgent = () => {
+    onSaveToAgent({ provider: selectedProvider, model: selectedModel || undefined, temperature: temp, maxTokens });
+  };
+  
   // Toggle save to localStorage
   const handleSaveToggle = (e) => {
     setSaveToLocalStorage(e.target.checked);
@@ -166,12 +127,12 @@ const OpenAISettings = ({
   
   // Handle provider change
   const handleProviderChange = (e) => {
+    const config = getProviderConfig(e.target.value);
     setSelectedProvider(e.target.value);
     
-    // Update model selection to a valid one for this provider
-    if (availableModels[e.target.value] && availableModels[e.target.value].length > 0) {
-      setSelectedModel(availableModels[e.target.value][0].id);
-    }
+    // Start from the saved settings of the newly selected provider
+    setKey(config.apiKey);
+    setSelectedModel(config.model);
   };
   
   return (
@@ -194,11 +155,12 @@ const OpenAISettings = ({
                 checked={useGlobalSettings}
                 onChange={handleUseGlobalSettings}
               />
-              Use global settings from Settings page
+              {hasAgentSettings ? "Use this agent's model settings" : 'Use global settings from Settings page'}
             </label>
             <p className="setting-help">
-              When checked, this will use the API keys and models configured in{' '}
-              <Link to="/settings" target="_blank">Settings</Link>.
+              When checked, {hasAgentSettings ? "the agent's own provider, model and temperature are used, and " : ''}
+              the API keys and models configured in <Link to="/settings" target="_blank">Settings</Link> fill in the rest.
+              Collaborators keep their own model settings unless you uncheck this.
             </p>
           </div>
           
@@ -207,66 +169,74 @@ const OpenAISettings = ({
               <div className="setting-group">
                 <label>AI Provider</label>
                 <div className="radio-group">
-                  <label>
-                    <input
-                      type="radio"
-                      name="provider"
-                      value="openai"
-                      checked={selectedProvider === 'openai'}
-                      onChange={handleProviderChange}
-                    />
-                    OpenAI
-                  </label>
-                  <label>
-                    <input
-                      type="radio"
-                      name="provider"
-                      value="openrouter"
-                      checked={selectedProvider === 'openrouter'}
-                      onChange={handleProviderChange}
-                    />
-                    OpenRouter
-                  </label>
+                  {providers.map(provider => (
+                    <label key={provider.id}>
+                      <input
+                        type="radio"
+                        name="provider"
+                        value={provider.id}
+                        checked={selectedProvider === provider.id}
+                        onChange={handleProviderChange}
+                      />
+                      {provider.name}
+                    </label>
+                  ))}
                 </div>
               </div>
               
-              <div className="setting-group">
-                <label htmlFor="ai-api-key">API Key</label>
-                <input
-                  id="ai-api-key"
-                  type="password"
-                  value={key}
-                  onChange={handleKeyChange}
-                  placeholder={`Enter your ${selectedProvider === 'openai' ? 'OpenAI' : 'OpenRouter'} API key`}
-                  autoComplete="off"
-                />
-                <p className="setting-help">
-                  Required for AI-powered analysis.{' '}
-                  {selectedProvider === 'openai' ? (
-                    <a href="https://platform.openai.com/api-keys" target="_blank" rel="noreferrer">Get an OpenAI key</a>
-                  ) : (
-                    <a href="https://openrouter.ai/keys" target="_blank" rel="noreferrer">Get an OpenRouter key</a>
-                  )}
-                </p>
-              </div>
+              {providerModule.usesApiKey && (
+                <div className="setting-group">
+                  <label htmlFor="ai-api-key">
+                    API Key{providerModule.requiresApiKey ? '' : ' (optional)'}
+                  </label>
+                  <input
+                    id="ai-api-key"
+                    type="password"
+                    value={key}
+                    onChange={handleKeyChange}
+                    placeholder={`Enter your ${providerModule.name} API key`}
+                    autoComplete="off"
+                  />
+                  <p className="setting-help">
+                    {providerModule.requiresApiKey ? 'Required for AI-powered analysis. ' : 'Only needed if your server checks API keys. '}
+                    {providerModule.links.apiKeys && (
+                      <a href={providerModule.links.apiKeys} target="_blank" rel="noreferrer">
+                        {providerModule.requiresApiKey ? `Get your ${providerModule.name} key` : `Set up ${providerModule.name}`}
+                      </a>
+                    )}
+                  </p>
+                </div>
+              
+              )}
               
               <div className="setting-group">
-                <label htmlFor="ai-model">Model</label>
-                <select
-                  id="ai-model"
-                  value={selectedModel}
-                  onChange={handleModelChange}
-                >
-                  {availableModels[selectedProvider].map(model => (
-                    <option key={model.id} value={model.id}>
-                      {model.name}
-                    </option>
-                  ))}
-                </select>
+                <label htmlFor="ai-model">{providerModule.modelLabel || 'Model'}</label>
+                {providerModule.models.length > 0 ? (
+                  <select
+                    id="ai-model"
+                    value={selectedModel}
+                    onChange={handleModelChange}
+                  >
+                    {!providerModule.models.some(m => m.id === selectedModel) && selectedModel && (
+                      <option value={selectedModel}>{selectedModel}</option>
+                    )}
+                    {providerModule.models.map(model => (
+                      <option key={model.id} value={model.id}>
+                        {model.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    id="ai-model"
+                    type="text"
+                    value={selectedModel}
+                    onChange={handleModelChange}
+                    placeholder={providerModule.modelLabel || 'Model name'}
+                  />
+                )}
                 <p className="setting-help">
-                  {selectedProvider === 'openai' 
-                    ? 'Select the OpenAI model to use. GPT-4 provides better analysis but costs more.'
-                    : 'Select the model to use through OpenRouter. Different models have different capabilities and costs.'}
+                  Select the {providerModule.name} model to use. Different models have different capabilities and costs.
                 </p>
               </div>
               
@@ -290,6 +260,33 @@ const OpenAISettings = ({
                 </p>
               </div>
               
+              <div className="setting-group">
+                <label htmlFor="ai-max-tokens">Max Response Tokens</label>
+                <input
+                  id="ai-max-tokens"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={maxTokens ?? ''}
+                  onChange={handleMaxTokensChange}
+                  placeholder="4000"
+                />
+                <p className="setting-help">
+                  The longest response the model may write. Leave empty for the provider's default.
+                </p>
+              </div>
+              
+              {onSaveToAgent && (
+                <div className="setting-group">
+                  <button type="button" onClick={handleSaveToAgent} disabled={matchesAgentSettings}>
+                    {matchesAgentSettings ? "These are the agent's settings" : "Save as This Agent's Settings"}
+                  </button>
+                  <p className="setting-help">
+                    Saves the provider, model, temperature and response limit with the agent (not the API key).
+                  </p>
+                </div>
+              )}
+              
               <div className="setting-group checkbox-group">
                 <label htmlFor="save-settings">
                   <input
@@ -310,19 +307,23 @@ const OpenAISettings = ({
           <div className="openai-footer">
             <div className="api-status">
               {useGlobalSettings ? (
-                <span className="status-ok">Using global settings from Settings page</span>
+                <span className="status-ok">
+                  {hasAgentSettings ? "Using the agent's model settings" : 'Using global settings from Settings page'}
+                </span>
+              ) : !providerModule.usesApiKey ? (
+                <span className="status-ok">Runs locally, no API key needed</span>
               ) : key ? (
                 <span className="status-ok">API Key: ✓ Set</span>
-              ) : (
+              ) : providerModule.requiresApiKey ? (
                 <span className="status-missing">API Key: ✗ Not Set</span>
+              ) : (
+                <span className="status-ok">No API key needed</span>
               )}
             </div>
             <div className="openai-info">
               Using AI models incurs usage costs.{' '}
-              {selectedProvider === 'openai' ? (
-                <a href="https://openai.com/pricing" target="_blank" rel="noreferrer">View OpenAI pricing</a>
-              ) : (
-                <a href="https://openrouter.ai/docs#pricing" target="_blank" rel="noreferrer">View OpenRouter pricing</a>
+              {providerModule.links.pricing && (
+                <a href={providerModule.links.pricing} target="_blank" rel="noreferrer">View {providerModule.name} pricing</a>
               )}
             </div>
           </div>
@@ -0,0 +1,170 @@
+import { ROUTING_CHECKS, ROUTING_COLUMN_TYPES, ROUTING_OPERATORS } from '../../utils/routingUtils';
+import './FailoverEditor.css';
+
+// Conditions start out with values that already make sense for their check
+const DEFAULT_CONDITIONS = {
+  'column-type': { check: 'column-type', columnType: 'date' },
+  column: { check: 'column', column: '' },
+  'row-count': { check: 'row-count', operator: 'gte', value: 10 },
+  outliers: { check: 'outliers', column: '' }
+};
+
+/**
+ * Editor for the routing rules of a collaborative agent
+ * Each collaborator gets its own conditions, checked against the dataset before the collaborators
+ * start; collaborators without conditions always run.
+ */
+const RoutingEditor = ({ collaborators = [], routing = {}, columns = [], onChange = () => {} }) => {
+  const updateRule = (agentId, rule) => {
+    const next = { ...routing };
+    if (rule.conditions.length > 0) {
+      next[agentId] = rule;
+    } else {
+      delete next[agentId];
+    }
+    onChange(next);
+  };
+
+  const getRule = (agentId) => routing[agentId] || { match: 'all', conditions: [] };
+
+  const handleConditionChange = (agentId, index, key, value) => {
+    const rule = getRule(agentId);
+    updateRule(agentId, {
+      ...rule,
+      conditions: rule.conditions.map((condition, i) => (i === index ? { ...condition, [key]: value } : condition))
+    });
+  };
+
+  const handleCheckChange = (agentId, index, check) => {
+    const rule = getRule(agentId);
+    updateRule(agentId, {
+      ...rule,
+      conditions: rule.conditions.map((condition, i) => (i === index ? { ...DEFAULT_CONDITIONS[check] } : condition))
+    });
+  };
+
+  const handleAdd = (agentId) => {
+    const rule = getRule(agentId);
+    updateRule(agentId, { ...rule, conditions: [...rule.conditions, { ...DEFAULT_CONDITIONS['column-type'] }] });
+  };
+
+  const handleRemove = (agentId, index) => {
+    const rule = getRule(agentId);
+    updateRule(agentId, { ...rule, conditions: rule.conditions.filter((condition, i) => i !== index) });
+  };
+
+  if (collaborators.length === 0) {
+    return <div className="empty-state">Select collaborator agents above to route them.</div>;
+  }
+
+  return (
+    <div className="failover-editor">
+      {collaborators.map(collaborator => {
+        const rule = getRule(collaborator.id);
+        return (
+          <div key={collaborator.id} style={{ marginBottom: '12px' }}>
+            <strong>{collaborator.name}</strong>{' '}
+            <span className="agent-type">
+              {rule.conditions.length === 0 ? '(always runs)' : `(runs only if ${rule.match === 'any' ? 'any' : 'every'} condition holds)`}
+            </span>
+
+            {rule.conditions.length > 1 && (
+              <select
+                value={rule.match || 'all'}
+                onChange={(e) => updateRule(collaborator.id, { ...rule, match: e.target.value })}
+                aria-label={`Conditions ${collaborator.name} needs`}
+                style={{ display: 'block', margin: '6px 0' }}
+              >
+                <option value="all">Run when every condition holds</option>
+                <option value="any">Run when any condition holds</option>
+              </select>
+            )}
+
+            {rule.conditions.length > 0 && (
+              <ol className="failover-list">
+                {rule.conditions.map((condition, index) => (
+                  <li key={index} className="failover-row">
+                    <select
+                      value={condition.check}
+                      onChange={(e) => handleCheckChange(collaborator.id, index, e.target.value)}
+                      aria-label={`${collaborator.name} condition ${index + 1} check`}
+                    >
+                      {ROUTING_CHECKS.map(check => (
+                        <option key={check.id} value={check.id}>{check.label}</option>
+                      ))}
+                    </select>
+
+                    {condition.check === 'column-type' && (
+                      <select
+                        value={condition.columnType}
+                        onChange={(e) => handleConditionChange(collaborator.id, index, 'columnType', e.target.value)}
+                        aria-label={`${collaborator.name} condition ${index + 1} column type`}
+                      >
+                        {ROUTING_COLUMN_TYPES.map(type => (
+                          <option key={type} value={type}>{type}</option>
+                        ))}
+                      </select>
+                    )}
+
+                    {(condition.check === 'column' || condition.check === 'outliers') && (
+                      <input
+                        type="text"
+                        list="routing-columns"
+                        value={condition.column || ''}
+                        onChange={(e) => handleConditionChange(collaborator.id, index, 'column', e.target.value)}
+                        placeholder={condition.check === 'outliers' ? 'Any numeric column' : 'Column'}
+                        aria-label={`${collaborator.name} condition ${index + 1} column`}
+                      />
+                    )}
+
+                    {condition.check === 'row-count' && (
+                      <>
+                        <select
+                          value={condition.operator}
+                          onChange={(e) => handleConditionChange(collaborator.id, index, 'operator', e.target.value)}
+                          aria-label={`${collaborator.name} condition ${index + 1} operator`}
+                        >
+                          {ROUTING_OPERATORS.map(operator => (
+                            <option key={operator.id} value={operator.id}>{operator.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="0"
+                          value={condition.value ?? ''}
+                          onChange={(e) => handleConditionChange(collaborator.id, index, 'value', e.target.value)}
+                          placeholder="Rows"
+                          aria-label={`${collaborator.name} condition ${index + 1} rows`}
+                        />
+                      </>
+                    )}
+
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(collaborator.id, index)}
+                      aria-label="Remove condition"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <button type="button" className="failover-add" onClick={() => handleAdd(collaborator.id)}>
+              Add Condition
+            </button>
+          </div>
+        );
+      })}
+
+      <datalist id="routing-columns">
+        {columns.map(column => (
+          <option key={column} value={column} />
+        ))}
+      </datalist>
+    </div>
+  );
+};
+
+export default RoutingEditor;
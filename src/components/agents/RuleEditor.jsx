@@ -0,0 +1,113 @@
+import { RULE_OPERATORS, RULE_AGGREGATES } from '../../utils/ruleUtils';
+import './FailoverEditor.css';
+
+/**
+ * Editor for a notifier agent's threshold rules
+ * Row rules test every row's value of a column; aggregate rules test the sum, average, minimum,
+ * maximum or count of a column over all rows.
+ */
+const RuleEditor = ({ ruleSet = { match: 'all', conditions: [] }, columns = [], onChange = () => {} }) => {
+  const conditions = ruleSet.conditions || [];
+
+  const handleConditionChange = (index, key, value) => {
+    onChange({
+      ...ruleSet,
+      conditions: conditions.map((condition, i) => (i === index ? { ...condition, [key]: value } : condition))
+    });
+  };
+
+  // The scope select lists "row" and the aggregates together
+  const handleScopeChange = (index, value) => {
+    onChange({
+      ...ruleSet,
+      conditions: conditions.map((condition, i) => (i === index
+        ? { ...condition, scope: value === 'row' ? 'row' : 'aggregate', aggregate: value === 'row' ? undefined : value }
+        : condition))
+    });
+  };
+
+  const handleAdd = () => {
+    onChange({
+      ...ruleSet,
+      conditions: [...conditions, { scope: 'row', column: columns[0] || '', operator: 'gt', value: '' }]
+    });
+  };
+
+  const handleRemove = (index) => {
+    onChange({ ...ruleSet, conditions: conditions.filter((condition, i) => i !== index) });
+  };
+
+  return (
+    <div className="failover-editor">
+      {conditions.length > 1 && (
+        <select
+          value={ruleSet.match || 'all'}
+          onChange={(e) => onChange({ ...ruleSet, match: e.target.value })}
+          aria-label="Rules that must be met"
+          style={{ marginBottom: '10px' }}
+        >
+          <option value="all">Alert when every rule is met</option>
+          <option value="any">Alert when any rule is met</option>
+        </select>
+      )}
+
+      {conditions.length > 0 && (
+        <ol className="failover-list">
+          {conditions.map((condition, index) => (
+            <li key={index} className="failover-row">
+              <select
+                value={condition.scope === 'aggregate' ? condition.aggregate || '' : 'row'}
+                onChange={(e) => handleScopeChange(index, e.target.value)}
+                aria-label={`Rule ${index + 1} scope`}
+              >
+                <option value="row">Any row's</option>
+                {RULE_AGGREGATES.map(aggregate => (
+                  <option key={aggregate.id} value={aggregate.id}>{aggregate.label} of</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                list="rule-columns"
+                value={condition.column || ''}
+                onChange={(e) => handleConditionChange(index, 'column', e.target.value)}
+                placeholder="Column"
+                aria-label={`Rule ${index + 1} column`}
+              />
+              <select
+                value={condition.operator}
+                onChange={(e) => handleConditionChange(index, 'operator', e.target.value)}
+                aria-label={`Rule ${index + 1} operator`}
+              >
+                {RULE_OPERATORS.map(operator => (
+                  <option key={operator.id} value={operator.id}>{operator.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={condition.value ?? ''}
+                onChange={(e) => handleConditionChange(index, 'value', e.target.value)}
+                placeholder="Value"
+                aria-label={`Rule ${index + 1} value`}
+              />
+              <button type="button" onClick={() => handleRemove(index)} aria-label="Remove rule">
+                ×
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <datalist id="rule-columns">
+        {columns.map(column => (
+          <option key={column} value={column} />
+        ))}
+      </datalist>
+
+      <button type="button" className="failover-add" onClick={handleAdd}>
+        Add Rule
+      </button>
+    </div>
+  );
+};
+
+export default RuleEditor;
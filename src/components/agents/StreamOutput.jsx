@@ -0,0 +1,29 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Shows the model's output while it streams in, scrolled to the newest text
+ */
+const StreamOutput = ({ output, title = 'Live Output', maxLength = 4000 }) => {
+  const containerRef = useRef(null);
+
+  // Keep the newest tokens in view
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+    }
+  }, [output]);
+
+  if (!output) return null;
+
+  // Long responses only show their tail, so rendering stays cheap
+  const visibleOutput = output.length > maxLength ? `…${output.slice(-maxLength)}` : output;
+
+  return (
+    <div className="stream-output">
+      <h4>{title} <span className="stream-output-length">({output.length} characters)</span></h4>
+      <pre ref={containerRef} className="stream-output-text">{visibleOutput}</pre>
+    </div>
+  );
+};
+
+export default StreamOutput;
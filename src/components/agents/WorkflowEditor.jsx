@@ -0,0 +1,193 @@
+import { useState } from 'react';
+import {
+  sanitizeEdges,
+  wouldCreateCycle,
+  getNodeDepths,
+  edgesFromExecutionMode
+} from '../../utils/workflowUtils';
+import './WorkflowEditor.css';
+
+const NODE_WIDTH = 160;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 60;
+const ROW_GAP = 24;
+const PADDING = 16;
+
+/**
+ * Visual editor for collaborative agent workflow graphs
+ * Agents are drawn as nodes, laid out in columns by dependency depth.
+ * Click one agent and then another to make the second depend on the first;
+ * click a connection to remove it.
+ */
+const WorkflowEditor = ({ nodes = [], edges = [], onChange = () => {} }) => {
+  const [sourceId, setSourceId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const nodeIds = nodes.map(n => n.id);
+  const cleanEdges = sanitizeEdges(nodeIds, edges);
+  const depths = getNodeDepths(nodeIds, cleanEdges);
+
+  // Assign every node a column (its depth) and a row within that column
+  const columns = [];
+  nodes.forEach(node => {
+    const depth = depths[node.id] || 0;
+    columns[depth] = [...(columns[depth] || []), node.id];
+  });
+
+  const positions = {};
+  columns.forEach((columnNodes, depth) => {
+    (columnNodes || []).forEach((id, row) => {
+      positions[id] = {
+        x: PADDING + depth * (NODE_WIDTH + COLUMN_GAP),
+        y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+      };
+    });
+  });
+
+  const maxRows = Math.max(1, ...columns.map(c => (c || []).length));
+  const width = PADDING * 2 + Math.max(1, columns.length) * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = PADDING * 2 + maxRows * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+  const getNodeName = (id) => nodes.find(n => n.id === id)?.name || id;
+
+  const handleNodeClick = (id) => {
+    if (!sourceId) {
+      setSourceId(id);
+      setMessage(`Select the agent that should use the results of ${getNodeName(id)}`);
+      return;
+    }
+
+    if (sourceId === id) {
+      setSourceId(null);
+      setMessage('');
+      return;
+    }
+
+    const edge = { from: sourceId, to: id };
+    setSourceId(null);
+
+    if (cleanEdges.some(e => e.from === edge.from && e.to === edge.to)) {
+      setMessage('These agents are already connected');
+      return;
+    }
+
+    if (wouldCreateCycle(nodeIds, cleanEdges, edge)) {
+      setMessage('That connection would create a cycle, so it was not added');
+      return;
+    }
+
+    setMessage('');
+    onChange([...cleanEdges, edge]);
+  };
+
+  const handleRemoveEdge = (edge) => {
+    onChange(cleanEdges.filter(e => !(e.from === edge.from && e.to === edge.to)));
+  };
+
+  const applyPreset = (mode) => {
+    setSourceId(null);
+    setMessage('');
+    onChange(edgesFromExecutionMode(nodeIds, mode));
+  };
+
+  if (nodes.length === 0) {
+    return (
+      <div className="workflow-editor empty-state">
+        Select collaborator agents to build a workflow.
+      </div>
+    );
+  }
+
+  return (
+    <div className="workflow-editor">
+      <div className="workflow-toolbar">
+        <button type="button" onClick={() => applyPreset('sequential')}>
+          Chain (one after another)
+        </button>
+        <button type="button" onClick={() => applyPreset('parallel')}>
+          All in parallel
+        </button>
+      </div>
+
+      <div className="workflow-canvas">
+        <svg width={width} height={height} role="img" aria-label="Workflow graph">
+          <defs>
+            <marker id="workflow-arrow" markerWidth="10" markerHeight="10" refX="9" refY="5" orient="auto">
+              <path d="M0,0 L10,5 L0,10 z" fill="#6b7280" />
+            </marker>
+          </defs>
+
+          {cleanEdges.map(edge => {
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            const x1 = from.x + NODE_WIDTH;
+            const y1 = from.y + NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + NODE_HEIGHT / 2;
+            const midX = (x1 + x2) / 2;
+
+            return (
+              <g
+                key={`${edge.from}->${edge.to}`}
+                className="workflow-edge"
+                onClick={() => handleRemoveEdge(edge)}
+              >
+                <title>{`${getNodeName(edge.from)} → ${getNodeName(edge.to)} (click to remove)`}</title>
+                <path
+                  d={`M${x1},${y1} C${midX},${y1} ${midX},${y2} ${x2},${y2}`}
+                  className="workflow-edge-hit"
+                />
+                <path
+                  d={`M${x1},${y1} C${midX},${y1} ${midX},${y2} ${x2},${y2}`}
+                  className="workflow-edge-line"
+                  markerEnd="url(#workflow-arrow)"
+                />
+              </g>
+            );
+          })}
+
+          {nodes.map(node => {
+            const { x, y } = positions[node.id];
+            return (
+              <g
+                key={node.id}
+                className={`workflow-node ${sourceId === node.id ? 'selected' : ''}`}
+                onClick={() => handleNodeClick(node.id)}
+              >
+                <rect x={x} y={y} width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" />
+                <text x={x + NODE_WIDTH / 2} y={y + 19} textAnchor="middle" className="workflow-node-name">
+                  {node.name.length > 20 ? `${node.name.slice(0, 19)}…` : node.name}
+                </text>
+                <text x={x + NODE_WIDTH / 2} y={y + 35} textAnchor="middle" className="workflow-node-type">
+                  {node.type}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {message && <p className="workflow-message">{message}</p>}
+
+      <p className="helper-text">
+        Click an agent, then click the agent that should use its results. Click a connection to remove it.
+        Agents without connections between them run in parallel.
+      </p>
+
+      {cleanEdges.length > 0 && (
+        <ul className="workflow-edge-list">
+          {cleanEdges.map(edge => (
+            <li key={`${edge.from}->${edge.to}`}>
+              {getNodeName(edge.from)} → {getNodeName(edge.to)}
+              <button type="button" onClick={() => handleRemoveEdge(edge)} aria-label="Remove connection">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WorkflowEditor;
@@ -1,17 +1,22 @@
 import React, { useMemo } from 'react';
 import { 
   BarChart, Bar, 
+  LineChart, Line,
   PieChart, Pie, Cell, 
   XAxis, YAxis, 
   Tooltip, Legend, 
   ResponsiveContainer 
 } from 'recharts';
 import Card from '../shared/Card';
+import { formatCost, formatTokens } from '../../utils/formatUtils';
 import './DashboardAnalytics.css';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#A28CFF', '#FF6B6B'];
 
-const DashboardAnalytics = ({ agents, dataSources, reports }) => {
+// Number of days shown in the spend-over-time chart
+const SPEND_DAYS = 30;
+
+const DashboardAnalytics = ({ agents, dataSources, reports, runs }) => {
   // Calculate agent stats by type
   const agentsByType = useMemo(() => {
     if (!Array.isArray(agents)) return [];
@@ -52,6 +57,48 @@ const DashboardAnalytics = ({ agents, dataSources, reports }) => {
       .slice(0, 5); // Top 5 by size
   }, [dataSources]);
 
+  // Calculate daily spend and token usage over the last SPEND_DAYS days
+  const spendOverTime = useMemo(() => {
+    if (!Array.isArray(runs)) return [];
+
+    const days = [];
+    const byDay = {};
+    const today = new Date();
+    for (let i = SPEND_DAYS - 1; i >= 0; i--) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+      const entry = { key: day.toDateString(), name: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }), cost: 0, tokens: 0 };
+      days.push(entry);
+      byDay[entry.key] = entry;
+    }
+
+    runs.forEach(run => {
+      const entry = run?.usage && byDay[new Date(run.startedAt).toDateString()];
+      if (!entry) return;
+      entry.cost += run.usage.cost || 0;
+      entry.tokens += run.usage.totalTokens || 0;
+    });
+
+    return days;
+  }, [runs]);
+
+  // Calculate total spend per agent
+  const spendByAgent = useMemo(() => {
+    if (!Array.isArray(runs)) return [];
+
+    const totals = runs.reduce((acc, run) => {
+      if (!run?.usage) return acc;
+      const name = run.agentName || run.agentId;
+      acc[name] = acc[name] || { name, cost: 0, tokens: 0 };
+      acc[name].cost += run.usage.cost || 0;
+      acc[name].tokens += run.usage.totalTokens || 0;
+      return acc;
+    }, {});
+
+    return Object.values(totals)
+      .sort((a, b) => b.cost - a.cost || b.tokens - a.tokens)
+      .slice(0, 5); // Top 5 by spend
+  }, [runs]);
+
   // Calculate recent activity
   const recentActivity = useMemo(() => {
     if (!Array.isArray(reports)) return [];
@@ -131,6 +178,37 @@ const DashboardAnalytics = ({ agents, dataSources, reports }) => {
         </Card>
       </div>
 
+      <div className="analytics-row">
+        <Card title={`Spend Over Time (last ${SPEND_DAYS} days)`} className="analytics-card">
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={spendOverTime}>
+              <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="cost" tickFormatter={formatCost} tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="tokens" orientation="right" tickFormatter={formatTokens} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value, name) => [name === 'Cost' ? formatCost(value) : formatTokens(value), name]} />
+              <Legend />
+              <Line yAxisId="cost" type="monotone" dataKey="cost" name="Cost" stroke="#FF8042" dot={false} />
+              <Line yAxisId="tokens" type="monotone" dataKey="tokens" name="Tokens" stroke="#0088FE" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </Card>
+
+        <Card title="Spend by Agent" className="analytics-card">
+          {spendByAgent.length > 0 ? (
+            <ResponsiveContainer width="100%" height={200}>
+              <BarChart data={spendByAgent}>
+                <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={formatCost} />
+                <Tooltip formatter={(value) => [formatCost(value), 'Estimated cost']} />
+                <Bar dataKey="cost" fill="#FF8042" />
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="empty-state">No token usage recorded yet</div>
+          )}
+        </Card>
+      </div>
+
       <Card title="Recent Activity" className="analytics-card">
         <div className="activity-list">
           {recentActivity.length > 0 ? (
@@ -1,6 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { useTheme } from '../../context/ThemeContext';
+import QueuePanel from '../queue/QueuePanel';
+import NotificationPanel from '../notifications/NotificationPanel';
 
 const Header = () => {
   const { theme, toggleTheme } = useTheme();
@@ -15,6 +17,9 @@ const Header = () => {
         </div>
         
         <div className="flex items-center">
+          <NotificationPanel />
+          <QueuePanel />
+
           {/* Theme toggle button */}
           <button
             onClick={toggleTheme}
@@ -3,12 +3,14 @@ import { Link, useLocation } from 'react-router-dom';
 import useAgentStore from '../../stores/agentStore';
 import useDataStore from '../../stores/dataStore';
 import useReportStore from '../../stores/reportStore';
+import useExecutionStore from '../../stores/executionStore';
 import { ConnectionContext } from './Layout';
 
 const Sidebar = () => {
   const agentStore = useAgentStore();
   const dataStore = useDataStore();
   const reportStore = useReportStore();
+  const { runs } = useExecutionStore();
   const { isOffline, toggleOfflineMode } = useContext(ConnectionContext);
   
   const { agents } = agentStore;
@@ -83,6 +85,15 @@ const Sidebar = () => {
               </Link>
             </li>
             
+            <li className={`menu-item ${isActive('/runs') ? 'active' : ''}`}>
+              <Link to="/runs">
+                <svg className="menu-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <span>Runs ({runs.length})</span>
+              </Link>
+            </li>
+            
             <li className={`menu-item ${isActive('/settings') ? 'active' : ''}`}>
               <Link to="/settings">
                 <svg className="menu-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
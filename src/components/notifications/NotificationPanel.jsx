@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import useNotificationStore from '../../stores/notificationStore';
+import './NotificationPanel.css';
+
+/**
+ * Header button with a dropdown of the in-app alerts raised by notifier agents
+ * Opening a notification's run marks it as read.
+ */
+const NotificationPanel = () => {
+  const { notifications, markRead, markAllRead, removeNotification, clearNotifications } = useNotificationStore();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const unreadCount = notifications.filter(n => !n.read).length;
+
+  return (
+    <div className="notification-panel-container">
+      <button
+        type="button"
+        className="notification-toggle-btn"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        title="Alerts from notifier agents"
+      >
+        Alerts
+        {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="notification-panel" role="dialog" aria-label="Alerts">
+          <div className="notification-panel-header">
+            <strong>Alerts</strong>
+            {notifications.length > 0 && (
+              <span>
+                <button type="button" className="notification-action-btn" onClick={markAllRead} disabled={unreadCount === 0}>
+                  Mark all read
+                </button>{' '}
+                <button type="button" className="notification-action-btn" onClick={clearNotifications}>
+                  Clear
+                </button>
+              </span>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">No alerts yet.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification.id} className={`notification-item ${notification.read ? '' : 'unread'}`}>
+                  <div className="notification-title">{notification.title}</div>
+                  <div className="notification-message">{notification.message}</div>
+                  <div className="notification-meta">
+                    <span>{new Date(notification.createdAt).toLocaleString()}</span>
+                    {notification.runId && (
+                      <Link
+                        to={`/runs?run=${notification.runId}`}
+                        onClick={() => {
+                          markRead(notification.id);
+                          setIsOpen(false);
+                        }}
+                      >
+                        View run
+                      </Link>
+                    )}
+                    {!notification.read && (
+                      <button type="button" className="notification-action-btn" onClick={() => markRead(notification.id)}>
+                        Mark read
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="notification-action-btn"
+                      onClick={() => removeNotification(notification.id)}
+                      aria-label="Remove alert"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationPanel;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import useQueueStore, { isFinishedJob } from '../../stores/queueStore';
+import { cancelJob, setJobPriority } from '../../services/executionQueue';
+import { getProviderName } from '../../services/providerRegistry';
+import { EXECUTION_PRIORITIES, compareQueueEntries } from '../../utils/queueUtils';
+import './QueuePanel.css';
+
+/**
+ * Formats the time of a queue event
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Local time of day
+ */
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleTimeString() : '');
+
+/**
+ * Header button with a dropdown of the execution queue: waiting, running and finished executions,
+ * and the requests in flight and waiting per provider
+ */
+const QueuePanel = () => {
+  const { jobs, providers, clearFinished } = useQueueStore();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const running = jobs.filter(job => job.status === 'running');
+  // Waiting jobs in the order they will start
+  const waiting = jobs
+    .filter(job => job.status === 'queued')
+    .map(job => ({ ...job, sequence: new Date(job.enqueuedAt).getTime() }))
+    .sort(compareQueueEntries);
+  const finished = jobs
+    .filter(isFinishedJob)
+    .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+  const busyProviders = Object.entries(providers).filter(([, activity]) => activity.active > 0 || activity.waiting > 0);
+
+  const renderJob = (job) => (
+    <li key={job.id} className="queue-job">
+      <div className="queue-job-main">
+        <span className={`queue-job-status queue-job-status-${job.status}`}>{job.status}</span>
+        <span className="queue-job-name">
+          {job.agentName} <span className="queue-job-source">on {job.dataSourceName}</span>
+        </span>
+      </div>
+      <div className="queue-job-meta">
+        <span>{getProviderName(job.provider)}</span>
+        {job.status === 'queued' && (
+          <>
+            <span>queued {formatTime(job.enqueuedAt)}</span>
+            <select
+              value={job.priority}
+              onChange={(e) => setJobPriority(job.id, e.target.value)}
+              aria-label={`Priority of ${job.agentName}`}
+            >
+              {EXECUTION_PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+          </>
+        )}
+        {job.status === 'running' && <span>started {formatTime(job.startedAt)}</span>}
+        {isFinishedJob(job) && (
+          <>
+            <span>finished {formatTime(job.finishedAt)}</span>
+            {job.runId && (
+              <Link to={`/runs?run=${job.runId}`} onClick={() => setIsOpen(false)}>View run</Link>
+            )}
+          </>
+        )}
+        {!isFinishedJob(job) && (
+          <button type="button" className="queue-job-cancel" onClick={() => cancelJob(job.id)}>
+            Cancel
+          </button>
+        )}
+      </div>
+      {job.error && <div className="queue-job-error">{job.error}</div>}
+    </li>
+  );
+
+  return (
+    <div className="queue-panel-container">
+      <button
+        type="button"
+        className="queue-toggle-btn"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        title="Execution queue"
+      >
+        Queue
+        {running.length + waiting.length > 0 && (
+          <span className="queue-badge">{running.length + waiting.length}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="queue-panel" role="dialog" aria-label="Execution queue">
+          <div className="queue-panel-header">
+            <strong>Execution Queue</strong>
+            <span>{running.length} running, {waiting.length} waiting</span>
+          </div>
+
+          {busyProviders.length > 0 && (
+            <ul className="queue-providers">
+              {busyProviders.map(([providerId, activity]) => (
+                <li key={providerId}>
+                  {getProviderName(providerId)}: {activity.active} request{activity.active === 1 ? '' : 's'} in flight
+                  {activity.waiting > 0 && `, ${activity.waiting} waiting`}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {jobs.length === 0 ? (
+            <p className="queue-empty">No executions yet.</p>
+          ) : (
+            <>
+              {running.length > 0 && (
+                <>
+                  <h4>Running</h4>
+                  <ul className="queue-jobs">{running.map(renderJob)}</ul>
+                </>
+              )}
+              {waiting.length > 0 && (
+                <>
+                  <h4>Waiting</h4>
+                  <ul className="queue-jobs">{waiting.map(renderJob)}</ul>
+                </>
+              )}
+              {finished.length > 0 && (
+                <>
+                  <h4>
+                    Finished
+                    <button type="button" className="queue-clear-btn" onClick={clearFinished}>Clear</button>
+                  </h4>
+                  <ul className="queue-jobs">{finished.map(renderJob)}</ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueuePanel;
@@ -6,6 +6,7 @@ import {
   XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   ResponsiveContainer
 } from 'recharts';
+import { validateVisualization } from '../../services/outputSchema';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#A28CFF', '#FF6B6B'];
 
@@ -86,6 +87,23 @@ const ChartComponent = ({ type, data, config }) => {
     valueKey: config?.valueKey || 'value'
   };
 
+  // Charts whose config doesn't match their data would draw empty axes
+  const chartErrors = validateVisualization({ type, title: safeConfig.title, data: normalizedData, config: safeConfig }, 'chart');
+  if (chartErrors.length > 0) {
+    return (
+      <div className="no-data" style={{
+        padding: '20px',
+        textAlign: 'center',
+        backgroundColor: '#f8f9fa',
+        border: '1px dashed #dee2e6',
+        borderRadius: '4px',
+        color: '#6c757d'
+      }}>
+        This chart can't be displayed: {chartErrors[0].replace(/^chart(\.\w+)?: /, '')}
+      </div>
+    );
+  }
+
   const renderChart = () => {
     switch (type) {
       case 'bar':
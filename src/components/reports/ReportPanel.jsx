@@ -4,6 +4,9 @@ import Button from '../shared/Button';
 import ChartComponent from './ChartComponent';
 import AIProcessedReport from './AIProcessedReportNew';
 import { exportReportToJson } from '../../services/reportService';
+import { formatTokens, formatCost } from '../../utils/formatUtils';
+import { describeCondition } from '../../utils/ruleUtils';
+import { describeConflict } from '../../utils/synthesisUtils';
 
 const ReportPanel = ({ report, onClose }) => {
   const [showAiProcessing, setShowAiProcessing] = useState(false);
@@ -70,8 +73,218 @@ const ReportPanel = ({ report, onClose }) => {
         <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4 mb-5 border-l-4 border-[var(--color-primary)]">
           <p><strong>Generated:</strong> {new Date(report.generatedAt).toLocaleString()}</p>
           <p><strong>Description:</strong> {report.description}</p>
+          {report.usage && (
+            <p>
+              <strong>Token usage:</strong> {formatTokens(report.usage.totalTokens)} tokens
+              ({report.usage.promptTokens} prompt, {report.usage.completionTokens} completion
+              {report.usage.estimated && '; partly estimated, the provider reported no usage'}),
+              estimated cost {formatCost(report.usage.cost)}
+            </p>
+          )}
         </div>
 
+        {report.failedCollaborators?.length > 0 && (
+          <div className="report-failed-collaborators" style={{
+            backgroundColor: '#fff5f5',
+            borderRadius: '8px',
+            borderLeft: '4px solid #d73a49',
+            padding: '20px',
+            marginBottom: '25px'
+          }}>
+            <h3 style={{
+              marginTop: 0,
+              marginBottom: '12px',
+              color: '#24292e'
+            }}>Collaborators That Failed</h3>
+            <p style={{ margin: '0 0 10px', color: '#444' }}>
+              This report was built without their results.
+            </p>
+            <ul style={{ paddingLeft: '20px', margin: 0 }}>
+              {report.failedCollaborators.map((failed, index) => (
+                <li key={`${failed.agentId}-${index}`} style={{ padding: '4px 0', color: '#444' }}>
+                  <strong>{failed.name}</strong>{failed.type ? ` (${failed.type})` : ''}: {failed.error}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.skippedCollaborators?.length > 0 && (
+          <div className="report-skipped-collaborators" style={{
+            backgroundColor: '#f6f8fa',
+            borderRadius: '8px',
+            borderLeft: '4px solid #9e9e9e',
+            padding: '20px',
+            marginBottom: '25px'
+          }}>
+            <h3 style={{
+              marginTop: 0,
+              marginBottom: '12px',
+              color: '#24292e'
+            }}>Collaborators Skipped by Routing</h3>
+            <ul style={{ paddingLeft: '20px', margin: 0 }}>
+              {report.skippedCollaborators.map(skipped => (
+                <li key={skipped.agentId} style={{ padding: '4px 0', color: '#444' }}>
+                  <strong>{skipped.name}</strong>: {skipped.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report.alert && (
+          <div className="report-alert" style={{
+            backgroundColor: report.alert.triggered ? '#fff8e1' : '#f6f8fa',
+            borderRadius: '8px',
+            borderLeft: `4px solid ${report.alert.triggered ? '#f59e0b' : '#9e9e9e'}`,
+            padding: '20px',
+            marginBottom: '25px'
+          }}>
+            <h3 style={{
+              marginTop: 0,
+              marginBottom: '12px',
+              color: '#24292e'
+            }}>{report.alert.triggered ? 'Alert Triggered' : 'No Alert'}</h3>
+            <p style={{ margin: '0 0 10px', color: '#444' }}>
+              {report.alert.match === 'any' ? 'Any rule' : 'Every rule'} had to be met.
+            </p>
+            <ul style={{ paddingLeft: '20px', margin: '0 0 15px' }}>
+              {report.alert.conditions.map((condition, index) => (
+                <li key={index} style={{ padding: '4px 0', color: '#444' }}>
+                  <strong>{describeCondition(condition)}</strong>:{' '}
+                  {condition.scope === 'aggregate'
+                    ? `the ${condition.aggregate} is ${condition.actual ?? 'empty'}`
+                    : `${condition.matchedRows} matching row${condition.matchedRows === 1 ? '' : 's'}`}
+                  {condition.triggered ? ' (met)' : ' (not met)'}
+                </li>
+              ))}
+            </ul>
+
+            {report.alert.rowCount > 0 && (
+              <>
+                <h4 style={{ margin: '0 0 8px', color: '#24292e' }}>
+                  Triggering Rows
+                  {report.alert.rowCount > report.alert.rows.length &&
+                    ` (first ${report.alert.rows.length} of ${report.alert.rowCount})`}
+                </h4>
+                <div style={{ overflowX: 'auto', marginBottom: '15px' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                    <thead>
+                      <tr>
+                        {report.alert.columns.map(column => (
+                          <th key={column} style={{
+                            padding: '6px 8px',
+                            textAlign: 'left',
+                            borderBottom: '2px solid #dfe2e5'
+                          }}>{column}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.alert.rows.map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                          {report.alert.columns.map(column => (
+                            <td key={column} style={{
+                              padding: '6px 8px',
+                              borderBottom: '1px solid #eee'
+                            }}>{String(row[column] ?? '')}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+
+            {report.alert.notifications?.length > 0 && (
+              <p style={{ margin: 0, color: '#444' }}>
+                <strong>Notifications:</strong>{' '}
+                {report.alert.notifications
+                  .map(n => `${n.channel} ${n.status}${n.error ? ` (${n.error})` : ''}`)
+                  .join(', ')}
+              </p>
+            )}
+          </div>
+        )}
+
+        {report.synthesis && (
+          <div className="report-synthesis" style={{
+            backgroundColor: '#f6f8fa',
+            borderRadius: '8px',
+            borderLeft: `4px solid ${report.synthesis.conflicts.length > 0 ? '#f59e0b' : '#2ea44f'}`,
+            padding: '20px',
+            marginBottom: '25px'
+          }}>
+            <h3 style={{
+              marginTop: 0,
+              marginBottom: '12px',
+              color: '#24292e'
+            }}>Synthesis</h3>
+            <p style={{ margin: '0 0 10px', color: '#444' }}>
+              Collaborator results were combined with the <strong>{report.synthesis.strategyName}</strong> strategy
+              {report.synthesis.duplicateInsights > 0 &&
+                `; ${report.synthesis.duplicateInsights} near-identical insight${report.synthesis.duplicateInsights === 1 ? ' was' : 's were'} reported once`}.
+            </p>
+            {report.synthesis.criticError && (
+              <p style={{ margin: '0 0 10px', color: '#d73a49' }}>
+                The critic pass failed: {report.synthesis.criticError}
+              </p>
+            )}
+            {report.synthesis.conflicts.length === 0 ? (
+              <p style={{ margin: 0, color: '#444' }}>No conflicts were found between collaborators.</p>
+            ) : (
+              <>
+                <h4 style={{ margin: '0 0 8px', color: '#24292e' }}>Conflicts Between Collaborators</h4>
+                <ul style={{ paddingLeft: '20px', margin: 0 }}>
+                  {report.synthesis.conflicts.map((conflict, index) => (
+                    <li key={index} style={{ padding: '4px 0', color: '#444' }}>
+                      {describeConflict(conflict)}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {report.debate?.rounds > 0 && (
+          <div className="report-debate" style={{
+            backgroundColor: '#f6f8fa',
+            borderRadius: '8px',
+            borderLeft: '4px solid #0366d6',
+            padding: '20px',
+            marginBottom: '25px'
+          }}>
+            <h3 style={{
+              marginTop: 0,
+              marginBottom: '12px',
+              color: '#24292e'
+            }}>Debate</h3>
+            <p style={{ margin: '0 0 10px', color: '#444' }}>
+              {report.debate.participants.join(', ')} reviewed each other's findings
+              for {report.debate.rounds} round{report.debate.rounds === 1 ? '' : 's'} before their results were combined.
+            </p>
+            {Array.from({ length: report.debate.rounds + 1 }, (_, round) => (
+              <div key={round} style={{ marginBottom: '10px' }}>
+                <h4 style={{ margin: '0 0 6px', color: '#24292e' }}>
+                  {round === 0 ? 'First Analysis' : `Round ${round}`}
+                </h4>
+                <ul style={{ paddingLeft: '20px', margin: 0 }}>
+                  {report.debate.transcript.filter(entry => entry.round === round).map((entry, index) => (
+                    <li key={index} style={{ padding: '4px 0', color: '#444' }}>
+                      <strong>{entry.name}:</strong>{' '}
+                      {entry.success
+                        ? entry.insights.join('; ') || 'No insights'
+                        : <span style={{ color: '#d73a49' }}>failed ({entry.error})</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
         {report.summary && (
           <div className="bg-white dark:bg-gray-800 rounded-lg p-5 mb-6 shadow">
             <h3 className="border-b border-gray-200 dark:border-gray-700 pb-2 mb-4 text-xl font-semibold text-[var(--color-text-primary)]">
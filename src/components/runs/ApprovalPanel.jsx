@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import Button from '../shared/Button';
+import { decideApproval } from '../../services/approvalService';
+
+// Insights are edited one per line
+const toDrafts = (items) => items.map(item => ({
+  agentId: item.agentId,
+  summary: item.summary,
+  insights: item.insights.join('\n')
+}));
+
+/**
+ * Review of a run suspended at a pause-for-approval step
+ * Shows the intermediate output with approve, edit and reject controls. Approving or saving edits
+ * resumes the run from where it paused; rejecting ends it as failed.
+ */
+const ApprovalPanel = ({ run }) => {
+  const { step, items = [], requestedAt } = run.approval;
+  const [isEditing, setIsEditing] = useState(false);
+  const [drafts, setDrafts] = useState(() => toDrafts(items));
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDraftChange = (index, key, value) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, [key]: value } : draft)));
+  };
+
+  const handleDiscardEdits = () => {
+    setDrafts(toDrafts(items));
+    setIsEditing(false);
+  };
+
+  const handleDecision = (action) => {
+    if (action === 'reject' && !window.confirm('Reject this output and end the run?')) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const execution = decideApproval(run.id, {
+        action,
+        comment,
+        items: drafts.map(draft => ({ ...draft, insights: draft.insights.split('\n') }))
+      });
+      // The run's status and logs update in the history while it resumes
+      execution?.promise.catch(err => {
+        console.error('Resumed run failed:', err);
+      });
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="run-detail-section run-approval">
+      <h3>Waiting for Approval</h3>
+      <p className="run-detail-note">
+        The run paused {step.label}
+        {requestedAt && ` on ${new Date(requestedAt).toLocaleString()}`}. Review the output below, then approve it,
+        edit it before the run continues, or reject it to end the run.
+      </p>
+
+      {items.length === 0 && <p className="run-detail-note">There is no output to review.</p>}
+
+      {items.map((item, index) => (
+        <div key={item.agentId || index} className="run-approval-item">
+          <h4>{item.name}</h4>
+          {isEditing ? (
+            <>
+              <label htmlFor={`approval-summary-${index}`}>Summary</label>
+              <textarea
+                id={`approval-summary-${index}`}
+                rows={6}
+                value={drafts[index].summary}
+                onChange={(e) => handleDraftChange(index, 'summary', e.target.value)}
+              />
+              <label htmlFor={`approval-insights-${index}`}>Insights (one per line)</label>
+              <textarea
+                id={`approval-insights-${index}`}
+                rows={5}
+                value={drafts[index].insights}
+                onChange={(e) => handleDraftChange(index, 'insights', e.target.value)}
+              />
+            </>
+          ) : (
+            <>
+              <pre className="run-approval-summary">{item.summary || 'No summary'}</pre>
+              {item.insights.length > 0 && (
+                <ul>
+                  {item.insights.map((insight, i) => (
+                    <li key={i}>{insight}</li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      ))}
+
+      <label htmlFor="approval-comment">Comment (optional)</label>
+      <input
+        type="text"
+        id="approval-comment"
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Recorded with the decision in the run's log"
+      />
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="run-approval-actions">
+        {isEditing ? (
+          <>
+            <Button onClick={() => handleDecision('edit')} variant="primary" size="small" disabled={isSubmitting}>
+              Save Edits and Continue
+            </Button>
+            <Button onClick={handleDiscardEdits} variant="secondary" size="small" disabled={isSubmitting}>
+              Discard Edits
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={() => handleDecision('approve')} variant="primary" size="small" disabled={isSubmitting}>
+              Approve and Continue
+            </Button>
+            <Button onClick={() => setIsEditing(true)} variant="secondary" size="small" disabled={isSubmitting || items.length === 0}>
+              Edit
+            </Button>
+          </>
+        )}
+        <Button onClick={() => handleDecision('reject')} variant="danger" size="small" disabled={isSubmitting}>
+          Reject
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalPanel;
@@ -0,0 +1,322 @@
+import React from 'react';
+import Button from '../shared/Button';
+import ApprovalPanel from './ApprovalPanel';
+import { formatDuration, formatTokens, formatCost } from '../../utils/formatUtils';
+import { getProviderName } from '../../services/providerRegistry';
+
+/**
+ * Detail view of a single execution run from the execution history
+ */
+const RunDetail = ({ run, agents = [], onClose, onViewReport, onDelete }) => {
+  if (!run) {
+    return (
+      <div className="empty-state">
+        <p>No run selected</p>
+      </div>
+    );
+  }
+
+  const optionEntries = Object.entries(run.options || {});
+  // A single attempt that went through on the first try isn't worth a table
+  const showAttempts = run.attempts?.length > 1 || run.attempts?.some(attempt => attempt.retries?.length > 0);
+  // Map-reduce runs list the attempts of each chunk that needed them
+  const attemptsHaveLabels = run.attempts?.some(attempt => attempt.label);
+
+  return (
+    <div className="run-detail">
+      <div className="run-detail-header">
+        <div>
+          <h2>{run.agentName}</h2>
+          <p className="run-detail-subtitle">
+            on {run.dataSourceName} ({run.rowCount} rows)
+          </p>
+        </div>
+        <div className="run-detail-actions">
+          {run.reportId && onViewReport && (
+            <Button onClick={() => onViewReport(run.reportId)} variant="primary" size="small">
+              View Report
+            </Button>
+          )}
+          {onDelete && (
+            <Button onClick={() => onDelete(run.id)} variant="danger" size="small">
+              Delete
+            </Button>
+          )}
+          <Button onClick={onClose} variant="secondary" size="small">
+            Back to Runs
+          </Button>
+        </div>
+      </div>
+
+      {run.status === 'awaiting-approval' && run.approval && (
+        // Keyed by the request so a run that pauses again starts with fresh drafts
+        <ApprovalPanel key={run.approval.requestedAt} run={run} />
+      )}
+
+      <div className="run-detail-section">
+        <h3>Summary</h3>
+        <dl className="run-detail-grid">
+          <dt>Status</dt>
+          <dd><span className={`run-status run-status-${run.status}`}>{run.status}</span></dd>
+          <dt>Run ID</dt>
+          <dd className="run-id">{run.id}</dd>
+          <dt>Agent type</dt>
+          <dd>{run.agentType}</dd>
+          <dt>Provider</dt>
+          <dd>{getProviderName(run.provider)}</dd>
+          <dt>Model</dt>
+          <dd>{run.model || 'Default'}</dd>
+          <dt>Started by</dt>
+          <dd>{run.trigger === 'schedule' ? 'Schedule' : 'User'}</dd>
+          <dt>Execution method</dt>
+          <dd>{run.executionMethod || '—'}</dd>
+          {run.mapReduce && (
+            <>
+              <dt>Chunks</dt>
+              <dd>
+                {run.mapReduce.chunkCount} of up to {run.mapReduce.chunkSize} rows, {run.mapReduce.concurrency} at a time
+                {run.mapReduce.failedChunks.length > 0 && ` (${run.mapReduce.failedChunks.length} failed)`}
+                {run.mapReduce.cachedChunks > 0 && `, ${run.mapReduce.cachedChunks} from the cache`}
+              </dd>
+            </>
+          )}
+          {run.cache && (
+            <>
+              <dt>Result cache</dt>
+              <dd>
+                Reused the response cached {new Date(run.cache.cachedAt).toLocaleString()}
+                {run.cache.savedUsage && ` (saved ${formatTokens(run.cache.savedUsage.totalTokens)} tokens, ${formatCost(run.cache.savedUsage.cost)})`}
+              </dd>
+            </>
+          )}
+          {run.alert && (
+            <>
+              <dt>Alert</dt>
+              <dd>
+                {run.alert.triggered
+                  ? `Triggered${run.alert.rowCount > 0 ? ` by ${run.alert.rowCount} row${run.alert.rowCount === 1 ? '' : 's'}` : ''}`
+                  : 'Not triggered'}
+                {run.alert.notifications.map(n => (
+                  <div key={n.channel}>
+                    {n.channel}: {n.status}
+                    {n.error && <span className="run-collaborator-error"> — {n.error}</span>}
+                  </div>
+                ))}
+              </dd>
+            </>
+          )}
+          {run.synthesis && (
+            <>
+              <dt>Synthesis</dt>
+              <dd>
+                {run.synthesis.strategyName}, {run.synthesis.conflictCount} conflict{run.synthesis.conflictCount === 1 ? '' : 's'} between collaborators
+              </dd>
+            </>
+          )}
+          {run.debate && (
+            <>
+              <dt>Debate</dt>
+              <dd>
+                {run.debate.rounds} round{run.debate.rounds === 1 ? '' : 's'}
+                {run.debate.participants.length > 0 && ` between ${run.debate.participants.join(', ')}`}
+              </dd>
+            </>
+          )}
+          {run.queuedAt && run.status !== 'queued' && (
+            <>
+              <dt>Waited in queue</dt>
+              <dd>{formatDuration(new Date(run.startedAt) - new Date(run.queuedAt))}</dd>
+            </>
+          )}
+          {run.options?.priority && (
+            <>
+              <dt>Priority</dt>
+              <dd>{run.options.priority}</dd>
+            </>
+          )}
+          <dt>Started</dt>
+          <dd>{new Date(run.startedAt).toLocaleString()}</dd>
+          <dt>Finished</dt>
+          <dd>{run.finishedAt ? new Date(run.finishedAt).toLocaleString() : '—'}</dd>
+          <dt>Duration</dt>
+          <dd>{formatDuration(run.durationMs)}</dd>
+          <dt>Tokens</dt>
+          <dd>
+            {run.usage
+              ? `${formatTokens(run.usage.totalTokens)} (${run.usage.promptTokens} prompt, ${run.usage.completionTokens} completion` +
+                `${run.usage.estimated ? '; partly estimated, the provider reported no usage' : ''})`
+              : '—'}
+          </dd>
+          <dt>Estimated cost</dt>
+          <dd>{formatCost(run.usage?.cost)}</dd>
+          <dt>Report</dt>
+          <dd>{run.reportId || 'None'}</dd>
+        </dl>
+
+        {run.error && (
+          <div className="error-message run-detail-error">{run.error}</div>
+        )}
+      </div>
+
+      {optionEntries.length > 0 && (
+        <div className="run-detail-section">
+          <h3>Options</h3>
+          <dl className="run-detail-grid">
+            {optionEntries.map(([key, value]) => (
+              <React.Fragment key={key}>
+                <dt>{key}</dt>
+                <dd>{String(value)}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
+      )}
+
+      {run.milestones?.length > 0 && (
+        <div className="run-detail-section">
+          <h3>Timings</h3>
+          <table className="run-table">
+            <thead>
+              <tr>
+                <th>Milestone</th>
+                <th>Time</th>
+                <th>Elapsed</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {run.milestones.map((milestone, index) => (
+                <tr key={`${milestone.name}-${index}`}>
+                  <td>{milestone.label}</td>
+                  <td>{new Date(milestone.timestamp).toLocaleTimeString()}</td>
+                  <td>{formatDuration(milestone.elapsedMs)}</td>
+                  <td>{milestone.message || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showAttempts && (
+        <div className="run-detail-section">
+          <h3>Attempts</h3>
+          <table className="run-table">
+            <thead>
+              <tr>
+                {attemptsHaveLabels && <th>Request</th>}
+                <th>Provider</th>
+                <th>Model</th>
+                <th>Result</th>
+                <th>Retries</th>
+              </tr>
+            </thead>
+            <tbody>
+              {run.attempts.map((attempt, index) => (
+                <tr key={index}>
+                  {attemptsHaveLabels && <td>{attempt.label || ''}</td>}
+                  <td>{getProviderName(attempt.provider)}</td>
+                  <td>{attempt.model}</td>
+                  <td>
+                    <span className={`run-status run-status-${attempt.success ? 'completed' : 'failed'}`}>
+                      {attempt.success ? 'ok' : 'failed'}
+                    </span>
+                    {attempt.error && ` ${attempt.status ? `${attempt.status}: ` : ''}${attempt.error}`}
+                  </td>
+                  <td>
+                    {attempt.retries.length === 0
+                      ? '—'
+                      : attempt.retries.map(retry =>
+                        `${retry.status || 'network error'}, waited ${formatDuration(retry.delayMs)}`).join('; ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {(run.collaborators?.length > 0 || run.skippedCollaborators?.length > 0) && (
+        <div className="run-detail-section">
+          <h3>Collaborators</h3>
+          {run.failurePolicy && (
+            <p className="run-detail-note">Failure policy: {run.failurePolicy}</p>
+          )}
+          <ul className="run-collaborators">
+            {run.collaborators.map((collaborator, index) => (
+              <li key={`${collaborator.agentId}-${index}`}>
+                <span className={`run-status run-status-${collaborator.success ? 'completed' : 'failed'}`}>
+                  {collaborator.success ? 'ok' : 'failed'}
+                </span>
+                {collaborator.stageName || agents.find(a => a.id === collaborator.agentId)?.name || collaborator.agentId}
+                {collaborator.debateRound > 0 && (
+                  <span className="run-collaborator-usage"> (debate round {collaborator.debateRound})</span>
+                )}
+                {collaborator.model && (
+                  <span className="run-collaborator-usage">
+                    {' '}— {getProviderName(collaborator.provider)}, {collaborator.model}
+                  </span>
+                )}
+                {collaborator.usage && (
+                  <span className="run-collaborator-usage">
+                    {' '}— {formatTokens(collaborator.usage.totalTokens)} tokens, {formatCost(collaborator.usage.cost)}
+                  </span>
+                )}
+                {collaborator.attempts?.length > 1 && (
+                  <span className="run-collaborator-usage">
+                    {' '}— {collaborator.attempts.length} attempts, ended with {collaborator.attempts[collaborator.attempts.length - 1].model}
+                  </span>
+                )}
+                {collaborator.cached && <span className="run-collaborator-usage"> — from the cache</span>}
+                {collaborator.error && <span className="run-collaborator-error"> — {collaborator.error}</span>}
+              </li>
+            ))}
+            {(run.skippedCollaborators || []).map(skipped => (
+              <li key={`skipped-${skipped.agentId}`}>
+                <span className="run-status run-status-skipped">skipped</span>
+                {skipped.name}
+                <span className="run-collaborator-usage"> — routing: {skipped.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {run.approvals?.length > 0 && (
+        <div className="run-detail-section">
+          <h3>Approvals</h3>
+          <ul className="run-collaborators">
+            {run.approvals.map((approval, index) => (
+              <li key={index}>
+                <span className={`run-status run-status-${approval.action === 'reject' ? 'failed' : 'completed'}`}>
+                  {approval.action === 'reject' ? 'rejected' : approval.action === 'edit' ? 'edited' : 'approved'}
+                </span>
+                {approval.step}
+                {approval.editedItems?.length > 0 && (
+                  <span className="run-collaborator-usage"> — edited {approval.editedItems.join(', ')}</span>
+                )}
+                {approval.comment && <span className="run-collaborator-usage"> — {approval.comment}</span>}
+                <span className="run-collaborator-usage"> — {new Date(approval.decidedAt).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="run-detail-section">
+        <h3>Logs ({run.logs?.length || 0})</h3>
+        <div className="run-logs">
+          {(run.logs || []).map((log, index) => (
+            <div key={index} className="log-entry">
+              <span className="log-timestamp">{new Date(log.timestamp).toLocaleTimeString()}</span>
+              <span className="log-message">{log.message}</span>
+            </div>
+          ))}
+          {(!run.logs || run.logs.length === 0) && <p>No log messages were recorded.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RunDetail;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+import useAgentStore from '../../stores/agentStore';
+import { BUDGET_LIMITS, getSpend } from '../../services/budgetService';
+import { formatTokens, formatCost } from '../../utils/formatUtils';
+
+/**
+ * Turns saved budget limits into input values
+ * @param {Object} limits - { dailyTokens, dailyCost, monthlyTokens, monthlyCost }
+ * @returns {Object} - The same keys with string values ('' for no limit)
+ */
+const toInputs = (limits = {}) => {
+  const inputs = {};
+  BUDGET_LIMITS.forEach(({ key }) => {
+    inputs[key] = typeof limits[key] === 'number' ? String(limits[key]) : '';
+  });
+  return inputs;
+};
+
+/**
+ * Turns input values back into budget limits
+ * @param {Object} inputs - Input values
+ * @returns {Object} - Limits; empty inputs are left out (no limit)
+ */
+const toLimits = (inputs) => {
+  const limits = {};
+  BUDGET_LIMITS.forEach(({ key }) => {
+    const value = parseFloat(inputs[key]);
+    if (!Number.isNaN(value) && value >= 0) {
+      limits[key] = value;
+    }
+  });
+  return limits;
+};
+
+/**
+ * Spending budgets for the workspace and individual agents
+ */
+const BudgetSettings = () => {
+  const { budgets, setWorkspaceBudget, setAgentBudget } = useSettingsStore();
+  const { agents } = useAgentStore();
+  const [workspaceInputs, setWorkspaceInputs] = useState(() => toInputs(budgets.workspace));
+  const [agentInputs, setAgentInputs] = useState(() => {
+    const inputs = {};
+    Object.entries(budgets.agents).forEach(([agentId, limits]) => {
+      inputs[agentId] = toInputs(limits);
+    });
+    return inputs;
+  });
+  const [newAgentId, setNewAgentId] = useState('');
+  const [status, setStatus] = useState('');
+
+  const agentName = (agentId) => agents.find(a => a.id === agentId)?.name || agentId;
+  const availableAgents = agents.filter(agent => !agentInputs[agent.id]);
+
+  const handleAgentInputChange = (agentId, key, value) => {
+    setAgentInputs(prev => ({ ...prev, [agentId]: { ...prev[agentId], [key]: value } }));
+  };
+
+  const handleAddAgent = () => {
+    if (!newAgentId) return;
+    setAgentInputs(prev => ({ ...prev, [newAgentId]: toInputs() }));
+    setNewAgentId('');
+  };
+
+  const handleRemoveAgent = (agentId) => {
+    setAgentInputs(prev => {
+      const next = { ...prev };
+      delete next[agentId];
+      return next;
+    });
+  };
+
+  const handleSave = () => {
+    setWorkspaceBudget(toLimits(workspaceInputs));
+    Object.keys(budgets.agents)
+      .filter(agentId => !agentInputs[agentId])
+      .forEach(agentId => setAgentBudget(agentId, null));
+    Object.entries(agentInputs).forEach(([agentId, inputs]) => {
+      setAgentBudget(agentId, toLimits(inputs));
+    });
+
+    setStatus('Budgets saved.');
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  // One row of limit inputs, each with the amount used in the current period
+  const renderLimitCells = (agentId, inputs, onChange) => {
+    return BUDGET_LIMITS.map(limit => {
+      const used = getSpend(agentId, limit.period)[limit.unit];
+      return (
+        <td key={limit.key}>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={inputs[limit.key]}
+            onChange={(e) => onChange(limit.key, e.target.value)}
+            placeholder="No limit"
+            aria-label={limit.label}
+          />
+          <div className="help-text">
+            Used: {limit.unit === 'cost' ? formatCost(used) : formatTokens(used)}
+          </div>
+        </td>
+      );
+    });
+  };
+
+  return (
+    <Card title="Budgets" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Executions stop before sending a request that would exceed a budget, and offer to run anyway.
+          Requests are counted at their largest possible size (the full response token limit), and an
+          agent's budget includes its work as a collaborator. Leave a field empty for no limit.
+          Costs use the Model Pricing table.
+        </p>
+
+        <table className="settings-table">
+          <thead>
+            <tr>
+              <th>Budget</th>
+              {BUDGET_LIMITS.map(limit => (
+                <th key={limit.key}>{limit.label}</th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Workspace</td>
+              {renderLimitCells(null, workspaceInputs, (key, value) =>
+                setWorkspaceInputs(prev => ({ ...prev, [key]: value })))}
+              <td></td>
+            </tr>
+            {Object.entries(agentInputs).map(([agentId, inputs]) => (
+              <tr key={agentId}>
+                <td>{agentName(agentId)}</td>
+                {renderLimitCells(agentId, inputs, (key, value) => handleAgentInputChange(agentId, key, value))}
+                <td>
+                  <Button onClick={() => handleRemoveAgent(agentId)} variant="secondary" size="small">
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {availableAgents.length > 0 && (
+          <div className="api-key-row">
+            <select
+              value={newAgentId}
+              onChange={(e) => setNewAgentId(e.target.value)}
+              className="api-key-input"
+              aria-label="Agent"
+            >
+              <option value="">Add a budget for an agent...</option>
+              {availableAgents.map(agent => (
+                <option key={agent.id} value={agent.id}>{agent.name}</option>
+              ))}
+            </select>
+            <Button onClick={handleAddAgent} variant="secondary" disabled={!newAgentId}>
+              Add Agent
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Budgets</Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default BudgetSettings;
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+import useCacheStore from '../../stores/cacheStore';
+import { getProviderName } from '../../services/providerRegistry';
+import {
+  removeCacheEntry,
+  removeExpiredEntries,
+  clearCache,
+  applyCacheLimits,
+  getCacheStats
+} from '../../services/resultCache';
+import { normalizeCacheSettings } from '../../utils/cacheUtils';
+import { formatTokens, formatCost } from '../../utils/formatUtils';
+
+/**
+ * Turns cache settings into editable inputs
+ * @param {Object} cache - Cache settings
+ * @returns {Object} - Input values
+ */
+const toInputs = (cache) => {
+  const settings = normalizeCacheSettings(cache);
+  return {
+    enabled: settings.enabled,
+    ttlHours: String(settings.ttlHours),
+    maxEntries: String(settings.maxEntries)
+  };
+};
+
+/**
+ * Whether responses are reused for unchanged data, and the cached responses themselves
+ */
+const CacheSettings = () => {
+  const { cache, setCache } = useSettingsStore();
+  const { entries } = useCacheStore();
+  const [inputs, setInputs] = useState(() => toInputs(cache));
+  const [status, setStatus] = useState('');
+
+  const stats = getCacheStats(entries);
+  const now = Date.now();
+
+  const handleChange = (key, value) => {
+    setInputs(prev => ({ ...prev, [key]: value }));
+  };
+
+  const showStatus = (message) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  const handleSave = () => {
+    const settings = normalizeCacheSettings(inputs);
+    setCache(settings);
+    setInputs(toInputs(settings));
+    // A lower maximum applies to the entries already cached
+    applyCacheLimits();
+    showStatus('Cache settings saved.');
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Remove every cached response?')) return;
+    clearCache();
+    showStatus('Cache cleared.');
+  };
+
+  return (
+    <Card title="Result Cache" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Running an agent again on unchanged data reuses the response of the earlier run instead of
+          sending the same request. A cached response is used only when the data contents, the agent's
+          configuration, the prompt, the provider and the model are all the same. Choose "Bypass the result
+          cache" when executing an agent to send the requests again.
+        </p>
+
+        <div className="settings-field">
+          <label>
+            <input
+              type="checkbox"
+              checked={inputs.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+            />
+            Reuse cached responses
+          </label>
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="cache-ttl">Keep responses for (hours)</label>
+          <input
+            id="cache-ttl"
+            type="number"
+            min="0.05"
+            step="any"
+            value={inputs.ttlHours}
+            onChange={(e) => handleChange('ttlHours', e.target.value)}
+            className="api-key-input"
+          />
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="cache-max-entries">Responses kept</label>
+          <input
+            id="cache-max-entries"
+            type="number"
+            min="1"
+            step="1"
+            value={inputs.maxEntries}
+            onChange={(e) => handleChange('maxEntries', e.target.value)}
+            className="api-key-input"
+          />
+          <p className="help-text">Beyond this many, the least recently used responses are removed.</p>
+        </div>
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Cache Settings</Button>
+      </div>
+
+      <div className="settings-section">
+        <h3>Cached Responses</h3>
+        <p className="help-text">
+          {stats.count} response{stats.count === 1 ? '' : 's'} ({(stats.sizeBytes / 1024).toFixed(1)} KB),
+          reused {stats.hits} time{stats.hits === 1 ? '' : 's'}
+          {stats.savedUsage && `, saving ${formatTokens(stats.savedUsage.totalTokens)} tokens (${formatCost(stats.savedUsage.cost)})`}
+        </p>
+
+        {entries.length > 0 && (
+          <table className="settings-table">
+            <thead>
+              <tr>
+                <th>Agent</th>
+                <th>Data source</th>
+                <th>Model</th>
+                <th>Cached</th>
+                <th>Expires</th>
+                <th>Hits</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.key}>
+                  <td>
+                    {entry.agentName || '—'}
+                    {entry.label && <div className="help-text">{entry.label}</div>}
+                  </td>
+                  <td>{entry.dataSourceName || '—'}</td>
+                  <td>{getProviderName(entry.provider)} / {entry.model}</td>
+                  <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td>
+                    {new Date(entry.expiresAt).getTime() <= now
+                      ? 'Expired'
+                      : new Date(entry.expiresAt).toLocaleString()}
+                  </td>
+                  <td>{entry.hits || 0}</td>
+                  <td>
+                    <Button onClick={() => removeCacheEntry(entry.key)} variant="secondary" size="small">
+                      Remove
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="settings-actions">
+        <Button variant="secondary" onClick={removeExpiredEntries} disabled={entries.length === 0}>
+          Remove Expired
+        </Button>
+        <Button variant="danger" onClick={handleClear} disabled={entries.length === 0}>
+          Clear Cache
+        </Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default CacheSettings;
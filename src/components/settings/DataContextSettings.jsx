@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+import { MODEL_CONTEXT_TOKENS, DEFAULT_CONTEXT_TOKENS, SAMPLING_STRATEGIES } from '../../services/contextBuilder';
+import { formatTokens } from '../../utils/formatUtils';
+
+/**
+ * How datasets are described to the model: the token budget of the data context and the sampling strategy
+ */
+const DataContextSettings = () => {
+  const { dataContext, setDataContext } = useSettingsStore();
+  const [tokenBudget, setTokenBudget] = useState(dataContext.tokenBudget ? String(dataContext.tokenBudget) : '');
+  const [sampling, setSampling] = useState(dataContext.sampling);
+  const [status, setStatus] = useState('');
+
+  const handleSave = () => {
+    const value = parseInt(tokenBudget, 10);
+    setDataContext({
+      tokenBudget: Number.isNaN(value) || value <= 0 ? null : value,
+      sampling
+    });
+
+    setStatus('Data context settings saved.');
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  const modelBudgets = Object.entries(MODEL_CONTEXT_TOKENS)
+    .map(([model, tokens]) => `${model} ${formatTokens(tokens)}`)
+    .join(', ');
+
+  return (
+    <Card title="Data Context" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Agents receive a profile of every column (type, missing values, distinct values, quantiles
+          and most common values) computed over the whole dataset, plus a sample of rows that fills
+          the token budget.
+        </p>
+
+        <div className="settings-field">
+          <label htmlFor="context-token-budget">Token budget</label>
+          <input
+            id="context-token-budget"
+            type="number"
+            min="0"
+            step="500"
+            value={tokenBudget}
+            onChange={(e) => setTokenBudget(e.target.value)}
+            placeholder="Depends on the model"
+            className="api-key-input"
+          />
+          <p className="help-text">
+            Leave empty to use the budget of the chosen model ({modelBudgets};
+            others {formatTokens(DEFAULT_CONTEXT_TOKENS)}).
+          </p>
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="context-sampling">Sampling</label>
+          <select
+            id="context-sampling"
+            value={sampling}
+            onChange={(e) => setSampling(e.target.value)}
+            className="api-key-input"
+          >
+            {SAMPLING_STRATEGIES.map(strategy => (
+              <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+            ))}
+          </select>
+          <p className="help-text">
+            {SAMPLING_STRATEGIES.find(strategy => strategy.id === sampling)?.description}.
+            {sampling === 'stratified' && ' Datasets without a suitable column are sampled at random.'}
+          </p>
+        </div>
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Data Context</Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default DataContextSettings;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+
+/**
+ * Turns a price table into editable rows
+ * @param {Object} pricing - { [model]: { input, output } }
+ * @returns {Array} - Rows of { model, input, output } with string values for the inputs
+ */
+const toRows = (pricing) => {
+  return Object.entries(pricing).map(([model, price]) => ({
+    model,
+    input: String(price.input),
+    output: String(price.output)
+  }));
+};
+
+/**
+ * Editable table of model prices used to estimate execution costs
+ */
+const ModelPricingSettings = () => {
+  const { modelPricing, setModelPricing, resetModelPricing } = useSettingsStore();
+  const [rows, setRows] = useState(() => toRows(modelPricing));
+  const [status, setStatus] = useState('');
+
+  const showStatus = (message) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  const handleRowChange = (index, key, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  const handleAddRow = () => {
+    setRows(prev => [...prev, { model: '', input: '0', output: '0' }]);
+  };
+
+  const handleRemoveRow = (index) => {
+    setRows(prev => prev.filter((row, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    const pricing = {};
+    rows.forEach(row => {
+      const model = row.model.trim();
+      if (model) {
+        pricing[model] = { input: row.input, output: row.output };
+      }
+    });
+    setModelPricing(pricing);
+    setRows(toRows(useSettingsStore.getState().modelPricing));
+    showStatus('Model prices saved. New runs use the updated prices.');
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Replace the price table with the default prices?')) return;
+    resetModelPricing();
+    setRows(toRows(useSettingsStore.getState().modelPricing));
+    showStatus('Model prices reset to the defaults.');
+  };
+
+  return (
+    <Card title="Model Pricing" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Prices in US dollars per million tokens, used to estimate the cost of each execution.
+          A model matches the longest entry its ID starts with, so "claude-3-5-sonnet" also prices
+          "claude-3-5-sonnet-20241022". Models without an entry are recorded without a cost.
+        </p>
+
+        <table className="settings-table">
+          <thead>
+            <tr>
+              <th>Model</th>
+              <th>Input ($ / 1M tokens)</th>
+              <th>Output ($ / 1M tokens)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={row.model}
+                    onChange={(e) => handleRowChange(index, 'model', e.target.value)}
+                    placeholder="Model ID"
+                    aria-label="Model ID"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={row.input}
+                    onChange={(e) => handleRowChange(index, 'input', e.target.value)}
+                    aria-label={`Input price for ${row.model || 'model'}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={row.output}
+                    onChange={(e) => handleRowChange(index, 'output', e.target.value)}
+                    aria-label={`Output price for ${row.model || 'model'}`}
+                  />
+                </td>
+                <td>
+                  <Button onClick={() => handleRemoveRow(index)} variant="secondary" size="small">
+                    Remove
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <Button onClick={handleAddRow} variant="secondary" size="small">
+          Add Model
+        </Button>
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Prices</Button>
+        <Button variant="danger" onClick={handleReset}>Reset to Defaults</Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default ModelPricingSettings;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+import { listProviders } from '../../services/providerRegistry';
+import { refreshQueue } from '../../services/executionQueue';
+import { normalizeQueueSettings } from '../../utils/queueUtils';
+
+/**
+ * Turns a limit into an input value
+ * @param {number|null|undefined} value - Limit
+ * @returns {string} - The number, or an empty string when no limit is set
+ */
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Turns queue settings into editable inputs
+ * @param {Object} queue - Queue settings
+ * @returns {Object} - Input values as strings
+ */
+const toInputs = (queue) => {
+  const settings = normalizeQueueSettings(queue);
+  const providers = {};
+  Object.entries(settings.providers).forEach(([providerId, limits]) => {
+    providers[providerId] = {
+      maxConcurrentRequests: toInput(limits.maxConcurrentRequests),
+      requestsPerMinute: toInput(limits.requestsPerMinute)
+    };
+  });
+
+  return {
+    maxConcurrentRuns: String(settings.maxConcurrentRuns),
+    maxConcurrentRequests: toInput(settings.maxConcurrentRequests),
+    requestsPerMinute: toInput(settings.requestsPerMinute),
+    providers
+  };
+};
+
+/**
+ * How many executions run at once, and how fast requests are sent to each provider
+ */
+const QueueSettings = () => {
+  const { queue, setQueue } = useSettingsStore();
+  const [inputs, setInputs] = useState(() => toInputs(queue));
+  const [status, setStatus] = useState('');
+
+  // Providers that analyze data locally send no requests
+  const providers = listProviders().filter(provider => typeof provider.generateAnalysis !== 'function');
+
+  const handleChange = (key, value) => {
+    setInputs(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleProviderChange = (providerId, key, value) => {
+    setInputs(prev => ({
+      ...prev,
+      providers: {
+        ...prev.providers,
+        [providerId]: { ...prev.providers[providerId], [key]: value }
+      }
+    }));
+  };
+
+  const handleSave = () => {
+    const providerLimits = {};
+    Object.entries(inputs.providers).forEach(([providerId, limits]) => {
+      if (limits.maxConcurrentRequests !== '' || limits.requestsPerMinute !== '') {
+        providerLimits[providerId] = limits;
+      }
+    });
+
+    const settings = normalizeQueueSettings({
+      maxConcurrentRuns: inputs.maxConcurrentRuns,
+      maxConcurrentRequests: inputs.maxConcurrentRequests,
+      requestsPerMinute: inputs.requestsPerMinute,
+      providers: providerLimits
+    });
+    setQueue(settings);
+    setInputs(toInputs(settings));
+    // Waiting executions and requests may fit under the new limits
+    refreshQueue();
+
+    setStatus('Queue settings saved.');
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  return (
+    <Card title="Execution Queue" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Executions started while others are running wait in the queue, highest priority first.
+          Every request to an AI provider also waits until the provider's limits allow it, including the
+          requests of collaborators running in parallel and of map-reduce chunks.
+        </p>
+
+        <div className="settings-field">
+          <label htmlFor="queue-max-runs">Executions running at once</label>
+          <input
+            id="queue-max-runs"
+            type="number"
+            min="1"
+            step="1"
+            value={inputs.maxConcurrentRuns}
+            onChange={(e) => handleChange('maxConcurrentRuns', e.target.value)}
+            className="api-key-input"
+          />
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="queue-max-requests">Requests in flight per provider</label>
+          <input
+            id="queue-max-requests"
+            type="number"
+            min="1"
+            step="1"
+            value={inputs.maxConcurrentRequests}
+            onChange={(e) => handleChange('maxConcurrentRequests', e.target.value)}
+            placeholder="No limit"
+            className="api-key-input"
+          />
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="queue-requests-per-minute">Requests per minute per provider</label>
+          <input
+            id="queue-requests-per-minute"
+            type="number"
+            min="1"
+            step="1"
+            value={inputs.requestsPerMinute}
+            onChange={(e) => handleChange('requestsPerMinute', e.target.value)}
+            placeholder="No limit"
+            className="api-key-input"
+          />
+          <p className="help-text">Leave empty for no limit.</p>
+        </div>
+
+        <table className="settings-table">
+          <thead>
+            <tr>
+              <th>Provider</th>
+              <th>Requests in flight</th>
+              <th>Requests per minute</th>
+            </tr>
+          </thead>
+          <tbody>
+            {providers.map(provider => (
+              <tr key={provider.id}>
+                <td>{provider.name}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={inputs.providers[provider.id]?.maxConcurrentRequests || ''}
+                    onChange={(e) => handleProviderChange(provider.id, 'maxConcurrentRequests', e.target.value)}
+                    placeholder="Default"
+                    aria-label={`Requests in flight for ${provider.name}`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={inputs.providers[provider.id]?.requestsPerMinute || ''}
+                    onChange={(e) => handleProviderChange(provider.id, 'requestsPerMinute', e.target.value)}
+                    placeholder="Default"
+                    aria-label={`Requests per minute for ${provider.name}`}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="help-text">Provider limits left empty use the limits above.</p>
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Queue Settings</Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default QueueSettings;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import Card from '../shared/Card';
+import Button from '../shared/Button';
+import useSettingsStore from '../../stores/settingsStore';
+import { DEFAULT_RETRY_SETTINGS, normalizeRetrySettings } from '../../utils/retryUtils';
+
+/**
+ * How failed provider requests are retried before an agent falls back to its next model
+ */
+const RetrySettings = () => {
+  const { retry, setRetry } = useSettingsStore();
+  const [inputs, setInputs] = useState(() => ({
+    maxRetries: String(retry.maxRetries),
+    baseDelaySeconds: String(retry.baseDelayMs / 1000),
+    maxDelaySeconds: String(retry.maxDelayMs / 1000)
+  }));
+  const [status, setStatus] = useState('');
+
+  const handleChange = (key, value) => {
+    setInputs(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = () => {
+    const settings = normalizeRetrySettings({
+      maxRetries: inputs.maxRetries,
+      baseDelayMs: parseFloat(inputs.baseDelaySeconds) * 1000,
+      maxDelayMs: parseFloat(inputs.maxDelaySeconds) * 1000
+    });
+    setRetry(settings);
+    setInputs({
+      maxRetries: String(settings.maxRetries),
+      baseDelaySeconds: String(settings.baseDelayMs / 1000),
+      maxDelaySeconds: String(settings.maxDelayMs / 1000)
+    });
+
+    setStatus('Retry settings saved.');
+    setTimeout(() => setStatus(''), 3000);
+  };
+
+  return (
+    <Card title="Retries" className="settings-card">
+      <div className="settings-section">
+        <p className="help-text">
+          Requests that fail with a rate limit (429), a server error (5xx) or a network error are sent
+          again after a delay that doubles each time. When the provider says how long to wait
+          (Retry-After), that delay is used instead; if it is longer than the maximum delay, the
+          request fails right away so the agent can fall back to its next model.
+        </p>
+
+        <div className="settings-field">
+          <label htmlFor="retry-max-retries">Retries per request</label>
+          <input
+            id="retry-max-retries"
+            type="number"
+            min="0"
+            step="1"
+            value={inputs.maxRetries}
+            onChange={(e) => handleChange('maxRetries', e.target.value)}
+            placeholder={String(DEFAULT_RETRY_SETTINGS.maxRetries)}
+            className="api-key-input"
+          />
+          <p className="help-text">Set to 0 to fail (or fall back) on the first error.</p>
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="retry-base-delay">First delay (seconds)</label>
+          <input
+            id="retry-base-delay"
+            type="number"
+            min="0"
+            step="any"
+            value={inputs.baseDelaySeconds}
+            onChange={(e) => handleChange('baseDelaySeconds', e.target.value)}
+            className="api-key-input"
+          />
+        </div>
+
+        <div className="settings-field">
+          <label htmlFor="retry-max-delay">Maximum delay (seconds)</label>
+          <input
+            id="retry-max-delay"
+            type="number"
+            min="0"
+            step="any"
+            value={inputs.maxDelaySeconds}
+            onChange={(e) => handleChange('maxDelaySeconds', e.target.value)}
+            className="api-key-input"
+          />
+        </div>
+      </div>
+
+      <div className="settings-actions">
+        <Button onClick={handleSave}>Save Retries</Button>
+      </div>
+
+      {status && (
+        <div className="settings-status success">{status}</div>
+      )}
+    </Card>
+  );
+};
+
+export default RetrySettings;
@@ -2,6 +2,7 @@ import { useEffect, useState, useRef } from 'react';
 import useDataStore from '../stores/dataStore';
 import useAgentStore from '../stores/agentStore';
 import useReportStore from '../stores/reportStore';
+import { startScheduler } from '../services/scheduler';
 
 /**
  * Hook to initialize all stores when the application starts
@@ -67,6 +68,9 @@ const useInitialize = () => {
           }
         }
         
+        // Scheduled agents need the agents and data sources loaded above
+        startScheduler();
+        
         // Mark as initialized
         initialized.current = true;
         
@@ -6,13 +6,16 @@ import ExecutionProgress from '../components/agents/ExecutionProgress';
 import CollaborativeExecution from '../components/agents/CollaborativeExecution';
 import Modal from '../components/shared/Modal';
 import Button from '../components/shared/Button';
-import { executeAgent } from '../services/agentService';
+import { startExecution } from '../services/agentService';
 import { generateReport } from '../services/reportService';
+import { isScheduled } from '../services/scheduler';
 import useReportStore from '../stores/reportStore';
 import useAgentStore from '../stores/agentStore';
+import useExecutionStore from '../stores/executionStore';
 import { useNavigate } from 'react-router-dom';
 import OpenAISettings from '../components/agents/OpenAISettings';
 import { createSampleDataset } from '../utils/dataUtils';
+import { EXECUTION_PRIORITIES } from '../utils/queueUtils';
 
 const AgentsPage = () => {
   const dataStore = useDataStore();
@@ -74,13 +77,18 @@ const AgentsPage = () => {
   });
   
   const [showExecuteModal, setShowExecuteModal] = useState(false);
+  const [executionPriority, setExecutionPriority] = useState('normal');
+  const [bypassCache, setBypassCache] = useState(false);
   const [selectedAgent, setSelectedAgent] = useState(null);
   const [selectedDataSource, setSelectedDataSource] = useState(null);
   const [isExecuting, setIsExecuting] = useState(false);
   const [error, setError] = useState(null);
   const [isCollaborative, setIsCollaborative] = useState(false);
   const [collaborators, setCollaborators] = useState([]);
+  const [isCancelling, setIsCancelling] = useState(false);
   const fileInputRef = useRef(null);
+  // Handle of the running execution, used to cancel it
+  const executionRef = useRef(null);
   const navigate = useNavigate();
   
   // Reset execution state when leaving the page
@@ -145,6 +153,7 @@ const AgentsPage = () => {
     }
     
     setIsExecuting(true);
+    setIsCancelling(false);
     setError(null);
     setShowExecuteModal(true);
     
@@ -176,6 +185,8 @@ const AgentsPage = () => {
         progress: 0,
         stage: 'Starting',
         logs: ['Initiating agent execution...'],
+        milestones: [],
+        startTime: new Date().toISOString(),
         agentId: agent.id, // Set the main agent's ID for initial progress
         collaborativeExecution: isCollaborativeAgent
       });
@@ -225,28 +236,35 @@ const AgentsPage = () => {
       // Progress tracking callbacks
       const onProgress = (progress) => {
         setExecutionProgress(prev => ({
-          progress: progress.progress || prev.progress,
+          ...prev,
+          progress: progress.progress ?? prev.progress,
           stage: progress.stage || prev.stage,
-          logs: prev.logs,
+          milestones: appendMilestone(prev.milestones, progress),
           // Pass along agentId for collaborative execution
           agentId: progress.agentId,
-          collaborativeExecution: progress.collaborativeExecution
+          collaborativeExecution: progress.collaborativeExecution,
+          // Collaborators left out by the routing rules, with the reason
+          skippedCollaborators: progress.skippedCollaborators || prev.skippedCollaborators,
+          // Collaborative runs resumed after approval: the collaborators ran before the pause
+          resumed: progress.resumed || prev.resumed,
+          // Collaborative runs: progress through the debate rounds and synthesis, and the step under way
+          debateRound: progress.debateRound,
+          synthesisProgress: progress.synthesisProgress ?? prev.synthesisProgress,
+          synthesisStage: progress.synthesisProgress !== undefined ? progress.stage : prev.synthesisStage,
+          // Streamed model output, per collaborator for collaborative execution
+          ...getStreamedOutput(prev, progress)
         }));
       };
       
       const onLog = (message) => {
         setExecutionProgress(prev => ({
-          progress: prev.progress,
-          stage: prev.stage,
-          logs: [...prev.logs, message],
-          // Preserve other properties
-          agentId: prev.agentId,
-          collaborativeExecution: prev.collaborativeExecution
+          ...prev,
+          logs: [...prev.logs, message]
         }));
       };
       
       // Execute the agent with real service
-      const results = await executeAgent(
+      const execution = startExecution(
         agent, 
         dataSource, 
         {
@@ -256,13 +274,22 @@ const AgentsPage = () => {
           apiKey: options.apiKey, // use apiKey instead of openAIKey
           model: options.model,
           temperature: options.temperature,
+          maxTokens: options.maxTokens,
           provider: options.provider,
+          // Set when the settings were chosen for this execution rather than taken from the agent
+          overrideModelSettings: options.overrideModelSettings,
           // Add collaborator information if this is a collaborative agent
           collaborators: isCollaborativeAgent ? collaborators : undefined,
           executionMode: agent.configuration?.executionMode,
-          synthesizeResults: agent.configuration?.synthesizeResults
+          synthesizeResults: agent.configuration?.synthesizeResults,
+          analysisMode: agent.configuration?.analysisMode,
+          overrideBudget: options.overrideBudget,
+          priority: options.priority,
+          bypassCache: options.bypassCache
         }
       );
+      executionRef.current = execution;
+      const results = await execution.promise;
       
       console.log('Agent execution completed:', results);
       
@@ -319,19 +346,23 @@ const AgentsPage = () => {
         try {
           // Retry execution with collaborators
           console.log('Retrying execution with collaborators:', requiredCollaborators.map(c => c.name));
-          const retryResults = await executeAgent(
+          const retryExecution = startExecution(
             agent,
             dataSource,
             {
               ...options,
               onProgress,
               onLog,
+              // Record the retry under the same run in the execution history
+              runId: results.runId,
               collaborators: requiredCollaborators,
               // Force these flags to ensure proper handling
               isCollaborative: true,
               collaborativeExecution: true
             }
           );
+          executionRef.current = retryExecution;
+          const retryResults = await retryExecution.promise;
           
           console.log('Retry execution results:', retryResults);
           
@@ -346,8 +377,47 @@ const AgentsPage = () => {
         }
       }
       
+      // The user cancelled the run; record it as cancelled rather than failed
+      if (results.cancelled) {
+        handleExecutionCancelled(agent);
+        return;
+      }
+      
+      // A spending budget would be exceeded; the user can run it anyway
+      if (results.budgetExceeded) {
+        if (window.confirm(`${results.error}\n\nRun anyway, ignoring the budget for this run?`)) {
+          executeAgentWithOptions(agent, dataSource, { ...options, overrideBudget: true });
+        } else {
+          handleExecutionError(agent, new Error(results.error));
+        }
+        return;
+      }
+
+      // The run paused at an approval step; it's reviewed and resumed from the Runs page
+      if (results.awaitingApproval) {
+        const pausedAgent = {
+          ...agent,
+          status: getFinishedStatus(agent, 'idle'),
+          lastRun: new Date().toISOString()
+        };
+
+        // Update in store and localStorage
+        updateAgent(pausedAgent);
+        updateAgentInLocalStorage(pausedAgent);
+
+        // Reset UI state
+        setShowExecuteModal(false);
+        setSelectedAgent(null);
+        setSelectedDataSource(null);
+        setIsExecuting(false);
+
+        navigate(`/runs?run=${results.runId}`);
+        return;
+      }
+
       // Update progress to completed
       setExecutionProgress(prev => ({
+        ...prev,
         progress: 100,
         stage: 'Completed',
         logs: [
@@ -367,7 +437,7 @@ const AgentsPage = () => {
         // Just update the agent status to completed
         const completedAgent = {
           ...agent,
-          status: 'completed',
+          status: getFinishedStatus(agent, 'completed'),
           lastRun: new Date().toISOString()
         };
         
@@ -393,10 +463,15 @@ const AgentsPage = () => {
           .then(savedReport => {
             console.log('Report saved successfully:', savedReport);
             
+            // Link the report to the run in the execution history
+            if (results.runId) {
+              useExecutionStore.getState().updateRun(results.runId, { reportId: savedReport?.id || report.id });
+            }
+            
             // Update agent status to completed
             const completedAgent = {
               ...agent,
-              status: 'completed',
+              status: getFinishedStatus(agent, 'completed'),
               lastRun: new Date().toISOString()
             };
             
@@ -429,6 +504,39 @@ const AgentsPage = () => {
     }
   };
   
+  // Helper to record a milestone from a progress event, once per agent and milestone
+  const appendMilestone = (milestones = [], progress) => {
+    if (!progress.milestone) return milestones;
+    
+    const previous = milestones.filter(m => m.agentId === progress.agentId);
+    if (previous.length > 0 && previous[previous.length - 1].name === progress.milestone) {
+      return milestones;
+    }
+    
+    return [...milestones, {
+      name: progress.milestone,
+      label: progress.stage,
+      timestamp: progress.timestamp,
+      elapsedMs: progress.elapsedMs,
+      agentId: progress.agentId
+    }];
+  };
+  
+  // Helper to pick the streamed model output out of a progress event
+  const getStreamedOutput = (prev, progress) => {
+    if (progress.output === undefined) return {};
+    
+    if (progress.collaborativeExecution && progress.agentId) {
+      return {
+        collaboratorOutputs: { ...prev.collaboratorOutputs, [progress.agentId]: progress.output }
+      };
+    }
+    return { output: progress.output };
+  };
+  
+  // Scheduled agents go back to active after a manual run, so their schedule keeps going
+  const getFinishedStatus = (agent, status) => (isScheduled(agent) ? 'active' : status);
+  
   // Helper to update agent in localStorage
   const updateAgentInLocalStorage = (agent) => {
     if (!agent || !agent.id) return;
@@ -444,10 +552,17 @@ const AgentsPage = () => {
   const handleExecutionError = (agent, error) => {
     setError(error.message || 'An unexpected error occurred');
     
+    // Close the run in the execution history if it's still open (e.g. collaborators couldn't be found)
+    const executionStore = useExecutionStore.getState();
+    const run = executionRef.current && executionStore.getRunById(executionRef.current.id);
+    if (run?.status === 'running' || run?.status === 'queued') {
+      executionStore.finishRun(run.id, { success: false, error: error.message || 'Unknown error' });
+    }
+    
     // Update agent status to error
     const errorAgent = {
       ...agent,
-      status: 'error',
+      status: getFinishedStatus(agent, 'error'),
       lastRun: new Date().toISOString()
     };
     
@@ -456,6 +571,7 @@ const AgentsPage = () => {
     updateAgentInLocalStorage(errorAgent);
     
     setExecutionProgress(prev => ({
+      ...prev,
       progress: 0,
       stage: 'Error',
       logs: [...prev.logs, `Error: ${error.message || 'Unknown error'}`]
@@ -464,6 +580,38 @@ const AgentsPage = () => {
     setIsExecuting(false);
   };
   
+  // Handle a run cancelled by the user
+  const handleExecutionCancelled = (agent) => {
+    const cancelledAgent = {
+      ...agent,
+      status: getFinishedStatus(agent, 'cancelled'),
+      lastRun: new Date().toISOString()
+    };
+    
+    // Update in store and localStorage
+    updateAgent(cancelledAgent);
+    updateAgentInLocalStorage(cancelledAgent);
+    
+    setExecutionProgress(prev => ({
+      ...prev,
+      stage: 'Cancelled',
+      logs: [...prev.logs, 'Execution cancelled by user']
+    }));
+    
+    executionRef.current = null;
+    setIsCancelling(false);
+    setIsExecuting(false);
+    setError('Execution cancelled');
+  };
+  
+  // Cancel the running execution
+  const handleCancelExecution = () => {
+    if (!executionRef.current || isCancelling) return;
+    
+    setIsCancelling(true);
+    executionRef.current.cancel();
+  };
+  
   // Handler for the Run Execution button in the modal
   const handleRunExecution = async () => {
     if (!selectedAgent) {
@@ -490,7 +638,7 @@ const AgentsPage = () => {
     
     // Execute with default options but don't force useOpenAI: false
     // This will allow the system to use OpenAI if an API key is provided
-    executeAgentWithOptions(selectedAgent, selectedDataSource, {});
+    executeAgentWithOptions(selectedAgent, selectedDataSource, { priority: executionPriority, bypassCache });
   };
 
   const handleExportAgents = () => {
@@ -705,6 +853,38 @@ const AgentsPage = () => {
                   </div>
                 </div>
                 
+                <div className="form-group" style={{ marginBottom: '20px' }}>
+                  <label htmlFor="execution-priority" style={{ fontWeight: 'bold', display: 'block', marginBottom: '10px' }}>
+                    Queue Priority
+                  </label>
+                  <select
+                    id="execution-priority"
+                    value={executionPriority}
+                    onChange={(e) => setExecutionPriority(e.target.value)}
+                  >
+                    {EXECUTION_PRIORITIES.map(priority => (
+                      <option key={priority} value={priority}>{priority}</option>
+                    ))}
+                  </select>
+                  <p style={{ margin: '5px 0 0', color: '#666', fontSize: '14px' }}>
+                    When other executions are running, higher priority executions start first.
+                  </p>
+                </div>
+                
+                <div className="form-group" style={{ marginBottom: '20px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <input
+                      type="checkbox"
+                      checked={bypassCache}
+                      onChange={(e) => setBypassCache(e.target.checked)}
+                    />
+                    Bypass the result cache
+                  </label>
+                  <p style={{ margin: '5px 0 0', color: '#666', fontSize: '14px' }}>
+                    Sends every request again instead of reusing cached responses for unchanged data.
+                  </p>
+                </div>
+                
                 {error && (
                   <div className="error-message">
                     {error}
@@ -754,6 +934,8 @@ const AgentsPage = () => {
                     executionProgress={executionProgress}
                     logMessages={executionProgress.logs}
                     isExecuting={isExecuting}
+                    onCancel={handleCancelExecution}
+                    isCancelling={isCancelling}
                     dataSource={selectedDataSource}
                     onComplete={() => {
                       console.log('Collaborative execution completed');
@@ -761,7 +943,11 @@ const AgentsPage = () => {
                     }}
                   />
                 ) : (
-                  <ExecutionProgress progress={executionProgress} />
+                  <ExecutionProgress
+                    progress={executionProgress}
+                    onCancel={handleCancelExecution}
+                    isCancelling={isCancelling}
+                  />
                 )}
                 
                 {error && (
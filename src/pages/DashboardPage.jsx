@@ -3,8 +3,9 @@ import { Link } from 'react-router-dom';
 import useAgentStore from '../stores/agentStore';
 import useDataStore from '../stores/dataStore';
 import useReportStore from '../stores/reportStore';
+import useExecutionStore from '../stores/executionStore';
 import Layout from '../components/layout/Layout';
-import { executeAgent } from '../services/agentService';
+import { startExecution } from '../services/agentService';
 import { generateReport } from '../services/reportService';
 import Button from '../components/shared/Button';
 import Modal from '../components/shared/Modal';
@@ -18,6 +19,7 @@ const DashboardPage = () => {
   const agentStore = useAgentStore();
   const dataStore = useDataStore();
   const reportStore = useReportStore();
+  const runs = useExecutionStore(state => state.runs);
   
   // Extract values from stores
   const { agents, updateAgent } = agentStore;
@@ -57,7 +59,7 @@ const DashboardPage = () => {
     checkApiStatus();
   }, []);
 
-  const handleExecuteAgent = async () => {
+  const handleExecuteAgent = async (executionOptions = {}) => {
     if (!selectedAgent || !selectedDataSource) {
       setError('Please select both an agent and a data source');
       return;
@@ -74,7 +76,19 @@ const DashboardPage = () => {
     });
 
     try {
-      const results = await executeAgent(selectedAgent, selectedDataSource);
+      // Collaborative agents and pipelines run with their collaborators, as on the Agents page
+      const isCollaborative = selectedAgent.type === 'collaborative' || selectedAgent.type === 'pipeline';
+      const collaborators = isCollaborative
+        ? (selectedAgent.collaborators || []).map(id => agents.find(a => a.id === id)).filter(Boolean)
+        : undefined;
+      const execution = startExecution(selectedAgent, selectedDataSource, { ...executionOptions, collaborators });
+      let results = await execution.promise;
+      
+      // None of the collaborators exist any more; the run isn't retried, so close it in the history
+      if (results.requiresCollaborators) {
+        results = { ...results, error: 'No valid collaborator agents found. Make sure they exist in the system.' };
+        useExecutionStore.getState().finishRun(execution.id, results);
+      }
       
       if (results.success) {
         // Update agent status to completed
@@ -94,6 +108,17 @@ const DashboardPage = () => {
           console.error('Error saving report:', err);
           // Continue anyway since we have the report locally
         }
+      } else if (results.budgetExceeded &&
+          window.confirm(`${results.error}\n\nRun anyway, ignoring the budget for this run?`)) {
+        await handleExecuteAgent({ overrideBudget: true });
+      } else if (results.awaitingApproval) {
+        // Paused at an approval step; the run is reviewed and resumed from the Runs page
+        await updateAgent({
+          ...selectedAgent,
+          status: 'idle',
+          lastRun: new Date().toISOString()
+        });
+        setError(`${results.error}. Review it on the Runs page to continue.`);
       } else {
         // Update agent status to error
         await updateAgent({
@@ -216,6 +241,7 @@ const DashboardPage = () => {
           agents={agents} 
           dataSources={dataSources} 
           reports={reports}
+          runs={runs}
         />
 
         {/* Report Preview Section */}
@@ -323,7 +349,7 @@ const DashboardPage = () => {
 
             <div className="form-actions">
               <Button 
-                onClick={handleExecuteAgent}
+                onClick={() => handleExecuteAgent()}
                 disabled={!selectedAgent || !selectedDataSource || isExecuting}
               >
                 {isExecuting ? 'Executing...' : 'Execute Agent'}
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Layout from '../components/layout/Layout';
 import Button from '../components/shared/Button';
 import { createSampleDataset } from '../utils/dataUtils';
-import { executeAgent } from '../services/agentService';
+import { startExecution } from '../services/agentService';
 
 /**
  * A simplified debug version of the Agents page that focuses only on
@@ -128,11 +128,11 @@ const DebugAgentPage = () => {
       };
 
       // Execute the agent
-      const results = await executeAgent(selectedAgent, selectedDataSource, {
+      const results = await startExecution(selectedAgent, selectedDataSource, {
         onProgress,
         onLog,
         forceOffline: true // For debugging, force offline mode
-      });
+      }).promise;
 
       // Handle results
       setExecutionResults(results);
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Layout from '../components/layout/Layout';
+import Button from '../components/shared/Button';
+import Modal from '../components/shared/Modal';
+import RunDetail from '../components/runs/RunDetail';
+import ReportPanel from '../components/reports/ReportPanel';
+import useExecutionStore from '../stores/executionStore';
+import useAgentStore from '../stores/agentStore';
+import useReportStore from '../stores/reportStore';
+import { formatDuration, formatTokens, formatCost } from '../utils/formatUtils';
+import { getProviderName } from '../services/providerRegistry';
+import { getPendingApprovals } from '../services/approvalService';
+import './RunsPage.css';
+
+const RUN_STATUSES = ['queued', 'running', 'awaiting-approval', 'completed', 'failed', 'cancelled', 'interrupted'];
+
+// Time windows for the "Started" filter, in milliseconds
+const TIME_RANGES = {
+  all: null,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+const EMPTY_FILTERS = {
+  status: 'all',
+  agentId: 'all',
+  dataSourceId: 'all',
+  provider: 'all',
+  timeRange: 'all',
+  search: ''
+};
+
+/**
+ * Lists every recorded agent execution with filters and a per-run detail view
+ */
+const RunsPage = () => {
+  const { runs, deleteRun, clearRuns } = useExecutionStore();
+  const { agents } = useAgentStore();
+  const { reports } = useReportStore();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [viewedReport, setViewedReport] = useState(null);
+  const [searchParams] = useSearchParams();
+
+  // Links to a run (e.g. from the queue panel) open its detail
+  useEffect(() => {
+    const runId = searchParams.get('run');
+    if (runId) setSelectedRunId(runId);
+  }, [searchParams]);
+
+  const selectedRun = runs.find(run => run.id === selectedRunId);
+  const pendingApprovals = getPendingApprovals(runs);
+
+  // Options for the filter dropdowns come from the runs themselves, so deleted agents still show up
+  const uniqueBy = (key, labelKey) => {
+    const options = new Map();
+    runs.forEach(run => {
+      if (run[key] && !options.has(run[key])) {
+        options.set(run[key], run[labelKey] || run[key]);
+      }
+    });
+    return [...options.entries()];
+  };
+  const agentOptions = uniqueBy('agentId', 'agentName');
+  const dataSourceOptions = uniqueBy('dataSourceId', 'dataSourceName');
+  const providerOptions = uniqueBy('provider', 'provider');
+
+  const filteredRuns = runs.filter(run => {
+    if (filters.status !== 'all' && run.status !== filters.status) return false;
+    if (filters.agentId !== 'all' && run.agentId !== filters.agentId) return false;
+    if (filters.dataSourceId !== 'all' && run.dataSourceId !== filters.dataSourceId) return false;
+    if (filters.provider !== 'all' && run.provider !== filters.provider) return false;
+
+    const range = TIME_RANGES[filters.timeRange];
+    if (range && Date.now() - new Date(run.startedAt).getTime() > range) return false;
+
+    if (filters.search) {
+      const search = filters.search.toLowerCase();
+      const haystack = [run.agentName, run.dataSourceName, run.model, run.error, run.id]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+
+    return true;
+  });
+
+  const handleFilterChange = (key) => (e) => {
+    setFilters(prev => ({ ...prev, [key]: e.target.value }));
+  };
+
+  const handleViewReport = (reportId) => {
+    const report = reports.find(r => r.id === reportId);
+    if (report) {
+      setViewedReport(report);
+    } else {
+      alert('The report for this run is no longer available.');
+    }
+  };
+
+  const handleDeleteRun = (id) => {
+    deleteRun(id);
+    if (id === selectedRunId) {
+      setSelectedRunId(null);
+    }
+  };
+
+  const handleClearRuns = () => {
+    if (window.confirm('Delete the entire execution history?')) {
+      clearRuns();
+      setSelectedRunId(null);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="runs-page">
+        <div className="page-header">
+          <h1>Runs</h1>
+          <div className="header-actions">
+            <Button onClick={handleClearRuns} variant="danger" disabled={runs.length === 0}>
+              Clear History
+            </Button>
+          </div>
+        </div>
+
+        {selectedRun ? (
+          <RunDetail
+            run={selectedRun}
+            agents={agents}
+            onClose={() => setSelectedRunId(null)}
+            onViewReport={handleViewReport}
+            onDelete={handleDeleteRun}
+          />
+        ) : (
+          <>
+            {pendingApprovals.length > 0 && (
+              <div className="runs-pending-approvals">
+                <strong>
+                  {pendingApprovals.length} run{pendingApprovals.length === 1 ? ' is' : 's are'} waiting for approval:
+                </strong>
+                {pendingApprovals.map(run => (
+                  <button key={run.id} type="button" onClick={() => setSelectedRunId(run.id)}>
+                    {run.agentName} on {run.dataSourceName}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="runs-filters">
+              <select value={filters.status} onChange={handleFilterChange('status')} aria-label="Status">
+                <option value="all">All statuses</option>
+                {RUN_STATUSES.map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+
+              <select value={filters.agentId} onChange={handleFilterChange('agentId')} aria-label="Agent">
+                <option value="all">All agents</option>
+                {agentOptions.map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+
+              <select value={filters.dataSourceId} onChange={handleFilterChange('dataSourceId')} aria-label="Data source">
+                <option value="all">All data sources</option>
+                {dataSourceOptions.map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+
+              <select value={filters.provider} onChange={handleFilterChange('provider')} aria-label="Provider">
+                <option value="all">All providers</option>
+                {providerOptions.map(([id]) => (
+                  <option key={id} value={id}>{getProviderName(id)}</option>
+                ))}
+              </select>
+
+              <select value={filters.timeRange} onChange={handleFilterChange('timeRange')} aria-label="Started">
+                <option value="all">Any time</option>
+                <option value="day">Last 24 hours</option>
+                <option value="week">Last 7 days</option>
+                <option value="month">Last 30 days</option>
+              </select>
+
+              <input
+                type="search"
+                placeholder="Search agent, data source, model or error"
+                value={filters.search}
+                onChange={handleFilterChange('search')}
+              />
+
+              <Button onClick={() => setFilters(EMPTY_FILTERS)} variant="secondary" size="small">
+                Reset
+              </Button>
+            </div>
+
+            {runs.length === 0 ? (
+              <div className="empty-state">
+                <p>No runs recorded yet. Execute an agent and it will appear here.</p>
+              </div>
+            ) : filteredRuns.length === 0 ? (
+              <div className="empty-state">
+                <p>No runs match the current filters.</p>
+              </div>
+            ) : (
+              <table className="run-table runs-list">
+                <thead>
+                  <tr>
+                    <th>Started</th>
+                    <th>Agent</th>
+                    <th>Data source</th>
+                    <th>Provider / model</th>
+                    <th>Duration</th>
+                    <th>Tokens / cost</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredRuns.map(run => (
+                    <tr key={run.id} onClick={() => setSelectedRunId(run.id)} className="runs-list-row">
+                      <td>{new Date(run.startedAt).toLocaleString()}</td>
+                      <td>{run.agentName}</td>
+                      <td>{run.dataSourceName}</td>
+                      <td>{getProviderName(run.provider)}{run.model ? ` / ${run.model}` : ''}</td>
+                      <td>{formatDuration(run.durationMs)}</td>
+                      <td>{run.usage ? `${formatTokens(run.usage.totalTokens)} / ${formatCost(run.usage.cost)}` : '—'}</td>
+                      <td>
+                        <span className={`run-status run-status-${run.status}`}>{run.status}</span>
+                        {run.cache && <span className="run-tag" title="Served from the result cache">cached</span>}
+                        {run.trigger === 'schedule' && <span className="run-tag" title="Started by the agent's schedule">scheduled</span>}
+                        {run.alert?.triggered && <span className="run-tag" title="The notifier's rules triggered an alert">alert</span>}
+                        {run.error && <div className="runs-list-error">{run.error}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <p className="runs-count">
+              Showing {filteredRuns.length} of {runs.length} runs
+            </p>
+          </>
+        )}
+
+        <Modal
+          show={!!viewedReport}
+          onClose={() => setViewedReport(null)}
+          title={viewedReport?.name || 'Report'}
+          size="large"
+        >
+          {viewedReport && (
+            <ReportPanel report={viewedReport} onClose={() => setViewedReport(null)} />
+          )}
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default RunsPage;
@@ -1,127 +1,82 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import Layout from '../components/layout/Layout';
 import Card from '../components/shared/Card';
 import Button from '../components/shared/Button';
-import openaiService from '../services/openaiService';
-import openRouterService from '../services/openRouterService';
+import DataContextSettings from '../components/settings/DataContextSettings';
+import ModelPricingSettings from '../components/settings/ModelPricingSettings';
+import BudgetSettings from '../components/settings/BudgetSettings';
+import RetrySettings from '../components/settings/RetrySettings';
+import QueueSettings from '../components/settings/QueueSettings';
+import CacheSettings from '../components/settings/CacheSettings';
+import { listProviders, getProviderConfig, getDefaultProviderId, verifyProvider } from '../services/providerRegistry';
 import './SettingsPage.css';
 
-const SettingsPage = () => {
-  const [openAIKey, setOpenAIKey] = useState('');
-  const [openRouterKey, setOpenRouterKey] = useState('');
-  const [defaultProvider, setDefaultProvider] = useState('openai');
-  const [models, setModels] = useState({
-    openai: 'gpt-4-turbo',
-    openrouter: 'anthropic/claude-3-haiku'
+/**
+ * Reads the saved settings of every registered provider
+ * @returns {Object} - Provider settings keyed by provider ID
+ */
+const loadProviderSettings = () => {
+  const settings = {};
+  listProviders().forEach(provider => {
+    settings[provider.id] = getProviderConfig(provider.id);
   });
+  return settings;
+};
+
+const SettingsPage = () => {
+  const providers = listProviders();
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [defaultProvider, setDefaultProvider] = useState(getDefaultProviderId);
   const [saveStatus, setSaveStatus] = useState({ message: '', type: '' });
-  const [verifyingOpenAI, setVerifyingOpenAI] = useState(false);
-  const [verifyingOpenRouter, setVerifyingOpenRouter] = useState(false);
-  const [openAIStatus, setOpenAIStatus] = useState({ verified: false, message: '' });
-  const [openRouterStatus, setOpenRouterStatus] = useState({ verified: false, message: '' });
-  
-  // Load settings from localStorage or settingsStore on mount
-  useEffect(() => {
-    // Try to load from the combined settings first
-    const aiSettings = JSON.parse(localStorage.getItem('ai_settings') || '{}');
-    
-    // If we have the combined settings, use those
-    if (aiSettings && aiSettings.providers) {
-      // OpenAI settings
-      if (aiSettings.providers.openai) {
-        setOpenAIKey(aiSettings.providers.openai.key || '');
-        if (aiSettings.providers.openai.model) {
-          setModels(prev => ({
-            ...prev,
-            openai: aiSettings.providers.openai.model
-          }));
-        }
-      }
-      
-      // OpenRouter settings
-      if (aiSettings.providers.openrouter) {
-        setOpenRouterKey(aiSettings.providers.openrouter.key || '');
-        if (aiSettings.providers.openrouter.model) {
-          setModels(prev => ({
-            ...prev,
-            openrouter: aiSettings.providers.openrouter.model
-          }));
-        }
-      }
-      
-      // Default provider
-      if (aiSettings.defaultProvider) {
-        setDefaultProvider(aiSettings.defaultProvider);
-      }
-    } else {
-      // Fall back to individual settings
-      const storedOpenAIKey = localStorage.getItem('openai_api_key') || '';
-      const storedOpenRouterKey = localStorage.getItem('openrouter_api_key') || '';
-      const storedDefaultProvider = localStorage.getItem('default_ai_provider') || 'openai';
-      const storedOpenAIModel = localStorage.getItem('openai_model') || 'gpt-4-turbo';
-      const storedOpenRouterModel = localStorage.getItem('openrouter_model') || 'anthropic/claude-3-haiku';
-      
-      setOpenAIKey(storedOpenAIKey);
-      setOpenRouterKey(storedOpenRouterKey);
-      setDefaultProvider(storedDefaultProvider);
-      setModels({
-        openai: storedOpenAIModel,
-        openrouter: storedOpenRouterModel
-      });
-    }
-  }, []);
+  const [verifyingProvider, setVerifyingProvider] = useState(null);
+  const [verifyStatus, setVerifyStatus] = useState({});
   
   // Handle input changes
-  const handleOpenAIKeyChange = (e) => setOpenAIKey(e.target.value);
-  const handleOpenRouterKeyChange = (e) => setOpenRouterKey(e.target.value);
   const handleDefaultProviderChange = (e) => setDefaultProvider(e.target.value);
   
-  // Handle model selection changes
-  const handleModelChange = (provider, value) => {
-    setModels(prevState => ({
+  // Handle changes to a provider's key, model or extra fields
+  const handleProviderSettingChange = (providerId, key, value) => {
+    setProviderSettings(prevState => ({
       ...prevState,
-      [provider]: value
+      [providerId]: {
+        ...prevState[providerId],
+        [key]: value
+      }
+    }));
+    
+    // A changed setting has not been verified yet
+    setVerifyStatus(prevState => ({
+      ...prevState,
+      [providerId]: { verified: false, message: '' }
     }));
   };
   
   // Save settings to localStorage
   const saveSettings = () => {
     try {
-      // Delete old AI settings first to prevent conflicts
-      localStorage.removeItem('ai_settings');
+      const savedProviders = {};
       
-      // Store API keys
-      localStorage.setItem('openai_api_key', openAIKey);
-      localStorage.setItem('openrouter_api_key', openRouterKey);
+      providers.forEach(provider => {
+        const { apiKey, ...rest } = providerSettings[provider.id] || {};
+        savedProviders[provider.id] = { key: apiKey || '', ...rest };
+        
+        // Keep the individual keys that older code reads in sync
+        localStorage.setItem(`${provider.id}_api_key`, apiKey || '');
+        localStorage.setItem(`${provider.id}_model`, rest.model || '');
+      });
       
       // Store default provider
       localStorage.setItem('default_ai_provider', defaultProvider);
       
-      // Store model selections
-      localStorage.setItem('openai_model', models.openai);
-      localStorage.setItem('openrouter_model', models.openrouter);
-      
-      // Log what we're saving for debugging
-      console.log('Saving OpenAI key:', openAIKey ? 'Key present (length: ' + openAIKey.length + ')' : 'No key');
-      console.log('Saving OpenRouter key:', openRouterKey ? 'Key present (length: ' + openRouterKey.length + ')' : 'No key');
-      
       // Also store in a combined format for easy access
+      const existingSettings = JSON.parse(localStorage.getItem('ai_settings') || '{}');
       const settings = {
-        providers: {
-          openai: {
-            key: openAIKey,
-            model: models.openai
-          },
-          openrouter: {
-            key: openRouterKey,
-            model: models.openrouter
-          }
-        },
+        ...existingSettings,
+        providers: savedProviders,
         defaultProvider
       };
       
       localStorage.setItem('ai_settings', JSON.stringify(settings));
-      console.log('Saved ai_settings to localStorage:', settings);
       
       setSaveStatus({
         message: 'Settings saved successfully!',
@@ -146,17 +101,19 @@ const SettingsPage = () => {
   const clearAPIKeys = () => {
     if (window.confirm('Are you sure you want to clear all API keys? This cannot be undone.')) {
       console.log('Clearing all API keys from localStorage');
-      localStorage.removeItem('openai_api_key');
-      localStorage.removeItem('openrouter_api_key');
+      providers.forEach(provider => {
+        localStorage.removeItem(`${provider.id}_api_key`);
+      });
       localStorage.removeItem('ai_settings');
       
-      setOpenAIKey('');
-      setOpenRouterKey('');
-      
-      console.log('API keys cleared, verifying removal:');
-      console.log('- openai_api_key in localStorage:', !!localStorage.getItem('openai_api_key'));
-      console.log('- openrouter_api_key in localStorage:', !!localStorage.getItem('openrouter_api_key'));
-      console.log('- ai_settings in localStorage:', !!localStorage.getItem('ai_settings'));
+      setProviderSettings(prevState => {
+        const cleared = {};
+        Object.entries(prevState).forEach(([id, settings]) => {
+          cleared[id] = { ...settings, apiKey: '' };
+        });
+        return cleared;
+      });
+      setVerifyStatus({});
       
       setSaveStatus({
         message: 'API keys cleared successfully.',
@@ -169,140 +126,21 @@ const SettingsPage = () => {
     }
   };
   
-  // Verify OpenAI API key
-  const verifyOpenAIKey = async () => {
-    if (!openAIKey) {
-      setOpenAIStatus({
-        verified: false,
-        message: 'Please enter an API key first'
-      });
-      return;
-    }
-    
-    setVerifyingOpenAI(true);
-    setOpenAIStatus({ verified: false, message: 'Verifying...' });
-    
-    try {
-      // Set the API key
-      const success = openaiService.setApiKey(openAIKey);
-      
-      if (!success) {
-        setOpenAIStatus({
-          verified: false,
-          message: 'Invalid API key format'
-        });
-        setVerifyingOpenAI(false);
-        return;
-      }
-      
-      // Make a simple API call to verify the key
-      const response = await fetch('https://api.openai.com/v1/models', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${openAIKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.data && Array.isArray(data.data)) {
-          setOpenAIStatus({
-            verified: true,
-            message: `Verified! Access to ${data.data.length} models`
-          });
-        } else {
-          setOpenAIStatus({
-            verified: true,
-            message: 'API key verified successfully'
-          });
-        }
-      } else {
-        const errorData = await response.json();
-        setOpenAIStatus({
-          verified: false,
-          message: errorData.error?.message || `Error: ${response.status}`
-        });
-      }
-    } catch (error) {
-      console.error('Error verifying OpenAI key:', error);
-      setOpenAIStatus({
-        verified: false,
-        message: error.message || 'Error connecting to OpenAI'
-      });
-    } finally {
-      setVerifyingOpenAI(false);
-    }
-  };
-  
-  // Verify OpenRouter API key
-  const verifyOpenRouterKey = async () => {
-    if (!openRouterKey) {
-      setOpenRouterStatus({
-        verified: false,
-        message: 'Please enter an API key first'
-      });
-      return;
-    }
+  // Verify a provider's key, endpoint or server URL
+  const handleVerify = async (provider) => {
+    setVerifyingProvider(provider.id);
+    setVerifyStatus(prevState => ({
+      ...prevState,
+      [provider.id]: { verified: false, message: 'Verifying...' }
+    }));
     
-    setVerifyingOpenRouter(true);
-    setOpenRouterStatus({ verified: false, message: 'Verifying...' });
+    const status = await verifyProvider(provider.id, providerSettings[provider.id] || {});
     
-    try {
-      // Set the API key
-      const success = openRouterService.setApiKey(openRouterKey);
-      
-      if (!success) {
-        setOpenRouterStatus({
-          verified: false,
-          message: 'Invalid API key format'
-        });
-        setVerifyingOpenRouter(false);
-        return;
-      }
-      
-      // Make a simple API call to verify the key
-      const response = await fetch('https://openrouter.ai/api/v1/models', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${openRouterKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'Agent Manager System'
-        }
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.data && Array.isArray(data.data)) {
-          setOpenRouterStatus({
-            verified: true,
-            message: `Verified! Access to ${data.data.length} models`
-          });
-        } else {
-          setOpenRouterStatus({
-            verified: true,
-            message: 'API key verified successfully'
-          });
-        }
-      } else {
-        const errorData = await response.json();
-        setOpenRouterStatus({
-          verified: false,
-          message: errorData.error?.message || `Error: ${response.status}`
-        });
-      }
-    } catch (error) {
-      console.error('Error verifying OpenRouter key:', error);
-      setOpenRouterStatus({
-        verified: false,
-        message: error.message || 'Error connecting to OpenRouter'
-      });
-    } finally {
-      setVerifyingOpenRouter(false);
-    }
+    setVerifyStatus(prevState => ({
+      ...prevState,
+      [provider.id]: status
+    }));
+    setVerifyingProvider(null);
   };
   
   return (
@@ -317,148 +155,125 @@ const SettingsPage = () => {
           <div className="settings-section">
             <h3>Default AI Provider</h3>
             <div className="settings-field">
-              <label>
-                <input
-                  type="radio"
-                  name="defaultProvider"
-                  value="openai"
-                  checked={defaultProvider === 'openai'}
-                  onChange={handleDefaultProviderChange}
-                />
-                OpenAI
-              </label>
-              <label>
-                <input
-                  type="radio"
-                  name="defaultProvider"
-                  value="openrouter"
-                  checked={defaultProvider === 'openrouter'}
-                  onChange={handleDefaultProviderChange}
-                />
-                OpenRouter
-              </label>
+              {providers.map(provider => (
+                <label key={provider.id}>
+                  <input
+                    type="radio"
+                    name="defaultProvider"
+                    value={provider.id}
+                    checked={defaultProvider === provider.id}
+                    onChange={handleDefaultProviderChange}
+                  />
+                  {provider.name}
+                </label>
+              ))}
             </div>
           </div>
           
-          <div className="settings-section">
-            <h3>OpenAI Settings</h3>
-            <div className="settings-field">
-              <label htmlFor="openai-key">API Key</label>
-              <div className="api-key-row">
-                <input
-                  id="openai-key"
-                  type="password"
-                  value={openAIKey}
-                  onChange={handleOpenAIKeyChange}
-                  placeholder="Enter your OpenAI API key"
-                  className="api-key-input"
-                  autoComplete="off"
-                />
-                <Button 
-                  onClick={verifyOpenAIKey} 
-                  disabled={verifyingOpenAI || !openAIKey}
-                  variant={openAIStatus.verified ? "success" : "secondary"}
-                >
-                  {verifyingOpenAI ? 'Verifying...' : 'Verify Key'}
-                </Button>
-              </div>
-              
-              {openAIStatus.message && (
-                <div className={`key-status ${openAIStatus.verified ? 'status-success' : 'status-error'}`}>
-                  {openAIStatus.message}
-                </div>
-              )}
-              
-              <p className="help-text">
-                <a href="https://platform.openai.com/api-keys" target="_blank" rel="noreferrer">
-                  Get an OpenAI API key
-                </a>
-              </p>
-            </div>
+          {providers.map(provider => {
+            const settings = providerSettings[provider.id] || {};
+            const status = verifyStatus[provider.id] || {};
+            const canVerify = !provider.requiresApiKey || !!settings.apiKey;
             
-            <div className="settings-field">
-              <label htmlFor="openai-model">Default Model</label>
-              <select
-                id="openai-model"
-                value={models.openai}
-                onChange={(e) => handleModelChange('openai', e.target.value)}
-              >
-                <option value="gpt-4-turbo">GPT-4 Turbo</option>
-                <option value="gpt-4">GPT-4</option>
-                <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-              </select>
-            </div>
-          </div>
-          
-          <div className="settings-section">
-            <h3>OpenRouter Settings</h3>
-            <div className="settings-field">
-              <label htmlFor="openrouter-key">API Key</label>
-              <div className="api-key-row">
-                <input
-                  id="openrouter-key"
-                  type="password"
-                  value={openRouterKey}
-                  onChange={handleOpenRouterKeyChange}
-                  placeholder="Enter your OpenRouter API key"
-                  className="api-key-input"
-                  autoComplete="off"
-                />
-                <Button 
-                  onClick={verifyOpenRouterKey} 
-                  disabled={verifyingOpenRouter || !openRouterKey}
-                  variant={openRouterStatus.verified ? "success" : "secondary"}
-                >
-                  {verifyingOpenRouter ? 'Verifying...' : 'Verify Key'}
-                </Button>
-              </div>
-              
-              {openRouterStatus.message && (
-                <div className={`key-status ${openRouterStatus.verified ? 'status-success' : 'status-error'}`}>
-                  {openRouterStatus.message}
+            return (
+              <div className="settings-section" key={provider.id}>
+                <h3>{provider.name} Settings</h3>
+                
+                {provider.fields.map(field => (
+                  <div className="settings-field" key={field.key}>
+                    <label htmlFor={`${provider.id}-${field.key}`}>{field.label}</label>
+                    <input
+                      id={`${provider.id}-${field.key}`}
+                      type="text"
+                      value={settings[field.key] || ''}
+                      onChange={(e) => handleProviderSettingChange(provider.id, field.key, e.target.value)}
+                      placeholder={field.placeholder}
+                      className="api-key-input"
+                    />
+                    {field.helpText && <p className="help-text">{field.helpText}</p>}
+                  </div>
+                ))}
+                
+                <div className="settings-field">
+                  {provider.usesApiKey && (
+                    <label htmlFor={`${provider.id}-key`}>
+                      API Key{provider.requiresApiKey ? '' : ' (optional)'}
+                    </label>
+                  )}
+                  <div className="api-key-row">
+                    {provider.usesApiKey ? (
+                      <input
+                        id={`${provider.id}-key`}
+                        type="password"
+                        value={settings.apiKey || ''}
+                        onChange={(e) => handleProviderSettingChange(provider.id, 'apiKey', e.target.value)}
+                        placeholder={provider.keyPlaceholder || `Enter your ${provider.name} API key`}
+                        className="api-key-input"
+                        autoComplete="off"
+                      />
+                    ) : (
+                      <p className="help-text">{provider.description}</p>
+                    )}
+                    <Button 
+                      onClick={() => handleVerify(provider)} 
+                      disabled={verifyingProvider === provider.id || !canVerify}
+                      variant={status.verified ? "success" : "secondary"}
+                    >
+                      {verifyingProvider === provider.id ? 'Verifying...' : 'Verify'}
+                    </Button>
+                  </div>
+                  
+                  {status.message && (
+                    <div className={`key-status ${status.verified ? 'status-success' : 'status-error'}`}>
+                      {status.message}
+                    </div>
+                  )}
+                  
+                  {provider.links.apiKeys && (
+                    <p className="help-text">
+                      <a href={provider.links.apiKeys} target="_blank" rel="noreferrer">
+                        {provider.requiresApiKey ? `Get your ${provider.name} API key` : `Set up ${provider.name}`}
+                      </a>
+                    </p>
+                  )}
                 </div>
-              )}
-              
-              <p className="help-text">
-                <a href="https://openrouter.ai/keys" target="_blank" rel="noreferrer">
-                  Get an OpenRouter API key
-                </a>
-              </p>
-            </div>
-            
-            <div className="settings-field">
-              <label htmlFor="openrouter-model">Default Model</label>
-              <select
-                id="openrouter-model"
-                value={models.openrouter}
-                onChange={(e) => handleModelChange('openrouter', e.target.value)}
-              >
-                <option value="anthropic/claude-3-haiku">Claude 3 Haiku</option>
-                <option value="anthropic/claude-3-sonnet">Claude 3 Sonnet</option>
-                <option value="anthropic/claude-3-opus">Claude 3 Opus</option>
-                <option value="openai/gpt-4">GPT-4</option>
-                <option value="openai/gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                <option value="meta-llama/llama-3-70b-instruct">Llama 3 70B</option>
-              </select>
-            </div>
-          </div>
+                
+                <div className="settings-field">
+                  <label htmlFor={`${provider.id}-model`}>{provider.modelLabel || 'Default Model'}</label>
+                  <input
+                    id={`${provider.id}-model`}
+                    type="text"
+                    list={`${provider.id}-models`}
+                    value={settings.model || ''}
+                    onChange={(e) => handleProviderSettingChange(provider.id, 'model', e.target.value)}
+                    placeholder={provider.defaultModel || 'Model name'}
+                    className="api-key-input"
+                  />
+                  <datalist id={`${provider.id}-models`}>
+                    {provider.models.map(model => (
+                      <option key={model.id} value={model.id}>{model.name}</option>
+                    ))}
+                  </datalist>
+                </div>
+              </div>
+            );
+          })}
           
           <div className="settings-info-section">
             <h3>About AI Providers</h3>
             <div className="provider-info">
-              <div className="provider-card">
-                <h4>OpenAI</h4>
-                <p>Direct access to OpenAI models like GPT-4 and GPT-3.5 Turbo.</p>
-                <p>Best for: General purpose AI with consistent results.</p>
-                <p>Pricing: Pay-as-you-go based on token usage.</p>
-              </div>
-              
-              <div className="provider-card">
-                <h4>OpenRouter</h4>
-                <p>Provides access to multiple models from different providers.</p>
-                <p>Best for: Access to Claude, Llama, and other models with a single API key.</p>
-                <p>Pricing: Credits-based system with volume discounts.</p>
-              </div>
+              {providers.map(provider => (
+                <div className="provider-card" key={provider.id}>
+                  <h4>{provider.name}</h4>
+                  <p>{provider.description}</p>
+                  {provider.bestFor && <p>Best for: {provider.bestFor}</p>}
+                  {provider.links.pricing && (
+                    <p>
+                      <a href={provider.links.pricing} target="_blank" rel="noreferrer">Pricing</a>
+                    </p>
+                  )}
+                </div>
+              ))}
             </div>
           </div>
           
@@ -474,6 +289,18 @@ const SettingsPage = () => {
           )}
         </Card>
         
+        <DataContextSettings />
+        
+        <RetrySettings />
+        
+        <QueueSettings />
+        
+        <CacheSettings />
+        
+        <ModelPricingSettings />
+        
+        <BudgetSettings />
+        
         <Card title="Local Storage Settings" className="settings-card">
           <div className="settings-section">
             <h3>Offline Mode</h3>
@@ -6,22 +6,76 @@
  * @param {Object} agent - The agent to execute
  * @param {Object} dataSource - The data source to analyze
  * @param {Object} options - Execution options
- * @param {Function} options.onProgress - Callback for progress updates
- * @param {Function} options.onLog - Callback for log messages
+ * @param {Function} options.onProgress - Callback for progress updates, called at each execution milestone
+ *   with { progress, stage, milestone, timestamp, startTime, elapsedMs }; while tokens stream it also
+ *   carries output, the model's text so far
+ * @param {Function} options.onLog - Callback for log messages; insights are logged as soon as they are complete
  * @param {boolean} options.useOpenAI - Whether to use AI providers (default: true if API key is set)
  * @param {string} options.apiKey - API key to use for this execution
- * @param {string} options.provider - Provider to use ('openai' or 'openrouter')
+ * @param {string} options.provider - ID of a registered AI provider (defaults to the one chosen in Settings)
  * @param {string} options.model - Model to use for this execution
+ * @param {number} options.temperature - Sampling temperature (default: 0.2)
+ * @param {number} options.maxTokens - Largest response in tokens (default: the provider's limit)
+ * @param {boolean} options.overrideModelSettings - Use provider, model, temperature and maxTokens from the
+ *   options even for agents (and collaborators) that have their own (see resolveModelSettings)
+ * @param {boolean} options.stream - Stream the model's output as it is generated (default: true)
  * @param {boolean} options.forceOffline - Force offline mode even if online is available
  * @param {Array} options.collaborators - List of collaborator agents for collaborative execution
- * @param {string} options.executionMode - How to execute collaborators ('sequential' or 'parallel')
+ * @param {string} options.executionMode - How to execute collaborators ('sequential', 'parallel' or 'workflow')
  * @param {boolean} options.synthesizeResults - Whether to combine results from collaborators
- * @returns {Promise<Object>} - The execution results
+ * @param {number} options.debateRounds - Rounds in which collaborators review each other's findings before
+ *   their results are combined (defaults to the agent's configuration.debateRounds)
+ * @param {AbortSignal} options.signal - Signal used to cancel the execution (see startExecution)
+ * @param {boolean} options.overrideBudget - Run even if the request would exceed a spending budget
+ * @param {string} options.analysisMode - 'map-reduce' analyzes every row in chunks instead of a sample
+ *   (defaults to the agent's configuration.analysisMode)
+ * @param {number} options.chunkSize - Rows per chunk in map-reduce mode (default: as many as fit the model's context)
+ * @param {number} options.chunkConcurrency - Chunks analyzed at the same time in map-reduce mode (default: 3)
+ * @param {Object} options.resumeFrom - Approval of a suspended collaborative or pipeline run ({ step, state, items }),
+ *   which continues from where it paused with the reviewed items (see approvalService)
+ * @returns {Promise<Object>} - The execution results, including the timestamped milestones and the
+ *   token usage and estimated cost (summed over collaborators for collaborative and pipeline agents)
  */
 
 import axios from 'axios';
-import openaiService from './openaiService';
-import openRouterService from './openRouterService';
+import {
+  generateAnalysis,
+  getProvider,
+  getProviderName,
+  getProviderConfig,
+  getDefaultProviderId,
+  isProviderConfigured
+} from './providerRegistry';
+import { buildAnalysisMessages } from './promptService';
+import { getSampleSize } from './contextBuilder';
+import { createDataTools } from './toolService';
+import { runQueued } from './executionQueue';
+import { isCacheEnabled, createCacheKey, getCachedEntry, recordCacheHit, cacheResponse } from './resultCache';
+import { dispatchAlert } from './notificationService';
+import { getOutputSchema, validateVisualization } from './outputSchema';
+import {
+  estimateRequestUsage,
+  checkBudget,
+  reserveBudget,
+  settleReservation,
+  releaseRunBudget,
+  isBudgetExceededError
+} from './budgetService';
+import { topologicalSort, getDependencies, sanitizeEdges } from '../utils/workflowUtils';
+import { createUsageRecord, sumUsage } from '../utils/costUtils';
+import { fingerprintData } from '../utils/cacheUtils';
+import { getRuleSet, evaluateRules, describeCondition } from '../utils/ruleUtils';
+import { routeCollaborators } from '../utils/routingUtils';
+import {
+  SYNTHESIS_STRATEGIES,
+  getInsightText,
+  mergeResults,
+  resolveStatistics,
+  describeConflict
+} from '../utils/synthesisUtils';
+import useExecutionStore from '../stores/executionStore';
+import useApprovalStore from '../stores/approvalStore';
+import useSettingsStore from '../stores/settingsStore';
 
 // API base URL
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
@@ -34,12 +88,553 @@ const apiClient = axios.create({
   }
 });
 
+/**
+ * Checks whether an error was caused by cancelling an execution
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for aborted fetches, cancelled axios requests and cancelled executions
+ */
+export const isCancellationError = (error) => {
+  return !!error && (axios.isCancel(error) || error.name === 'AbortError' || error.name === 'CanceledError');
+};
+
+// Error thrown inside an execution once it has been cancelled
+const createAbortError = () => Object.assign(new Error('Execution cancelled'), { name: 'AbortError' });
+
+/**
+ * Throws an AbortError if the execution signal has been aborted
+ * @param {AbortSignal} signal - Execution signal (optional)
+ */
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * Waits for the given time, rejecting early if the execution is cancelled
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} signal - Execution signal (optional)
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Creates the result returned by an execution that was cancelled
+ * @param {Object} agent - The agent that was executing
+ * @param {Object} dataSource - The data source it was analyzing
+ * @param {Object} extra - Additional fields (e.g. partial collaborator results)
+ * @returns {Object} - Cancelled execution result
+ */
+const createCancelledResult = (agent, dataSource, extra = {}) => ({
+  success: false,
+  cancelled: true,
+  status: 'cancelled',
+  agentId: agent.id,
+  dataSourceId: dataSource?.id,
+  error: 'Execution cancelled',
+  executedAt: new Date().toISOString(),
+  executionMethod: 'cancelled',
+  ...extra
+});
+
+/**
+ * Creates the result of an execution stopped because it would exceed a spending budget
+ * @param {Object} agent - The agent that was executed
+ * @param {Object} dataSource - The data source that was analyzed
+ * @param {Error} error - BudgetExceededError describing the budget
+ * @param {Object} extra - Additional result fields (e.g. collaboratorResults)
+ * @returns {Object} - Failed execution result with budgetExceeded set
+ */
+const createBudgetExceededResult = (agent, dataSource, error, extra = {}) => ({
+  success: false,
+  budgetExceeded: true,
+  budget: error.budget,
+  agentId: agent.id,
+  dataSourceId: dataSource?.id,
+  error: error.message,
+  executedAt: new Date().toISOString(),
+  executionMethod: 'budget-exceeded',
+  ...extra
+});
+
+/**
+ * Creates the result of an execution suspended at a pause-for-approval step
+ * The run is recorded as awaiting approval, and the state it resumes from (see resumeFrom) is saved in
+ * the approval store, so it survives page reloads until an analyst approves, edits or rejects the
+ * intermediate output.
+ * @param {Object} agent - The collaborative or pipeline agent
+ * @param {Object} dataSource - The data source being analyzed
+ * @param {Object} approval - { step: { type, label }, items: [{ agentId, name, summary, insights }], state }
+ * @param {Object} extra - Additional result fields (e.g. collaboratorResults, so the usage so far is recorded)
+ * @returns {Object} - Suspended execution result with awaitingApproval set
+ */
+const createAwaitingApprovalResult = (agent, dataSource, approval, extra = {}) => ({
+  success: false,
+  awaitingApproval: true,
+  approval: { ...approval, requestedAt: new Date().toISOString() },
+  agentId: agent.id,
+  dataSourceId: dataSource?.id,
+  error: `Waiting for approval ${approval.step.label}`,
+  executedAt: new Date().toISOString(),
+  executionMethod: 'awaiting-approval',
+  ...extra
+});
+
+/**
+ * Describes a collaborator's result for review at an approval step
+ * @param {Object} result - Collaborator or stage result
+ * @param {Object} collaborator - The agent that produced it
+ * @returns {Object} - { agentId, name, summary, insights } with insights as text
+ */
+const toApprovalItem = (result, collaborator) => ({
+  agentId: result.agentId || collaborator?.id,
+  name: collaborator?.name || result.agentId,
+  summary: result.summary || '',
+  insights: (result.insights || []).map(getInsightText)
+});
+
+/**
+ * Copies results for the state a paused run resumes from
+ * Transformed datasets are left out; a pipeline saves the data its next stage analyzes separately.
+ * @param {Array} results - Collaborator or stage results
+ * @returns {Array} - The results without transformedData
+ */
+const toResumeResults = (results) => results.map(result => {
+  if (!result?.transformedData) return result;
+  const saved = { ...result };
+  delete saved.transformedData;
+  return saved;
+});
+
+/**
+ * Applies the reviewer's edits to the results saved at an approval step
+ * @param {Array} results - Saved collaborator or stage results
+ * @param {Array} items - Reviewed items; those marked edited replace the summary and insights of their result
+ * @returns {Array} - The results, edited ones marked with editedInReview
+ */
+const applyApprovalEdits = (results, items = []) => results.map(result => {
+  const edit = items.find(item => item.edited && item.agentId === result?.agentId);
+  return edit ? { ...result, summary: edit.summary, insights: edit.insights, editedInReview: true } : result;
+});
+
+/**
+ * Starts an agent execution that can be cancelled
+ * The execution waits in the execution queue until a run slot is free (see executionQueue).
+ * Cancelling removes it from the queue, or aborts in-flight provider and API requests, stops
+ * polling, and prevents any further collaborators, pipeline stages or synthesis from starting.
+ * Every execution is recorded in the execution history, including its logs.
+ * @param {Object} agent - The agent to execute
+ * @param {Object} dataSource - The data source to analyze
+ * @param {Object} options - Execution options (same as executeAgent)
+ * @param {string} options.runId - History run to continue, e.g. when retrying with collaborator details
+ * @param {string} options.priority - Queue priority: 'high', 'normal' (default) or 'low'
+ * @returns {Object} - Execution handle: { id, promise, cancel, isCancelled }
+ */
+export const startExecution = (agent, dataSource, options = {}) => {
+  const controller = new AbortController();
+  const history = useExecutionStore.getState();
+  // The run is recorded and queued with the provider and model the agent will actually use
+  const modelSettings = resolveModelSettings(agent, options);
+  const id = options.runId && history.getRunById(options.runId)
+    ? options.runId
+    : history.startRun({ agent, dataSource, options: { ...options, ...modelSettings } });
+
+  // Cancelling a parent signal also cancels this execution
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    } else {
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  // Log lines are written to the history in batches rather than one by one
+  let pendingLogs = [];
+  let flushTimer = null;
+  const flushLogs = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    useExecutionStore.getState().appendLogs(id, pendingLogs);
+    pendingLogs = [];
+  };
+
+  const onLog = (message) => {
+    pendingLogs.push({ timestamp: new Date().toISOString(), message: String(message) });
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushLogs, 1000);
+    }
+    if (options.onLog) options.onLog(message);
+  };
+
+  const cancel = () => {
+    if (!controller.signal.aborted) {
+      onLog('Cancellation requested');
+      controller.abort();
+    }
+  };
+
+  const job = {
+    runId: id,
+    agentName: agent.name,
+    dataSourceName: dataSource.name,
+    provider: modelSettings.provider,
+    priority: options.priority
+  };
+  const promise = runQueued(job, () => {
+    useExecutionStore.getState().markRunStarted(id);
+    return executeAgent(agent, dataSource, { ...options, runId: id, onLog, signal: controller.signal });
+  }, {
+    signal: controller.signal,
+    cancel,
+    onWaiting: ahead => {
+      onLog(`Queued: ${ahead} execution${ahead === 1 ? '' : 's'} ahead`);
+      if (options.onProgress) options.onProgress({ progress: 0, stage: 'Waiting in queue' });
+    }
+  })
+    .catch(error => {
+      if (isCancellationError(error)) {
+        return createCancelledResult(agent, dataSource);
+      }
+      flushLogs();
+      useExecutionStore.getState().finishRun(id, { success: false, error: error.message });
+      useApprovalStore.getState().removeState(id);
+      releaseRunBudget(id);
+      throw error;
+    })
+    .then(results => {
+      flushLogs();
+      // The state a paused run resumes from is saved apart from the history; a run that can't be
+      // resumed fails rather than waiting for an approval that would lead nowhere
+      if (results?.awaitingApproval) {
+        try {
+          useApprovalStore.getState().saveState(id, results.approval.state);
+        } catch (error) {
+          console.error('Unable to save the approval state:', error);
+          useApprovalStore.getState().removeState(id);
+          onLog(`Unable to save the state to resume from: ${error.message}`);
+          flushLogs();
+          results = {
+            ...results,
+            awaitingApproval: false,
+            approval: null,
+            error: `The run paused ${results.approval.step.label}, but its state could not be saved: ${error.message}`
+          };
+        }
+      }
+      // A request for collaborator details isn't an outcome; the run continues when the caller retries
+      if (!results?.requiresCollaborators) {
+        useExecutionStore.getState().finishRun(id, results);
+      }
+      // Once the run has an outcome it won't be resumed again
+      if (!results?.awaitingApproval && !results?.requiresCollaborators) {
+        useApprovalStore.getState().removeState(id);
+      }
+      // A run suspended at an approval step waits for an analyst, who may not be watching the run
+      if (results?.awaitingApproval) {
+        dispatchAlert(['in-app'], {
+          title: `${agent.name} is waiting for approval`,
+          message: `Review the results ${results.approval.step.label} on ${dataSource.name} to continue the run.`,
+          agentId: agent.id,
+          agentName: agent.name,
+          dataSourceName: dataSource.name,
+          runId: id
+        });
+      }
+      // The run's usage is in the history now, so it no longer counts as pending
+      releaseRunBudget(id);
+      return { ...results, runId: id };
+    });
+
+  return {
+    id,
+    promise,
+    cancel,
+    isCancelled: () => controller.signal.aborted
+  };
+};
+
+/**
+ * Builds the usage record for a provider response, priced with the table from Settings
+ * @param {string} provider - Provider ID
+ * @param {Object} response - Provider response ({ model, usage })
+ * @returns {Object} - Usage record with token counts and estimated cost
+ */
+const createResponseUsage = (provider, response) => {
+  return createUsageRecord({
+    provider,
+    model: response.model,
+    usage: response.usage,
+    pricing: useSettingsStore.getState().modelPricing
+  });
+};
+
+/**
+ * Adds up the usage of every collaborator (and the synthesis request) of a collaborative run
+ * @param {Object} results - Collaborative or pipeline execution results
+ * @returns {Object} - The results with the summed usage
+ */
+const rollUpUsage = (results) => {
+  if (!results?.collaboratorResults) return results;
+
+  const usage = sumUsage([
+    ...results.collaboratorResults.map(r => r?.usage),
+    results.synthesisMetadata?.usage,
+    results.synthesisMetadata?.criticUsage
+  ]);
+  return usage ? { ...results, usage } : results;
+};
+
+/**
+ * Resolves the provider, model, API key, temperature and response limit an agent runs with
+ * An agent's own settings (configuration.provider, model, temperature and maxTokens) win over the
+ * execution options unless the options set overrideModelSettings. Settings the agent leaves open come
+ * from the options (for collaborators, the settings of the agent running them) and then from Settings.
+ * @param {Object} agent - The agent to execute
+ * @param {Object} options - Execution options (provider, model, apiKey, temperature, maxTokens, overrideModelSettings)
+ * @returns {Object} - { provider, model, apiKey, temperature, maxTokens }; an undefined model or apiKey
+ *   means the provider's saved settings apply (see getProviderConfig) and an undefined maxTokens the
+ *   provider's default limit
+ */
+export const resolveModelSettings = (agent, options = {}) => {
+  const own = options.overrideModelSettings ? {} : (agent?.configuration || {});
+  const provider = own.provider || options.provider || getDefaultProviderId();
+  // A model or API key chosen for another provider doesn't carry over
+  const sameProvider = !options.provider || options.provider === provider;
+  const temperature = parseFloat(own.temperature ?? options.temperature);
+  const maxTokens = parseInt(own.maxTokens ?? options.maxTokens, 10);
+
+  return {
+    provider,
+    model: own.model || (sameProvider ? options.model : undefined) || undefined,
+    apiKey: sameProvider ? options.apiKey : undefined,
+    temperature: Number.isFinite(temperature) ? temperature : 0.2,
+    maxTokens: maxTokens > 0 ? maxTokens : undefined
+  };
+};
+
+/**
+ * Checks that a collaborative or pipeline run fits the spending budgets before any collaborator starts
+ * Each collaborator's request is estimated from the data it will receive; every request is
+ * checked again when it is sent (see reserveBudget), including the synthesis request.
+ * @param {Object} agent - The collaborative or pipeline agent
+ * @param {Object} dataSource - The data source to analyze
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Object} options - Execution options (provider, model, overrideBudget, onLog)
+ * @returns {Object|null} - Failed result if a budget would be exceeded, otherwise null
+ */
+const checkRunBudget = (agent, dataSource, collaborators, options = {}) => {
+  if (options.overrideBudget) return null;
+
+  // Each collaborator is estimated with its own model settings
+  const parentSettings = resolveModelSettings(agent, options);
+  const estimates = collaborators.map(collaborator => {
+    const { provider, model: ownModel, maxTokens } = resolveModelSettings(collaborator, { ...options, ...parentSettings });
+    const model = getProviderConfig(provider, { model: ownModel }).model || getProvider(provider)?.defaultModel;
+    return estimateRequestUsage(
+      buildAnalysisMessages(dataSource.data, dataSource.columns, collaborator.type || 'analyzer', { model }),
+      model,
+      maxTokens
+    );
+  });
+  // Every debate round sends each collaborator's request again
+  const passes = 1 + getDebateRounds(agent, options);
+  const estimate = sumUsage(Array.from({ length: passes }, () => estimates).flat());
+
+  try {
+    checkBudget([agent], estimate);
+    return null;
+  } catch (error) {
+    if (!isBudgetExceededError(error)) throw error;
+    if (options.onLog) options.onLog(`Execution stopped before starting collaborators: ${error.message}`);
+    return createBudgetExceededResult(agent, dataSource, error);
+  }
+};
+
+// How a collaborative run treats failed collaborators (configuration.failurePolicy)
+const FAILURE_POLICIES = ['best-effort', 'fail-fast', 'quorum'];
+
+/**
+ * Reads the failure policy of a collaborative agent
+ * best-effort: every collaborator runs, and the run succeeds if at least one of them did
+ * fail-fast: the first failure stops the remaining collaborators and fails the run
+ * quorum: the run needs configuration.minSuccesses successful collaborators
+ * @param {Object} agent - The collaborative agent
+ * @param {number} collaboratorCount - Number of collaborators
+ * @returns {Object} - { policy, minSuccesses }
+ */
+const getFailurePolicy = (agent, collaboratorCount) => {
+  const configured = agent.configuration?.failurePolicy;
+  const policy = FAILURE_POLICIES.includes(configured) ? configured : 'best-effort';
+
+  if (policy === 'fail-fast') return { policy, minSuccesses: collaboratorCount };
+  if (policy === 'best-effort') return { policy, minSuccesses: 1 };
+
+  const requested = parseInt(agent.configuration?.minSuccesses, 10);
+  return { policy, minSuccesses: Math.min(collaboratorCount, Math.max(1, requested || 1)) };
+};
+
+/**
+ * Describes a failure policy for logs and run details
+ * @param {Object} failurePolicy - { policy, minSuccesses }
+ * @param {number} collaboratorCount - Number of collaborators
+ * @returns {string} - e.g. "quorum (2 of 3 must succeed)"
+ */
+const describeFailurePolicy = ({ policy, minSuccesses }, collaboratorCount) => {
+  return policy === 'quorum' ? `quorum (${minSuccesses} of ${collaboratorCount} must succeed)` : policy;
+};
+
+/**
+ * Tracks collaborator outcomes against a failure policy
+ * Once the policy can no longer be met, the returned signal is aborted: collaborators still
+ * running are cancelled and those not started yet are skipped. Cancelling the execution
+ * aborts the signal too.
+ * @param {Object} failurePolicy - { policy, minSuccesses }
+ * @param {number} collaboratorCount - Number of collaborators
+ * @param {Object} options - { signal, onLog } from the execution
+ * @returns {Object} - { signal, record(collaborator, result), getStopReason() }
+ */
+const createFailureTracker = (failurePolicy, collaboratorCount, { signal, onLog } = {}) => {
+  const controller = new AbortController();
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+
+  let failures = 0;
+  let stopReason = null;
+
+  const record = (collaborator, result) => {
+    if (!result || result.success !== false || result.cancelled) return;
+
+    failures += 1;
+    if (stopReason || failurePolicy.policy === 'best-effort') return;
+
+    if (collaboratorCount - failures < failurePolicy.minSuccesses) {
+      stopReason = failurePolicy.policy === 'fail-fast'
+        ? `${collaborator.name} failed`
+        : `${collaborator.name} failed and ${failurePolicy.minSuccesses} successes can no longer be reached`;
+      if (onLog) onLog(`Stopping the remaining collaborators (${failurePolicy.policy}): ${stopReason}`);
+      controller.abort();
+    }
+  };
+
+  return { signal: controller.signal, record, getStopReason: () => stopReason };
+};
+
+/**
+ * Executes one collaborator, turning any error it throws into a failed result
+ * so that one collaborator failing never loses the results of the others
+ * @param {Object} collaborator - Collaborator agent
+ * @param {Object} dataSource - The data source to analyze
+ * @param {Object} options - Execution options for the collaborator
+ * @returns {Promise<Object>} - The collaborator's result
+ */
+const runCollaborator = async (collaborator, dataSource, options = {}) => {
+  const { onProgress, onLog } = options;
+
+  try {
+    const result = await executeAgent(collaborator, dataSource, {
+      ...options,
+      // Progress and log lines are tagged with the collaborator they come from
+      onProgress: progressData => {
+        if (onProgress) {
+          onProgress({ ...progressData, agentId: collaborator.id, collaborativeExecution: true });
+        }
+      },
+      onLog: message => {
+        if (onLog) onLog(`[${collaborator.name}] ${message}`);
+      },
+      isCollaborator: true,
+      // Ensure same API key is used for all collaborators
+      apiKey: options.apiKey
+    });
+    return { ...result, agentId: result?.agentId || collaborator.id };
+  } catch (error) {
+    if (isCancellationError(error)) {
+      return createCancelledResult(collaborator, dataSource);
+    }
+    if (onLog) onLog(`Error executing ${collaborator.name}: ${error.message}`);
+    return {
+      success: false,
+      agentId: collaborator.id,
+      dataSourceId: dataSource.id,
+      error: error.message,
+      executedAt: new Date().toISOString(),
+      executionMethod: 'error'
+    };
+  }
+};
+
+/**
+ * Fills in the collaborators a failure policy stopped, in collaborator order
+ * Collaborators that were cancelled or never started get a failed result saying why.
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Array} results - Results of the collaborators that ran
+ * @param {Object} dataSource - The data source that was analyzed
+ * @param {string} reason - Why the remaining collaborators were stopped
+ * @returns {Array} - One result per collaborator
+ */
+const completeStoppedResults = (collaborators, results, dataSource, reason) => {
+  return collaborators.map(collaborator => {
+    const result = results.find(r => r?.agentId === collaborator.id);
+    if (result && !result.cancelled) return result;
+
+    return {
+      success: false,
+      stopped: true,
+      agentId: collaborator.id,
+      dataSourceId: dataSource.id,
+      error: `Stopped before finishing because ${reason}`,
+      executedAt: new Date().toISOString(),
+      executionMethod: 'stopped'
+    };
+  });
+};
+
+/**
+ * Lists the collaborators that failed, for the results and the report
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Array} results - Collaborator results
+ * @returns {Array} - [{ agentId, name, type, error, executionMethod }]
+ */
+const listFailedCollaborators = (collaborators, results) => {
+  return results
+    .filter(r => r && r.success === false)
+    .map(r => {
+      const collaborator = collaborators.find(c => c.id === r.agentId);
+      return {
+        agentId: r.agentId,
+        name: collaborator?.name || r.agentId,
+        type: collaborator?.type || null,
+        error: r.error || 'Unknown error',
+        executionMethod: r.executionMethod || null
+      };
+    });
+};
+
 /**
  * Executes a collaborative agent by coordinating multiple sub-agents
+ * A failing collaborator never loses the results of the others; whether the run fails is
+ * decided by the agent's failure policy (see getFailurePolicy).
  * @param {Object} agent - The collaborative agent to execute
  * @param {Object} dataSource - The data source to analyze
- * @param {Array} collaborators - List of collaborator agents
- * @param {Object} options - Other execution options
+ * @param {Array} collaborators - Collaborator agents chosen by the routing rules
+ * @param {Object} options - Other execution options; skippedCollaborators lists those the routing left out
  * @returns {Promise<Object>} - The combined execution results
  */
 export const executeCollaborativeAgent = async (agent, dataSource, collaborators, options = {}) => {
@@ -71,9 +666,24 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
     }
   });
   
-  const { onProgress, onLog } = options;
+  const { onLog } = options;
   const executionMode = agent.configuration?.executionMode || 'sequential';
   const synthesizeResults = agent.configuration?.synthesizeResults !== false;
+  const synthesisStrategy = getSynthesisStrategy(agent, options);
+  const debateRounds = getDebateRounds(agent, options);
+  const failurePolicy = getFailurePolicy(agent, collaborators.length);
+  
+  // A run resumed after approval combines the reviewed results saved when it paused
+  const resume = options.resumeFrom?.state?.type === 'collaborative' ? options.resumeFrom : null;
+  if (resume) {
+    if (onLog) onLog(`Resuming ${agent.name} after approval: combining the reviewed collaborator results`);
+    // The collaborators finished before the run paused
+    if (options.onProgress) {
+      options.onProgress({ stage: 'Resuming after approval', resumed: true, collaborativeExecution: true });
+    }
+    return combineCollaborativeResults(agent, dataSource, collaborators,
+      applyApprovalEdits(resume.state.latestResults, resume.items), resume.state.policyFields, options);
+  }
   
   // Determine execution mode (online/offline) for all collaborators
   const isOfflineMode = options.forceOffline || localStorage.getItem('offline_mode') === 'true';
@@ -84,114 +694,190 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
     onLog(`Starting collaborative execution of ${agent.name}`);
     onLog(`Execution mode: ${executionMode}`);
     onLog(`Online/Offline mode: ${isOfflineMode ? 'offline' : 'online'}`);
-    onLog(`Synthesize results: ${synthesizeResults ? 'Yes' : 'No'}`);
+    onLog(`Synthesize results: ${synthesizeResults ? `Yes (${synthesisStrategy.name})` : 'No'}`);
+    onLog(`Debate rounds: ${debateRounds || 'None'}`);
+    onLog(`Failure policy: ${describeFailurePolicy(failurePolicy, collaborators.length)}`);
     onLog(`Collaborators: ${collaborators.map(c => c.name).join(', ')}`);
     onLog(`Data source: ${dataSource.name} (${dataSource.data?.length || 0} rows)`);
   }
   
+  // Collaborators run with the tracker's signal, so a failure policy can stop them
+  const tracker = createFailureTracker(failurePolicy, collaborators.length, options);
+  const collaboratorOptions = {
+    ...options,
+    signal: tracker.signal,
+    parentExecutionMode: isOfflineMode ? 'offline' : 'online'
+  };
   let collaboratorResults = [];
   
   // Execute collaborators based on execution mode
-  if (executionMode === 'parallel') {
-    // Execute all collaborators in parallel
-    if (onLog) onLog('Executing all collaborator agents in parallel');
-    
+  if (executionMode === 'workflow') {
+    if (onLog) onLog('Executing collaborator agents as a workflow graph');
+
     try {
-      // Map each collaborator to an execution promise
-      const executionPromises = collaborators.map(collaborator => {
-        // Create a progress handler that includes the agent ID
-        const progressHandler = progressData => {
-          if (onProgress) {
-            onProgress({
-              ...progressData,
-              agentId: collaborator.id, // Include the agent ID for tracking
-              collaborativeExecution: true
-            });
-          }
-        };
-        
-        // Create a log handler that prefixes messages with agent name
-        const logHandler = message => {
-          if (onLog) {
-            onLog(`[${collaborator.name}] ${message}`);
-          }
-        };
-        
-        // Execute the collaborator with the same data source and execution mode
-        return executeAgent(collaborator, dataSource, {
-          ...options,
-          onProgress: progressHandler,
-          onLog: logHandler,
-          isCollaborator: true,
-          parentExecutionMode: isOfflineMode ? 'offline' : 'online',
-          // Ensure same API key is used for all collaborators
-          apiKey: options.apiKey
-        });
-      });
-      
-      // Wait for all collaborators to complete
-      collaboratorResults = await Promise.all(executionPromises);
-      
+      collaboratorResults = await executeWorkflowGraph(
+        collaborators,
+        agent.configuration?.workflow?.edges || [],
+        dataSource,
+        collaboratorOptions,
+        tracker.record
+      );
     } catch (error) {
-      if (onLog) onLog(`Error executing collaborators in parallel: ${error.message}`);
+      if (onLog) onLog(`Error executing workflow graph: ${error.message}`);
       throw error;
     }
+  } else if (executionMode === 'parallel') {
+    // Execute all collaborators in parallel; each one settles on its own
+    if (onLog) onLog('Executing all collaborator agents in parallel');
+    
+    collaboratorResults = await Promise.all(collaborators.map(async collaborator => {
+      const result = await runCollaborator(collaborator, dataSource, collaboratorOptions);
+      tracker.record(collaborator, result);
+      return result;
+    }));
   } else {
     // Sequential execution - execute collaborators one at a time
     if (onLog) onLog('Executing collaborator agents sequentially');
     
-    try {
-      for (let i = 0; i < collaborators.length; i++) {
-        const collaborator = collaborators[i];
-        
-        if (onLog) onLog(`Executing collaborator ${i+1}/${collaborators.length}: ${collaborator.name}`);
-        
-        // Create a progress handler that includes the agent ID
-        const progressHandler = progressData => {
-          if (onProgress) {
-            onProgress({
-              ...progressData,
-              agentId: collaborator.id,
-              collaborativeExecution: true
-            });
-          }
-        };
-        
-        // Create a log handler that prefixes messages with agent name
-        const logHandler = message => {
-          if (onLog) {
-            onLog(`[${collaborator.name}] ${message}`);
-          }
-        };
-        
-        // Execute the collaborator - pass parent execution mode
-        const result = await executeAgent(collaborator, dataSource, {
-          ...options,
-          onProgress: progressHandler,
-          onLog: logHandler,
-          isCollaborator: true,
-          parentExecutionMode: isOfflineMode ? 'offline' : 'online',
-          // Ensure same API key is used for all collaborators
-          apiKey: options.apiKey
-        });
-        
-        collaboratorResults.push(result);
-      }
-    } catch (error) {
-      if (onLog) onLog(`Error executing collaborators sequentially: ${error.message}`);
-      throw error;
+    for (let i = 0; i < collaborators.length; i++) {
+      const collaborator = collaborators[i];
+      
+      if (tracker.signal.aborted) break;
+      
+      if (onLog) onLog(`Executing collaborator ${i+1}/${collaborators.length}: ${collaborator.name}`);
+      
+      const result = await runCollaborator(collaborator, dataSource, collaboratorOptions);
+      tracker.record(collaborator, result);
+      collaboratorResults.push(result);
+      
+      // Later collaborators would exceed the same budget
+      if (result?.budgetExceeded) break;
+    }
+  }
+  
+  // Remaining collaborators and synthesis are skipped once the execution is cancelled
+  if (options.signal?.aborted) {
+    if (onLog) onLog('Execution cancelled; skipping synthesis');
+    return createCancelledResult(agent, dataSource, { collaboratorResults });
+  }
+  
+  // A collaborator stopped by a budget fails the whole run, before the synthesis request is paid for
+  const budgetFailure = collaboratorResults.find(r => r?.budgetExceeded);
+  if (budgetFailure) {
+    if (onLog) onLog(`Stopping collaborative execution: ${budgetFailure.error}`);
+    return createBudgetExceededResult(agent, dataSource,
+      { message: budgetFailure.error, budget: budgetFailure.budget }, { collaboratorResults });
+  }
+  
+  // Collaborators stopped by the failure policy are reported as failed, not cancelled
+  const stopReason = tracker.getStopReason();
+  if (stopReason) {
+    collaboratorResults = completeStoppedResults(collaborators, collaboratorResults, dataSource, stopReason);
+  }
+  
+  const failedCollaborators = listFailedCollaborators(collaborators, collaboratorResults);
+  const successCount = collaboratorResults.length - failedCollaborators.length;
+  failedCollaborators.forEach(failed => {
+    if (onLog) onLog(`Collaborator ${failed.name} failed: ${failed.error}`);
+  });
+  
+  const policyFields = {
+    collaboratorResults,
+    failedCollaborators,
+    skippedCollaborators: options.skippedCollaborators || [],
+    failurePolicy: { ...failurePolicy, description: describeFailurePolicy(failurePolicy, collaborators.length) }
+  };
+  
+  if (successCount < failurePolicy.minSuccesses) {
+    const firstFailure = failedCollaborators.find(f => f.executionMethod !== 'stopped') || failedCollaborators[0];
+    const error = failurePolicy.policy === 'fail-fast'
+      ? `Collaborator ${firstFailure.name} failed: ${firstFailure.error}`
+      : `Only ${successCount} of ${collaborators.length} collaborators succeeded; at least ${failurePolicy.minSuccesses} must succeed`;
+    if (onLog) onLog(`Collaborative execution failed: ${error}`);
+    return {
+      success: false,
+      agentId: agent.id,
+      dataSourceId: dataSource.id,
+      error,
+      ...policyFields,
+      executedAt: new Date().toISOString(),
+      executionMethod: 'error'
+    };
+  }
+  
+  // Collaborators review each other's findings; the latest result of each one is combined
+  let latestResults = collaboratorResults;
+  if (debateRounds > 0) {
+    const debate = await runDebateRounds(collaborators, collaboratorResults, dataSource, debateRounds,
+      { ...collaboratorOptions, executionMode }, createCombineProgress(agent, options).report);
+    latestResults = debate.latestResults;
+    // Every round's results are kept, tagged with the round they come from (0 is the first analysis)
+    policyFields.collaboratorResults = [
+      ...collaboratorResults.map(r => ({ ...r, debateRound: 0 })),
+      ...debate.roundResults
+    ];
+    policyFields.debate = debate.summary;
+
+    if (options.signal?.aborted) {
+      if (onLog) onLog('Execution cancelled during the debate; skipping synthesis');
+      return createCancelledResult(agent, dataSource, { collaboratorResults: policyFields.collaboratorResults });
+    }
+    const debateBudgetFailure = debate.roundResults.find(r => r.budgetExceeded);
+    if (debateBudgetFailure) {
+      if (onLog) onLog(`Stopping collaborative execution: ${debateBudgetFailure.error}`);
+      return createBudgetExceededResult(agent, dataSource,
+        { message: debateBudgetFailure.error, budget: debateBudgetFailure.budget },
+        { collaboratorResults: policyFields.collaboratorResults });
     }
   }
   
+  // A pause-for-approval step suspends the run until an analyst reviews the collaborators' results
+  if (agent.configuration?.approveBeforeSynthesis) {
+    if (onLog) onLog('Pausing for approval before the collaborators\' results are combined');
+    return createAwaitingApprovalResult(agent, dataSource, {
+      step: { type: 'before-synthesis', label: 'before the results are combined' },
+      items: latestResults
+        .filter(r => r && r.success !== false)
+        .map(r => toApprovalItem(r, collaborators.find(c => c.id === r.agentId))),
+      state: {
+        type: 'collaborative',
+        latestResults: toResumeResults(latestResults),
+        policyFields: { ...policyFields, collaboratorResults: toResumeResults(policyFields.collaboratorResults) }
+      }
+    }, { collaboratorResults: policyFields.collaboratorResults });
+  }
+  
+  return combineCollaborativeResults(agent, dataSource, collaborators, latestResults, policyFields, options);
+};
+
+/**
+ * Combines the latest collaborator results of a collaborative run into its final result
+ * With synthesis on, the agent's synthesis strategy combines them; otherwise the raw results are returned.
+ * @param {Object} agent - The collaborative agent
+ * @param {Object} dataSource - The data source analyzed
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Array} latestResults - Each collaborator's latest result (after any debate rounds)
+ * @param {Object} policyFields - collaboratorResults, failed and skipped collaborators and the failure policy
+ * @param {Object} options - Execution options
+ * @returns {Promise<Object>} - The combined execution results
+ */
+const combineCollaborativeResults = async (agent, dataSource, collaborators, latestResults, policyFields, options = {}) => {
+  const { onLog } = options;
+  const synthesizeResults = agent.configuration?.synthesizeResults !== false;
+  const synthesisStrategy = getSynthesisStrategy(agent, options);
+  const { collaboratorResults } = policyFields;
+  const progress = createCombineProgress(agent, options);
+  
   // Synthesize results if enabled
   if (synthesizeResults) {
     if (onLog) onLog('Synthesizing results from all collaborators');
+    progress.report(`Synthesizing results (${synthesisStrategy.name})`, progress.debateSteps);
     
     try {
       // Validate that we have full results from all collaborators
-      const validResults = collaboratorResults.filter(r => r && r.success !== false);
-      if (validResults.length < collaboratorResults.length) {
-        if (onLog) onLog(`Warning: Only ${validResults.length} of ${collaboratorResults.length} collaborators returned valid results`);
+      const validResults = latestResults.filter(r => r && r.success !== false);
+      if (validResults.length < latestResults.length) {
+        if (onLog) onLog(`Warning: Only ${validResults.length} of ${latestResults.length} collaborators returned valid results`);
       }
       
       if (validResults.length === 0) {
@@ -205,21 +891,35 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
         ).join(' | ')}`);
       }
       
-      const synthesizedResult = await synthesizeCollaboratorResults(
-        agent, 
-        validResults, // Only use valid results
-        options
-      );
+      // Collaborators are named in prompts, merged summaries and conflicts
+      const labeledResults = validResults.map(r => ({
+        ...r,
+        label: r.label || collaborators.find(c => c.id === r.agentId)?.name || r.agentId
+      }));
+      
+      const synthesizedResult = await applySynthesisStrategy(agent, labeledResults, synthesisStrategy, options,
+        stepsDone => progress.report('Reviewing the synthesis for contradictions', progress.debateSteps + stepsDone));
+      progress.report('Results combined', progress.totalSteps);
       
       // Add success flag explicitly
       return {
         success: true,
         ...synthesizedResult,
-        collaboratorResults: validResults,
+        ...policyFields,
         executedAt: new Date().toISOString(),
         executionMethod: 'collaborative'
       };
     } catch (error) {
+      if (isCancellationError(error)) {
+        if (onLog) onLog('Execution cancelled during synthesis');
+        return createCancelledResult(agent, dataSource, { collaboratorResults });
+      }
+      
+      if (isBudgetExceededError(error)) {
+        if (onLog) onLog(`Skipping synthesis: ${error.message}`);
+        return createBudgetExceededResult(agent, dataSource, error, { collaboratorResults });
+      }
+      
       if (onLog) onLog(`Error synthesizing results: ${error.message}`);
       
       // Try to create a minimal valid result from collaborator pieces
@@ -227,17 +927,17 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
         if (onLog) onLog('Attempting to create basic result from collaborator fragments');
         
         // Get any insights we can
-        const allInsights = collaboratorResults
+        const allInsights = latestResults
           .filter(r => r && Array.isArray(r.insights))
           .flatMap(r => r.insights);
           
         // Get any visualizations we can
-        const allVisualizations = collaboratorResults
+        const allVisualizations = latestResults
           .filter(r => r && Array.isArray(r.visualizations))
           .flatMap(r => r.visualizations);
           
         // Get any summary we can
-        const summaries = collaboratorResults
+        const summaries = latestResults
           .filter(r => r && r.summary)
           .map(r => r.summary);
           
@@ -250,7 +950,7 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
             : '# Analysis Complete\n\nThe collaborative agent has completed its analysis.',
           insights: allInsights.length > 0 ? allInsights : ['Analysis completed successfully'],
           visualizations: allVisualizations,
-          collaboratorResults,
+          ...policyFields,
           synthesisError: error.message,
           executedAt: new Date().toISOString(),
           executionMethod: 'collaborative-fallback'
@@ -265,7 +965,7 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
         return {
           success: false,
           error: `Failed to synthesize results: ${error.message}`,
-          collaboratorResults,
+          ...policyFields,
           executedAt: new Date().toISOString(),
           executionMethod: 'error',
           synthesisError: error.message
@@ -277,8 +977,8 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
     if (onLog) onLog('Returning raw collaborator results (no synthesis)');
     
     // Validate results first
-    const validResults = collaboratorResults.filter(r => r && r.success !== false);
-    if (validResults.length < collaboratorResults.length) {
+    const validResults = latestResults.filter(r => r && r.success !== false);
+    if (validResults.length < latestResults.length) {
       if (onLog) onLog(`Warning: Only ${validResults.length} of ${collaborators.length} collaborators returned valid results`);
     }
     
@@ -305,13 +1005,518 @@ export const executeCollaborativeAgent = async (agent, dataSource, collaborators
       summary: `Results from ${validResults.length} of ${collaborators.length} collaborator agents`,
       insights: allInsights.slice(0, 10),
       visualizations: allVisualizations,
-      collaboratorResults: validResults,
+      ...policyFields,
       executedAt: new Date().toISOString(),
       executionMethod: 'collaborative'
     };
   }
 };
 
+// Upper limit of configuration.debateRounds; every round repeats each collaborator's request
+const MAX_DEBATE_ROUNDS = 3;
+
+/**
+ * Reports how far a collaborative run is through its debate rounds and synthesis
+ * Each debate round and each synthesis request is one step; events carry synthesisProgress (0-100 over
+ * all steps) and are sent as the requests finish.
+ * @param {Object} agent - The collaborative agent
+ * @param {Object} options - Execution options (onProgress)
+ * @returns {Object} - { report(stage, stepsDone), debateSteps, totalSteps }
+ */
+const createCombineProgress = (agent, options = {}) => {
+  const debateSteps = getDebateRounds(agent, options);
+  const synthesisSteps = agent.configuration?.synthesizeResults === false
+    ? 0
+    : (getSynthesisStrategy(agent, options).id === 'critic' ? 2 : 1);
+  const totalSteps = debateSteps + synthesisSteps;
+
+  const report = (stage, stepsDone) => {
+    if (!options.onProgress || totalSteps === 0 || options.signal?.aborted) return;
+    options.onProgress({
+      stage,
+      synthesisProgress: Math.round(Math.min(1, stepsDone / totalSteps) * 100),
+      collaborativeExecution: true
+    });
+  };
+
+  return { report, debateSteps, totalSteps };
+};
+
+/**
+ * Reads how many debate rounds a collaborative agent runs
+ * @param {Object} agent - The collaborative agent
+ * @param {Object} options - Execution options; debateRounds overrides the agent's configuration
+ * @returns {number} - Rounds from 0 (no debate) to MAX_DEBATE_ROUNDS; always 0 for pipelines
+ */
+const getDebateRounds = (agent, options = {}) => {
+  if (agent.type === 'pipeline') return 0;
+  const rounds = parseInt(options.debateRounds ?? agent.configuration?.debateRounds, 10);
+  return Number.isFinite(rounds) ? Math.min(MAX_DEBATE_ROUNDS, Math.max(0, rounds)) : 0;
+};
+
+/**
+ * Runs debate rounds between the collaborators that succeeded
+ * In each round every collaborator analyzes the data again with its own findings and those of the
+ * others from the round before, and revises, challenges or confirms them. Rounds analyze a sample
+ * (with data tools where the provider has them) even for map-reduce collaborators. A collaborator
+ * that fails in a round keeps its findings from the round before.
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Array} results - Results of the first analysis
+ * @param {Object} dataSource - The data source to analyze
+ * @param {number} rounds - Debate rounds to run
+ * @param {Object} options - Collaborator execution options plus executionMode
+ * @param {Function} reportProgress - (stage, roundsDone) called as rounds and the requests in them finish
+ * @returns {Promise<Object>} - { roundResults, latestResults, summary } where roundResults are tagged with
+ *   debateRound, latestResults hold each collaborator's latest successful result in the order of results,
+ *   and summary is { rounds, participants, transcript } for the report
+ */
+const runDebateRounds = async (collaborators, results, dataSource, rounds, options = {}, reportProgress = () => {}) => {
+  const { onLog } = options;
+  const latest = Object.fromEntries(results.filter(r => r && r.success !== false).map(r => [r.agentId, r]));
+  const participants = collaborators.filter(c => latest[c.id]);
+  const roundResults = [];
+  // What each collaborator reported in each round, for the report
+  const toTranscriptEntry = (result, round) => ({
+    round,
+    agentId: result.agentId,
+    name: collaborators.find(c => c.id === result.agentId)?.name || result.agentId,
+    success: result.success !== false,
+    insights: (result.insights || []).map(getInsightText),
+    error: result.error || null
+  });
+  const transcript = results.map(r => toTranscriptEntry(r, 0));
+
+  if (participants.length < 2) {
+    if (onLog) onLog('Skipping the debate: fewer than two collaborators succeeded');
+    return { roundResults, latestResults: results, summary: { rounds: 0, participants: [], transcript } };
+  }
+
+  const toFindings = (collaborator) => ({
+    agentName: collaborator.name,
+    agentType: collaborator.type,
+    summary: latest[collaborator.id].summary || '',
+    insights: (latest[collaborator.id].insights || []).map(getInsightText),
+    statistics: latest[collaborator.id].statistics || {}
+  });
+
+  let completedRounds = 0;
+  for (let round = 1; round <= rounds; round++) {
+    if (options.signal?.aborted) break;
+    if (onLog) onLog(`Debate round ${round}/${rounds}: ${participants.map(c => c.name).join(', ')} review each other's findings`);
+    reportProgress(`Debate round ${round}/${rounds}`, round - 1);
+    let reviewed = 0;
+
+    // Every collaborator sees the findings of the round before, whatever order they run in
+    const findings = Object.fromEntries(participants.map(c => [c.id, toFindings(c)]));
+    const debateCollaborator = async (collaborator) => {
+      const result = await runCollaborator(collaborator, dataSource, {
+        ...options,
+        // Tagged so the progress view doesn't mistake a round for the collaborator's first analysis
+        onProgress: options.onProgress && (progressData => options.onProgress({ ...progressData, debateRound: round })),
+        pipelineContext: null,
+        analysisMode: 'sample',
+        debateContext: {
+          round,
+          rounds,
+          own: findings[collaborator.id],
+          peers: participants.filter(c => c.id !== collaborator.id).map(c => findings[c.id])
+        }
+      });
+      reviewed += 1;
+      reportProgress(`Debate round ${round}/${rounds}: ${reviewed} of ${participants.length} reviewed`,
+        round - 1 + reviewed / participants.length);
+      return { ...result, debateRound: round };
+    };
+
+    let settled = [];
+    if (options.executionMode === 'parallel') {
+      settled = await Promise.all(participants.map(debateCollaborator));
+    } else {
+      for (const collaborator of participants) {
+        if (options.signal?.aborted) break;
+        const result = await debateCollaborator(collaborator);
+        settled.push(result);
+        if (result.budgetExceeded) break;
+      }
+    }
+
+    settled.forEach(result => {
+      const collaborator = participants.find(c => c.id === result.agentId);
+      roundResults.push(result);
+      transcript.push(toTranscriptEntry(result, round));
+      if (result.success !== false) {
+        latest[result.agentId] = result;
+      } else if (!result.cancelled && onLog) {
+        onLog(`${collaborator.name} failed in debate round ${round}, keeping its previous findings: ${result.error}`);
+      }
+    });
+
+    if (options.signal?.aborted || settled.some(r => r.budgetExceeded)) break;
+    completedRounds = round;
+  }
+
+  if (onLog) onLog(`Debate finished after ${completedRounds} of ${rounds} round${rounds === 1 ? '' : 's'}`);
+  return {
+    roundResults,
+    latestResults: results.map(r => latest[r.agentId] || r),
+    summary: { rounds: completedRounds, participants: participants.map(c => c.name), transcript }
+  };
+};
+
+/**
+ * Reads how a collaborative agent combines its collaborators' results
+ * @param {Object} agent - The collaborative agent
+ * @param {Object} options - Execution options; synthesisStrategy overrides the agent's configuration
+ * @returns {Object} - Strategy from SYNTHESIS_STRATEGIES (the AI summary unless another one is chosen)
+ */
+const getSynthesisStrategy = (agent, options = {}) => {
+  const id = options.synthesisStrategy || agent.configuration?.synthesisStrategy;
+  return SYNTHESIS_STRATEGIES.find(strategy => strategy.id === id) || SYNTHESIS_STRATEGIES[0];
+};
+
+/**
+ * Combines collaborator results with a synthesis strategy
+ * Merge and consensus vote work without a request. The AI summary (and the critic pass after it)
+ * use the collaborative agent's provider; their statistics keep the last value reported for each key.
+ * Every strategy lists the statistics the collaborators disagree on.
+ * @param {Object} agent - The collaborative agent
+ * @param {Array} results - Successful collaborator results, with a label each
+ * @param {Object} strategy - Strategy from SYNTHESIS_STRATEGIES
+ * @param {Object} options - Execution options
+ * @param {Function} onStepDone - (stepsDone) called when a synthesis request finishes and another follows
+ * @returns {Promise<Object>} - Synthesized results with synthesis: { strategy, strategyName, conflicts, ... }
+ */
+const applySynthesisStrategy = async (agent, results, strategy, options = {}, onStepDone = () => {}) => {
+  const { onLog } = options;
+  const logConflicts = (conflicts) => {
+    if (onLog) conflicts.forEach(conflict => onLog(`Conflict: ${describeConflict(conflict)}`));
+  };
+
+  if (strategy.id === 'merge' || strategy.id === 'vote') {
+    const { conflicts, duplicateInsights, ...merged } = mergeResults(results, { mode: strategy.id === 'vote' ? 'vote' : 'first' });
+    if (onLog) {
+      onLog(`Merged ${results.length} results without a request; ${duplicateInsights} near-identical ` +
+        `insight${duplicateInsights === 1 ? '' : 's'} left out`);
+    }
+    logConflicts(conflicts);
+    return {
+      ...merged,
+      synthesis: { strategy: strategy.id, strategyName: strategy.name, conflicts, duplicateInsights }
+    };
+  }
+
+  const synthesized = await synthesizeCollaboratorResults(agent, results, options);
+  const { statistics, conflicts } = resolveStatistics(results, 'last');
+  logConflicts(conflicts);
+
+  const synthesis = { strategy: strategy.id, strategyName: strategy.name, conflicts };
+  if (strategy.id === 'critic') {
+    onStepDone(1);
+    const review = await reviewCollaboratorResults(agent, results, options);
+    logConflicts(review.contradictions);
+    synthesis.conflicts = [...conflicts, ...review.contradictions];
+    synthesis.criticError = review.error;
+    synthesized.synthesisMetadata = {
+      ...synthesized.synthesisMetadata,
+      criticUsage: review.usage,
+      criticCached: review.cached
+    };
+  }
+
+  return { ...synthesized, statistics, synthesis };
+};
+
+/**
+ * Executes collaborators as a workflow graph (DAG)
+ * Every collaborator starts as soon as all the collaborators it depends on have finished,
+ * and receives their summaries, insights and statistics as context.
+ * Collaborators downstream of a failed collaborator are skipped.
+ * @param {Array} collaborators - Collaborator agents (graph nodes)
+ * @param {Array} edges - Dependencies as { from, to } agent IDs
+ * @param {Object} dataSource - The data source to analyze
+ * @param {Object} options - Execution options
+ * @param {Function} onResult - Called with (collaborator, result) as each node settles (optional)
+ * @returns {Promise<Array>} - Collaborator results in dependency order
+ */
+const executeWorkflowGraph = async (collaborators, edges, dataSource, options = {}, onResult) => {
+  const { onLog } = options;
+  const nodeIds = collaborators.map(c => c.id);
+  const order = topologicalSort(nodeIds, edges);
+
+  if (!order) {
+    throw new Error('Workflow graph contains a cycle');
+  }
+
+  const dependencies = getDependencies(nodeIds, edges);
+  const collaboratorsById = Object.fromEntries(collaborators.map(c => [c.id, c]));
+  const nodePromises = {};
+
+  if (onLog) {
+    const edgeCount = sanitizeEdges(nodeIds, edges).length;
+    onLog(`Workflow graph: ${nodeIds.length} agents, ${edgeCount} dependencies`);
+  }
+
+  // Memoized so each node runs exactly once, after all of its upstream nodes
+  const runNode = (id) => {
+    if (!nodePromises[id]) {
+      nodePromises[id] = (async () => {
+        const collaborator = collaboratorsById[id];
+        const upstreamResults = await Promise.all(dependencies[id].map(runNode));
+        const failedUpstream = upstreamResults.filter(r => !r || r.success === false);
+
+        if (options.signal?.aborted) {
+          return createCancelledResult(collaborator, dataSource);
+        }
+
+        if (failedUpstream.length > 0) {
+          const failedNames = failedUpstream.map(r => collaboratorsById[r.agentId]?.name || r.agentId).join(', ');
+          if (onLog) onLog(`Skipping ${collaborator.name}: upstream agent(s) failed (${failedNames})`);
+          const skipped = {
+            success: false,
+            agentId: id,
+            dataSourceId: dataSource.id,
+            error: `Skipped because upstream agent(s) failed: ${failedNames}`,
+            executedAt: new Date().toISOString(),
+            executionMethod: 'skipped'
+          };
+          if (onResult) onResult(collaborator, skipped);
+          return skipped;
+        }
+
+        if (onLog) {
+          onLog(upstreamResults.length > 0
+            ? `Executing ${collaborator.name} with results from ${dependencies[id].map(dep => collaboratorsById[dep].name).join(', ')}`
+            : `Executing ${collaborator.name}`);
+        }
+
+        const result = await runCollaborator(collaborator, dataSource, {
+          ...options,
+          pipelineContext: upstreamResults.length > 0
+            ? upstreamResults.map(r => ({
+                agentName: collaboratorsById[r.agentId]?.name || r.agentId,
+                agentType: collaboratorsById[r.agentId]?.type,
+                summary: r.summary || '',
+                insights: r.insights || [],
+                statistics: r.statistics || {}
+              }))
+            : null
+        });
+        if (onResult) onResult(collaborator, result);
+        return result;
+      })();
+    }
+    return nodePromises[id];
+  };
+
+  return Promise.all(order.map(runNode));
+};
+
+/**
+ * Executes a pipeline agent by running its collaborators as ordered stages
+ * Each stage receives the previous stage's summary, insights and statistics, and
+ * analyzes the dataset transformed by the previous stage when one was returned
+ * @param {Object} agent - The pipeline agent to execute
+ * @param {Object} dataSource - The data source fed into the first stage
+ * @param {Array} stages - Stage agents, in execution order
+ * @param {Object} options - Other execution options
+ * @returns {Promise<Object>} - The final stage's results plus every stage result
+ */
+export const executePipelineAgent = async (agent, dataSource, stages, options = {}) => {
+  if (!agent) {
+    throw new Error('Pipeline agent is required');
+  }
+  if (!dataSource) {
+    throw new Error('Data source is required for pipeline execution');
+  }
+  if (!stages || stages.length === 0) {
+    throw new Error('At least one pipeline stage is required');
+  }
+
+  stages.forEach((stage, index) => {
+    if (!stage.id || !stage.type) {
+      throw new Error(`Invalid pipeline stage at index ${index}: missing id or type`);
+    }
+  });
+
+  const { onProgress, onLog } = options;
+  const maxStages = agent.configuration?.maxStages || stages.length;
+  const passThroughResults = agent.configuration?.passThroughResults !== false;
+  const isOfflineMode = options.forceOffline || localStorage.getItem('offline_mode') === 'true';
+
+  let pipelineStages = stages;
+  if (stages.length > maxStages) {
+    if (onLog) onLog(`Warning: Pipeline has ${stages.length} stages but maxStages is ${maxStages}; extra stages will be skipped`);
+    pipelineStages = stages.slice(0, maxStages);
+  }
+
+  if (onLog) {
+    onLog(`Starting pipeline execution of ${agent.name}`);
+    onLog(`Stages: ${pipelineStages.map((s, i) => `${i + 1}. ${s.name}`).join(' → ')}`);
+    onLog(`Pass through results: ${passThroughResults ? 'Yes' : 'No'}`);
+    onLog(`Data source: ${dataSource.name} (${dataSource.data?.length || 0} rows)`);
+  }
+
+  const approveAfterStages = agent.configuration?.approveAfterStages || [];
+
+  // What the next stage receives of a stage's result
+  const toStageContext = (result, index) => ({
+    stageIndex: index,
+    agentName: pipelineStages[index]?.name || result.stageName,
+    agentType: pipelineStages[index]?.type,
+    summary: result.summary || '',
+    insights: result.insights || [],
+    statistics: result.statistics || {}
+  });
+
+  let stageResults = [];
+  let stageDataSource = dataSource;
+  let previousStage = null;
+  let firstStage = 0;
+
+  // A run resumed after approval continues with the stage after the one that was reviewed
+  const resume = options.resumeFrom?.state?.type === 'pipeline' ? options.resumeFrom : null;
+  if (resume) {
+    stageResults = applyApprovalEdits(resume.state.stageResults, resume.items);
+    firstStage = resume.state.nextStage;
+    if (resume.state.stageData) {
+      stageDataSource = { ...dataSource, ...resume.state.stageData };
+    }
+    const lastResult = stageResults[stageResults.length - 1];
+    previousStage = lastResult ? toStageContext(lastResult, firstStage - 1) : null;
+    if (onLog) onLog(`Resuming after approval at stage ${firstStage + 1} of ${pipelineStages.length}`);
+  }
+
+  for (let i = firstStage; i < pipelineStages.length; i++) {
+    const stage = pipelineStages[i];
+    const isLastStage = i === pipelineStages.length - 1;
+
+    if (options.signal?.aborted) {
+      if (onLog) onLog(`Pipeline cancelled before stage ${i + 1} (${stage.name})`);
+      return createCancelledResult(agent, dataSource, { collaboratorResults: stageResults });
+    }
+
+    if (onLog) onLog(`Executing stage ${i + 1}/${pipelineStages.length}: ${stage.name}`);
+
+    const progressHandler = progressData => {
+      if (onProgress) {
+        onProgress({
+          ...progressData,
+          agentId: stage.id,
+          stageIndex: i,
+          collaborativeExecution: true
+        });
+      }
+    };
+
+    const logHandler = message => {
+      if (onLog) {
+        onLog(`[Stage ${i + 1}: ${stage.name}] ${message}`);
+      }
+    };
+
+    let result;
+    try {
+      result = await executeAgent(stage, stageDataSource, {
+        ...options,
+        onProgress: progressHandler,
+        onLog: logHandler,
+        isCollaborator: true,
+        parentExecutionMode: isOfflineMode ? 'offline' : 'online',
+        apiKey: options.apiKey,
+        pipelineContext: passThroughResults ? previousStage : null,
+        // Only stages that can transform data are asked for a dataset, and only if a stage follows
+        requestTransformedData: passThroughResults && !isLastStage &&
+          Array.isArray(stage.capabilities) && stage.capabilities.includes('data-transformation')
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result?.cancelled) {
+      if (onLog) onLog(`Pipeline cancelled during stage ${i + 1} (${stage.name})`);
+      return createCancelledResult(agent, dataSource, { collaboratorResults: stageResults });
+    }
+
+    if (!result || result.success === false) {
+      const stageError = result?.error || 'Unknown error';
+      if (onLog) onLog(`Pipeline stopped: stage ${i + 1} (${stage.name}) failed: ${stageError}`);
+
+      return {
+        success: false,
+        agentId: agent.id,
+        dataSourceId: dataSource.id,
+        error: `Pipeline stage ${i + 1} (${stage.name}) failed: ${stageError}`,
+        ...(result?.budgetExceeded ? { budgetExceeded: true, budget: result.budget } : {}),
+        collaboratorResults: stageResults,
+        executedAt: new Date().toISOString(),
+        executionMethod: 'error'
+      };
+    }
+
+    stageResults.push({ ...result, stageIndex: i, stageName: stage.name });
+
+    previousStage = toStageContext(result, i);
+
+    if (passThroughResults && result.transformedData && !isLastStage) {
+      const { columns, data } = result.transformedData;
+      stageDataSource = {
+        ...dataSource,
+        name: `${dataSource.name} (after ${stage.name})`,
+        data,
+        columns,
+        metadata: {
+          ...(dataSource.metadata || {}),
+          rowCount: data.length,
+          columnCount: columns.length,
+          transformedByStage: i
+        }
+      };
+      if (onLog) onLog(`Stage ${i + 1} produced a transformed dataset (${data.length} rows, ${columns.length} columns)`);
+    }
+
+    // A pause-for-approval step after this stage suspends the run until an analyst reviews its output
+    if (approveAfterStages.includes(stage.id)) {
+      if (onLog) onLog(`Pausing for approval after stage ${i + 1} (${stage.name})`);
+      return createAwaitingApprovalResult(agent, dataSource, {
+        step: { type: 'after-stage', stageIndex: i, label: `after stage ${i + 1} (${stage.name})` },
+        items: [toApprovalItem(result, stage)],
+        state: {
+          type: 'pipeline',
+          nextStage: i + 1,
+          // Transformed datasets are saved once, as the data the next stage analyzes
+          stageResults: toResumeResults(stageResults),
+          stageData: stageDataSource === dataSource
+            ? null
+            : {
+              name: stageDataSource.name,
+              data: stageDataSource.data,
+              columns: stageDataSource.columns,
+              metadata: stageDataSource.metadata
+            }
+        }
+      }, { collaboratorResults: stageResults });
+    }
+  }
+
+  const finalResult = stageResults[stageResults.length - 1];
+
+  if (onLog) onLog(`Pipeline completed: ${stageResults.length} stages executed`);
+
+  return {
+    success: true,
+    agentId: agent.id,
+    dataSourceId: dataSource.id,
+    summary: finalResult.summary || '',
+    insights: finalResult.insights || [],
+    visualizations: stageResults.flatMap(r => r.visualizations || []),
+    // Later stages refine earlier ones, so their statistics take precedence
+    statistics: stageResults.reduce((stats, r) => ({ ...stats, ...(r.statistics || {}) }), {}),
+    collaboratorResults: stageResults,
+    executedAt: new Date().toISOString(),
+    executionMethod: 'pipeline'
+  };
+};
+
 /**
  * Combines results from multiple collaborator agents without using AI
  * @param {Array} collaboratorResults - Results from each collaborator
@@ -325,39 +1530,12 @@ const combineCollaboratorResults = (collaboratorResults) => {
     };
   }
   
-  // Extract all insights from collaborator results
-  const allInsights = collaboratorResults.flatMap(result => result.insights || []);
-  
-  // Combine unique visualizations
-  const allVisualizations = [];
-  const visualizationTitles = new Set();
-  
-  collaboratorResults.forEach(result => {
-    (result.visualizations || []).forEach(viz => {
-      if (!visualizationTitles.has(viz.title)) {
-        visualizationTitles.add(viz.title);
-        allVisualizations.push(viz);
-      }
-    });
-  });
-  
-  // Combine statistics from all results
-  const combinedStatistics = {};
-  collaboratorResults.forEach(result => {
-    if (result.statistics) {
-      Object.entries(result.statistics).forEach(([key, value]) => {
-        combinedStatistics[key] = value;
-      });
-    }
-  });
-  
   // Validate we have actual content before combining
-  const summaries = collaboratorResults
-    .filter(r => r.summary && r.summary.trim().length > 0)
-    .map(r => r.summary);
+  const hasSummary = collaboratorResults.some(r => r.summary && r.summary.trim().length > 0);
+  const hasInsights = collaboratorResults.some(r => (r.insights || []).length > 0);
     
   // Check if we have valid data to return
-  if (summaries.length === 0 || allInsights.length === 0) {
+  if (!hasSummary || !hasInsights) {
     return {
       success: false,
       error: 'No valid summaries or insights available from collaborator agents',
@@ -365,65 +1543,125 @@ const combineCollaboratorResults = (collaboratorResults) => {
     };
   }
   
-  // Create a combined summary with actual content
-  const combinedSummary = `# Combined Analysis Results\n\n${summaries.join('\n\n')}`;
+  // Later results win conflicting statistics, as they did before results were merged by key
+  const { conflicts, duplicateInsights, ...merged } = mergeResults(
+    collaboratorResults.map((r, index) => ({ ...r, label: r.label || `Result ${index + 1}` })),
+    { mode: 'last' }
+  );
   
   return {
     success: true,
-    summary: combinedSummary,
-    insights: allInsights,
-    visualizations: allVisualizations,
-    statistics: combinedStatistics
+    ...merged,
+    conflicts,
+    duplicateInsights
   };
 };
 
 /**
- * Synthesizes results from collaborator agents using AI
- * @param {Object} agent - The collaborative agent
- * @param {Array} collaboratorResults - Results from each collaborator
- * @param {Object} options - Execution options
- * @returns {Promise<Object>} - Synthesized results
+ * Checks that the provider of a synthesis request is known and configured
+ * @param {Object} options - Execution options (provider, model, apiKey)
+ * @returns {Object} - { provider, providerConfig }
+ * @throws {Error} - When the provider is unknown or has no API key
  */
-const synthesizeCollaboratorResults = async (agent, collaboratorResults, options = {}) => {
-  const { provider = 'openai', model, apiKey, onLog } = options;
+const checkSynthesisProvider = (options = {}) => {
+  const { provider = getDefaultProviderId(), model, apiKey } = options;
   
-  // Choose the appropriate service
-  let service;
-  if (provider === 'openai') {
-    service = openaiService;
-  } else if (provider === 'openrouter') {
-    service = openRouterService;
-  } else {
+  if (!getProvider(provider)) {
     throw new Error(`Unknown provider: ${provider}`);
   }
   
-  // Get API key from options or try both individual item and combined settings format
-  let effectiveApiKey = apiKey;
+  // Explicit options win over the provider settings saved in Settings
+  const providerConfig = getProviderConfig(provider, { apiKey, model });
+  if (!isProviderConfigured(provider, providerConfig)) {
+    throw new Error('API key required for result synthesis');
+  }
   
-  if (!effectiveApiKey) {
-    // Try to load from the combined settings first
-    try {
-      const aiSettings = JSON.parse(localStorage.getItem('ai_settings') || '{}');
-      if (aiSettings && aiSettings.providers && aiSettings.providers[provider]) {
-        effectiveApiKey = aiSettings.providers[provider].key;
+  return { provider, providerConfig };
+};
+
+/**
+ * Sends a request of the synthesis stage (the synthesis itself or the critic pass)
+ * The request counts against the collaborative agent's budget (and, when a map-reduce collaborator
+ * reduces its chunks, against the agent running it as well) and is answered from the result cache
+ * when the same prompt was sent before.
+ * @param {Object} agent - The collaborative agent
+ * @param {Array} customMessages - Messages to send
+ * @param {Object} request - { requestType: 'synthesis' or 'critic', label for the log }
+ * @param {Object} options - Execution options
+ * @returns {Promise<Object>} - The provider response with its provider and usageRecord
+ * @throws {Error} - When the request fails; an AbortError when it was cancelled
+ */
+const sendSynthesisRequest = async (agent, customMessages, { requestType, label }, options = {}) => {
+  const { provider, providerConfig } = checkSynthesisProvider(options);
+  const synthesisModel = providerConfig.model || getProvider(provider).defaultModel;
+  
+  // The prompt holds every collaborator's results, so unchanged results give the same key
+  const cacheKey = isCacheEnabled(options)
+    ? createCacheKey({
+      agentType: requestType,
+      messages: customMessages,
+      outputSchema: getOutputSchema(requestType),
+      provider,
+      model: synthesisModel,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens
+    })
+    : null;
+  
+  const response = await requestWithCache(cacheKey, async () => {
+    const reservationId = reserveBudget({
+      runId: options.runId,
+      agents: options.parentAgent && options.parentAgent.id !== agent.id ? [agent, options.parentAgent] : [agent],
+      model: synthesisModel,
+      messages: customMessages,
+      maxTokens: options.maxTokens,
+      override: options.overrideBudget
+    });
+    
+    const targetResponse = await generateAnalysis(
+      provider,
+      [], // No raw data needed for synthesis
+      [], // No columns needed for synthesis
+      'summarizer', // Use summarizer agent type
+      { 
+        apiKey: providerConfig.apiKey,
+        model: providerConfig.model,
+        temperature: options.temperature,
+        maxTokens: options.maxTokens,
+        customMessages,
+        outputSchema: getOutputSchema(requestType),
+        priority: options.priority,
+        signal: options.signal
       }
-    } catch (e) {
-      console.error('Error parsing AI settings:', e);
-    }
+    );
     
-    // Fall back to individual key storage if needed
-    if (!effectiveApiKey) {
-      effectiveApiKey = provider === 'openai' 
-        ? localStorage.getItem('openai_api_key') 
-        : localStorage.getItem('openrouter_api_key');
-    }
+    settleReservation(reservationId, targetResponse.success ? createResponseUsage(provider, targetResponse) : null);
+    return targetResponse;
+  }, { agent, label, onLog: options.onLog });
+  
+  if (response.cancelled) {
+    throw createAbortError();
   }
-      
-  if (!effectiveApiKey) {
-    throw new Error('API key required for result synthesis');
+  
+  if (!response.success) {
+    throw new Error(response.error || `${label} request failed`);
   }
   
-  service.setApiKey(effectiveApiKey);
+  return { ...response, provider, usageRecord: createResponseUsage(provider, response) };
+};
+
+/**
+ * Synthesizes results from collaborator agents using AI
+ * Also reduces the chunk results of a map-reduce analysis into one report (see executeMapReduce).
+ * @param {Object} agent - The collaborative agent
+ * @param {Array} collaboratorResults - Results from each collaborator (or chunk)
+ * @param {Object} options - Execution options; reduceChunks ({ count, totalRows }) marks a map-reduce analysis
+ * @returns {Promise<Object>} - Synthesized results
+ */
+const synthesizeCollaboratorResults = async (agent, collaboratorResults, options = {}) => {
+  const { onLog, reduceChunks } = options;
+  
+  checkSynthesisProvider(options);
   
   if (onLog) onLog('Using AI to synthesize collaborator results');
   
@@ -440,7 +1678,7 @@ const synthesizeCollaboratorResults = async (agent, collaboratorResults, options
   
   // Format collaborator results for the synthesis prompt
   const formattedResults = validCollaborators.map((result, index) => {
-    return `Agent ${index + 1} (${result.agentId || 'unknown'}) Results:
+    return `${result.label || `Agent ${index + 1} (${result.agentId || 'unknown'})`} Results:
 Insights: ${(result.insights || []).join('; ')}
 Statistics: ${JSON.stringify(result.statistics || {})}
 Visualizations: ${(result.visualizations || []).map(v => v.title).join(', ')}
@@ -448,70 +1686,764 @@ Summary: ${result.summary || 'No summary provided'}
 `;
   }).join('\n\n');
   
+  // Chunk results each cover part of the dataset, so their statistics have to be added up
+  const sources = reduceChunks
+    ? `one AI agent that has analyzed a dataset of ${reduceChunks.totalRows} rows in ${reduceChunks.count} chunks.
+Each chunk's insights and statistics cover only the rows of that chunk.`
+    : `multiple AI agents that have analyzed the same dataset.
+Each agent has provided insights, statistics, and visualizations.`;
+  
   // Create synthesis prompt
   const synthesisPrompt = `
-You are tasked with synthesizing analysis results from multiple AI agents that have analyzed the same dataset.
-Each agent has provided insights, statistics, and visualizations.
+You are tasked with synthesizing analysis results from ${sources}
 Your job is to create a cohesive, comprehensive report that combines these results,
 eliminates redundancies, highlights complementary insights, and presents a unified view.
 
-Here are the results from each agent:
+Here are the results from each ${reduceChunks ? 'chunk' : 'agent'}:
+
+${formattedResults}
+
+Please synthesize these results into a cohesive report with the following structure:
+1. Executive Summary
+2. Key Findings (highlighting the most important insights)
+3. Statistical Analysis
+4. Recommendations
+
+Format your response as a JSON object with:
+- summary: A markdown-formatted synthesis report
+- insights: An array of the top synthesized insights
+- visualizationRecommendations: Suggestions for which visualizations best represent the combined findings${reduceChunks ? `
+- statistics: Statistics for the whole dataset, combining the counts, totals and ranges of all chunks` : ''}
+`;
+
+  // Request synthesis from AI service
+  const customMessages = [
+    { role: 'system', content: 'You are an expert data analyst tasked with synthesizing results from multiple analyses.' },
+    { role: 'user', content: synthesisPrompt }
+  ];
+  
+  // Generate synthesis using AI
+  try {
+    const synthesis = await sendSynthesisRequest(agent, customMessages, { requestType: 'synthesis', label: 'Synthesis' }, options);
+    
+    // Extract visualizations from all collaborator results
+    const allVisualizations = collaboratorResults.flatMap(r => r.visualizations || []);
+    
+    // Return synthesized results combined with visualizations from collaborators
+    return {
+      success: true,
+      summary: synthesis.result.summary || 'No synthesis summary available',
+      insights: synthesis.result.insights || [],
+      visualizations: allVisualizations,
+      statistics: reduceChunks && synthesis.result.statistics
+        ? synthesis.result.statistics
+        : collaboratorResults.reduce((stats, r) => ({...stats, ...(r.statistics || {})}), {}),
+      synthesisMetadata: {
+        provider: synthesis.provider,
+        model: synthesis.model,
+        usage: synthesis.usageRecord,
+        cached: !!synthesis.cached
+      }
+    };
+  } catch (error) {
+    if (onLog) onLog(`Error during AI synthesis: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Asks the model to flag contradictions between collaborators (the critic pass)
+ * Runs after the synthesis; a failed critic request leaves the synthesis as it is.
+ * @param {Object} agent - The collaborative agent
+ * @param {Array} collaboratorResults - Results from each collaborator, with a label each
+ * @param {Object} options - Execution options
+ * @returns {Promise<Object>} - { contradictions, usage, cached, error }
+ */
+const reviewCollaboratorResults = async (agent, collaboratorResults, options = {}) => {
+  const { onLog } = options;
+  if (onLog) onLog('Asking the critic to look for contradictions between collaborators');
+  
+  const formattedResults = collaboratorResults.map(result => `${result.label} Results:
+Insights: ${(result.insights || []).map(getInsightText).join('; ')}
+Statistics: ${JSON.stringify(result.statistics || {})}
+Summary: ${result.summary || 'No summary provided'}
+`).join('\n\n');
+  
+  const customMessages = [
+    { role: 'system', content: 'You are a careful reviewer who checks analyses of the same dataset against each other.' },
+    { role: 'user', content: `
+The following agents analyzed the same dataset. Find the places where they contradict each other:
+conflicting numbers for the same statistic, opposite trends, or findings that cannot both be true.
+Ignore differences in wording and findings that only one agent mentions.
 
 ${formattedResults}
 
-Please synthesize these results into a cohesive report with the following structure:
-1. Executive Summary
-2. Key Findings (highlighting the most important insights)
-3. Statistical Analysis
-4. Recommendations
+Format your response as a JSON object with:
+- contradictions: An array of objects with topic (what the agents disagree about), description
+  (what each agent says) and collaborators (the names of the agents involved). Use an empty array
+  if the agents agree.
+` }
+  ];
+  
+  try {
+    const review = await sendSynthesisRequest(agent, customMessages, { requestType: 'critic', label: 'Critic' }, options);
+    const contradictions = (Array.isArray(review.result?.contradictions) ? review.result.contradictions : [])
+      .filter(c => c && c.topic && c.description)
+      .map(c => ({
+        type: 'contradiction',
+        topic: String(c.topic),
+        description: String(c.description),
+        collaborators: Array.isArray(c.collaborators) ? c.collaborators.map(String) : []
+      }));
+    
+    if (onLog) {
+      onLog(`The critic flagged ${contradictions.length} contradiction${contradictions.length === 1 ? '' : 's'}`);
+    }
+    return { contradictions, usage: review.usageRecord, cached: !!review.cached, error: null };
+  } catch (error) {
+    if (isCancellationError(error) || isBudgetExceededError(error)) throw error;
+    
+    if (onLog) onLog(`The critic pass failed, keeping the synthesis without it: ${error.message}`);
+    return { contradictions: [], usage: null, cached: false, error: error.message };
+  }
+};
+
+// Characters of a tool result written to the execution log
+const MAX_LOGGED_TOOL_RESULT = 300;
+
+// Milestones reported while an agent executes, with the progress each one represents
+const EXECUTION_MILESTONES = {
+  started: { label: 'Starting', progress: 0 },
+  dataLoaded: { label: 'Data loaded', progress: 10 },
+  promptBuilt: { label: 'Prompt built', progress: 20 },
+  requestSent: { label: 'Request sent', progress: 30 },
+  processing: { label: 'Waiting for API backend', progress: 35 },
+  streaming: { label: 'Tokens streaming', progress: 40 },
+  mapping: { label: 'Analyzing chunks', progress: 30 },
+  reducing: { label: 'Combining chunk results', progress: 85 },
+  responseParsed: { label: 'Response parsed', progress: 90 },
+  rulesEvaluated: { label: 'Rules evaluated', progress: 60 },
+  notificationsSent: { label: 'Notifications sent', progress: 90 },
+  reportSaved: { label: 'Report saved', progress: 100 }
+};
+
+/**
+ * Creates a tracker that turns execution milestones into progress events and log messages
+ * Every milestone is timestamped when it actually happens, so the progress bar follows the real work.
+ * @param {Object} callbacks - { onProgress, onLog, signal }
+ * @returns {Object} - { report, reportProviderMilestone, milestones }
+ */
+const createMilestoneTracker = ({ onProgress, onLog, signal }) => {
+  const startTime = new Date();
+  const milestones = [];
+
+  let insightCount = 0;
+  let toolCallCount = 0;
+
+  const report = (name, message = null, progressOverride = null, extra = {}) => {
+    if (signal?.aborted) return;
+
+    const { label, progress } = EXECUTION_MILESTONES[name];
+    const timestamp = new Date();
+    const elapsedMs = timestamp - startTime;
+    const isRepeat = milestones.length > 0 && milestones[milestones.length - 1].name === name;
+
+    // Repeated milestones (polling, streaming) update the progress bar but are recorded once
+    if (!isRepeat) {
+      milestones.push({ name, label, message, timestamp: timestamp.toISOString(), elapsedMs });
+
+      if (onLog) {
+        onLog(`${label}${message ? `: ${message}` : ''} (+${(elapsedMs / 1000).toFixed(1)}s)`);
+      }
+    }
+
+    if (onProgress) {
+      onProgress({
+        progress: Math.round(progressOverride ?? progress),
+        stage: label,
+        milestone: name,
+        timestamp: timestamp.toISOString(),
+        startTime: startTime.toISOString(),
+        elapsedMs,
+        ...extra
+      });
+    }
+  };
+
+  // Maps milestone callbacks from the AI provider services onto the tracker
+  const reportProviderMilestone = (name, details = {}) => {
+    if (name === 'promptBuilt') {
+      report(name, `${details.messageCount} messages, ${details.promptCharacters} characters`);
+    } else if (name === 'requestSent') {
+      report(name, details.model);
+    } else if (name === 'streaming') {
+      const { start, end } = { start: EXECUTION_MILESTONES.streaming.progress, end: 85 };
+      // Without a content length, approach the end of the range as more of the response arrives
+      const fraction = details.total
+        ? details.loaded / details.total
+        : 1 - 1 / (1 + (details.loaded || 0) / 20000);
+      // Streamed responses carry the text so far for the live output view
+      report(name, null, start + (end - start) * Math.min(1, fraction),
+        details.text !== undefined ? { output: details.text } : {});
+    } else if (name === 'insight') {
+      insightCount += 1;
+      if (onLog) {
+        onLog(`Insight ${insightCount}: ${details.insight}`);
+      }
+    } else if (name === 'validation') {
+      if (onLog) {
+        onLog(`Response failed validation (${details.errors.slice(0, 3).join('; ')}` +
+          `${details.errors.length > 3 ? `; ${details.errors.length - 3} more` : ''})` +
+          (details.repairing ? '; asking the model to repair it' : '; using what could be parsed'));
+      }
+    } else if (name === 'retry') {
+      if (onLog) {
+        onLog(`Request failed${details.status ? ` (${details.status})` : ''}: ${details.error}; ` +
+          `retry ${details.retry}/${details.maxRetries} in ${(details.delayMs / 1000).toFixed(1)}s`);
+      }
+    } else if (name === 'waiting') {
+      if (onLog) {
+        onLog(`Waiting for a free ${details.provider} request slot (${details.ahead} ahead)`);
+      }
+    } else if (name === 'toolCall') {
+      toolCallCount += 1;
+      if (onLog) {
+        const result = JSON.stringify(details.result) || '';
+        onLog(`Tool call ${toolCallCount}: ${details.name}(${JSON.stringify(details.arguments)}) -> ` +
+          `${result.length > MAX_LOGGED_TOOL_RESULT ? `${result.slice(0, MAX_LOGGED_TOOL_RESULT)}...` : result} ` +
+          `(${details.durationMs}ms)`);
+      }
+    }
+  };
+
+  return { report, reportProviderMilestone, milestones };
+};
+
+/**
+ * Describes parsed results for the execution log
+ * @param {Object} results - Formatted execution results
+ * @returns {string} - Short description of what the response contained
+ */
+const describeResults = (results) => {
+  const dropped = results.invalidVisualizations?.length || 0;
+  return `${(results.insights || []).length} insights, ${(results.visualizations || []).length} visualizations` +
+    (dropped > 0 ? ` (${dropped} invalid chart${dropped === 1 ? '' : 's'} left out)` : '');
+};
+
+/**
+ * Saves execution results as a report
+ * Falls back to writing localStorage directly if the report store can't be used.
+ * @param {Object} agent - The agent that was executed
+ * @param {Object} dataSource - The data source that was analyzed
+ * @param {Object} results - Execution results
+ * @returns {Promise<string>} - ID of the saved report
+ */
+const saveExecutionReport = async (agent, dataSource, results) => {
+  const reportId = `report-${Math.random().toString(36).substring(2, 9)}`;
+  const report = {
+    id: reportId,
+    name: `${agent.name} Analysis - ${new Date().toLocaleString()}`,
+    description: `Report generated by ${agent.name} on ${dataSource.name}`,
+    agentId: agent.id,
+    dataSourceId: dataSource.id,
+    generatedAt: new Date().toISOString(),
+    status: 'completed',
+    summary: results.summary || '',
+    insights: results.insights || [],
+    visualizations: results.visualizations || [],
+    statistics: results.statistics || {},
+    usage: results.usage || null,
+    failedCollaborators: results.failedCollaborators || [],
+    alert: results.alert || null
+  };
+
+  console.log('Attempting to save report to store:', {
+    reportId: reportId,
+    agentName: agent.name,
+    dataSource: dataSource.name,
+    hasSummary: !!results.summary,
+    insightsCount: report.insights.length,
+    visualizationsCount: report.visualizations.length
+  });
+
+  try {
+    const reportStoreModule = await import('../stores/reportStore');
+    const savedReport = await reportStoreModule.default.getState().addReport(report);
+    console.log('Report saved successfully from agent execution:', savedReport);
+  } catch (error) {
+    console.error('Error saving report from agent execution:', error);
+    // Try direct localStorage save as fallback
+    try {
+      const currentReports = JSON.parse(localStorage.getItem('reports') || '[]');
+      currentReports.push(report);
+      localStorage.setItem('reports', JSON.stringify(currentReports));
+      console.log('Saved report directly to localStorage as fallback');
+    } catch (localStorageError) {
+      console.error('Failed to save report to localStorage:', localStorageError);
+    }
+  }
+
+  return reportId;
+};
+
+// Chunks analyzed at the same time when neither the agent nor the execution sets a limit
+const DEFAULT_CHUNK_CONCURRENCY = 3;
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * After a worker throws no new items are started; the error is rethrown once the
+ * running ones have finished, so their budget reservations are settled first.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const run = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  if (failure) throw failure;
+  return results;
+};
+
+/**
+ * Gets the map-reduce settings of an execution; execution options win over the agent's configuration
+ * @param {Object} agent - The agent being executed
+ * @param {Object} dataSource - The data source to analyze
+ * @param {string} model - Model the chunks are sent to
+ * @param {Object} options - Execution options (chunkSize, chunkConcurrency)
+ * @returns {Object} - { chunkSize, concurrency }; the chunk size defaults to the rows that fit the model's data context
+ */
+const getMapReduceSettings = (agent, dataSource, model, options = {}) => {
+  const configuration = agent.configuration || {};
+  const chunkSize = parseInt(options.chunkSize || configuration.chunkSize, 10) ||
+    getSampleSize(dataSource.data, dataSource.columns, { model });
+  const concurrency = parseInt(options.chunkConcurrency || configuration.chunkConcurrency, 10) ||
+    DEFAULT_CHUNK_CONCURRENCY;
+
+  return { chunkSize: Math.max(1, chunkSize), concurrency: Math.max(1, concurrency) };
+};
+
+/**
+ * Describes token usage for the execution log
+ * @param {Object} usage - Usage record
+ * @returns {string} - e.g. "1200 prompt + 300 completion (estimated $0.0100)"
+ */
+const describeUsage = (usage) => {
+  return `${usage.promptTokens} prompt + ${usage.completionTokens} completion` +
+    (usage.cost !== null ? ` (estimated $${usage.cost.toFixed(4)})` : '');
+};
+
+/**
+ * Lists the provider/model pairs an agent's requests may use, in order
+ * The agent's own provider and model come first, then its fallback list (configuration.failover).
+ * @param {Object} agent - The agent being executed
+ * @param {Object} primary - { provider, model, apiKey } resolved for this execution
+ * @returns {Array} - [{ provider, model, apiKey }] without repeated pairs
+ */
+const getFailoverTargets = (agent, primary) => {
+  const fallbacks = (agent.configuration?.failover || [])
+    .filter(target => target?.provider)
+    .map(target => ({
+      provider: target.provider,
+      model: target.model || getProviderConfig(target.provider).model || getProvider(target.provider)?.defaultModel
+    }));
+
+  const seen = new Set();
+  return [primary, ...fallbacks].filter(target => {
+    const key = `${target.provider}/${target.model}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Sends a request to each provider/model pair in turn until one succeeds
+ * Budget errors and cancellation stop the failover; any other failure moves on to the next pair.
+ * @param {Array} targets - Provider/model pairs from getFailoverTargets
+ * @param {Function} request - (target) => Promise of a generateAnalysis response
+ * @param {Function} onLog - Log callback (optional)
+ * @returns {Promise<Object>} - The last response, with attempts: [{ provider, model, success, error, status, retries }]
+ */
+const requestWithFailover = async (targets, request, onLog) => {
+  const attempts = [];
+  let response;
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const targetName = `${getProviderName(target.provider)} (${target.model})`;
+    if (i > 0 && onLog) {
+      onLog(`Falling back to ${targetName}`);
+    }
+
+    response = await request(target);
+    attempts.push({
+      provider: target.provider,
+      model: target.model,
+      success: !!response.success,
+      error: response.success ? null : response.error,
+      status: response.status || null,
+      retries: response.retries || []
+    });
+
+    if (response.success || response.cancelled) break;
+    if (onLog && i < targets.length - 1) {
+      onLog(`${targetName} failed: ${response.error}`);
+    }
+  }
+
+  return { ...response, attempts };
+};
+
+/**
+ * Serves a request from the result cache when an identical request succeeded before,
+ * otherwise sends it and caches a successful response
+ * Only valid responses from the first provider/model are cached, since the key names that pair
+ * and a response that failed validation may come out better when it is requested again.
+ * @param {string|null} cacheKey - Key from createCacheKey, or null when the cache is off or bypassed
+ * @param {Function} send - () => Promise of a generateAnalysis or requestWithFailover response
+ * @param {Object} details - { agent, dataSource, label, onLog }; label prefixes the log lines
+ * @returns {Promise<Object>} - The response; a cached response carries no usage and has
+ *   cached: { key, cachedAt, savedUsage }
+ */
+const requestWithCache = async (cacheKey, send, details = {}) => {
+  if (!cacheKey) return send();
+
+  const { onLog, label } = details;
+  const prefix = label ? `${label}: ` : '';
+
+  const entry = getCachedEntry(cacheKey);
+  if (entry) {
+    recordCacheHit(cacheKey);
+    if (onLog) {
+      onLog(`${prefix}Cache hit: reusing the ${getProviderName(entry.provider)} (${entry.model}) response from ` +
+        `${new Date(entry.createdAt).toLocaleString()}${entry.usage ? `, saving ${describeUsage(entry.usage)}` : ''}`);
+    }
+    return {
+      ...entry.response,
+      success: true,
+      usage: null,
+      attempts: [],
+      cached: { key: cacheKey, cachedAt: entry.createdAt, savedUsage: entry.usage }
+    };
+  }
+
+  const response = await send();
+  if (response.success && response.validation?.valid !== false && (response.attempts || []).length <= 1) {
+    const stored = cacheResponse(cacheKey, response, {
+      ...details,
+      usage: createResponseUsage(response.provider, response)
+    });
+    if (onLog) {
+      onLog(`${prefix}Cache miss: ${stored ? 'the response was stored in the cache' : 'the cache is full; the response was not stored'}`);
+    }
+  }
+  return response;
+};
+
+/**
+ * Analyzes every row of a dataset by running the agent over consecutive chunks (map)
+ * and synthesizing the chunk results into one report (reduce)
+ * Each chunk request is checked against the budgets and reported as progress when it completes.
+ * Failed chunks are left out of the synthesis; the run fails only if every chunk fails.
+ * @param {Object} agent - The agent to execute
+ * @param {Object} dataSource - The data source to analyze
+ * @param {Object} context - { provider, providerConfig, model, targets, agentType, chunkSize, concurrency, tracker, options }
+ *   where targets are the provider/model pairs each chunk request may fail over to
+ * @returns {Promise<Object>} - Execution results with the summed usage and a mapReduce summary
+ * @throws {Error} - AbortError when cancelled, BudgetExceededError when a chunk would exceed a budget
+ */
+const executeMapReduce = async (agent, dataSource, context) => {
+  const {
+    provider, providerConfig, model, temperature, maxTokens, targets, agentType, chunkSize, concurrency, tracker, options
+  } = context;
+  const { onLog } = options;
+  const rows = dataSource.data;
+  const budgetAgents = [agent, options.parentAgent].filter(Boolean);
+
+  const chunks = [];
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    chunks.push({
+      rows: rows.slice(start, start + chunkSize),
+      details: { index: chunks.length, startRow: start + 1, endRow: Math.min(start + chunkSize, rows.length) }
+    });
+  }
+  chunks.forEach(chunk => Object.assign(chunk.details, { count: chunks.length, totalRows: rows.length }));
+
+  const buildChunkMessages = (chunk) => buildAnalysisMessages(chunk.rows, dataSource.columns, agentType, {
+    model,
+    previousStage: options.pipelineContext,
+    chunk: chunk.details
+  });
+
+  if (onLog) {
+    onLog(`Map-reduce analysis: ${rows.length} rows in ${chunks.length} chunks of up to ${chunkSize} rows, ${concurrency} at a time`);
+  }
+
+  // Check the whole map step up front rather than failing halfway through the chunks
+  if (!options.overrideBudget) {
+    checkBudget(budgetAgents, sumUsage(chunks.map(chunk => estimateRequestUsage(buildChunkMessages(chunk), model, maxTokens))));
+  }
+
+  // Chunks of unchanged data are answered from the result cache one by one
+  const useCache = isCacheEnabled(options);
+
+  let completed = 0;
+  const chunkAttempts = [];
+  const reportChunkProgress = () => {
+    tracker.report('mapping', `${chunks.length} chunks`, 30 + 55 * completed / chunks.length, {
+      stage: `Analyzing chunks (${completed}/${chunks.length})`,
+      chunks: { completed, total: chunks.length }
+    });
+  };
+  reportChunkProgress();
+
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    throwIfCancelled(options.signal);
+
+    const { details } = chunk;
+    const label = `Chunk ${details.index + 1} (rows ${details.startRow}-${details.endRow})`;
+    const cacheKey = useCache
+      ? createCacheKey({
+        dataFingerprint: fingerprintData(chunk.rows, dataSource.columns),
+        agentType,
+        messages: buildChunkMessages(chunk),
+        outputSchema: getOutputSchema(agentType),
+        provider,
+        model,
+        temperature,
+        maxTokens
+      })
+      : null;
+    const response = await requestWithCache(cacheKey, () => requestWithFailover(targets, async (target) => {
+      const reservationId = reserveBudget({
+        runId: options.runId,
+        agents: budgetAgents,
+        model: target.model,
+        messages: buildChunkMessages(chunk),
+        maxTokens,
+        override: options.overrideBudget
+      });
+
+      const targetResponse = await generateAnalysis(target.provider, chunk.rows, dataSource.columns, agentType, {
+        apiKey: target.apiKey,
+        model: target.model,
+        temperature,
+        maxTokens,
+        previousStage: options.pipelineContext,
+        chunk: details,
+        // Several chunks are in flight at once, so there is no single output to stream
+        stream: false,
+        priority: options.priority,
+        signal: options.signal
+      });
+
+      settleReservation(reservationId,
+        targetResponse.success ? createResponseUsage(target.provider, targetResponse) : null);
+      return targetResponse;
+    }, message => onLog && onLog(`${label}: ${message}`)), { agent, dataSource, label, onLog });
+
+    // Chunks that needed retries or a fallback keep their attempt history
+    if (response.attempts.length > 1 || response.attempts.some(attempt => attempt.retries.length > 0)) {
+      chunkAttempts.push(...response.attempts.map(attempt => ({ ...attempt, label })));
+    }
+    const usage = response.success ? createResponseUsage(response.provider, response) : null;
+
+    if (response.cancelled) {
+      throw createAbortError();
+    }
+
+    completed += 1;
+    reportChunkProgress();
+
+    if (!response.success) {
+      if (onLog) onLog(`${label} failed: ${response.error}`);
+      return { success: false, label, error: response.error };
+    }
+
+    const result = formatAIResults(response.result, agent, { ...dataSource, data: chunk.rows });
+    if (onLog) onLog(`${label} done: ${describeResults(result)}`);
+    return { ...result, label, usage, cached: !!response.cached };
+  });
+
+  const validResults = chunkResults.filter(r => r.success);
+  const failedChunks = chunkResults.filter(r => !r.success).map(r => r.label);
+  if (validResults.length === 0) {
+    throw new Error(`All ${chunks.length} chunks failed; the first error was: ${chunkResults[0].error}`);
+  }
+  if (failedChunks.length > 0 && onLog) {
+    onLog(`Warning: ${failedChunks.length} of ${chunks.length} chunks failed and are left out of the results`);
+  }
+
+  tracker.report('reducing', `${validResults.length} chunk results`);
+
+  let reduced;
+  try {
+    reduced = await synthesizeCollaboratorResults(agent, validResults, {
+      ...options,
+      provider,
+      model: providerConfig.model,
+      apiKey: providerConfig.apiKey,
+      temperature,
+      maxTokens,
+      reduceChunks: { count: chunks.length, totalRows: rows.length }
+    });
+  } catch (error) {
+    if (isCancellationError(error) || isBudgetExceededError(error)) throw error;
+
+    if (onLog) onLog(`Combining chunk results without synthesis: ${error.message}`);
+    reduced = combineCollaboratorResults(validResults);
+    if (!reduced.success) throw new Error(reduced.error);
+  }
+
+  // Chunks tend to chart the same thing; keep the first chart of each title
+  const titles = new Set();
+  const visualizations = (reduced.visualizations || []).filter(viz => {
+    if (titles.has(viz.title)) return false;
+    titles.add(viz.title);
+    return true;
+  });
+
+  return {
+    success: true,
+    agentId: agent.id,
+    dataSourceId: dataSource.id,
+    summary: reduced.summary,
+    insights: reduced.insights || [],
+    visualizations,
+    statistics: reduced.statistics || {},
+    aiMetadata: {
+      provider,
+      model: reduced.synthesisMetadata?.model || model
+    },
+    usage: sumUsage([...validResults.map(r => r.usage), reduced.synthesisMetadata?.usage]),
+    mapReduce: {
+      chunkSize,
+      chunkCount: chunks.length,
+      concurrency,
+      failedChunks,
+      cachedChunks: validResults.filter(r => r.cached).length
+    },
+    attempts: chunkAttempts,
+    executionMethod: 'map-reduce'
+  };
+};
+
+// Triggering rows kept in an alert report; the rest are only counted
+const MAX_ALERT_ROWS = 100;
+
+// Triggering rows posted to webhooks with an alert
+const MAX_WEBHOOK_ROWS = 20;
+
+/**
+ * Evaluates a notifier agent's threshold rules against a data source, without an AI request
+ * When the rules trigger, the results form an alert report listing the triggering rows and the
+ * alert is sent to the agent's notification channels (configuration.notificationChannels).
+ * @param {Object} agent - The notifier agent
+ * @param {Object} dataSource - The data source to check
+ * @param {Object} tracker - Milestone tracker of the execution
+ * @param {Object} options - Execution options (onLog, signal, runId)
+ * @returns {Promise<Object>} - Execution results with alert: { triggered, match, conditions, rows, rowCount, notifications }
+ */
+const executeNotifier = async (agent, dataSource, tracker, options = {}) => {
+  const { onLog } = options;
+  const configuration = agent.configuration || {};
+  const rows = dataSource.data || [];
+  const columns = dataSource.columns || [];
+
+  const ruleSet = getRuleSet(configuration, rows, columns);
+  if (ruleSet.conditions.length === 0) {
+    throw new Error('The notifier agent has no threshold rules');
+  }
+
+  const evaluation = evaluateRules(rows, ruleSet);
+  const rowCount = evaluation.rowIndexes.length;
+  tracker.report('rulesEvaluated', `${ruleSet.conditions.length} rule${ruleSet.conditions.length === 1 ? '' : 's'} ` +
+    `over ${rows.length} rows, ${evaluation.triggered ? 'triggered' : 'not triggered'}`);
+  if (onLog) {
+    evaluation.conditions.forEach(condition => {
+      const outcome = condition.scope === 'aggregate'
+        ? `the ${condition.aggregate} is ${condition.actual ?? 'empty'}`
+        : `${condition.matchedRows} matching row${condition.matchedRows === 1 ? '' : 's'}`;
+      onLog(`Rule ${describeCondition(condition)}: ${outcome}${condition.triggered ? ' (met)' : ''}`);
+    });
+  }
+
+  const metConditions = evaluation.conditions.filter(c => c.triggered);
+  const joined = metConditions.map(describeCondition).join(ruleSet.match === 'all' ? ' and ' : ', ');
+  const rowsNote = rowCount > 0 ? `${rowCount} of ${rows.length} rows triggered the alert` : '';
+  const message = evaluation.triggered
+    ? [joined, rowsNote].filter(Boolean).join('; ')
+    : `No alert: the rules were not met (${rows.length} rows checked)`;
 
-Format your response as a JSON object with:
-- summary: A markdown-formatted synthesis report
-- insights: An array of the top synthesized insights
-- visualizationRecommendations: Suggestions for which visualizations best represent the combined findings
-`;
+  let notifications = [];
+  if (evaluation.triggered) {
+    const channels = configuration.notificationChannels || [];
+    if (channels.length === 0 && onLog) {
+      onLog('The alert triggered, but no notification channels are configured');
+    }
+    notifications = await dispatchAlert(channels, {
+      title: `${agent.name}: alert on ${dataSource.name}`,
+      message,
+      agentId: agent.id,
+      agentName: agent.name,
+      dataSourceId: dataSource.id,
+      dataSourceName: dataSource.name,
+      runId: options.runId,
+      triggeredAt: new Date().toISOString(),
+      match: ruleSet.match,
+      conditions: evaluation.conditions,
+      rowCount,
+      rows: evaluation.rowIndexes.slice(0, MAX_WEBHOOK_ROWS).map(i => rows[i])
+    }, { webhookUrl: configuration.webhookUrl, signal: options.signal });
 
-  // Request synthesis from AI service
-  const customMessages = [
-    { role: 'system', content: 'You are an expert data analyst tasked with synthesizing results from multiple analyses.' },
-    { role: 'user', content: synthesisPrompt }
-  ];
-  
-  // Generate synthesis using AI
-  try {
-    const synthesis = await service.generateAnalysis(
-      [], // No raw data needed for synthesis
-      [], // No columns needed for synthesis
-      'summarizer', // Use summarizer agent type
-      { 
-        model: model || (provider === 'openai' ? 'gpt-4-turbo' : 'anthropic/claude-3-haiku'),
-        customMessages
+    if (notifications.length > 0) {
+      tracker.report('notificationsSent', notifications.map(n => `${n.channel} ${n.status}`).join(', '));
+      if (onLog) {
+        notifications.filter(n => n.error).forEach(n => onLog(`The ${n.channel} notification was not sent: ${n.error}`));
       }
-    );
-    
-    if (!synthesis.success) {
-      throw new Error(synthesis.error || 'Failed to synthesize results');
     }
-    
-    // Extract visualizations from all collaborator results
-    const allVisualizations = collaboratorResults.flatMap(r => r.visualizations || []);
-    
-    // Return synthesized results combined with visualizations from collaborators
-    return {
-      success: true,
-      summary: synthesis.result.summary || 'No synthesis summary available',
-      insights: synthesis.result.insights || [],
-      visualizations: allVisualizations,
-      statistics: collaboratorResults.reduce((stats, r) => ({...stats, ...(r.statistics || {})}), {}),
-      synthesisMetadata: {
-        provider,
-        model: synthesis.model
-      }
-    };
-  } catch (error) {
-    if (onLog) onLog(`Error during AI synthesis: ${error.message}`);
-    throw error;
+  } else if (onLog) {
+    onLog('No rule triggered; no notifications sent');
   }
+
+  return {
+    success: true,
+    summary: evaluation.triggered
+      ? `## Alert from ${agent.name}\n\n${message}.`
+      : `## No Alert from ${agent.name}\n\nThe rules were not met on ${dataSource.name} (${rows.length} rows checked).`,
+    insights: evaluation.conditions.map(condition => `${describeCondition(condition)}: ` +
+      (condition.scope === 'aggregate'
+        ? `the ${condition.aggregate} of ${condition.column} is ${condition.actual ?? 'empty'}`
+        : `${condition.matchedRows} matching row${condition.matchedRows === 1 ? '' : 's'}`) +
+      (condition.triggered ? ' (met)' : ' (not met)')),
+    visualizations: [],
+    statistics: {},
+    alert: {
+      triggered: evaluation.triggered,
+      match: ruleSet.match,
+      conditions: evaluation.conditions,
+      columns,
+      rows: evaluation.rowIndexes.slice(0, MAX_ALERT_ROWS).map(i => rows[i]),
+      rowCount,
+      notifications
+    },
+    executionMethod: 'rules'
+  };
 };
 
 export const executeAgent = async (agent, dataSource, options = {}) => {
@@ -550,8 +2482,64 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
           });
         }
         
+        // Pipelines chain their collaborators as ordered stages
+        // A run resumed after approval is checked request by request; its earlier stages are paid for
+        if (agent.type === 'pipeline') {
+          const budgetResult = options.resumeFrom ? null : checkRunBudget(agent, dataSource, options.collaborators, options);
+          if (budgetResult) {
+            return budgetResult;
+          }
+          const parentOptions = { ...options, ...resolveModelSettings(agent, options), parentAgent: agent };
+          return rollUpUsage(await executePipelineAgent(agent, dataSource, options.collaborators, parentOptions));
+        }
+
+        // Routing rules leave out the collaborators that don't suit this dataset; a run resumed after
+        // approval has already run its collaborators and only combines their saved results
+        const routing = options.resumeFrom
+          ? { selected: options.collaborators, skipped: [] }
+          : routeCollaborators(options.collaborators, agent.configuration?.routing, dataSource);
+        if (routing.skipped.length > 0) {
+          routing.skipped.forEach(skipped => {
+            if (options.onLog) options.onLog(`Skipping collaborator ${skipped.name}: ${skipped.reason}`);
+          });
+          if (options.onProgress) {
+            options.onProgress({
+              stage: `Routed to ${routing.selected.length} of ${options.collaborators.length} collaborators`,
+              skippedCollaborators: routing.skipped,
+              collaborativeExecution: true
+            });
+          }
+        }
+        if (routing.selected.length === 0) {
+          const error = 'No collaborator matched the routing rules for this data source';
+          if (options.onLog) options.onLog(`Collaborative execution failed: ${error}`);
+          return {
+            success: false,
+            agentId: agent.id,
+            dataSourceId: dataSource.id,
+            error,
+            skippedCollaborators: routing.skipped,
+            executedAt: new Date().toISOString(),
+            executionMethod: 'error'
+          };
+        }
+
+        // Parallel collaborators send their requests at once, so the whole run is checked up front
+        const budgetResult = options.resumeFrom ? null : checkRunBudget(agent, dataSource, routing.selected, options);
+        if (budgetResult) {
+          return budgetResult;
+        }
+        
+        // Collaborators without model settings of their own (and the synthesis) use the agent's
+        const parentOptions = {
+          ...options,
+          ...resolveModelSettings(agent, options),
+          parentAgent: agent,
+          skippedCollaborators: routing.skipped
+        };
+
         // Execute as a collaborative agent
-        return executeCollaborativeAgent(agent, dataSource, options.collaborators, options);
+        return rollUpUsage(await executeCollaborativeAgent(agent, dataSource, routing.selected, parentOptions));
       }
       
       // Otherwise, we need to fetch the collaborator agents
@@ -584,11 +2572,15 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
   }
 
   const { onProgress, onLog } = options;
+  // Notifier agents evaluate threshold rules locally and never send an AI request
+  const isNotifier = agent.type === 'notifier';
   const useAI = options.useAI ?? true; // Default to using AI if available
-  const provider = options.provider || 'openai'; // Default provider is OpenAI
+  // The agent's own model settings win unless the execution overrides them; the rest come from Settings
+  const modelSettings = resolveModelSettings(agent, options);
+  const { provider, temperature, maxTokens } = modelSettings;
   const forceOffline = options.forceOffline || false;
   // Force consistent execution mode across all agents
-  const isOfflineMode = options.isCollaborator && options.parentExecutionMode 
+  let isOfflineMode = options.isCollaborator && options.parentExecutionMode 
     ? options.parentExecutionMode === 'offline' // Use parent mode when in collaborative execution
     : options.forceOffline || localStorage.getItem('offline_mode') === 'true'; // Otherwise use settings
   
@@ -598,84 +2590,36 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
   
   console.log('Agent execution mode:', isOfflineMode ? 'offline' : 'online');
   
-  // Stages for execution progress reporting
-  const stages = [
-    { name: 'Initializing', durationMs: 500, progress: 10 },
-    { name: 'Loading data', durationMs: 800, progress: 20 },
-    { name: 'Analyzing data structure', durationMs: 700, progress: 35 },
-    { name: 'Processing data', durationMs: 1500, progress: 60 },
-    { name: 'Generating insights', durationMs: 1200, progress: 80 },
-    { name: 'Creating visualizations', durationMs: 1000, progress: 95 },
-    { name: 'Finalizing', durationMs: 300, progress: 100 }
-  ];
-
-  // Calculate estimated completion time
-  const totalDuration = stages.reduce((sum, stage) => sum + stage.durationMs, 0);
-  const startTime = new Date();
-  const estimatedCompletionTime = new Date(startTime.getTime() + totalDuration);
-
-  if (onProgress) {
-    onProgress({
-      progress: 0,
-      stage: 'Starting',
-      estimatedCompletionTime
-    });
-  }
+  const tracker = createMilestoneTracker({ onProgress, onLog, signal: options.signal });
 
   if (onLog) {
     onLog(`Starting execution of ${agent.name}`);
-    onLog(`Estimated completion time: ${estimatedCompletionTime.toLocaleTimeString()}`);
-    if (isOfflineMode) {
+    if (isNotifier) {
+      onLog('Evaluating threshold rules locally; no AI request is sent');
+    } else if (isOfflineMode) {
       onLog('Using offline mode for execution');
     } else {
       onLog('Using API backend for execution');
     }
   }
 
-  // Function to report progress
-  const reportProgress = (stageIndex, customMessage = null) => {
-    if (stageIndex >= stages.length) return;
-    
-    const stage = stages[stageIndex];
-    
-    if (onProgress) {
-      onProgress({
-        progress: stage.progress,
-        stage: stage.name
-      });
-    }
-    
-    if (onLog) {
-      onLog(`Stage: ${stage.name}`);
-      if (customMessage) {
-        onLog(customMessage);
-      }
-    }
-  };
+  tracker.report('started');
+  tracker.report('dataLoaded',
+    `${dataSource.data?.length || dataSource.metadata?.rowCount || 0} rows, ${dataSource.columns?.length || dataSource.metadata?.columnCount || 0} columns`);
 
-  // Report initial stages (loading and analysis)
-  reportProgress(0);
-  setTimeout(() => reportProgress(1, 
-    `Processing ${dataSource.metadata?.rowCount || dataSource.data?.length || 0} rows of data`), 
-    stages[0].durationMs);
+  // Initialize results as null - it must be set during execution
+  let results = null;
+  let executionId = null;
   
-  setTimeout(() => reportProgress(2, 
-    `Identified ${dataSource.metadata?.columnCount || dataSource.columns?.length || 0} columns for analysis`), 
-    stages[0].durationMs + stages[1].durationMs);
-
   // Execute the agent
   try {
-    let results;
-    let executionId = null;
     
     // Determine if we should use API or local execution
-    if (!isOfflineMode) {
+    if (isNotifier) {
+      results = await executeNotifier(agent, dataSource, tracker, options);
+    } else if (!isOfflineMode) {
       try {
         // Try to use the API backend
-        // Report processing stage
-        setTimeout(() => reportProgress(3, `Sending request to API backend`), 
-          stages[0].durationMs + stages[1].durationMs + stages[2].durationMs);
-        
         // Set a mock token if one doesn't exist (for testing)
         if (!localStorage.getItem('token')) {
           console.log('Setting mock token for API authentication');
@@ -686,18 +2630,20 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
         }
         
         // Ensure we're using a consistent API key for all requests
-        const apiKey = options.apiKey || localStorage.getItem('openai_api_key');
+        const apiKey = modelSettings.apiKey || localStorage.getItem('openai_api_key');
         
         // Initialize API execution
+        tracker.report('requestSent', 'API backend');
         const response = await apiClient.post(`/agents/${agent.id}/execute`, {
           dataSourceId: dataSource.id,
           options: {
             provider,
-            model: options.model,
-            temperature: options.temperature || 0.2,
+            model: modelSettings.model,
+            temperature,
+            maxTokens,
             apiKey: apiKey // Pass API key explicitly to backend
           }
-        });
+        }, { signal: options.signal });
         
         if (response.data.success) {
           executionId = response.data.executionId;
@@ -711,17 +2657,14 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
           let executionComplete = false;
           let retryCount = 0;
           
-          setTimeout(() => reportProgress(3, `API execution in progress (ID: ${executionId})`), 
-            stages[0].durationMs + stages[1].durationMs + stages[2].durationMs);
-          
           while (!executionComplete && retryCount < 30) { // Timeout after 30 retries
             retryCount++;
             
             // Sleep for 2 seconds
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            await sleep(2000, options.signal);
             
             // Check execution status
-            const statusResponse = await apiClient.get(`/executions/${executionId}`);
+            const statusResponse = await apiClient.get(`/executions/${executionId}`, { signal: options.signal });
             
             if (statusResponse.data.success) {
               const execution = statusResponse.data.execution;
@@ -729,12 +2672,8 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
               if (execution.status === 'completed') {
                 executionComplete = true;
                 
-                // Report insights stage
-                setTimeout(() => reportProgress(4, 'Received AI-generated insights from API'), 
-                  stages[0].durationMs + stages[1].durationMs + stages[2].durationMs + stages[3].durationMs);
-                
                 // Get the report
-                const reportResponse = await apiClient.get(`/reports?executionId=${executionId}`);
+                const reportResponse = await apiClient.get(`/reports?executionId=${executionId}`, { signal: options.signal });
                 
                 if (reportResponse.data.success && reportResponse.data.reports.length > 0) {
                   const report = reportResponse.data.reports[0];
@@ -757,10 +2696,7 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
                     executionMethod: 'api'
                   };
                   
-                  // Report visualization stage
-                  setTimeout(() => reportProgress(5, 'Processing API-generated visualizations'), 
-                    stages[0].durationMs + stages[1].durationMs + stages[2].durationMs + 
-                    stages[3].durationMs + stages[4].durationMs);
+                  tracker.report('responseParsed', describeResults(results));
                 } else {
                   throw new Error('Failed to retrieve report');
                 }
@@ -768,15 +2704,8 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
                 // Handle execution error
                 throw new Error(execution.results?.error || 'Execution failed');
               } else {
-                // Still running, report progress based on retry count
-                const progress = Math.min(80, 35 + (retryCount * 1.5));
-                
-                if (onProgress) {
-                  onProgress({
-                    progress,
-                    stage: 'API Execution in Progress'
-                  });
-                }
+                // Still running, report progress based on how long we've been polling
+                tracker.report('processing', `poll ${retryCount}`, Math.min(85, 35 + (retryCount * 1.5)));
               }
             } else {
               // Error checking status
@@ -791,6 +2720,11 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
           throw new Error(response.data.error || 'API execution failed to start');
         }
       } catch (apiError) {
+        // A cancelled execution must not fall back to offline mode
+        if (isCancellationError(apiError)) {
+          throw apiError;
+        }
+        
         // API execution failed, fall back to offline mode
         if (onLog) {
           onLog(`API execution failed: ${apiError.message}`);
@@ -803,141 +2737,203 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
     }
     
     // If we're in offline mode or API execution failed, use local execution
-    if (isOfflineMode) {
-      // Set API key based on the selected provider
+    if (isOfflineMode && !isNotifier) {
       let usingAI = useAI;
       
-      // Get API key from options or try both individual item and combined settings format
-      let apiKey = options.apiKey;
-      
-      if (!apiKey) {
-        // Try to load from the combined settings first
-        try {
-          const aiSettings = JSON.parse(localStorage.getItem('ai_settings') || '{}');
-          console.log('AI settings from localStorage:', JSON.stringify(aiSettings));
-          if (aiSettings && aiSettings.providers && aiSettings.providers[provider]) {
-            apiKey = aiSettings.providers[provider].key;
-          }
-        } catch (e) {
-          console.error('Error parsing AI settings:', e);
-        }
-        
-        // Fall back to individual key storage if needed
-        if (!apiKey) {
-          const individualKey = provider === 'openai' 
-            ? localStorage.getItem('openai_api_key') 
-            : localStorage.getItem('openrouter_api_key');
-            
-          console.log(`Individual ${provider} key from localStorage:`, individualKey ? 'Key found' : 'No key found');
-          apiKey = individualKey;
-        }
-      }
-      
-      const effectiveApiKey = apiKey;
+      // Resolve the provider and its settings; explicit options win over the saved settings
+      const providerModule = getProvider(provider);
+      const providerName = providerModule?.name || provider;
+      const providerConfig = getProviderConfig(provider, { apiKey: modelSettings.apiKey, model: modelSettings.model });
       
-      console.log('Using API key for execution:', provider, effectiveApiKey ? 'Valid key found (length: ' + effectiveApiKey.length + ')' : 'No valid key found');
-      let service = null;
-      
-      if (effectiveApiKey) {
-        if (provider === 'openai') {
-          console.log('Attempting to set OpenAI API key...');
-          const success = openaiService.setApiKey(effectiveApiKey);
-          if (success) {
-            service = openaiService;
-            console.log('Successfully configured OpenAI service for execution');
-            if (onLog) {
-              onLog('OpenAI service configured successfully');
-            }
-          } else {
-            usingAI = false;
-            console.log('Failed to set OpenAI API key. API calls will not work.');
-            if (onLog) {
-              onLog('Failed to set OpenAI API key. API calls will not work.');
-            }
-          }
-        } else if (provider === 'openrouter') {
-          const success = openRouterService.setApiKey(effectiveApiKey);
-          if (success) {
-            service = openRouterService;
-            console.log('Using OpenRouter service for execution');
-          } else {
-            usingAI = false;
-            console.log('Failed to set OpenRouter API key. Falling back to mock execution.');
-            if (onLog) {
-              onLog('Failed to set OpenRouter API key. Falling back to mock execution.');
-            }
-          }
-        } else {
-          usingAI = false;
-          console.log(`Unknown provider: ${provider}. Falling back to mock execution.`);
-          if (onLog) {
-            onLog(`Unknown provider: ${provider}. Falling back to mock execution.`);
-          }
+      if (!providerModule) {
+        usingAI = false;
+        console.log(`Unknown provider: ${provider}`);
+        if (onLog) {
+          onLog(`Unknown provider: ${provider}. Choose a provider in Settings.`);
         }
-      } else {
+      } else if (!isProviderConfigured(provider, providerConfig)) {
         usingAI = false;
         console.error('No API key found for execution. Reports cannot be generated.');
         if (onLog) {
-          onLog('ERROR: No API key found. Please add an API key in Settings.');
-          onLog('API-powered analysis is required for this application to function.');
+          onLog(`ERROR: No ${providerName} API key found. Please add an API key in Settings.`);
+          onLog('To run without a key or network, select the Offline Mock provider in Settings.');
+        }
+      } else {
+        console.log(`Using ${providerName} for execution with model ${providerConfig.model || providerModule.defaultModel}`);
+        if (onLog) {
+          onLog(`${providerName} provider configured successfully`);
         }
       }
       
-      if (usingAI && service) {
-        // Report processing stage
-        setTimeout(() => reportProgress(3, `Sending data to ${provider === 'openai' ? 'OpenAI' : 'OpenRouter'} for analysis`), 
-          stages[0].durationMs + stages[1].durationMs + stages[2].durationMs);
+      if (usingAI) {
+        // Don't send a request for an execution that was already cancelled
+        throwIfCancelled(options.signal);
         
         // Process with selected AI service
         const agentType = agent.type || 'analyzer';
-        const response = await service.generateAnalysis(
-          dataSource.data,
-          dataSource.columns,
-          agentType,
-          { 
-            model: options.model || (provider === 'openai' ? 'gpt-4-turbo' : 'anthropic/claude-3-haiku'),
-            temperature: options.temperature || 0.2
-          }
-        );
+        const model = providerConfig.model || providerModule.defaultModel;
+        
+        // Map-reduce analysis looks at every row, in chunks; a dataset that fits in one chunk is sent as usual
+        const analysisMode = options.analysisMode || agent.configuration?.analysisMode;
+        const mapReduceSettings = analysisMode === 'map-reduce'
+          ? getMapReduceSettings(agent, dataSource, model, options)
+          : null;
+        const useMapReduce = !!mapReduceSettings && (dataSource.data?.length || 0) > mapReduceSettings.chunkSize;
+        if (mapReduceSettings && !useMapReduce && onLog) {
+          onLog('The dataset fits in one chunk; analyzing it in a single request');
+        }
         
-        // Report insights stage
-        setTimeout(() => reportProgress(4, 'Received AI-generated insights'), 
-          stages[0].durationMs + stages[1].durationMs + stages[2].durationMs + stages[3].durationMs);
+        // Requests fail over along the agent's fallback list when a provider keeps failing
+        const targets = getFailoverTargets(agent, { provider, model, apiKey: providerConfig.apiKey });
+        if (targets.length > 1 && onLog) {
+          onLog(`Fallbacks: ${targets.slice(1).map(t => `${getProviderName(t.provider)} (${t.model})`).join(', ')}`);
+        }
         
-        if (response.success) {
-          // Format AI results to match our expected structure
-          results = formatAIResults(response.result, agent, dataSource);
-          
-          // Include AI usage data
-          results.aiMetadata = {
+        if (useMapReduce) {
+          results = await executeMapReduce(agent, dataSource, {
             provider,
-            model: response.model,
-            usage: response.usage
-          };
+            providerConfig,
+            model,
+            temperature,
+            maxTokens,
+            targets,
+            agentType,
+            ...mapReduceSettings,
+            tracker,
+            options
+          });
           
-          // Report visualization stage
-          setTimeout(() => reportProgress(5, 'Processing AI-generated visualizations'), 
-            stages[0].durationMs + stages[1].durationMs + stages[2].durationMs + 
-            stages[3].durationMs + stages[4].durationMs);
-        } else {
+          tracker.report('responseParsed', describeResults(results));
           if (onLog) {
-            onLog(`Error using ${provider === 'openai' ? 'OpenAI' : 'OpenRouter'}: ${response.error}`);
+            onLog(`Tokens used: ${describeUsage(results.usage)}`);
+          }
+        } else {
+          // Data tools let the model ask for exact numbers over the full dataset
+          const useTools = agent.configuration?.useTools !== false;
+          const tools = useTools ? createDataTools(dataSource.data, dataSource.columns) : undefined;
+          if (useTools && !providerModule.supportsTools && onLog) {
+            onLog(`${providerName} does not support tool calling; analyzing without data tools`);
+          }
+        
+          // The same agent on unchanged data with the same prompt and model is answered from the cache
+          const cacheKey = isCacheEnabled(options)
+            ? createCacheKey({
+              dataFingerprint: fingerprintData(dataSource.data, dataSource.columns),
+              agentType,
+              messages: buildAnalysisMessages(dataSource.data, dataSource.columns, agentType, {
+                model,
+                previousStage: options.pipelineContext,
+                debate: options.debateContext,
+                requestTransformedData: options.requestTransformedData
+              }),
+              provider,
+              model,
+              temperature,
+              maxTokens,
+              outputSchema: getOutputSchema(agentType),
+              tools: !!tools && !!providerModule.supportsTools
+            })
+            : null;
+          if (options.bypassCache && onLog) {
+            onLog('Bypassing the result cache');
+          }
+        
+          const response = await requestWithCache(cacheKey, () => requestWithFailover(targets, async (target) => {
+            // Collaborators also spend from the budget of the collaborative agent running them
+            const reservationId = reserveBudget({
+              runId: options.runId,
+              agents: [agent, options.parentAgent].filter(Boolean),
+              model: target.model,
+              messages: buildAnalysisMessages(dataSource.data, dataSource.columns, agentType, {
+                model: target.model,
+                previousStage: options.pipelineContext,
+                debate: options.debateContext,
+                requestTransformedData: options.requestTransformedData
+              }),
+              maxTokens,
+              override: options.overrideBudget
+            });
+          
+            const targetResponse = await generateAnalysis(
+              target.provider,
+              dataSource.data,
+              dataSource.columns,
+              agentType,
+              { 
+                apiKey: target.apiKey,
+                model: target.model,
+                temperature,
+                maxTokens,
+                // Pipeline stages receive the output of the stage before them
+                previousStage: options.pipelineContext,
+                // Debate rounds show a collaborator the findings of the others
+                debate: options.debateContext,
+                requestTransformedData: options.requestTransformedData,
+                tools,
+                stream: options.stream,
+                priority: options.priority,
+                signal: options.signal,
+                onMilestone: (name, details) => tracker.reportProviderMilestone(name, details)
+              }
+            );
+          
+            settleReservation(reservationId,
+              targetResponse.success ? createResponseUsage(target.provider, targetResponse) : null);
+            return targetResponse;
+          }, onLog), { agent, dataSource, onLog });
+        
+          if (response.cancelled) {
+            throw createAbortError();
+          }
+        
+          if (response.success) {
+            // Format AI results to match our expected structure
+            results = formatAIResults(response.result, agent, dataSource);
+          
+            // Include AI usage data
+            results.aiMetadata = {
+              provider: response.provider,
+              model: response.model,
+              usage: response.usage,
+              validation: response.validation
+            };
+            if (response.validation?.repaired && onLog) {
+              onLog('The repaired response passed validation');
+            }
+            results.usage = createResponseUsage(response.provider, response);
+            results.attempts = response.attempts;
+            if (response.cached) {
+              results.cache = { cachedAt: response.cached.cachedAt, savedUsage: response.cached.savedUsage };
+            }
+          
+            tracker.report('responseParsed', describeResults(results));
+            if (onLog) {
+              onLog(`Tokens used: ${describeUsage(results.usage)}`);
+            }
+          } else {
+            const failedName = getProviderName(response.attempts[response.attempts.length - 1].provider);
+            const error = response.attempts.length > 1
+              ? `All ${response.attempts.length} models failed; the last error was from ${failedName}: ${response.error}`
+              : `Error using ${failedName}: ${response.error}`;
+            if (onLog) {
+              onLog(error);
+            }
+            // Return error since we can't use AI services
+            results = {
+              success: false,
+              agentId: agent.id,
+              dataSourceId: dataSource.id,
+              error,
+              attempts: response.attempts,
+              executedAt: new Date().toISOString(),
+              executionMethod: 'error'
+            };
           }
-          // Return error since we can't use AI services
-          results = {
-            success: false,
-            agentId: agent.id,
-            dataSourceId: dataSource.id,
-            error: `Error using ${provider === 'openai' ? 'OpenAI' : 'OpenRouter'}: ${response.error}`,
-            executedAt: new Date().toISOString(),
-            executionMethod: 'error'
-          };
         }
       } else {
         // No API key or AI service available - return error
         if (onLog) {
           onLog('No API key provided or AI service unavailable');
-          onLog('ERROR: This system requires a valid API key to function');
         }
         
         // Set error result
@@ -945,51 +2941,27 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
           success: false,
           agentId: agent.id,
           dataSourceId: dataSource.id,
-          error: 'API key required - this system does not support offline mode',
+          error: 'API key required - add one in Settings or select the Offline Mock provider',
           executedAt: new Date().toISOString(),
           executionMethod: 'error'
         };
       }
     }
-    
-    // Report final stage
-    setTimeout(() => {
-      reportProgress(6, 'Finalizing results');
-      
-      // Complete execution
-      setTimeout(() => {
-        if (onLog) {
-          onLog('Execution completed successfully');
-          if (!isOfflineMode) {
-            onLog('Results generated using API backend');
-          } else if (results.aiMetadata) {
-            onLog(`Results generated using ${results.aiMetadata.provider}`);
-          } else {
-            onLog('No results were generated');
-          }
-        }
-        
-        // Ensure execution metadata is set
-        if (!results.executedAt) {
-          results.executedAt = new Date().toISOString();
-        }
-        
-        if (!results.executionMethod) {
-          results.executionMethod = isOfflineMode ? 'offline' : 'api';
-        }
-        
-        // Save execution to localStorage if needed
-        if (!isOfflineMode && executionId) {
-          // Store the execution ID for reference
-          results.executionId = executionId;
-        }
-        
-        return results;
-      }, stages[6].durationMs);
-    }, 
-    stages[0].durationMs + stages[1].durationMs + stages[2].durationMs + 
-    stages[3].durationMs + stages[4].durationMs + stages[5].durationMs);
   } catch (error) {
+    if (isCancellationError(error)) {
+      if (onLog) {
+        onLog('Execution cancelled');
+      }
+      return createCancelledResult(agent, dataSource);
+    }
+    
+    if (isBudgetExceededError(error)) {
+      if (onLog) {
+        onLog(`Execution stopped: ${error.message}`);
+      }
+      return createBudgetExceededResult(agent, dataSource, error);
+    }
+    
     if (onLog) {
       onLog(`Error during execution: ${error.message}`);
     }
@@ -1005,105 +2977,61 @@ export const executeAgent = async (agent, dataSource, options = {}) => {
     };
   }
   
-  // Initialize results as null - it must be set during execution
-  let results = null;
-  
-  // Since we're using async/await inside a Promise, we need to capture the results
-  return new Promise((resolve) => {
-    // Set up final resolution that will happen after all the timeouts
-    const totalTime = stages.reduce((sum, stage) => sum + stage.durationMs, 0);
-    
-    setTimeout(() => {
-      // Final stage completion
-      if (results) {
-        // Make sure agent ID is properly set in the results
-        results.agentId = agent.id;
-        results.dataSourceId = dataSource.id;
-        
-        // Before resolving, import and call the report store to save this as a report
-        import('../stores/reportStore').then(reportStoreModule => {
-          const reportStore = reportStoreModule.default();
-          
-          // Create a report from these results
-          const reportId = `report-${Math.random().toString(36).substring(2, 9)}`;
-          const report = {
-            id: reportId,
-            name: `${agent.name} Analysis - ${new Date().toLocaleString()}`,
-            description: `Report generated by ${agent.name} on ${dataSource.name}`,
-            agentId: agent.id,
-            dataSourceId: dataSource.id,
-            generatedAt: new Date().toISOString(),
-            status: 'completed',
-            summary: results.summary || '',
-            insights: results.insights || [],
-            visualizations: results.visualizations || [],
-            statistics: results.statistics || {}
-          };
-          
-          // Add the report ID to the results so we can reference it later
-          results.reportId = reportId;
-          
-          // Save the report with enhanced logging
-          console.log('Attempting to save report to store:', {
-            reportId: reportId,
-            agentName: agent.name,
-            dataSource: dataSource.name,
-            hasSummary: !!results.summary,
-            insightsCount: (results.insights || []).length,
-            visualizationsCount: (results.visualizations || []).length
-          });
-          
-          reportStore.addReport(report)
-            .then((savedReport) => {
-              console.log('Report saved successfully from agent execution:', savedReport);
-              
-              // Verify it's in reports list
-              const allReports = reportStore.getState().reports;
-              console.log(`Current reports count: ${allReports.length}`);
-              console.log(`Saved report found in store: ${!!allReports.find(r => r.id === reportId)}`);
-              
-              resolve(results);
-            })
-            .catch(error => {
-              console.error('Error saving report from agent execution:', error);
-              // Try direct localStorage save as fallback
-              try {
-                const currentReports = JSON.parse(localStorage.getItem('reports') || '[]');
-                currentReports.push(report);
-                localStorage.setItem('reports', JSON.stringify(currentReports));
-                console.log('Saved report directly to localStorage as fallback');
-              } catch (localStorageError) {
-                console.error('Failed to save report to localStorage:', localStorageError);
-              }
-              resolve(results);
-            });
-        }).catch(error => {
-          console.error('Error importing report store:', error);
-          // Try direct localStorage save as fallback
-          try {
-            const currentReports = JSON.parse(localStorage.getItem('reports') || '[]');
-            currentReports.push(report);
-            localStorage.setItem('reports', JSON.stringify(currentReports));
-            console.log('Saved report directly to localStorage after report store import error');
-          } catch (localStorageError) {
-            console.error('Failed to save report to localStorage:', localStorageError);
-          }
-          resolve(results);
-        });
-      } else {
-        // Fail if no results were properly set
-        console.error('No results were set during agent execution');
-        resolve({
-          success: false,
-          agentId: agent.id,
-          dataSourceId: dataSource.id,
-          error: "Execution path did not properly set results",
-          executedAt: new Date().toISOString(),
-          executionMethod: 'error'
-        });
-      }
-    }, totalTime + 500); // Add a small buffer
-  });
+  // Fail if no results were properly set
+  if (!results) {
+    console.error('No results were set during agent execution');
+    return {
+      success: false,
+      agentId: agent.id,
+      dataSourceId: dataSource.id,
+      error: "Execution path did not properly set results",
+      executedAt: new Date().toISOString(),
+      executionMethod: 'error'
+    };
+  }
+
+  // Cancelling before the report is saved discards the results
+  if (options.signal?.aborted) {
+    if (onLog) {
+      onLog('Execution cancelled');
+    }
+    return createCancelledResult(agent, dataSource);
+  }
+
+  // Make sure agent ID and execution metadata are properly set in the results
+  results.agentId = agent.id;
+  results.dataSourceId = dataSource.id;
+
+  if (!results.executedAt) {
+    results.executedAt = new Date().toISOString();
+  }
+
+  if (!results.executionMethod) {
+    results.executionMethod = isOfflineMode ? 'offline' : 'api';
+  }
+
+  if (!isOfflineMode && executionId) {
+    // Store the execution ID for reference
+    results.executionId = executionId;
+  }
+
+  if (onLog) {
+    if (results.success === false) {
+      onLog(`Execution finished with errors: ${results.error}`);
+    } else if (!isOfflineMode) {
+      onLog('Results generated using API backend');
+    } else if (results.aiMetadata) {
+      onLog(`Results generated using ${results.aiMetadata.provider}`);
+    }
+  }
+
+  results.reportId = await saveExecutionReport(agent, dataSource, results);
+  tracker.report('reportSaved', results.reportId);
+
+  // Keep the milestone timeline with the results so runs can be inspected afterwards
+  results.milestones = tracker.milestones;
+
+  return results;
 };
 
 /**
@@ -1262,7 +3190,17 @@ const formatAIResults = (aiResult, agent, dataSource) => {
   if (aiResult.statistics) {
     results.statistics = aiResult.statistics;
   }
-  
+
+  // Keep a transformed dataset (pipeline stages) only if it is well-formed
+  const transformed = aiResult.transformedData;
+  if (transformed && Array.isArray(transformed.columns) && Array.isArray(transformed.rows) &&
+      transformed.columns.length > 0 && transformed.rows.length > 0) {
+    results.transformedData = {
+      columns: transformed.columns.map(String),
+      data: transformed.rows.filter(row => row && typeof row === 'object')
+    };
+  }
+
   // Extract or transform visualizations if available
   if (aiResult.visualizations) {
     if (Array.isArray(aiResult.visualizations)) {
@@ -1362,6 +3300,20 @@ const formatAIResults = (aiResult, agent, dataSource) => {
     }
   }
   
+  // Charts that can't be drawn would render as blank panels in the report
+  const invalidVisualizations = [];
+  results.visualizations = results.visualizations.filter((viz, index) => {
+    const errors = validateVisualization(viz, `visualizations[${index}]`);
+    if (errors.length > 0) {
+      console.warn(`Leaving out invalid visualization "${viz?.title}":`, errors);
+      invalidVisualizations.push({ title: viz?.title || `Visualization ${index + 1}`, errors });
+    }
+    return errors.length === 0;
+  });
+  if (invalidVisualizations.length > 0) {
+    results.invalidVisualizations = invalidVisualizations;
+  }
+  
   // If no visualizations were created but we have numeric data, create a default visualization
   if (results.visualizations.length === 0) {
     try {
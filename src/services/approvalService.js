@@ -0,0 +1,143 @@
+import useAgentStore from '../stores/agentStore';
+import useDataStore from '../stores/dataStore';
+import useReportStore from '../stores/reportStore';
+import useExecutionStore from '../stores/executionStore';
+import useApprovalStore from '../stores/approvalStore';
+import { startExecution } from './agentService';
+import { generateReport } from './reportService';
+
+/**
+ * Approval steps of collaborative and pipeline agents
+ * A pipeline pauses after the stages in configuration.approveAfterStages, and a collaborative agent
+ * with configuration.approveBeforeSynthesis pauses before its collaborators' results are combined.
+ * The paused run is kept in the execution history as 'awaiting-approval' with its intermediate output,
+ * and the state it resumes from is kept in the approval store, so both survive page reloads. An analyst
+ * approves the output, edits it, or rejects it; approved and edited runs continue as the same run from
+ * the step where they paused. The saved state is removed once the run is rejected or finishes.
+ */
+
+export const APPROVAL_ACTIONS = ['approve', 'edit', 'reject'];
+
+/**
+ * Writes a line to a run's log in the execution history
+ * @param {string} runId - Run ID
+ * @param {string} message - Log message
+ */
+const logToRun = (runId, message) => {
+  useExecutionStore.getState().appendLogs(runId, [{ timestamp: new Date().toISOString(), message }]);
+};
+
+/**
+ * Marks the reviewed items the analyst changed
+ * @param {Array} original - Items shown for review
+ * @param {Array} reviewed - Items as the analyst left them
+ * @returns {Array} - The reviewed items, with edited set on those whose summary or insights changed
+ */
+const markEditedItems = (original, reviewed = []) => original.map(item => {
+  const change = reviewed.find(r => r.agentId === item.agentId);
+  if (!change) return item;
+
+  const insights = (change.insights || []).map(insight => String(insight).trim()).filter(Boolean);
+  const edited = change.summary !== item.summary || insights.join('\n') !== item.insights.join('\n');
+  return edited ? { ...item, summary: change.summary, insights, edited: true } : item;
+});
+
+/**
+ * Records an analyst's decision on a run waiting for approval, and resumes or ends the run
+ * @param {string} runId - ID of the run in the execution history
+ * @param {Object} decision - { action: 'approve' | 'edit' | 'reject', items, comment }; items are the
+ *   edited output ({ agentId, summary, insights }) for 'edit'
+ * @param {Object} options - Execution options for the resumed run (e.g. onProgress, onLog)
+ * @returns {Object|null} - Execution handle of the resumed run (see startExecution), whose promise also
+ *   saves the report of a run that completes; null when the run was rejected
+ */
+export const decideApproval = (runId, decision, options = {}) => {
+  const history = useExecutionStore.getState();
+  const run = history.getRunById(runId);
+  if (!run || run.status !== 'awaiting-approval' || !run.approval) {
+    throw new Error('This run is not waiting for approval');
+  }
+  if (!APPROVAL_ACTIONS.includes(decision?.action)) {
+    throw new Error(`Unknown approval action: ${decision?.action}`);
+  }
+
+  const { step } = run.approval;
+  const comment = decision.comment?.trim() || null;
+  const items = decision.action === 'edit' ? markEditedItems(run.approval.items, decision.items) : run.approval.items;
+  const approvals = [...(run.approvals || []), {
+    step: step.label,
+    action: decision.action,
+    editedItems: items.filter(item => item.edited).map(item => item.name),
+    comment,
+    decidedAt: new Date().toISOString()
+  }];
+
+  if (decision.action === 'reject') {
+    const finishedAt = new Date();
+    history.updateRun(runId, {
+      status: 'failed',
+      error: `Rejected ${step.label}${comment ? `: ${comment}` : ''}`,
+      approval: null,
+      approvals,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - new Date(run.startedAt)
+    });
+    logToRun(runId, `Rejected ${step.label}${comment ? `: ${comment}` : ''}`);
+    useApprovalStore.getState().removeState(runId);
+    return null;
+  }
+
+  const state = useApprovalStore.getState().getRunState(runId);
+  if (!state) throw new Error('The saved state of this run is missing, so it can only be rejected');
+
+  const agent = useAgentStore.getState().getAgentById(run.agentId);
+  const dataSource = useDataStore.getState().getDataSourceById(run.dataSourceId);
+  if (!agent) throw new Error(`The agent ${run.agentName} no longer exists`);
+  if (!dataSource) throw new Error(`The data source ${run.dataSourceName} no longer exists`);
+
+  const { agents } = useAgentStore.getState();
+  const collaborators = (agent.collaborators || []).map(id => agents.find(a => a.id === id)).filter(Boolean);
+
+  // The approval stays with the run until it finishes, so a run interrupted while resuming can be resumed again
+  history.updateRun(runId, { status: 'queued', error: null, approvals });
+  const edited = items.filter(item => item.edited).map(item => item.name);
+  logToRun(runId, decision.action === 'edit'
+    ? `Approved ${step.label} with edits to ${edited.length > 0 ? edited.join(', ') : 'nothing'}${comment ? `: ${comment}` : ''}`
+    : `Approved ${step.label}${comment ? `: ${comment}` : ''}`);
+
+  const execution = startExecution(agent, dataSource, {
+    ...run.options,
+    ...options,
+    runId,
+    collaborators,
+    resumeFrom: { step, state, items }
+  });
+
+  // Reports are saved here because the run may be resumed from any page
+  const promise = execution.promise.then(async results => {
+    if (results.success === false || results.reportId) return results;
+
+    const report = generateReport(results, agent, dataSource);
+    const savedReport = await useReportStore.getState().addReport(report);
+    const reportId = savedReport?.id || report.id;
+    useExecutionStore.getState().updateRun(runId, { reportId });
+    return { ...results, reportId };
+  });
+
+  return { ...execution, promise };
+};
+
+/**
+ * Lists the runs waiting for an analyst's approval
+ * @param {Array} runs - Runs from the execution history
+ * @returns {Array} - Runs with status 'awaiting-approval', oldest request first
+ */
+export const getPendingApprovals = (runs = []) => runs
+  .filter(run => run.status === 'awaiting-approval' && run.approval)
+  .sort((a, b) => new Date(a.approval.requestedAt) - new Date(b.approval.requestedAt));
+
+export default {
+  APPROVAL_ACTIONS,
+  decideApproval,
+  getPendingApprovals
+};
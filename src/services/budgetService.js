@@ -0,0 +1,237 @@
+import { estimateCost, sumUsage } from '../utils/costUtils';
+import useExecutionStore from '../stores/executionStore';
+import useSettingsStore from '../stores/settingsStore';
+
+/**
+ * Spending budgets
+ * Budgets are set in Settings for the whole workspace and per agent, as daily and monthly
+ * token or dollar limits. Spend is computed from the usage recorded in the execution history
+ * plus the requests of runs that haven't finished yet, so parallel collaborators that dispatch
+ * at the same time all count against the budget.
+ */
+
+// The limits a budget can set, in the order they are shown in Settings
+export const BUDGET_LIMITS = [
+  { key: 'dailyTokens', period: 'daily', unit: 'tokens', label: 'Daily tokens' },
+  { key: 'dailyCost', period: 'daily', unit: 'cost', label: 'Daily spend ($)' },
+  { key: 'monthlyTokens', period: 'monthly', unit: 'tokens', label: 'Monthly tokens' },
+  { key: 'monthlyCost', period: 'monthly', unit: 'cost', label: 'Monthly spend ($)' }
+];
+
+// Largest response assumed for a request when the caller doesn't set maxTokens (matches the provider default)
+const DEFAULT_MAX_TOKENS = 4000;
+
+// Usage of requests in runs that are not recorded in the execution history yet:
+// an estimate while the request is in flight, the actual usage once it completed
+const pendingUsage = new Map();
+let reservationCount = 0;
+
+/**
+ * Checks whether a budget limit is set
+ * @param {number|null} value - Limit value
+ * @returns {boolean} - True for a non-negative number
+ */
+const isLimitSet = (value) => typeof value === 'number' && !Number.isNaN(value) && value >= 0;
+
+/**
+ * Gets the start of the current budget period
+ * @param {string} period - 'daily' or 'monthly'
+ * @returns {Date} - Local midnight today, or the first of the month
+ */
+const getPeriodStart = (period) => {
+  const now = new Date();
+  return period === 'monthly'
+    ? new Date(now.getFullYear(), now.getMonth(), 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+/**
+ * Formats a budget amount for messages
+ * @param {number} value - Token count or dollars
+ * @param {string} unit - 'tokens' or 'cost'
+ * @returns {string} - e.g. "12,000 tokens" or "$1.50"
+ */
+const formatAmount = (value, unit) => {
+  return unit === 'cost' ? `$${value.toFixed(value < 1 ? 4 : 2)}` : `${Math.round(value).toLocaleString()} tokens`;
+};
+
+/**
+ * Adds up the spend of the workspace or of one agent in the current period
+ * An agent's spend includes its own runs (with all their collaborators) and its
+ * work as a collaborator in other agents' runs
+ * @param {string|null} agentId - Agent ID, or null for the whole workspace
+ * @param {string} period - 'daily' or 'monthly'
+ * @returns {Object} - { tokens, cost }
+ */
+export const getSpend = (agentId, period) => {
+  const start = getPeriodStart(period);
+  const usages = [];
+
+  useExecutionStore.getState().runs.forEach(run => {
+    if (new Date(run.startedAt) < start) return;
+    if (!agentId || run.agentId === agentId) {
+      usages.push(run.usage);
+    } else {
+      (run.collaborators || [])
+        .filter(collaborator => collaborator.agentId === agentId)
+        .forEach(collaborator => usages.push(collaborator.usage));
+    }
+  });
+
+  pendingUsage.forEach(entry => {
+    if (!agentId || entry.agentIds.includes(agentId)) {
+      usages.push(entry);
+    }
+  });
+
+  const total = sumUsage(usages);
+  return { tokens: total?.totalTokens || 0, cost: total?.cost || 0 };
+};
+
+/**
+ * Gets the limits of a budget with the amount used so far
+ * @param {string|null} agentId - Agent ID, or null for the workspace budget
+ * @returns {Array} - [{ key, period, unit, label, limit, used }] for every limit that is set
+ */
+export const getBudgetStatus = (agentId = null) => {
+  const { budgets } = useSettingsStore.getState();
+  const limits = agentId ? budgets.agents[agentId] : budgets.workspace;
+  if (!limits) return [];
+
+  return BUDGET_LIMITS
+    .filter(limit => isLimitSet(limits[limit.key]))
+    .map(limit => ({
+      ...limit,
+      limit: limits[limit.key],
+      used: getSpend(agentId, limit.period)[limit.unit]
+    }));
+};
+
+/**
+ * Estimates the usage of a request before it is sent
+ * Prompt tokens are approximated from the message length; the response is assumed
+ * to use all of maxTokens, so a request is only allowed if even its largest response fits
+ * @param {Array} messages - Chat messages of the request
+ * @param {string} model - Model ID, used to price the request
+ * @param {number} maxTokens - Largest response the request can produce
+ * @returns {Object} - Usage record { promptTokens, completionTokens, totalTokens, cost }
+ */
+export const estimateRequestUsage = (messages, model, maxTokens = DEFAULT_MAX_TOKENS) => {
+  const characters = (messages || []).reduce((sum, m) => sum + (m.content?.length || 0), 0);
+  const promptTokens = Math.ceil(characters / 4);
+  const usage = { promptTokens, completionTokens: maxTokens, totalTokens: promptTokens + maxTokens };
+
+  return {
+    ...usage,
+    cost: estimateCost(usage, model, useSettingsStore.getState().modelPricing)
+  };
+};
+
+/**
+ * Creates the error thrown when a request would exceed a budget
+ * @param {Object} details - { scope, agentName, limit } where limit comes from getBudgetStatus
+ * @param {number} requested - Amount the request needs, in the limit's unit
+ * @returns {Error} - Error named BudgetExceededError with the budget details
+ */
+const createBudgetError = ({ scope, agentName, limit }, requested) => {
+  const owner = scope === 'workspace' ? 'Workspace' : `Agent "${agentName}"`;
+  const message = `${owner} budget exceeded (${limit.label.toLowerCase()}): ` +
+    `${formatAmount(limit.used, limit.unit)} of ${formatAmount(limit.limit, limit.unit)} used, ` +
+    `this request needs up to ${formatAmount(requested, limit.unit)}`;
+
+  return Object.assign(new Error(message), {
+    name: 'BudgetExceededError',
+    budget: { scope, agentName, ...limit, requested }
+  });
+};
+
+/**
+ * Checks whether an error was raised because a budget would be exceeded
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for budget errors
+ */
+export const isBudgetExceededError = (error) => error?.name === 'BudgetExceededError';
+
+/**
+ * Checks that estimated usage fits the workspace budget and the budgets of the given agents
+ * @param {Array} agents - Agents the usage is spent for (e.g. a collaborator and its collaborative agent)
+ * @param {Object} estimate - Usage record from estimateRequestUsage
+ * @throws {Error} - BudgetExceededError for the first budget that would be exceeded
+ */
+export const checkBudget = (agents, estimate) => {
+  const scopes = [
+    { scope: 'workspace', agentId: null },
+    ...agents.map(agent => ({ scope: 'agent', agentId: agent.id, agentName: agent.name }))
+  ];
+
+  scopes.forEach(({ scope, agentId, agentName }) => {
+    getBudgetStatus(agentId).forEach(limit => {
+      const requested = limit.unit === 'cost' ? (estimate.cost || 0) : estimate.totalTokens;
+      if (limit.used + requested > limit.limit) {
+        throw createBudgetError({ scope, agentName, limit }, requested);
+      }
+    });
+  });
+};
+
+/**
+ * Checks a request against the budgets and reserves its estimated usage
+ * The reservation counts against the budgets until the run is recorded in the history,
+ * so requests sent at the same time can't overspend together.
+ * @param {Object} request - { runId, agents, model, messages, maxTokens, override }
+ *   override skips the check (the usage is still counted)
+ * @returns {string} - Reservation ID for settleReservation
+ * @throws {Error} - BudgetExceededError when the request would exceed a budget
+ */
+export const reserveBudget = ({ runId, agents, model, messages, maxTokens, override = false }) => {
+  const estimate = estimateRequestUsage(messages, model, maxTokens);
+  if (!override) {
+    checkBudget(agents, estimate);
+  }
+
+  reservationCount += 1;
+  const id = `reservation-${reservationCount}`;
+  pendingUsage.set(id, { ...estimate, runId, agentIds: agents.map(agent => agent.id) });
+  return id;
+};
+
+/**
+ * Replaces a reservation's estimate with the usage the request actually reported
+ * Requests outside a recorded run, or without usage (failed, cancelled), are dropped.
+ * @param {string} id - Reservation ID from reserveBudget
+ * @param {Object|null} usage - Usage record of the response
+ */
+export const settleReservation = (id, usage) => {
+  const entry = pendingUsage.get(id);
+  if (!entry) return;
+
+  if (usage && entry.runId) {
+    pendingUsage.set(id, { ...usage, runId: entry.runId, agentIds: entry.agentIds });
+  } else {
+    pendingUsage.delete(id);
+  }
+};
+
+/**
+ * Drops the pending usage of a run once it is recorded in the execution history
+ * @param {string} runId - Run ID
+ */
+export const releaseRunBudget = (runId) => {
+  pendingUsage.forEach((entry, id) => {
+    if (entry.runId === runId) {
+      pendingUsage.delete(id);
+    }
+  });
+};
+
+export default {
+  BUDGET_LIMITS,
+  getSpend,
+  getBudgetStatus,
+  estimateRequestUsage,
+  isBudgetExceededError,
+  checkBudget,
+  reserveBudget,
+  settleReservation,
+  releaseRunBudget
+};
@@ -0,0 +1,344 @@
+import { profileColumns } from '../utils/dataUtils';
+import { findModelEntry } from '../utils/costUtils';
+import useSettingsStore from '../stores/settingsStore';
+
+/**
+ * Data context builder
+ * Describes a dataset to the model in two parts: a profile of every column computed over
+ * all rows (type, null rate, distinct values, quantiles, top values), and a sample of rows
+ * sized to the token budget of the chosen model. The sample is stratified by a categorical
+ * column when there is one, so a dataset sorted by date or category still shows the model
+ * every part of it. Sampling is seeded by the dataset's shape, so the same dataset always
+ * produces the same context.
+ */
+
+// Tokens of data context per model family; the rest of the context window is left for the
+// system prompt, previous stage results and the response. Keys are model IDs or prefixes.
+export const MODEL_CONTEXT_TOKENS = {
+  'gpt-4o': 16000,
+  'gpt-4-turbo': 16000,
+  'gpt-4': 3000,
+  'gpt-3.5-turbo': 8000,
+  'claude-3': 24000,
+  'llama-3': 3000,
+  'mock-analyzer': 4000
+};
+
+// Budget for models without an entry, e.g. local servers with small context windows
+export const DEFAULT_CONTEXT_TOKENS = 3000;
+
+export const SAMPLING_STRATEGIES = [
+  { id: 'stratified', name: 'Stratified', description: 'Proportional rows from every group of a categorical column' },
+  { id: 'random', name: 'Random', description: 'Rows picked at random from the whole dataset' },
+  { id: 'first', name: 'First rows', description: 'The rows at the top of the dataset' }
+];
+
+const MIN_SAMPLE_ROWS = 5;
+const MAX_SAMPLE_ROWS = 500;
+const MAX_CELL_LENGTH = 100;
+const MAX_STRATA = 20;
+
+// Profiles are reused while the same dataset is sent several times (budget estimate, request)
+const profileCache = new WeakMap();
+
+/**
+ * Approximates the number of tokens in a text (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derives a sampling seed from the shape of a dataset
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @returns {number} - Seed
+ */
+const getSeed = (data, columns) => {
+  return `${data.length}:${columns.join(',')}`.split('')
+    .reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+};
+
+/**
+ * Picks `count` items of an array at random (partial Fisher-Yates shuffle)
+ * @param {Array} items - Items to pick from (not modified)
+ * @param {number} count - Number of items to pick
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Picked items
+ */
+const pickRandom = (items, count, random) => {
+  const pool = [...items];
+  const size = Math.min(count, pool.length);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, size);
+};
+
+/**
+ * Gets the column profiles of a dataset, computing them once per dataset
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @returns {Array} - Profiles from profileColumns
+ */
+const getProfiles = (data, columns) => {
+  const key = columns.join('\u0000');
+  const cached = profileCache.get(data);
+  if (cached?.key === key) return cached.profiles;
+
+  const profiles = profileColumns(data, columns);
+  profileCache.set(data, { key, profiles });
+  return profiles;
+};
+
+/**
+ * Gets the data context token budget for a model
+ * A budget set in Settings applies to every model; otherwise the model's family decides.
+ * @param {string} model - Model ID
+ * @returns {number} - Token budget for the data context
+ */
+export const getContextTokenBudget = (model) => {
+  const { tokenBudget } = useSettingsStore.getState().dataContext || {};
+  if (typeof tokenBudget === 'number' && tokenBudget > 0) {
+    return tokenBudget;
+  }
+  return findModelEntry(model, MODEL_CONTEXT_TOKENS) || DEFAULT_CONTEXT_TOKENS;
+};
+
+/**
+ * Chooses the column to stratify a sample by
+ * @param {Array} profiles - Column profiles
+ * @returns {string|null} - The most complete categorical or boolean column with 2 to 20 groups
+ */
+export const chooseStratifyColumn = (profiles) => {
+  const candidate = profiles
+    .filter(profile => ['categorical', 'boolean'].includes(profile.type))
+    .filter(profile => profile.distinctCount >= 2 && profile.distinctCount <= MAX_STRATA)
+    .sort((a, b) => a.nullRate - b.nullRate)[0];
+  return candidate ? candidate.column : null;
+};
+
+/**
+ * Samples rows of a dataset
+ * @param {Array} data - The dataset rows
+ * @param {number} size - Number of rows to sample
+ * @param {Object} options - { strategy: 'stratified' | 'random' | 'first', stratifyBy, seed }
+ * @returns {Object} - { rows (in dataset order), strategy (the one actually used), stratifyBy }
+ */
+export const sampleRows = (data, size, { strategy = 'stratified', stratifyBy = null, seed = 1 } = {}) => {
+  if (size >= data.length) {
+    return { rows: data, strategy: 'all', stratifyBy: null };
+  }
+  if (strategy === 'first') {
+    return { rows: data.slice(0, size), strategy, stratifyBy: null };
+  }
+
+  const random = createRandom(seed);
+  const indices = data.map((row, index) => index);
+
+  if (strategy !== 'stratified' || !stratifyBy) {
+    const picked = pickRandom(indices, size, random).sort((a, b) => a - b);
+    return { rows: picked.map(index => data[index]), strategy: 'random', stratifyBy: null };
+  }
+
+  const groups = new Map();
+  indices.forEach(index => {
+    const value = data[index][stratifyBy];
+    const key = value === null || value === undefined || value === '' ? '(missing)' : String(value).trim();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  // Proportional allocation with at least one row per group, then the rows left over
+  // go to the groups with the largest remainders
+  const allocations = [...groups.values()].map(members => {
+    const exact = size * members.length / data.length;
+    const quota = Math.min(members.length, Math.max(size >= groups.size ? 1 : 0, Math.floor(exact)));
+    return { members, quota, remainder: exact - Math.floor(exact) };
+  });
+  let left = size - allocations.reduce((sum, group) => sum + group.quota, 0);
+  [...allocations]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(group => {
+      if (left > 0 && group.quota < group.members.length) {
+        group.quota += 1;
+        left -= 1;
+      }
+    });
+
+  const picked = allocations
+    .flatMap(group => pickRandom(group.members, group.quota, random))
+    .sort((a, b) => a - b);
+  return { rows: picked.map(index => data[index]), strategy: 'stratified', stratifyBy };
+};
+
+/**
+ * Formats a number for the context: integers as they are, others to 6 significant digits
+ * @param {number} value - Number
+ * @returns {string} - Formatted number
+ */
+const formatNumber = (value) => {
+  return Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(6)));
+};
+
+/**
+ * Formats a date from a profile, leaving out midnight times
+ * @param {string} iso - ISO date
+ * @returns {string} - Formatted date
+ */
+const formatDate = (iso) => (iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso);
+
+/**
+ * Formats column profiles as one line per column
+ * @param {Array} profiles - Column profiles
+ * @param {number} rowCount - Rows in the dataset, for percentages
+ * @returns {string} - Formatted profiles
+ */
+export const formatColumnProfiles = (profiles, rowCount) => {
+  return profiles.map(profile => {
+    let line = `- ${profile.column} (${profile.type}): ${(profile.nullRate * 100).toFixed(1)}% null, ` +
+      `${profile.distinctCount} distinct`;
+
+    if (profile.type === 'numeric') {
+      line += `; min ${formatNumber(profile.min)}, q1 ${formatNumber(profile.q1)}, ` +
+        `median ${formatNumber(profile.median)}, q3 ${formatNumber(profile.q3)}, max ${formatNumber(profile.max)}; ` +
+        `mean ${formatNumber(profile.mean)}, std dev ${formatNumber(profile.stdDev)}`;
+    } else if (profile.type === 'date') {
+      line += `; from ${formatDate(profile.min)} to ${formatDate(profile.max)}`;
+    } else if (profile.type === 'text') {
+      line += `; average length ${Math.round(profile.averageLength)} characters`;
+    }
+
+    if (profile.topValues?.length > 0) {
+      line += '; top values: ' + profile.topValues
+        .map(({ value, count }) => `${value.slice(0, MAX_CELL_LENGTH)} (${count}, ${(count / rowCount * 100).toFixed(1)}%)`)
+        .join(', ');
+    }
+    return line;
+  }).join('\n');
+};
+
+/**
+ * Formats a row as tab-separated values
+ * @param {Object} row - Dataset row
+ * @param {Array} columns - Column names
+ * @returns {string} - Formatted row
+ */
+const formatRow = (row, columns) => {
+  return columns.map(column => {
+    const value = row[column];
+    if (value === null || value === undefined) return '';
+    const text = String(value).replace(/\s+/g, ' ');
+    return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}…` : text;
+  }).join('\t');
+};
+
+/**
+ * Describes how a sample was drawn
+ * @param {Object} sample - Result of sampleRows
+ * @param {number} rowCount - Rows in the dataset
+ * @returns {string} - Sample heading
+ */
+const describeSample = (sample, rowCount) => {
+  if (sample.strategy === 'all') return `All ${rowCount} rows:`;
+
+  const method = {
+    stratified: `a stratified sample by ${sample.stratifyBy}, proportional to each group's size`,
+    random: 'a random sample',
+    first: 'the first rows'
+  }[sample.strategy];
+  return `Sample of ${sample.rows.length} of ${rowCount} rows (${method}). ` +
+    'Use the column profiles for totals and distributions; the sample shows what individual rows look like:';
+};
+
+/**
+ * Builds the parts of the data context that surround the sample
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @returns {Object} - { header, footer, tableHeader }
+ */
+const buildContextFrame = (data, columns) => {
+  const profiles = getProfiles(data, columns);
+  return {
+    header: `Dataset with ${data.length} rows and ${columns.length} columns.\n\n` +
+      `Column profiles (computed over all rows):\n${formatColumnProfiles(profiles, data.length)}\n\n`,
+    footer: '\n\nPlease analyze this data based on the instructions.',
+    tableHeader: columns.join('\t')
+  };
+};
+
+/**
+ * Works out how many rows of a dataset fit in the data context
+ * The row size is measured on a few rows spread over the dataset.
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {Object} options - { model, tokenBudget } (see buildDataContext)
+ * @returns {number} - Rows that fit next to the column profiles
+ */
+export const getSampleSize = (data, columns, options = {}) => {
+  if (!data || !columns || data.length === 0) return 0;
+
+  const tokenBudget = options.tokenBudget || getContextTokenBudget(options.model);
+  const { header, footer, tableHeader } = buildContextFrame(data, columns);
+
+  const probe = sampleRows(data, 50, { strategy: 'random', seed: getSeed(data, columns) }).rows;
+  const averageRowTokens = Math.max(1, probe
+    .reduce((sum, row) => sum + estimateTokens(formatRow(row, columns) + '\n'), 0) / probe.length);
+  const tokensLeft = tokenBudget - estimateTokens(header + footer + tableHeader) - 60;
+  return Math.min(MAX_SAMPLE_ROWS, Math.max(MIN_SAMPLE_ROWS, Math.floor(tokensLeft / averageRowTokens)));
+};
+
+/**
+ * Builds the data context for an analysis request
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {Object} options - { model, tokenBudget, sampling } where tokenBudget and sampling
+ *   default to the Data Context settings
+ * @returns {string} - Column profiles and a sample of rows, within the token budget
+ */
+export const buildDataContext = (data, columns, options = {}) => {
+  if (!data || !columns || data.length === 0) {
+    return 'No data available for analysis.';
+  }
+
+  const strategy = options.sampling || useSettingsStore.getState().dataContext?.sampling || 'stratified';
+  const { header, footer, tableHeader } = buildContextFrame(data, columns);
+
+  const sample = sampleRows(data, getSampleSize(data, columns, options), {
+    strategy,
+    stratifyBy: strategy === 'stratified' ? chooseStratifyColumn(getProfiles(data, columns)) : null,
+    seed: getSeed(data, columns)
+  });
+
+  const table = [tableHeader, ...sample.rows.map(row => formatRow(row, columns))].join('\n');
+  return `${header}${describeSample(sample, data.length)}\n${table}${footer}`;
+};
+
+export default {
+  MODEL_CONTEXT_TOKENS,
+  DEFAULT_CONTEXT_TOKENS,
+  SAMPLING_STRATEGIES,
+  getContextTokenBudget,
+  getSampleSize,
+  chooseStratifyColumn,
+  sampleRows,
+  formatColumnProfiles,
+  buildDataContext
+};
@@ -0,0 +1,279 @@
+import useQueueStore from '../stores/queueStore';
+import useSettingsStore from '../stores/settingsStore';
+import { normalizeQueueSettings, getProviderLimits, compareQueueEntries } from '../utils/queueUtils';
+
+/**
+ * Execution queue
+ * Every execution started in the app waits here for one of a limited number of run slots,
+ * so clicking "Execute" on several agents at once queues them instead of running them all.
+ * Inside a run, every provider request waits for a request slot of its provider, which
+ * bounds how many requests are in flight (collaborators running in parallel, map-reduce
+ * chunks) and how many are sent per minute. Waiting work is served by priority, then in order.
+ */
+
+// Requests per minute are counted over this sliding window
+const RATE_WINDOW_MS = 60000;
+
+// Executions waiting for a run slot: { jobId, priority, sequence, grant }
+const waitingRuns = [];
+let activeRuns = 0;
+let sequence = 0;
+
+// Cancel functions of queued and running jobs, so the queue panel can cancel them
+const jobCancels = new Map();
+
+// Request slots per provider ID: { active, waiting, sentAt, timer }
+const providerSlots = new Map();
+
+const createAbortError = () => Object.assign(new Error('Execution cancelled'), { name: 'AbortError' });
+
+const getQueueSettings = () => normalizeQueueSettings(useSettingsStore.getState().queue);
+
+/**
+ * Waits in a priority-ordered list until a slot is granted
+ * @param {Array} waiting - List of waiting entries
+ * @param {Object} entry - { priority, ... }; stays in the list until it is granted
+ * @param {Function} dispatch - Grants slots to waiting entries
+ * @param {AbortSignal} signal - Stops waiting (optional)
+ * @returns {Promise<void>} - Resolves once the slot is granted; rejects with an AbortError when cancelled
+ */
+const waitForSlot = (waiting, entry, dispatch, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      const index = waiting.indexOf(entry);
+      if (index !== -1) waiting.splice(index, 1);
+      reject(createAbortError());
+      dispatch();
+    };
+
+    entry.sequence = sequence++;
+    entry.grant = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(entry);
+    dispatch();
+  });
+};
+
+/**
+ * Starts waiting executions while run slots are free
+ */
+const dispatchRuns = () => {
+  const { maxConcurrentRuns } = getQueueSettings();
+  waitingRuns.sort(compareQueueEntries);
+
+  while (waitingRuns.length > 0 && activeRuns < maxConcurrentRuns) {
+    activeRuns += 1;
+    waitingRuns.shift().grant();
+  }
+};
+
+/**
+ * Determines the final status of a queue job from its execution results
+ * @param {Object} results - Execution results
+ * @returns {string} - 'completed', 'failed', 'cancelled' or 'awaiting-approval'
+ */
+const getJobStatus = (results) => {
+  if (results?.cancelled) return 'cancelled';
+  if (results?.awaitingApproval) return 'awaiting-approval';
+  return results?.success === false ? 'failed' : 'completed';
+};
+
+/**
+ * Runs an execution through the queue
+ * @param {Object} job - { runId, agentName, dataSourceName, provider, priority } shown in the queue panel
+ * @param {Function} task - Starts the execution once a run slot is free; returns a promise of the results
+ * @param {Object} options - { signal, cancel, onWaiting }
+ * @param {AbortSignal} options.signal - Cancels the execution, also while it is queued
+ * @param {Function} options.cancel - Cancels the execution from the queue panel
+ * @param {Function} options.onWaiting - Called with the number of executions ahead when it has to wait
+ * @returns {Promise<Object>} - The execution results; rejects with an AbortError when cancelled while queued
+ */
+export const runQueued = async (job, task, { signal, cancel, onWaiting } = {}) => {
+  const queue = useQueueStore.getState();
+  const jobId = `job-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+  const priority = job.priority || 'normal';
+
+  queue.addJob({
+    ...job,
+    id: jobId,
+    priority,
+    status: 'queued',
+    enqueuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  });
+  if (cancel) jobCancels.set(jobId, cancel);
+
+  const entry = { jobId, priority };
+  const slot = waitForSlot(waitingRuns, entry, dispatchRuns, signal);
+  // Granted synchronously when a slot was free
+  const position = waitingRuns.indexOf(entry);
+  if (position !== -1 && onWaiting) {
+    onWaiting(activeRuns + position);
+  }
+
+  try {
+    await slot;
+  } catch (error) {
+    jobCancels.delete(jobId);
+    queue.updateJob(jobId, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    throw error;
+  }
+
+  queue.updateJob(jobId, { status: 'running', startedAt: new Date().toISOString() });
+  try {
+    const results = await task();
+    if (results?.requiresCollaborators) {
+      // Not an outcome: the caller queues the run again with the collaborator details
+      queue.removeJob(jobId);
+    } else {
+      queue.updateJob(jobId, {
+        status: getJobStatus(results),
+        error: results?.success === false && !results.cancelled && !results.awaitingApproval
+          ? results.error || 'Unknown error'
+          : null,
+        finishedAt: new Date().toISOString()
+      });
+    }
+    return results;
+  } catch (error) {
+    queue.updateJob(jobId, {
+      status: error.name === 'AbortError' ? 'cancelled' : 'failed',
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    });
+    throw error;
+  } finally {
+    jobCancels.delete(jobId);
+    activeRuns -= 1;
+    dispatchRuns();
+  }
+};
+
+/**
+ * Cancels a queued or running job
+ * @param {string} jobId - Queue job ID
+ */
+export const cancelJob = (jobId) => {
+  const cancel = jobCancels.get(jobId);
+  if (cancel) cancel();
+};
+
+/**
+ * Changes the priority of a job that is still waiting
+ * @param {string} jobId - Queue job ID
+ * @param {string} priority - 'high', 'normal' or 'low'
+ */
+export const setJobPriority = (jobId, priority) => {
+  const entry = waitingRuns.find(waiting => waiting.jobId === jobId);
+  if (!entry) return;
+
+  entry.priority = priority;
+  useQueueStore.getState().updateJob(jobId, { priority });
+  dispatchRuns();
+};
+
+/**
+ * Starts queued executions that fit after the queue settings changed
+ */
+export const refreshQueue = () => {
+  dispatchRuns();
+  providerSlots.forEach((slots, providerId) => dispatchRequests(providerId));
+};
+
+/**
+ * Gets the request slots of a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - { active, waiting, sentAt, timer }
+ */
+const getProviderSlots = (providerId) => {
+  if (!providerSlots.has(providerId)) {
+    providerSlots.set(providerId, { active: 0, waiting: [], sentAt: [], timer: null });
+  }
+  return providerSlots.get(providerId);
+};
+
+/**
+ * Sends waiting requests of a provider while its limits allow
+ * A request over the per-minute limit waits until the oldest request in the window expires.
+ * @param {string} providerId - Provider ID
+ */
+const dispatchRequests = (providerId) => {
+  const slots = getProviderSlots(providerId);
+  const { maxConcurrentRequests, requestsPerMinute } = getProviderLimits(useSettingsStore.getState().queue, providerId);
+  const now = Date.now();
+
+  slots.sentAt = slots.sentAt.filter(sentAt => now - sentAt < RATE_WINDOW_MS);
+  slots.waiting.sort(compareQueueEntries);
+
+  while (slots.waiting.length > 0 && (maxConcurrentRequests === null || slots.active < maxConcurrentRequests)) {
+    if (requestsPerMinute !== null && slots.sentAt.length >= requestsPerMinute) {
+      if (!slots.timer) {
+        slots.timer = setTimeout(() => {
+          slots.timer = null;
+          dispatchRequests(providerId);
+        }, slots.sentAt[0] + RATE_WINDOW_MS - now);
+      }
+      break;
+    }
+
+    slots.active += 1;
+    slots.sentAt.push(now);
+    slots.waiting.shift().grant();
+  }
+
+  useQueueStore.getState().setProviderActivity(providerId, {
+    active: slots.active,
+    waiting: slots.waiting.length
+  });
+};
+
+/**
+ * Waits for a request slot of a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} options - { priority, signal, onWaiting }
+ * @param {string} options.priority - Priority of the execution sending the request
+ * @param {AbortSignal} options.signal - Stops waiting (optional)
+ * @param {Function} options.onWaiting - Called with the number of requests ahead when the request has to wait
+ * @returns {Promise<Function>} - Resolves with a function that frees the slot once the request is done;
+ *   rejects with an AbortError when cancelled
+ */
+export const acquireProviderSlot = async (providerId, { priority, signal, onWaiting } = {}) => {
+  const slots = getProviderSlots(providerId);
+  const entry = { priority: priority || 'normal' };
+  const slot = waitForSlot(slots.waiting, entry, () => dispatchRequests(providerId), signal);
+
+  // Granted synchronously when the provider had a free slot
+  const position = slots.waiting.indexOf(entry);
+  if (position !== -1 && onWaiting) {
+    onWaiting(slots.active + position);
+  }
+
+  await slot;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    slots.active -= 1;
+    dispatchRequests(providerId);
+  };
+};
+
+export default {
+  runQueued,
+  cancelJob,
+  setJobPriority,
+  refreshQueue,
+  acquireProviderSlot
+};
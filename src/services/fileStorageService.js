@@ -291,17 +291,20 @@ export const revokeTempFileUrl = (url) => {
  * Process a report file using AI to convert it to a structured format
  * @param {Object} reportData - The report data object
  * @param {string} outputFormat - Desired output format: 'csv', 'markdown', or 'mermaid'
- * @param {Object} options - Additional options for AI processing
+ * @param {Object} options - Additional options for AI processing (provider, model, columns, chartType)
  * @returns {Promise<Object>} - The processed result
  */
 export const processReportWithAI = async (reportData, outputFormat = 'autodetect', options = {}) => {
-  // Import OpenAI service dynamically to avoid circular dependencies
-  const openaiService = await import('./openaiService');
+  // Import the provider registry dynamically to avoid circular dependencies
+  const providerRegistry = await import('./providerRegistry');
   
-  if (!openaiService.default) {
-    throw new Error('Failed to load OpenAI service');
+  if (!providerRegistry.default) {
+    throw new Error('Failed to load AI providers');
   }
   
+  // Use the requested provider, or the default one chosen in Settings
+  const provider = options.provider || providerRegistry.default.getDefaultProviderId();
+  
   console.log('Processing report with AI:', {
     reportName: reportData.name,
     outputFormat,
@@ -359,25 +362,20 @@ ${outputFormat === 'autodetect' ?
   `Please convert this to ${outputFormat} format.`}
 `;
 
-    // Setup the API request
-    const params = {
-      model: options.model || 'gpt-4-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: options.temperature || 0.2,
-      max_tokens: options.maxTokens || 4000
-    };
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
 
-    // Use the OpenAI service to process the data
-    const response = await openaiService.default.generateAnalysis(
+    // Use the selected AI provider to process the data
+    const response = await providerRegistry.default.generateAnalysis(
+      provider,
       null, 
       null, 
       'custom',
       {
         ...options,
-        customMessages: params.messages
+        customMessages: messages
       }
     );
     
@@ -0,0 +1,147 @@
+import useNotificationStore from '../stores/notificationStore';
+
+/**
+ * Notification channels of notifier agents
+ * Alerts are shown in the app, as browser notifications, or posted as JSON to a webhook on the
+ * local machine or network. Other channels (such as the email channel of older sample agents)
+ * are reported as not supported.
+ */
+
+export const NOTIFICATION_CHANNELS = [
+  { id: 'in-app', name: 'In-app notification' },
+  { id: 'browser', name: 'Browser notification' },
+  { id: 'webhook', name: 'Webhook (local URL)' }
+];
+
+// Webhooks that don't answer within this time are reported as failed
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Checks whether a webhook URL points at this machine or the local network
+ * Only the host name is checked; it isn't resolved. A .local or .localhost name is accepted whatever
+ * address it resolves to, so this guards against typos and public URLs, not against a hostile DNS setup.
+ * @param {string} url - Webhook URL
+ * @returns {boolean} - True for http(s) URLs on localhost, 0.0.0.0, loopback, private (IPv4 and IPv6),
+ *   link-local or .local addresses
+ */
+export const isLocalUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+  const host = parsed.hostname.toLowerCase();
+  return host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.local') ||
+    host === '0.0.0.0' ||
+    host === '[::1]' ||
+    // IPv6 unique local (fc00::/7) and link-local (fe80::/10) addresses
+    /^\[f[cd][0-9a-f]{0,2}:/.test(host) ||
+    /^\[fe[89ab][0-9a-f]?:/.test(host) ||
+    /^127\.\d+\.\d+\.\d+$/.test(host) ||
+    /^10\.\d+\.\d+\.\d+$/.test(host) ||
+    /^192\.168\.\d+\.\d+$/.test(host) ||
+    // IPv4 link-local (169.254.0.0/16) addresses
+    /^169\.254\.\d+\.\d+$/.test(host) ||
+    /^172\.(1[6-9]|2\d|3[01])\.\d+\.\d+$/.test(host);
+};
+
+/**
+ * Shows a browser notification, asking for permission the first time
+ * @param {Object} alert - { title, message }
+ */
+const sendBrowserNotification = async ({ title, message }) => {
+  if (typeof window === 'undefined' || !('Notification' in window)) {
+    throw new Error('This browser does not support notifications');
+  }
+
+  let permission = window.Notification.permission;
+  if (permission === 'default') {
+    permission = await window.Notification.requestPermission();
+  }
+  if (permission !== 'granted') {
+    throw new Error('Browser notifications are blocked for this site');
+  }
+
+  new window.Notification(title, { body: message });
+};
+
+/**
+ * Posts an alert as JSON to a local webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} alert - Alert payload
+ * @param {AbortSignal} signal - Signal that cancels the request
+ */
+const sendWebhook = async (url, alert, signal) => {
+  if (!isLocalUrl(url)) {
+    throw new Error('Webhooks must point at a local URL (localhost or the local network)');
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`The webhook answered ${response.status}`);
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw error.name === 'AbortError' ? new Error(`The webhook did not answer within ${WEBHOOK_TIMEOUT_MS / 1000}s`) : error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+/**
+ * Sends an alert to each of a notifier agent's channels
+ * A failing channel doesn't stop the others; each outcome is returned.
+ * @param {Array} channels - Channel IDs
+ * @param {Object} alert - { title, message, agentId, agentName, dataSourceName, runId, ...details for webhooks }
+ * @param {Object} options - { webhookUrl, signal }
+ * @returns {Promise<Array>} - [{ channel, status: 'sent' | 'failed' | 'unsupported', error }]
+ */
+export const dispatchAlert = async (channels, alert, { webhookUrl, signal } = {}) => {
+  const outcomes = [];
+
+  for (const channel of channels) {
+    try {
+      if (channel === 'in-app') {
+        const { title, message, agentId, agentName, dataSourceName, runId } = alert;
+        useNotificationStore.getState().addNotification({ title, message, agentId, agentName, dataSourceName, runId });
+      } else if (channel === 'browser') {
+        await sendBrowserNotification(alert);
+      } else if (channel === 'webhook') {
+        await sendWebhook(webhookUrl, alert, signal);
+      } else {
+        outcomes.push({ channel, status: 'unsupported', error: `The ${channel} channel is not supported` });
+        continue;
+      }
+      outcomes.push({ channel, status: 'sent', error: null });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`Failed to send the alert to the ${channel} channel:`, error);
+      outcomes.push({ channel, status: 'failed', error: error.message });
+    }
+  }
+
+  return outcomes;
+};
+
+export default {
+  NOTIFICATION_CHANNELS,
+  isLocalUrl,
+  dispatchAlert
+};
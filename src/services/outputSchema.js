@@ -0,0 +1,184 @@
+import { validateSchema } from '../utils/schemaUtils';
+
+/**
+ * Output schemas
+ * JSON schemas that agent responses are validated against. The same schemas are sent to
+ * providers that support structured output (JSON mode), and validation errors are sent
+ * back to the model when a response needs repairing.
+ */
+
+// Chart types the report charts can draw
+export const CHART_TYPES = ['bar', 'line', 'pie'];
+
+const VISUALIZATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: CHART_TYPES },
+    title: { type: 'string', minLength: 1 },
+    data: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object' },
+      description: 'One object per bar, point or slice'
+    },
+    config: {
+      type: 'object',
+      properties: {
+        xAxisKey: { type: 'string', description: 'Key of the category or x value in each data object' },
+        nameKey: { type: 'string', description: 'Key of the slice name (pie charts)' },
+        valueKey: { type: 'string', description: 'Key of the numeric value in each data object' },
+        series: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              dataKey: { type: 'string' },
+              name: { type: 'string' },
+              color: { type: 'string' }
+            },
+            required: ['dataKey']
+          }
+        }
+      },
+      required: ['valueKey']
+    }
+  },
+  required: ['type', 'title', 'data', 'config']
+};
+
+const INSIGHTS_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const STATISTICS_SCHEMA = { type: 'object', description: 'Statistics per column' };
+
+const TRANSFORMED_DATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    columns: { type: 'array', items: { type: 'string' } },
+    rows: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['columns', 'rows']
+};
+
+/**
+ * Gets the output schema for an agent type
+ * @param {string} agentType - Type of agent (analyzer, visualizer, summarizer), 'synthesis' or 'critic'
+ * @returns {Object} - JSON schema of the response object
+ */
+export const getOutputSchema = (agentType) => {
+  const properties = {
+    summary: { type: 'string', minLength: 1 },
+    insights: INSIGHTS_SCHEMA,
+    statistics: STATISTICS_SCHEMA,
+    visualizations: { type: 'array', items: VISUALIZATION_SCHEMA },
+    transformedData: TRANSFORMED_DATA_SCHEMA
+  };
+
+  switch (agentType) {
+    case 'visualizer':
+      return {
+        type: 'object',
+        properties: { ...properties, visualizations: { ...properties.visualizations, minItems: 1 } },
+        required: ['summary', 'insights', 'visualizations']
+      };
+
+    case 'synthesis':
+      // Synthesis reports recommend charts in free form; the charts come from the collaborators
+      return {
+        type: 'object',
+        properties: { summary: properties.summary, insights: INSIGHTS_SCHEMA, statistics: STATISTICS_SCHEMA },
+        required: ['summary', 'insights']
+      };
+
+    case 'critic':
+      // The critic pass of a collaborative synthesis only lists contradictions
+      return {
+        type: 'object',
+        properties: {
+          contradictions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                topic: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                collaborators: { type: 'array', items: { type: 'string' } }
+              },
+              required: ['topic', 'description']
+            }
+          }
+        },
+        required: ['contradictions']
+      };
+
+    default:
+      return { type: 'object', properties, required: ['summary', 'insights'] };
+  }
+};
+
+/**
+ * Checks that a number-like value can be plotted
+ * @param {*} value - Data value
+ * @returns {boolean} - Whether the value is a finite number or numeric string
+ */
+const isPlottable = (value) => value !== null && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Validates a chart: its shape, and that its data has the keys its config refers to
+ * @param {Object} visualization - { type, title, data, config }
+ * @param {string} path - Path of the chart, used in error messages
+ * @returns {Array} - Error messages; empty when the chart can be drawn
+ */
+export const validateVisualization = (visualization, path = 'visualization') => {
+  const errors = validateSchema(visualization, VISUALIZATION_SCHEMA, path);
+  if (errors.length > 0) return errors;
+
+  const { type, data, config } = visualization;
+  const categoryKey = (type === 'pie' ? config.nameKey : null) || config.xAxisKey || 'name';
+  const valueKeys = type !== 'pie' && config.series?.length > 0
+    ? config.series.map(series => series.dataKey)
+    : [config.valueKey];
+
+  if (!data.some(row => row[categoryKey] !== undefined)) {
+    errors.push(`${path}.data: no data object has the key "${categoryKey}" named in the config`);
+  }
+  valueKeys.forEach(key => {
+    if (!data.some(row => isPlottable(row[key]))) {
+      errors.push(`${path}.data: no data object has a numeric "${key}" value`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validates a parsed response against an output schema, including whether its charts can be drawn
+ * @param {Object} result - Parsed response (null when the response was not JSON)
+ * @param {Object} schema - Output schema (see getOutputSchema)
+ * @returns {Array} - Error messages; empty when the response is valid
+ */
+export const validateOutput = (result, schema) => {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['response: expected a JSON object'];
+  }
+
+  // Charts are checked one by one, so that every chart's problems are reported
+  const { items, ...listSchema } = schema.properties?.visualizations || {};
+  const errors = validateSchema(result, items
+    ? { ...schema, properties: { ...schema.properties, visualizations: listSchema } }
+    : schema);
+
+  if (items && Array.isArray(result.visualizations)) {
+    result.visualizations.forEach((visualization, index) => {
+      errors.push(...validateVisualization(visualization, `response.visualizations[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+export default {
+  CHART_TYPES,
+  getOutputSchema,
+  validateVisualization,
+  validateOutput
+};
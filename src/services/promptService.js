@@ -0,0 +1,469 @@
+import { buildDataContext } from './contextBuilder';
+
+/**
+ * Prompt building and response parsing shared by every AI provider
+ * Providers only transport messages; what is asked and how answers are read lives here
+ */
+/**
+ * Transforms data for the AI context window
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {Object} options - { model, tokenBudget, sampling } (see buildDataContext)
+ * @returns {string} - Column profiles and a sample of rows sized to the model's budget
+ */
+export const transformDataForContext = (data, columns, options = {}) => {
+  return buildDataContext(data, columns, options);
+};
+
+/**
+ * Formats the output of a previous pipeline stage for the context window
+ * @param {Object|Array} previousStage - Summary, insights and statistics of the previous stage,
+ *   or an array of them for workflow agents that depend on several upstream agents
+ * @param {boolean} requestTransformedData - Whether this stage should return a dataset for the next one
+ * @returns {string} - Formatted stage context (empty if there is nothing to add)
+ */
+export const transformPreviousStageForContext = (previousStage, requestTransformedData = false) => {
+  let context = '';
+
+  if (Array.isArray(previousStage) && previousStage.length > 0) {
+    context += '\n\nThis step of an analysis workflow depends on the results of other agents:';
+    previousStage.forEach(upstream => {
+      context += `\n\n${upstream.agentName} (${upstream.agentType || 'agent'}) produced:\n` +
+        `Summary: ${upstream.summary || 'No summary provided'}\n` +
+        `Insights: ${(upstream.insights || []).join('; ') || 'None'}\n` +
+        `Statistics: ${JSON.stringify(upstream.statistics || {})}`;
+    });
+    context += '\n\nBuild on these findings instead of repeating them.';
+  } else if (previousStage && !Array.isArray(previousStage)) {
+    context += `\n\nThis is stage ${previousStage.stageIndex + 2} of an analysis pipeline. ` +
+      `Stage ${previousStage.stageIndex + 1} (${previousStage.agentName}, ${previousStage.agentType}) produced:\n` +
+      `Summary: ${previousStage.summary || 'No summary provided'}\n` +
+      `Insights: ${(previousStage.insights || []).join('; ') || 'None'}\n` +
+      `Statistics: ${JSON.stringify(previousStage.statistics || {})}\n` +
+      'Build on these findings instead of repeating them.';
+  }
+
+  if (requestTransformedData) {
+    context += '\n\nAlso include a "transformedData" object with "columns" (array of column names) and ' +
+      '"rows" (array of row objects) holding the cleaned, filtered or aggregated dataset the next ' +
+      'pipeline stage should analyze. Keep it under 200 rows.';
+  }
+
+  return context;
+};
+
+/**
+ * Explains to the model that it sees one chunk of a larger dataset (map-reduce analysis)
+ * @param {Object} chunk - { index, count, startRow, endRow, totalRows } with 0-based index and 1-based rows
+ * @returns {string} - Formatted chunk context (empty outside map-reduce analysis)
+ */
+export const transformChunkForContext = (chunk) => {
+  if (!chunk) return '';
+
+  return `\n\nThese rows are chunk ${chunk.index + 1} of ${chunk.count} (rows ${chunk.startRow}-${chunk.endRow} ` +
+    `of ${chunk.totalRows}) of a larger dataset. Analyze only these rows; the results of all chunks are ` +
+    'combined afterwards. Report counts, sums, minimums and maximums in "statistics" so they can be ' +
+    'added up across chunks.';
+};
+
+/**
+ * Formats one agent's findings for a debate round
+ * @param {Object} findings - { summary, insights, statistics }
+ * @returns {string} - Summary, insights and statistics on separate lines
+ */
+const formatFindings = (findings) => `Summary: ${findings.summary || 'No summary provided'}\n` +
+  `Insights: ${(findings.insights || []).join('; ') || 'None'}\n` +
+  `Statistics: ${JSON.stringify(findings.statistics || {})}`;
+
+/**
+ * Shows a collaborator the findings of the other collaborators in a debate round
+ * @param {Object} debate - { round, rounds, own, peers } where own is the collaborator's previous findings
+ *   and peers are the other collaborators' ({ agentName, agentType, summary, insights, statistics })
+ * @returns {string} - Formatted debate context (empty outside debate rounds)
+ */
+export const transformDebateForContext = (debate) => {
+  if (!debate) return '';
+
+  const peers = debate.peers.map(peer => `${peer.agentName} (${peer.agentType || 'agent'}) reported:\n${formatFindings(peer)}`);
+  return `\n\nThis is debate round ${debate.round} of ${debate.rounds} between agents that analyzed this dataset. ` +
+    `In the previous round you reported:\n${formatFindings(debate.own)}\n\n` +
+    `The other agents reported:\n\n${peers.join('\n\n')}\n\n` +
+    'Check their findings and yours against the data. Correct your own findings where they were wrong, ' +
+    'challenge claims the data does not support and confirm the ones it does, especially numbers that ' +
+    'differ between agents. Give your full revised analysis in the requested JSON format, and say in the ' +
+    'summary what you changed, challenged or confirmed.';
+};
+
+/**
+ * Tells the model which tools it can call for exact numbers over the full dataset
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {number} rowCount - Rows in the full dataset
+ * @returns {string} - Formatted tools context (empty when no tools are offered)
+ */
+export const transformToolsForContext = (tools, rowCount) => {
+  if (!tools || tools.length === 0) return '';
+
+  return `\n\nYou can call tools (${tools.map(tool => tool.name).join(', ')}) that compute exact results over ` +
+    `all ${rowCount} rows. Use them for any count, total, average, correlation or outlier you report instead ` +
+    'of estimating it from the sample, then give your final answer in the requested JSON format.';
+};
+
+/**
+ * Gets the appropriate system prompt based on agent type
+ * @param {string} agentType - Type of agent (analyzer, visualizer, summarizer)
+ * @returns {string} - System prompt for the agent
+ */
+export const getSystemPromptForAgentType = (agentType) => {
+  const basePrompt = `You are an AI data analyst assistant that helps analyze and interpret data. 
+You will be given a dataset and are expected to provide insights based on your capabilities.`;
+  
+  switch (agentType) {
+    case 'analyzer':
+      return `${basePrompt}
+Your task is to perform statistical analysis on the dataset. You should:
+1. Identify the data types of each column
+2. Calculate key statistics for numerical columns (mean, median, min, max, standard deviation)
+3. Identify correlations between numerical columns
+4. Detect outliers and anomalies
+5. Report the top insights you've discovered
+
+Format your response as a JSON object with this exact structure:
+{
+  "summary": "# Analysis Title\\n\\n[Markdown analysis of the dataset]",
+  "insights": ["Insight 1", "Insight 2", "Insight 3"],
+  "statistics": {
+    "column1": {"mean": 50, "median": 48, "min": 10, "max": 100, "stdDev": 12.5}
+  },
+  "visualizations": []
+}
+Visualizations are optional. Each one is an object like
+{"type": "bar", "title": "Chart Title", "data": [{"name": "Category1", "value": 10}], "config": {"xAxisKey": "name", "valueKey": "value"}}
+with a "type" of bar, line or pie.`;
+      
+    case 'visualizer':
+      return `${basePrompt}
+Your task is to recommend appropriate visualizations for the dataset. You should:
+1. Identify which columns would be most insightful to visualize
+2. Recommend a chart type (bar, line or pie; no other types can be drawn) for different aspects of the data
+3. Explain why each visualization would be helpful
+4. Provide configuration suggestions for each visualization (axes, colors, grouping)
+
+Format your response as a JSON object with this exact structure:
+{
+  "summary": "Brief text analysis of the dataset",
+  "insights": ["Insight 1", "Insight 2", "Insight 3"],
+  "visualizations": [
+    {
+      "type": "bar",
+      "title": "Chart Title",
+      "data": [{"name": "Category1", "value": 10}, {"name": "Category2", "value": 20}],
+      "config": {
+        "xAxisKey": "name",
+        "valueKey": "value",
+        "series": [{"dataKey": "value", "name": "Value", "color": "#0088FE"}]
+      }
+    },
+    {
+      "type": "pie",
+      "title": "Distribution Chart",
+      "data": [{"name": "Category1", "value": 30}, {"name": "Category2", "value": 70}],
+      "config": {
+        "nameKey": "name",
+        "valueKey": "value"
+      }
+    }
+  ]
+}`;
+      
+    case 'summarizer':
+      return `${basePrompt}
+Your task is to create a concise text summary of the dataset. You should:
+1. Describe the overall structure and purpose of the dataset
+2. Highlight the most important patterns and trends
+3. Summarize key statistics in natural language
+4. Provide actionable recommendations based on the data
+5. Format your response as a report with sections
+
+Format your response as a JSON object with this exact structure:
+{
+  "summary": "# Report Title\\n\\n## Overview\\n[Overview text]\\n\\n## Key Patterns\\n[Patterns text]\\n\\n## Recommendations\\n[Recommendations text]",
+  "insights": ["Key insight 1", "Key insight 2", "Key insight 3"],
+  "statistics": {
+    "column1": {"mean": 50, "median": 48, "min": 10, "max": 100, "count": 500},
+    "column2": {"mean": 25, "median": 22, "min": 5, "max": 60, "count": 450}
+  },
+  "visualizations": [
+    {
+      "type": "bar",
+      "title": "Chart Title",
+      "data": [{"name": "Category1", "value": 10}, {"name": "Category2", "value": 20}],
+      "config": {
+        "xAxisKey": "name",
+        "valueKey": "value",
+        "series": [{"dataKey": "value", "name": "Value", "color": "#0088FE"}]
+      }
+    }
+  ]
+}`;
+      
+    default:
+      return `${basePrompt}
+Analyze the provided dataset and return insights in a properly structured JSON format with the following sections:
+- summary: A markdown-formatted text summary of your analysis
+- insights: An array of key insights as strings
+- statistics (optional): An object with statistics for numerical columns
+- visualizations: An array of visualization objects, each with:
+  - type: Chart type (bar, line, pie)
+  - title: Chart title
+  - data: Array of data objects with name/value pairs
+  - config: Configuration object with xAxisKey, valueKey, and series information
+
+Here's an example of the expected response format:
+{
+  "summary": "# Dataset Analysis\\n\\n## Overview\\n[Overview text]",
+  "insights": ["Key insight 1", "Key insight 2"],
+  "visualizations": [
+    {
+      "type": "bar",
+      "title": "Key Metrics",
+      "data": [{"name": "Category1", "value": 10}, {"name": "Category2", "value": 20}],
+      "config": {
+        "xAxisKey": "name",
+        "valueKey": "value",
+        "series": [{"dataKey": "value", "name": "Value", "color": "#0088FE"}]
+      }
+    }
+  ]
+}`;
+  }
+};
+
+/**
+ * Extracts the JSON object from a model response
+ * Accepts a bare JSON object, one in a markdown code block, or one surrounded by text.
+ * @param {string} responseContent - Raw text returned by the provider
+ * @returns {Object|null} - The parsed object, or null when the response holds no valid JSON
+ */
+export const extractJson = (responseContent) => {
+  if (typeof responseContent !== 'string') return null;
+
+  try {
+    // First try to parse as JSON directly
+    return JSON.parse(responseContent);
+  } catch {
+    // If not valid JSON, try to extract JSON from markdown code blocks
+    const jsonMatch = responseContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (jsonMatch && jsonMatch[1]) {
+      try {
+        return JSON.parse(jsonMatch[1]);
+      } catch (e2) {
+        console.error('Failed to parse JSON from code block:', e2);
+      }
+    }
+    
+    // Try to be more forgiving and extract any JSON-like structure from the text
+    const possibleJson = responseContent.match(/(\{[\s\S]*\})/g);
+    for (const jsonCandidate of possibleJson || []) {
+      try {
+        const parsed = JSON.parse(jsonCandidate);
+        console.log('Successfully extracted JSON object from response text');
+        return parsed;
+      } catch {
+        // Continue to next candidate
+      }
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Parses a model response into a structured format
+ * Responses without JSON are turned into a summary with the insights found in the text.
+ * @param {string} responseContent - Raw text returned by the provider
+ * @returns {Object} - Structured response object
+ */
+export const parseResponse = (responseContent) => {
+  const parsed = extractJson(responseContent);
+  if (parsed !== null) {
+    return parsed;
+  }
+
+  // Try to intelligently construct a JSON structure from the response
+  try {
+    const result = {
+      summary: responseContent
+    };
+    
+    // Extract insights from bullet points or numbered lists
+    const insightsMatch = responseContent.match(/(?:Key Insights|Insights|Key Points):\s*\n((?:\d+\.\s+.*|\*\s+.*|-\s+.*)\n)+/i);
+    if (insightsMatch) {
+      const insightsText = insightsMatch[0];
+      const insights = insightsText.match(/(?:\d+\.\s+|\*\s+|-\s+)(.*)/g)
+        ?.map(line => line.replace(/(?:\d+\.\s+|\*\s+|-\s+)/, '').trim())
+        ?.filter(Boolean);
+        
+      if (insights && insights.length > 0) {
+        result.insights = insights;
+      }
+    }
+    
+    return result;
+  } catch (e5) {
+    console.error('Failed to construct structured result from text:', e5);
+  }
+  
+  // If all parsing fails, return a structured error with the original text
+  return {
+    success: false,
+    error: 'Failed to parse response as JSON',
+    rawContent: responseContent
+  };
+};
+
+/**
+ * Builds the message asking a model to fix a response that failed validation
+ * @param {Array} errors - Validation errors ("path: problem")
+ * @param {Object} options - { emptyResponse: true } when the response had no text, so it isn't
+ *   repeated as an assistant turn
+ * @returns {Object} - User message
+ */
+export const buildRepairMessage = (errors, options = {}) => ({
+  role: 'user',
+  content: (options.emptyResponse ? 'Your previous response contained no text. ' : '') +
+    'Your response does not match the required format:\n' +
+    errors.slice(0, 20).map(error => `- ${error}`).join('\n') +
+    '\n\nReply with the corrected JSON object only, with no text around it. Charts need a "type" of ' +
+    'bar, line or pie, a "title", a non-empty "data" array, and a "config" whose keys name fields of ' +
+    'the data objects, with numeric values.'
+});
+
+/**
+ * Finds the end of the JSON string or object starting at a position
+ * @param {string} text - Partial JSON text
+ * @param {number} start - Index of the opening quote or brace
+ * @returns {number} - Index just past the value, or -1 if it is not complete yet
+ */
+const findValueEnd = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 0) return i + 1;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return i + 1;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Creates a parser that picks complete insights out of a JSON response while it is still streaming
+ * Call it with the full text received so far; it returns only the insights completed since the last call.
+ * @returns {Function} - (textSoFar) => Array of new insight strings
+ */
+export const createInsightStreamParser = () => {
+  // Position of the next unread insight, once the "insights" array has been found
+  let position = -1;
+  let finished = false;
+
+  return (text) => {
+    if (finished) return [];
+
+    if (position === -1) {
+      const match = /"insights"\s*:\s*\[/.exec(text);
+      if (!match) return [];
+      position = match.index + match[0].length;
+    }
+
+    const insights = [];
+    while (position < text.length) {
+      const char = text[position];
+
+      if (char === ']') {
+        finished = true;
+        break;
+      }
+      if (char !== '"' && char !== '{') {
+        // Whitespace and commas between items
+        position += 1;
+        continue;
+      }
+
+      const end = findValueEnd(text, position);
+      if (end === -1) break;
+
+      try {
+        const value = JSON.parse(text.slice(position, end));
+        const insight = typeof value === 'string'
+          ? value
+          : value.text || value.insight || value.description || JSON.stringify(value);
+        if (insight) insights.push(insight);
+      } catch (error) {
+        console.warn('Skipping malformed streamed insight:', error.message);
+      }
+      position = end;
+    }
+
+    return insights;
+  };
+};
+
+/**
+ * Builds the chat messages for an analysis request
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {string} agentType - Type of agent (analyzer, visualizer, summarizer)
+ * @param {Object} options - Request options (customMessages, previousStage, requestTransformedData,
+ *   chunk for map-reduce analysis, debate for debate rounds between collaborators, tools the model
+ *   may call, and model, which sizes the data sample)
+ * @returns {Array} - Messages with 'system' and 'user' roles
+ */
+export const buildAnalysisMessages = (data, columns, agentType, options = {}) => {
+  // Custom messages are used as-is (report processing, synthesis)
+  if (options.customMessages) {
+    return options.customMessages;
+  }
+
+  const dataContext = transformDataForContext(data, columns, { model: options.model }) +
+    transformPreviousStageForContext(options.previousStage, options.requestTransformedData) +
+    transformChunkForContext(options.chunk) +
+    transformDebateForContext(options.debate) +
+    transformToolsForContext(options.tools, data?.length || 0);
+
+  return [
+    { role: 'system', content: getSystemPromptForAgentType(agentType) },
+    { role: 'user', content: dataContext }
+  ];
+};
+
+export default {
+  transformDataForContext,
+  transformPreviousStageForContext,
+  transformChunkForContext,
+  transformDebateForContext,
+  transformToolsForContext,
+  getSystemPromptForAgentType,
+  extractJson,
+  parseResponse,
+  buildRepairMessage,
+  createInsightStreamParser,
+  buildAnalysisMessages
+};
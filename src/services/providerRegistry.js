@@ -0,0 +1,496 @@
+import axios from 'axios';
+import {
+  buildAnalysisMessages,
+  extractJson,
+  parseResponse,
+  buildRepairMessage,
+  createInsightStreamParser
+} from './promptService';
+import { getOutputSchema, validateOutput } from './outputSchema';
+import { sumUsage } from '../utils/costUtils';
+import {
+  normalizeRetrySettings,
+  isRetryableError,
+  getErrorStatus,
+  getRetryAfterMs,
+  getBackoffDelay,
+  wait
+} from '../utils/retryUtils';
+import { acquireProviderSlot } from './executionQueue';
+import useSettingsStore from '../stores/settingsStore';
+import openaiProvider from './providers/openaiProvider';
+import openRouterProvider from './providers/openRouterProvider';
+import anthropicProvider from './providers/anthropicProvider';
+import azureOpenAIProvider from './providers/azureOpenAIProvider';
+import localProvider from './providers/localProvider';
+import mockProvider from './providers/mockProvider';
+
+/**
+ * AI provider registry
+ * Every AI backend is a provider module registered here. A provider describes itself
+ * (id, name, models, settings fields, links, requiresApiKey, usesApiKey) and implements:
+ *   sendMessages(messages, params, config, requestOptions) -> Promise<{ content, usage, model }>
+ *   streamMessages(messages, params, config, requestOptions, onDelta) -> same result, while calling
+ *     onDelta(delta, textSoFar) as tokens arrive over server-sent events (optional)
+ *   verify(config) -> Promise<string> (optional, used by the Settings page)
+ * Providers with supportsTools accept tool definitions in params.tools ({ name, description,
+ * parameters }, plus params.toolChoice 'auto' or 'none'), return the model's tool calls as
+ * toolCalls: [{ id, name, arguments }], and accept tool turns in the OpenAI message shape
+ * (assistant messages with tool_calls, 'tool' messages with the results).
+ * Providers with supportsJsonMode accept params.responseFormat ({ name, schema }) and ask the
+ * model for a JSON object, following the schema where the model supports it.
+ * Providers that work on the dataset itself rather than on a prompt (such as the offline
+ * mock) implement generateAnalysis(data, columns, agentType, options) instead of sendMessages.
+ * Prompt building, response parsing, milestones and error handling are shared below,
+ * so adding a backend only takes one module and one registerProvider call.
+ */
+
+const DEFAULT_PROVIDER_ID = 'openai';
+
+// Requests an analysis may take while the model calls tools; the last one has to answer
+const MAX_TOOL_ROUNDS = 5;
+
+const providers = new Map();
+
+/**
+ * Registers an AI provider
+ * @param {Object} provider - Provider module
+ * @returns {Object} - The registered provider
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.id || !provider.name ||
+      (typeof provider.sendMessages !== 'function' && typeof provider.generateAnalysis !== 'function')) {
+    throw new Error('A provider needs an id, a name and a sendMessages or generateAnalysis function');
+  }
+
+  providers.set(provider.id, {
+    requiresApiKey: true,
+    usesApiKey: true,
+    supportsTools: false,
+    supportsJsonMode: false,
+    models: [],
+    fields: [],
+    links: {},
+    ...provider
+  });
+  return providers.get(provider.id);
+};
+
+/**
+ * Gets a registered provider
+ * @param {string} id - Provider ID
+ * @returns {Object|undefined} - Provider module
+ */
+export const getProvider = (id) => {
+  return providers.get(id);
+};
+
+/**
+ * Lists all registered providers in registration order
+ * @returns {Array} - Provider modules
+ */
+export const listProviders = () => {
+  return [...providers.values()];
+};
+
+/**
+ * Gets a provider's display name, falling back to its ID for unknown providers
+ * @param {string} id - Provider ID
+ * @returns {string} - Display name
+ */
+export const getProviderName = (id) => {
+  return providers.get(id)?.name || id;
+};
+
+/**
+ * Reads the saved AI settings
+ * @returns {Object} - { providers, defaultProvider }
+ */
+const readAISettings = () => {
+  try {
+    const aiSettings = JSON.parse(localStorage.getItem('ai_settings') || '{}');
+    return { providers: {}, ...aiSettings };
+  } catch (error) {
+    console.error('Error reading AI settings:', error);
+    return { providers: {} };
+  }
+};
+
+/**
+ * Gets the provider selected as default in Settings
+ * @returns {string} - Provider ID
+ */
+export const getDefaultProviderId = () => {
+  const id = readAISettings().defaultProvider || localStorage.getItem('default_ai_provider');
+  return providers.has(id) ? id : DEFAULT_PROVIDER_ID;
+};
+
+/**
+ * Resolves the settings of a provider
+ * Saved settings come from ai_settings, with the older per-provider keys
+ * (e.g. openai_api_key, openai_model) as fallback. Non-empty overrides win.
+ * @param {string} id - Provider ID
+ * @param {Object} overrides - Values from the execution options (apiKey, model, ...)
+ * @returns {Object} - { apiKey, model, ...provider fields }
+ */
+export const getProviderConfig = (id, overrides = {}) => {
+  const provider = providers.get(id);
+  const saved = readAISettings().providers[id] || {};
+
+  const config = {
+    apiKey: saved.key || localStorage.getItem(`${id}_api_key`) || '',
+    model: saved.model || localStorage.getItem(`${id}_model`) || provider?.defaultModel || ''
+  };
+
+  (provider?.fields || []).forEach(field => {
+    config[field.key] = saved[field.key] || field.defaultValue || '';
+  });
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      config[key] = value;
+    }
+  });
+
+  return config;
+};
+
+/**
+ * Checks whether a provider has the credentials it needs
+ * @param {string} id - Provider ID
+ * @param {Object} config - Resolved provider settings
+ * @returns {boolean} - True if the provider can be called
+ */
+export const isProviderConfigured = (id, config = getProviderConfig(id)) => {
+  const provider = providers.get(id);
+  if (!provider) return false;
+  return !provider.requiresApiKey || !!config.apiKey;
+};
+
+/**
+ * Notifies the caller that a request milestone was reached
+ * Milestones are 'promptBuilt', 'requestSent', 'streaming' (response arriving; streamed
+ * requests include the text so far), 'insight' (an insight completed while streaming),
+ * 'toolCall' (a tool the model called has run; includes its arguments and result),
+ * 'validation' (the response failed validation; includes the errors and whether it is being repaired)
+ * 'retry' (a request failed and is sent again after a delay) and 'waiting' (the request waits for
+ * the provider's request limits; includes how many requests are ahead)
+ * @param {Function} onMilestone - Milestone callback from the request options (optional)
+ * @param {string} name - Milestone name
+ * @param {Object} details - Milestone details
+ */
+export const reportMilestone = (onMilestone, name, details = {}) => {
+  if (typeof onMilestone === 'function') {
+    onMilestone(name, details);
+  }
+};
+
+/**
+ * Gets the message of a failed request
+ * @param {Error} error - Error thrown by a provider
+ * @returns {string} - The API's error message when it sent one
+ */
+const getErrorMessage = (error) => {
+  return error.response?.data?.error?.message || error.message || 'Failed to generate analysis';
+};
+
+/**
+ * Runs the tools a model called and builds the messages that return their results
+ * A failing tool returns its error to the model, which can correct the call.
+ * @param {Object} toolset - { definitions, execute(name, args) }
+ * @param {Array} toolCalls - Tool calls from the provider response
+ * @param {Function} onMilestone - Milestone callback from the request options (optional)
+ * @returns {Array} - One 'tool' message per call
+ */
+const runToolCalls = (toolset, toolCalls, onMilestone) => {
+  return toolCalls.map(call => {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = toolset.execute(call.name, call.arguments);
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    reportMilestone(onMilestone, 'toolCall', {
+      name: call.name,
+      arguments: call.arguments,
+      result,
+      durationMs: Date.now() - startedAt
+    });
+
+    return { role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) };
+  });
+};
+
+/**
+ * Generates analysis for a dataset with any registered provider
+ * @param {string} providerId - Provider ID
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {string} agentType - Type of agent (analyzer, visualizer, summarizer)
+ * @param {Object} options - apiKey, model, temperature, maxTokens, customMessages, previousStage,
+ *   requestTransformedData, chunk (map-reduce analysis), debate (debate rounds between collaborators), signal,
+ *   onMilestone, stream (default true; set false to wait for the full response), tools ({ definitions,
+ *   execute } the model may call; ignored by providers without tool support), outputSchema (JSON schema the response is validated against;
+ *   defaults to the agent type's schema unless customMessages are sent), repair (default true;
+ *   set false to skip the repair request for an invalid response) and retry ({ maxRetries, baseDelayMs,
+ *   maxDelayMs }; defaults to the Settings) and priority ('high', 'normal' or 'low'; orders requests
+ *   waiting for the provider's request limits)
+ * @returns {Promise<Object>} - { success, result, usage, model, provider, retries } or
+ *   { success: false, error, status, retries }; retries lists the failed requests that were sent again
+ */
+export const generateAnalysis = async (providerId, data, columns, agentType, options = {}) => {
+  const provider = providers.get(providerId);
+  if (!provider) {
+    return { success: false, error: `Unknown AI provider: ${providerId}` };
+  }
+
+  const config = getProviderConfig(providerId, { apiKey: options.apiKey, model: options.model });
+  if (!isProviderConfigured(providerId, config)) {
+    return {
+      success: false,
+      error: `API key not configured. Please set your ${provider.name} API key.`
+    };
+  }
+
+  const params = {
+    model: config.model || provider.defaultModel,
+    temperature: options.temperature ?? 0.2,
+    maxTokens: options.maxTokens || 4000
+  };
+
+  const retries = [];
+  try {
+    if (typeof provider.generateAnalysis === 'function') {
+      reportMilestone(options.onMilestone, 'promptBuilt', { provider: provider.id });
+      reportMilestone(options.onMilestone, 'requestSent', { model: params.model, provider: provider.id });
+
+      const response = await provider.generateAnalysis(data, columns, agentType, { ...options, ...params, config });
+      return {
+        success: true,
+        result: response.result,
+        usage: response.usage,
+        model: response.model || params.model,
+        provider: provider.id
+      };
+    }
+
+    const toolset = provider.supportsTools && options.tools ? options.tools : null;
+    const retrySettings = normalizeRetrySettings(options.retry || useSettingsStore.getState().retry);
+    const messages = [...buildAnalysisMessages(data, columns, agentType, {
+      ...options,
+      model: params.model,
+      tools: toolset?.definitions
+    })];
+
+    reportMilestone(options.onMilestone, 'promptBuilt', {
+      messageCount: messages.length,
+      promptCharacters: messages.reduce((sum, m) => sum + (m.content?.length || 0), 0)
+    });
+
+    // Insights already shown; a retried request streams the same insights again
+    const streamedInsights = new Set();
+
+    // One request per round; the model answers or asks for tools, whose results go back in the next round.
+    // Every request waits for a request slot of the provider (see executionQueue)
+    const sendRequest = async (requestParams, stream = options.stream !== false) => {
+      const release = await acquireProviderSlot(provider.id, {
+        priority: options.priority,
+        signal: options.signal,
+        onWaiting: ahead => reportMilestone(options.onMilestone, 'waiting', { provider: provider.name, ahead })
+      });
+
+      try {
+        reportMilestone(options.onMilestone, 'requestSent', { model: params.model, provider: provider.id });
+
+        if (stream && typeof provider.streamMessages === 'function') {
+          const parseInsights = createInsightStreamParser();
+
+          return await provider.streamMessages(messages, requestParams, config, { signal: options.signal }, (delta, text) => {
+            reportMilestone(options.onMilestone, 'streaming', { loaded: text.length, text });
+            parseInsights(text).forEach(insight => {
+              if (streamedInsights.has(insight)) return;
+              streamedInsights.add(insight);
+              reportMilestone(options.onMilestone, 'insight', { insight });
+            });
+          });
+        }
+
+        return await provider.sendMessages(messages, requestParams, config, {
+          signal: options.signal,
+          onDownloadProgress: event => reportMilestone(options.onMilestone, 'streaming', {
+            loaded: event.loaded,
+            total: event.total
+          })
+        });
+      } finally {
+        release();
+      }
+    };
+
+    // Responses are validated against the output schema, which JSON mode providers also receive
+    const outputSchema = options.outputSchema || (options.customMessages ? null : getOutputSchema(agentType));
+    const requestParams = outputSchema && provider.supportsJsonMode
+      ? { ...params, responseFormat: { name: 'analysis_result', schema: outputSchema } }
+      : params;
+
+    // Rate limits, server errors and network failures are retried with exponential backoff,
+    // or after the delay the server asks for
+    const sendWithRetry = async (requestParams, stream) => {
+      for (let retry = 1; ; retry++) {
+        try {
+          return await sendRequest(requestParams, stream);
+        } catch (error) {
+          if (retry > retrySettings.maxRetries || !isRetryableError(error)) throw error;
+
+          const retryAfterMs = getRetryAfterMs(error);
+          // Waiting longer than the maximum delay is left to failover
+          if (retryAfterMs !== null && retryAfterMs > retrySettings.maxDelayMs) throw error;
+
+          const entry = {
+            retry,
+            status: getErrorStatus(error),
+            error: getErrorMessage(error),
+            delayMs: retryAfterMs ?? getBackoffDelay(retry, retrySettings)
+          };
+          retries.push(entry);
+          reportMilestone(options.onMilestone, 'retry', { ...entry, maxRetries: retrySettings.maxRetries });
+          await wait(entry.delayMs, options.signal);
+        }
+      }
+    };
+
+    let response;
+    const usages = [];
+    for (let round = 1; ; round++) {
+      const lastRound = round >= MAX_TOOL_ROUNDS;
+      response = await sendWithRetry(toolset
+        ? { ...requestParams, tools: toolset.definitions, toolChoice: lastRound ? 'none' : 'auto' }
+        : requestParams);
+      usages.push(response.usage);
+
+      if (!toolset || lastRound || !response.toolCalls?.length) break;
+
+      messages.push({
+        role: 'assistant',
+        content: response.content || null,
+        tool_calls: response.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+          }
+        }))
+      });
+      messages.push(...runToolCalls(toolset, response.toolCalls, options.onMilestone));
+    }
+
+    let validationErrors = outputSchema ? validateOutput(extractJson(response.content), outputSchema) : [];
+    let repaired = false;
+    if (validationErrors.length > 0 && options.repair !== false) {
+      reportMilestone(options.onMilestone, 'validation', { errors: validationErrors, repairing: true });
+
+      // Ask once for a corrected response; tools stay defined (some APIs require it for the tool turns) but unused.
+      // An empty response isn't repeated, since Anthropic rejects assistant turns without text
+      if (response.content) {
+        messages.push({ role: 'assistant', content: response.content }, buildRepairMessage(validationErrors));
+      } else {
+        messages.push(buildRepairMessage(validationErrors, { emptyResponse: true }));
+      }
+      const repair = await sendWithRetry(toolset
+        ? { ...requestParams, tools: toolset.definitions, toolChoice: 'none' }
+        : requestParams, false);
+      usages.push(repair.usage);
+
+      const repairErrors = validateOutput(extractJson(repair.content), outputSchema);
+      // Keep the repaired response unless it is worse than the original
+      if (repairErrors.length <= validationErrors.length) {
+        response = repair;
+        repaired = repairErrors.length === 0;
+        validationErrors = repairErrors;
+      }
+    }
+    if (validationErrors.length > 0) {
+      reportMilestone(options.onMilestone, 'validation', { errors: validationErrors, repairing: false });
+    }
+
+    return {
+      success: true,
+      result: parseResponse(response.content),
+      // Every round of a tool conversation is billed
+      usage: usages.length > 1 ? sumUsage(usages) : response.usage,
+      model: response.model || params.model,
+      provider: provider.id,
+      validation: outputSchema ? { valid: validationErrors.length === 0, repaired, errors: validationErrors } : null,
+      retries
+    };
+  } catch (error) {
+    // axios and fetch (streaming) report cancellation differently
+    if (axios.isCancel(error) || error.name === 'AbortError') {
+      return { success: false, cancelled: true, error: 'Request cancelled' };
+    }
+
+    console.error(`Error generating analysis with ${provider.name}:`, error);
+
+    return {
+      success: false,
+      error: getErrorMessage(error),
+      status: getErrorStatus(error),
+      details: error.response?.data,
+      retries
+    };
+  }
+};
+
+/**
+ * Verifies a provider's settings (API key, endpoint or server URL)
+ * @param {string} providerId - Provider ID
+ * @param {Object} config - Provider settings to check
+ * @returns {Promise<Object>} - { verified, message }
+ */
+export const verifyProvider = async (providerId, config) => {
+  const provider = providers.get(providerId);
+  if (!provider) {
+    return { verified: false, message: `Unknown AI provider: ${providerId}` };
+  }
+  if (provider.requiresApiKey && !config.apiKey) {
+    return { verified: false, message: 'Please enter an API key' };
+  }
+  if (typeof provider.verify !== 'function') {
+    return { verified: true, message: 'Saved (this provider cannot be verified)' };
+  }
+
+  try {
+    const message = await provider.verify(config);
+    return { verified: true, message };
+  } catch (error) {
+    console.error(`Error verifying ${provider.name} settings:`, error);
+    return {
+      verified: false,
+      message: `Error: ${error.response?.data?.error?.message || error.message || 'Verification failed'}`
+    };
+  }
+};
+
+// Built-in providers
+registerProvider(openaiProvider);
+registerProvider(openRouterProvider);
+registerProvider(anthropicProvider);
+registerProvider(azureOpenAIProvider);
+registerProvider(localProvider);
+registerProvider(mockProvider);
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  getProviderName,
+  getDefaultProviderId,
+  getProviderConfig,
+  isProviderConfigured,
+  reportMilestone,
+  generateAnalysis,
+  verifyProvider
+};
@@ -0,0 +1,217 @@
+import axios from 'axios';
+import { createResponseError, readEventStream } from './chatCompletions';
+
+const BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Builds the Anthropic request headers
+ * @param {string} apiKey - Anthropic API key
+ * @returns {Object} - Header object
+ */
+const getHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  'x-api-key': apiKey,
+  'anthropic-version': ANTHROPIC_VERSION,
+  // Requests are made straight from the browser
+  'anthropic-dangerous-direct-browser-access': 'true'
+});
+
+/**
+ * Parses the arguments of an OpenAI-style tool call into a tool_use input
+ * @param {string} text - Arguments as JSON text
+ * @returns {Object} - Input object (empty if the arguments weren't valid JSON)
+ */
+const parseToolInput = (text) => {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Converts the conversation from the OpenAI shape used across the app to Messages API messages
+ * Assistant tool calls become tool_use blocks, and tool results go back as tool_result blocks
+ * in a user message (one message for all results of a turn).
+ * @param {Array} messages - Chat messages without the system prompt
+ * @returns {Array} - Messages API messages
+ */
+const toAnthropicMessages = (messages) => {
+  const converted = [];
+
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+      const previous = converted[converted.length - 1];
+      if (previous?.role === 'user' && Array.isArray(previous.content) &&
+          previous.content.every(item => item.type === 'tool_result')) {
+        previous.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant' && message.tool_calls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: parseToolInput(call.function.arguments)
+          }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  });
+
+  return converted;
+};
+
+/**
+ * Builds the Messages API body; the system prompt is sent separately from the conversation
+ * @param {Array} messages - Chat messages in the OpenAI shape
+ * @param {Object} params - { model, temperature, maxTokens, tools, toolChoice }
+ * @returns {Object} - Request body
+ */
+const buildBody = (messages, params) => {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  return {
+    model: params.model,
+    max_tokens: params.maxTokens,
+    temperature: params.temperature,
+    ...(system ? { system } : {}),
+    messages: toAnthropicMessages(messages.filter(message => message.role !== 'system')),
+    ...(params.tools?.length ? {
+      tools: params.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      })),
+      tool_choice: { type: params.toolChoice === 'none' ? 'none' : 'auto' }
+    } : {})
+  };
+};
+
+/**
+ * Converts Anthropic token counts to the OpenAI usage shape so callers can treat every provider alike
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+const toUsage = (inputTokens = 0, outputTokens = 0) => ({
+  prompt_tokens: inputTokens,
+  completion_tokens: outputTokens,
+  total_tokens: inputTokens + outputTokens
+});
+
+/**
+ * Anthropic provider
+ * Uses the Messages API, which takes the system prompt separately from the conversation
+ */
+const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  description: 'Direct access to Claude models through the Anthropic Messages API.',
+  bestFor: 'Long, structured reports and careful reasoning over data.',
+  requiresApiKey: true,
+  supportsTools: true,
+  keyPlaceholder: 'sk-ant-...',
+  defaultModel: 'claude-3-5-haiku-latest',
+  models: [
+    { id: 'claude-3-5-haiku-latest', name: 'Claude 3.5 Haiku' },
+    { id: 'claude-3-5-sonnet-latest', name: 'Claude 3.5 Sonnet' },
+    { id: 'claude-3-7-sonnet-latest', name: 'Claude 3.7 Sonnet' },
+    { id: 'claude-3-opus-latest', name: 'Claude 3 Opus' }
+  ],
+  fields: [],
+  links: {
+    apiKeys: 'https://console.anthropic.com/settings/keys',
+    pricing: 'https://www.anthropic.com/pricing'
+  },
+
+  sendMessages: async (messages, params, config, requestOptions) => {
+    const response = await axios.post(`${BASE_URL}/messages`, buildBody(messages, params), {
+      ...requestOptions,
+      headers: getHeaders(config.apiKey)
+    });
+
+    const blocks = response.data.content || [];
+    const content = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage || {};
+
+    return {
+      content,
+      usage: toUsage(usage.input_tokens, usage.output_tokens),
+      model: response.data.model || params.model,
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+    };
+  },
+
+  streamMessages: async (messages, params, config, requestOptions, onDelta) => {
+    const response = await fetch(`${BASE_URL}/messages`, {
+      method: 'POST',
+      headers: getHeaders(config.apiKey),
+      body: JSON.stringify({ ...buildBody(messages, params), stream: true }),
+      signal: requestOptions.signal
+    });
+
+    if (!response.ok) {
+      throw await createResponseError(response);
+    }
+
+    let content = '';
+    let model = params.model;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    // tool_use blocks by content block index; their input arrives as pieces of JSON
+    const toolBlocks = [];
+
+    await readEventStream(response, (data) => {
+      const event = JSON.parse(data);
+
+      if (event.type === 'message_start') {
+        model = event.message?.model || model;
+        inputTokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        if (toolBlocks[event.index]) toolBlocks[event.index].json += event.delta.partial_json;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        onDelta(event.delta.text, content);
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+      } else if (event.type === 'error') {
+        // An overload reported mid-stream is retried like the 529 status it stands for
+        throw Object.assign(new Error(event.error?.message || 'Anthropic reported an error while streaming'),
+          { status: event.error?.type === 'overloaded_error' ? 529 : undefined });
+      }
+    });
+
+    const toolCalls = toolBlocks
+      .filter(Boolean)
+      .map(block => ({ id: block.id, name: block.name, arguments: parseToolInput(block.json) }));
+
+    return { content, usage: toUsage(inputTokens, outputTokens), model, toolCalls };
+  },
+
+  verify: async (config) => {
+    const response = await axios.get(`${BASE_URL}/models`, { headers: getHeaders(config.apiKey) });
+    return `Verified! Access to ${response.data?.data?.length || 0} models`;
+  }
+};
+
+export default anthropicProvider;
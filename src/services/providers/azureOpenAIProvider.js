@@ -0,0 +1,110 @@
+import { buildToolFields, buildResponseFormatFields, postChatCompletion, streamChatCompletion, fetchModelList } from './chatCompletions';
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+// API versions from this date on accept stream_options; older ones reject the request
+const STREAM_USAGE_API_VERSION = '2024-09-01';
+
+/**
+ * Builds the base URL of an Azure OpenAI resource
+ * @param {Object} config - Provider settings
+ * @returns {string} - Endpoint without a trailing slash
+ */
+const getEndpoint = (config) => {
+  if (!config.endpoint) {
+    throw new Error('Azure OpenAI endpoint not configured. Add it in Settings.');
+  }
+  return config.endpoint.replace(/\/+$/, '');
+};
+
+/**
+ * Builds the chat completions URL of a deployment
+ * @param {Object} params - { model } where model is the deployment name
+ * @param {Object} config - Provider settings
+ * @returns {string} - Full URL including the API version
+ */
+const getChatCompletionsUrl = (params, config) => {
+  if (!params.model) {
+    throw new Error('Azure OpenAI deployment name not configured. Add it in Settings.');
+  }
+
+  const apiVersion = config.apiVersion || DEFAULT_API_VERSION;
+  return `${getEndpoint(config)}/openai/deployments/${encodeURIComponent(params.model)}` +
+    `/chat/completions?api-version=${apiVersion}`;
+};
+
+/**
+ * Builds the chat completions body; the deployment already determines the model
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - { temperature, maxTokens, tools, toolChoice, responseFormat }
+ * @returns {Object} - Request body
+ */
+const buildBody = (messages, params) => ({
+  messages,
+  temperature: params.temperature,
+  max_tokens: params.maxTokens,
+  ...buildToolFields(params),
+  // Older API versions and models don't accept JSON schema response formats
+  ...buildResponseFormatFields(params, { jsonSchema: false })
+});
+
+/**
+ * Azure OpenAI provider
+ * Requests go to a deployment of the configured resource; the model field holds the deployment name
+ */
+const azureOpenAIProvider = {
+  id: 'azure-openai',
+  name: 'Azure OpenAI',
+  description: 'OpenAI models hosted in your own Azure OpenAI resource.',
+  bestFor: 'Organizations that need Azure data residency and access controls.',
+  requiresApiKey: true,
+  supportsTools: true,
+  supportsJsonMode: true,
+  keyPlaceholder: 'Azure OpenAI key',
+  defaultModel: '',
+  modelLabel: 'Deployment Name',
+  models: [],
+  fields: [
+    {
+      key: 'endpoint',
+      label: 'Endpoint',
+      placeholder: 'https://your-resource.openai.azure.com',
+      helpText: 'The endpoint shown on the "Keys and Endpoint" page of your Azure OpenAI resource.'
+    },
+    {
+      key: 'apiVersion',
+      label: 'API Version',
+      placeholder: DEFAULT_API_VERSION,
+      defaultValue: DEFAULT_API_VERSION
+    }
+  ],
+  links: {
+    apiKeys: 'https://portal.azure.com/#view/Microsoft_Azure_ProjectOxford/CognitiveServicesHub/~/OpenAI',
+    pricing: 'https://azure.microsoft.com/pricing/details/cognitive-services/openai-service/'
+  },
+
+  sendMessages: (messages, params, config, requestOptions) => {
+    return postChatCompletion(getChatCompletionsUrl(params, config), { 'api-key': config.apiKey },
+      buildBody(messages, params), requestOptions);
+  },
+
+  streamMessages: (messages, params, config, requestOptions, onDelta) => {
+    // Without stream_options the stream carries no usage, and it's estimated instead
+    const apiVersion = config.apiVersion || DEFAULT_API_VERSION;
+    return streamChatCompletion(getChatCompletionsUrl(params, config), { 'api-key': config.apiKey }, {
+      ...buildBody(messages, params),
+      ...(apiVersion.slice(0, 10) >= STREAM_USAGE_API_VERSION ? { stream_options: { include_usage: true } } : {})
+    }, requestOptions, onDelta);
+  },
+
+  verify: async (config) => {
+    const apiVersion = config.apiVersion || DEFAULT_API_VERSION;
+    const models = await fetchModelList(
+      `${getEndpoint(config)}/openai/models?api-version=${apiVersion}`,
+      { 'api-key': config.apiKey }
+    );
+    return `Verified! Resource reachable with ${models.length} models`;
+  }
+};
+
+export default azureOpenAIProvider;
@@ -0,0 +1,266 @@
+import axios from 'axios';
+
+/**
+ * Helpers for providers that speak the OpenAI chat completions protocol
+ * (OpenAI, OpenRouter, Azure OpenAI, Ollama, llama.cpp and other local servers)
+ */
+
+// Rough token count for usage the server doesn't report (about 4 characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Builds a Bearer authorization header when an API key is present
+ * @param {string} apiKey - API key (optional for local servers)
+ * @returns {Object} - Header object
+ */
+export const bearerAuthHeader = (apiKey) => {
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+};
+
+/**
+ * Builds the tool fields of a chat completions body
+ * @param {Object} params - Request parameters; tools are { name, description, parameters } definitions
+ *   and toolChoice is 'auto' (default) or 'none'
+ * @returns {Object} - { tools, tool_choice }, or nothing when the request has no tools
+ */
+export const buildToolFields = (params) => {
+  if (!params.tools?.length) return {};
+
+  return {
+    tools: params.tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    })),
+    tool_choice: params.toolChoice || 'auto'
+  };
+};
+
+// Model families that follow a JSON schema (structured outputs); other models get JSON object mode
+const STRUCTURED_OUTPUT_MODELS = ['gpt-4o', 'gpt-4.1', 'o3', 'o4-mini'];
+
+// Models that predate JSON mode
+const NO_JSON_MODE_MODELS = /^gpt-4(-0314|-0613|-32k.*)?$/;
+
+/**
+ * Builds the response format field of a chat completions body
+ * @param {Object} params - Request parameters; responseFormat is { name, schema } when the
+ *   response must be a JSON object
+ * @param {Object} options - { jsonSchema: false } for APIs that only accept JSON object mode
+ * @returns {Object} - { response_format }, or nothing when the request or model has no JSON mode
+ */
+export const buildResponseFormatFields = (params, options = {}) => {
+  if (!params.responseFormat) return {};
+
+  // OpenRouter model IDs start with the vendor ("openai/gpt-4o")
+  const model = String(params.model || '').split('/').pop();
+  if (NO_JSON_MODE_MODELS.test(model)) return {};
+
+  if (options.jsonSchema !== false && STRUCTURED_OUTPUT_MODELS.some(prefix => model.startsWith(prefix))) {
+    const { name, schema } = params.responseFormat;
+    return { response_format: { type: 'json_schema', json_schema: { name, schema, strict: false } } };
+  }
+
+  return { response_format: { type: 'json_object' } };
+};
+
+/**
+ * Reads the tool calls of a completion
+ * Arguments that aren't valid JSON are kept as text, so the tool can report the problem to the model.
+ * @param {Array} toolCalls - tool_calls of a message, or calls accumulated from a stream
+ * @returns {Array} - [{ id, name, arguments }]
+ */
+export const readToolCalls = (toolCalls = []) => {
+  return (toolCalls || []).map(call => {
+    let args = call.function?.arguments || '{}';
+    try {
+      args = JSON.parse(args);
+    } catch {
+      // Left as text
+    }
+    return { id: call.id, name: call.function?.name, arguments: args };
+  });
+};
+
+/**
+ * Sends a chat completions request
+ * @param {string} url - Full chat completions URL
+ * @param {Object} headers - Request headers (authorization etc.)
+ * @param {Object} body - Request body (model, messages, temperature, max_tokens, tools)
+ * @param {Object} requestOptions - axios options from the registry (signal, onDownloadProgress)
+ * @returns {Promise<Object>} - { content, usage, model, toolCalls }
+ */
+export const postChatCompletion = async (url, headers, body, requestOptions = {}) => {
+  const response = await axios.post(url, body, {
+    ...requestOptions,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+
+  const choice = response.data?.choices?.[0];
+  if (!choice) {
+    throw new Error('The provider returned no completion choices');
+  }
+
+  return {
+    content: choice.message?.content || '',
+    usage: response.data.usage,
+    model: response.data.model || body.model,
+    toolCalls: readToolCalls(choice.message?.tool_calls)
+  };
+};
+
+/**
+ * Turns a failed fetch response into an error shaped like an axios error,
+ * so callers can read error.response.status, data and headers either way
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @returns {Promise<Error>} - Error to throw
+ */
+export const createResponseError = async (response) => {
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+
+  const error = new Error(data?.error?.message || `Request failed with status code ${response.status}`);
+  // Headers are kept for Retry-After
+  error.response = { status: response.status, data, headers: Object.fromEntries(response.headers.entries()) };
+  return error;
+};
+
+/**
+ * Reads a server-sent events stream and passes the data of each event to a callback
+ * @param {Response} response - Fetch response whose body is an event stream
+ * @param {Function} onData - Called with (data, eventName) for each event
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export const readEventStream = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    if (dataLines.length > 0) {
+      onData(dataLines.join('\n'), eventName);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    // Events are separated by a blank line
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+};
+
+/**
+ * Sends a streaming chat completions request
+ * @param {string} url - Full chat completions URL
+ * @param {Object} headers - Request headers (authorization etc.)
+ * @param {Object} body - Request body; stream: true is added
+ * @param {Object} requestOptions - Request options from the registry (signal)
+ * @param {Function} onDelta - Called with (delta, textSoFar) as content arrives
+ * @returns {Promise<Object>} - { content, usage, model, toolCalls } once the stream ends; usage is estimated
+ *   from the prompt and output (and marked estimated: true) when the server reports none
+ */
+export const streamChatCompletion = async (url, headers, body, requestOptions = {}, onDelta = () => {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal: requestOptions.signal
+  });
+
+  if (!response.ok) {
+    throw await createResponseError(response);
+  }
+
+  let content = '';
+  let usage;
+  let model = body.model;
+  // Tool calls arrive in pieces, keyed by their index in the message
+  const toolCalls = [];
+
+  await readEventStream(response, (data) => {
+    if (data === '[DONE]') return;
+
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      throw new Error(chunk.error.message || 'The provider reported an error while streaming');
+    }
+
+    model = chunk.model || model;
+    // The final chunk carries token usage when the server reports it
+    usage = chunk.usage || usage;
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta, content);
+    }
+
+    (chunk.choices?.[0]?.delta?.tool_calls || []).forEach(part => {
+      const index = part.index ?? 0;
+      const call = toolCalls[index] || (toolCalls[index] = { id: '', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+  });
+
+  // Servers that ignore stream_options (or older API versions) end the stream without usage
+  if (!usage) {
+    const promptTokens = estimateTokens(JSON.stringify(body.messages));
+    const completionTokens = estimateTokens(content + toolCalls.filter(Boolean).map(call => call.function.arguments).join(''));
+    usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated: true };
+  }
+
+  return { content, usage, model, toolCalls: readToolCalls(toolCalls.filter(Boolean)) };
+};
+
+/**
+ * Lists the models available behind an OpenAI-style /models endpoint
+ * Used to verify API keys and server URLs from the Settings page
+ * @param {string} url - Full models URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array>} - Model descriptors
+ */
+export const fetchModelList = async (url, headers = {}) => {
+  const response = await axios.get(url, { headers });
+  return response.data?.data || response.data?.models || [];
+};
+
+export default {
+  bearerAuthHeader,
+  buildToolFields,
+  buildResponseFormatFields,
+  readToolCalls,
+  postChatCompletion,
+  createResponseError,
+  readEventStream,
+  streamChatCompletion,
+  fetchModelList
+};
@@ -0,0 +1,75 @@
+import { bearerAuthHeader, postChatCompletion, streamChatCompletion, fetchModelList } from './chatCompletions';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Gets the server URL without a trailing slash
+ * @param {Object} config - Provider settings
+ * @returns {string} - Base URL of the OpenAI-compatible API
+ */
+const getBaseUrl = (config) => (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+/**
+ * Builds the chat completions body
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - { model, temperature, maxTokens }
+ * @returns {Object} - Request body
+ */
+const buildBody = (messages, params) => ({
+  model: params.model,
+  messages,
+  temperature: params.temperature,
+  max_tokens: params.maxTokens
+});
+
+/**
+ * Local OpenAI-compatible provider
+ * Talks to servers such as Ollama, llama.cpp or LM Studio that expose /v1/chat/completions
+ */
+const localProvider = {
+  id: 'local',
+  name: 'Local (OpenAI-compatible)',
+  description: 'Models running on your own machine through Ollama, llama.cpp or any OpenAI-compatible server.',
+  bestFor: 'Keeping data on your machine and running without API costs.',
+  requiresApiKey: false,
+  keyPlaceholder: 'Optional',
+  defaultModel: 'llama3.1',
+  models: [
+    { id: 'llama3.1', name: 'Llama 3.1 (Ollama)' },
+    { id: 'mistral', name: 'Mistral (Ollama)' },
+    { id: 'qwen2.5', name: 'Qwen 2.5 (Ollama)' }
+  ],
+  fields: [
+    {
+      key: 'baseUrl',
+      label: 'Server URL',
+      placeholder: DEFAULT_BASE_URL,
+      defaultValue: DEFAULT_BASE_URL,
+      helpText: 'Ollama listens on http://localhost:11434/v1, llama.cpp server on http://localhost:8080/v1.'
+    }
+  ],
+  links: {
+    apiKeys: 'https://ollama.com/download',
+    pricing: null
+  },
+
+  sendMessages: (messages, params, config, requestOptions) => {
+    return postChatCompletion(`${getBaseUrl(config)}/chat/completions`, bearerAuthHeader(config.apiKey),
+      buildBody(messages, params), requestOptions);
+  },
+
+  streamMessages: (messages, params, config, requestOptions, onDelta) => {
+    return streamChatCompletion(`${getBaseUrl(config)}/chat/completions`, bearerAuthHeader(config.apiKey), {
+      ...buildBody(messages, params),
+      // Ollama, llama.cpp and LM Studio report usage in the final chunk when asked; others ignore it
+      stream_options: { include_usage: true }
+    }, requestOptions, onDelta);
+  },
+
+  verify: async (config) => {
+    const models = await fetchModelList(`${getBaseUrl(config)}/models`, bearerAuthHeader(config.apiKey));
+    return `Verified! Server is serving ${models.length} models`;
+  }
+};
+
+export default localProvider;
@@ -0,0 +1,330 @@
+import { analyzeData, detectOutliers } from '../../utils/dataUtils';
+import { buildAnalysisMessages } from '../promptService';
+
+/**
+ * Rounds a number for display in summaries and charts
+ * @param {number} value - Number to round
+ * @returns {number} - Value rounded to two decimals
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Estimates the token count of a text the way the hosted providers roughly would
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate tokens
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Computes statistics, outliers and chart data for a dataset
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @returns {Object} - Profile used by every agent type
+ */
+const profileDataset = (data, columns) => {
+  const analysis = analyzeData(data, columns);
+  const numericColumns = analysis.numericColumns || [];
+  // Numeric columns are reported as measures, not categories
+  const categoricalColumns = (analysis.categoricalColumns || []).filter(c => !numericColumns.includes(c));
+
+  const statistics = {};
+  const outliers = {};
+  numericColumns.forEach(column => {
+    const stats = analysis.numericStats[column];
+    if (!stats) return;
+    statistics[column] = {
+      mean: round(stats.mean),
+      median: round(stats.median),
+      min: round(stats.min),
+      max: round(stats.max),
+      stdDev: round(stats.stdDev),
+      count: stats.count
+    };
+    outliers[column] = detectOutliers(data, column);
+  });
+
+  return {
+    rowCount: analysis.rowCount || 0,
+    columnCount: analysis.columnCount || 0,
+    numericColumns,
+    categoricalColumns,
+    categoricalStats: analysis.categoricalStats || {},
+    statistics,
+    outliers
+  };
+};
+
+/**
+ * Averages a numeric column per category
+ * @param {Array} data - The dataset rows
+ * @param {string} categoryColumn - Column to group by
+ * @param {string} valueColumn - Numeric column to average
+ * @returns {Array} - Chart rows sorted by category name
+ */
+const averageByCategory = (data, categoryColumn, valueColumn) => {
+  const groups = {};
+  data.forEach(row => {
+    const value = parseFloat(row[valueColumn]);
+    const category = row[categoryColumn];
+    if (isNaN(value) || category === null || category === undefined || category === '') return;
+    groups[category] = groups[category] || { sum: 0, count: 0 };
+    groups[category].sum += value;
+    groups[category].count += 1;
+  });
+
+  return Object.keys(groups)
+    .sort()
+    .map(name => ({ name, value: round(groups[name].sum / groups[name].count) }));
+};
+
+/**
+ * Builds the plain-language insights for a profile
+ * @param {Object} profile - Dataset profile
+ * @returns {Array} - Insight strings
+ */
+const buildInsights = (profile) => {
+  const insights = [
+    `The dataset has ${profile.rowCount} rows and ${profile.columnCount} columns ` +
+    `(${profile.numericColumns.length} numeric, ${profile.categoricalColumns.length} categorical).`
+  ];
+
+  profile.numericColumns.forEach(column => {
+    const stats = profile.statistics[column];
+    if (!stats) return;
+    insights.push(`${column} ranges from ${stats.min} to ${stats.max} with a mean of ${stats.mean} and a median of ${stats.median}.`);
+  });
+
+  profile.numericColumns.forEach(column => {
+    const count = profile.outliers[column]?.length || 0;
+    if (count > 0) {
+      insights.push(`${column} has ${count} outlier${count === 1 ? '' : 's'} outside 1.5 IQR of the quartiles.`);
+    }
+  });
+
+  profile.categoricalColumns.forEach(column => {
+    const top = profile.categoricalStats[column]?.topCategories?.[0];
+    if (top) {
+      insights.push(`The most common ${column} is "${top.category}" (${top.count} rows, ${top.percentage}).`);
+    }
+  });
+
+  return insights;
+};
+
+/**
+ * Builds the charts for a profile
+ * @param {Array} data - The dataset rows
+ * @param {Object} profile - Dataset profile
+ * @param {string} agentType - Visualizers get a chart per column, others a compact set
+ * @returns {Array} - Visualization objects in the report format
+ */
+const buildVisualizations = (data, profile, agentType) => {
+  const visualizations = [];
+  const limit = agentType === 'visualizer' ? 3 : 1;
+
+  if (profile.numericColumns.length > 0) {
+    visualizations.push({
+      type: 'bar',
+      title: 'Average of Numeric Columns',
+      data: profile.numericColumns.map(column => ({ name: column, value: profile.statistics[column]?.mean || 0 })),
+      config: {
+        xAxisKey: 'name',
+        valueKey: 'value',
+        series: [{ dataKey: 'value', name: 'Mean', color: '#0088FE' }]
+      }
+    });
+  }
+
+  profile.categoricalColumns.slice(0, limit).forEach(column => {
+    visualizations.push({
+      type: 'pie',
+      title: `Distribution of ${column}`,
+      data: (profile.categoricalStats[column]?.topCategories || []).map(c => ({ name: String(c.category), value: c.count })),
+      config: { nameKey: 'name', valueKey: 'value' }
+    });
+  });
+
+  const category = profile.categoricalColumns[0];
+  if (category) {
+    profile.numericColumns.slice(0, limit).forEach(column => {
+      visualizations.push({
+        type: 'bar',
+        title: `Average ${column} by ${category}`,
+        data: averageByCategory(data, category, column),
+        config: {
+          xAxisKey: 'name',
+          valueKey: 'value',
+          series: [{ dataKey: 'value', name: `Average ${column}`, color: '#00C49F' }]
+        }
+      });
+    });
+  }
+
+  return visualizations;
+};
+
+/**
+ * Builds the markdown summary for an agent type
+ * @param {Object} profile - Dataset profile
+ * @param {Array} insights - Insight strings
+ * @param {string} agentType - Type of agent
+ * @param {Object} options - Request options (previousStage, debate)
+ * @returns {string} - Markdown summary
+ */
+const buildSummary = (profile, insights, agentType, options) => {
+  const sections = [
+    '# Dataset Analysis (Offline Mock)',
+    '## Overview',
+    insights[0]
+  ];
+
+  if (options.previousStage) {
+    const upstream = Array.isArray(options.previousStage) ? options.previousStage : [options.previousStage];
+    sections.push(`This analysis builds on ${upstream.map(stage => stage.agentName).join(', ')}.`);
+  }
+
+  if (options.debate) {
+    sections.push(`Debate round ${options.debate.round} of ${options.debate.rounds}: the statistics were computed ` +
+      `again from the data and compared with the findings of ${options.debate.peers.map(peer => peer.agentName).join(', ')}.`);
+  }
+
+  if (agentType === 'summarizer' || agentType === 'analyzer') {
+    sections.push('## Key Patterns', insights.slice(1).map(insight => `- ${insight}`).join('\n') || 'No patterns found.');
+  }
+
+  if (agentType === 'summarizer') {
+    const outlierColumns = profile.numericColumns.filter(column => profile.outliers[column]?.length > 0);
+    sections.push(
+      '## Recommendations',
+      outlierColumns.length > 0
+        ? `Review the outliers in ${outlierColumns.join(', ')} before drawing conclusions.`
+        : 'No outliers were found; the numeric columns can be compared directly.'
+    );
+  }
+
+  if (agentType === 'visualizer') {
+    sections.push('## Suggested Charts', 'Bar charts compare numeric averages; pie charts show how categories are distributed.');
+  }
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Removes the rows flagged as outliers, as a deterministic stand-in for a cleaning stage
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {Object} profile - Dataset profile
+ * @returns {Object} - { columns, rows } for the next pipeline stage
+ */
+const buildTransformedData = (data, columns, profile) => {
+  const outlierRows = new Set(Object.values(profile.outliers).flat());
+  return {
+    columns,
+    rows: data.filter((row, index) => !outlierRows.has(index)).slice(0, 200)
+  };
+};
+
+/**
+ * Answers custom message requests (result synthesis, report conversion) from the prompt text
+ * @param {Array} messages - Chat messages
+ * @param {string} agentType - 'custom' for report conversion, anything else for synthesis
+ * @returns {Object} - Parsed result in the shape the caller asked for
+ */
+const answerCustomMessages = (messages, agentType) => {
+  const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+
+  if (agentType === 'custom') {
+    const match = prompt.match(/```json\s*([\s\S]*?)\s*```/);
+    let report = {};
+    try {
+      report = match ? JSON.parse(match[1]) : {};
+    } catch {
+      report = {};
+    }
+    const insights = report.insights || report.results?.insights || [];
+    return {
+      format: 'markdown',
+      title: report.name || 'Report',
+      content: [
+        `# ${report.name || 'Report'}`,
+        report.summary || report.results?.summary || '',
+        insights.map(insight => `- ${insight}`).join('\n')
+      ].filter(Boolean).join('\n\n'),
+      explanation: 'Converted to markdown by the offline mock provider.'
+    };
+  }
+
+  // Synthesis prompts list each agent's insights as "Insights: a; b; c"
+  const insights = [...new Set(
+    [...prompt.matchAll(/^Insights: (.*)$/gm)]
+      .flatMap(match => match[1].split('; '))
+      .map(insight => insight.trim())
+      .filter(Boolean)
+  )];
+  const summaries = [...prompt.matchAll(/^Summary: (.*)$/gm)].map(match => match[1].trim());
+
+  return {
+    summary: ['# Synthesized Analysis (Offline Mock)', ...summaries].join('\n\n'),
+    insights
+  };
+};
+
+/**
+ * Offline mock provider
+ * Computes real statistics locally instead of calling a model, so agents run without
+ * a network connection or API key. The same data always produces the same report.
+ */
+const mockProvider = {
+  id: 'mock',
+  name: 'Offline Mock',
+  description: 'Deterministic local analysis computed in the browser. No network or API key needed.',
+  bestFor: 'Demos, development and testing agent flows offline.',
+  requiresApiKey: false,
+  usesApiKey: false,
+  defaultModel: 'mock-analyzer',
+  models: [{ id: 'mock-analyzer', name: 'Mock Analyzer' }],
+  fields: [],
+  links: {},
+
+  // Works on the dataset directly instead of on a prompt
+  generateAnalysis: async (data, columns, agentType, options = {}) => {
+    let result;
+
+    if (options.customMessages) {
+      result = answerCustomMessages(options.customMessages, agentType);
+    } else {
+      const rows = data || [];
+      const profile = profileDataset(rows, columns || []);
+      const insights = buildInsights(profile);
+
+      result = {
+        summary: buildSummary(profile, insights, agentType, options),
+        insights,
+        visualizations: buildVisualizations(rows, profile, agentType)
+      };
+
+      if (agentType !== 'visualizer') {
+        result.statistics = profile.statistics;
+      }
+
+      if (options.requestTransformedData) {
+        result.transformedData = buildTransformedData(rows, columns || [], profile);
+      }
+    }
+
+    // Usage is estimated from the prompt a hosted model would have received
+    const prompt = buildAnalysisMessages(data, columns, agentType, options).map(m => m.content).join('\n');
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(JSON.stringify(result));
+
+    return {
+      result,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      model: mockProvider.defaultModel
+    };
+  },
+
+  verify: async () => 'Ready! The mock provider runs locally'
+};
+
+export default mockProvider;
@@ -0,0 +1,83 @@
+import { bearerAuthHeader, buildToolFields, buildResponseFormatFields, postChatCompletion, streamChatCompletion, fetchModelList } from './chatCompletions';
+
+const BASE_URL = 'https://openrouter.ai/api/v1';
+
+// OpenRouter asks apps to identify themselves
+const APP_HEADERS = {
+  'HTTP-Referer': 'https://agent-manager-system.local', // Required by OpenRouter
+  'X-Title': 'Agent Manager System'                     // Recommended by OpenRouter
+};
+
+/**
+ * Builds the OpenRouter request headers
+ * @param {string} apiKey - OpenRouter API key
+ * @returns {Object} - Header object
+ */
+const getHeaders = (apiKey) => ({
+  ...APP_HEADERS,
+  ...bearerAuthHeader(apiKey)
+});
+
+/**
+ * Builds the chat completions body
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - { model, temperature, maxTokens, tools, toolChoice, responseFormat }
+ * @returns {Object} - Request body
+ */
+const buildBody = (messages, params) => ({
+  model: params.model,
+  messages,
+  temperature: params.temperature,
+  max_tokens: params.maxTokens,
+  ...buildToolFields(params),
+  ...buildResponseFormatFields(params)
+});
+
+/**
+ * OpenRouter provider
+ * Access to models from many vendors through a single API key
+ */
+const openRouterProvider = {
+  id: 'openrouter',
+  name: 'OpenRouter',
+  description: 'Provides access to multiple models from different providers.',
+  bestFor: 'Access to Claude, Llama, and other models with a single API key.',
+  requiresApiKey: true,
+  supportsTools: true,
+  supportsJsonMode: true,
+  keyPlaceholder: 'sk-or-...',
+  defaultModel: 'anthropic/claude-3-haiku',
+  models: [
+    { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku' },
+    { id: 'anthropic/claude-3-sonnet', name: 'Claude 3 Sonnet' },
+    { id: 'anthropic/claude-3-opus', name: 'Claude 3 Opus' },
+    { id: 'openai/gpt-4', name: 'GPT-4 (via OpenRouter)' },
+    { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo (via OpenRouter)' },
+    { id: 'meta-llama/llama-3-70b-instruct', name: 'Llama 3 70B' }
+  ],
+  fields: [],
+  links: {
+    apiKeys: 'https://openrouter.ai/keys',
+    pricing: 'https://openrouter.ai/models'
+  },
+
+  sendMessages: (messages, params, config, requestOptions) => {
+    return postChatCompletion(`${BASE_URL}/chat/completions`, getHeaders(config.apiKey),
+      buildBody(messages, params), requestOptions);
+  },
+
+  streamMessages: (messages, params, config, requestOptions, onDelta) => {
+    return streamChatCompletion(`${BASE_URL}/chat/completions`, getHeaders(config.apiKey), {
+      ...buildBody(messages, params),
+      // Ask for token usage in the final chunk
+      stream_options: { include_usage: true }
+    }, requestOptions, onDelta);
+  },
+
+  verify: async (config) => {
+    const models = await fetchModelList(`${BASE_URL}/models`, getHeaders(config.apiKey));
+    return `Verified! Access to ${models.length} models`;
+  }
+};
+
+export default openRouterProvider;
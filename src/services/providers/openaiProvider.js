@@ -0,0 +1,64 @@
+import { bearerAuthHeader, buildToolFields, buildResponseFormatFields, postChatCompletion, streamChatCompletion, fetchModelList } from './chatCompletions';
+
+const BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Builds the chat completions body
+ * @param {Array} messages - Chat messages
+ * @param {Object} params - { model, temperature, maxTokens, tools, toolChoice, responseFormat }
+ * @returns {Object} - Request body
+ */
+const buildBody = (messages, params) => ({
+  model: params.model,
+  messages,
+  temperature: params.temperature,
+  max_tokens: params.maxTokens,
+  ...buildToolFields(params),
+  ...buildResponseFormatFields(params)
+});
+
+/**
+ * OpenAI provider
+ * Direct access to OpenAI chat models
+ */
+const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  description: 'Direct access to OpenAI models like GPT-4 and GPT-3.5 Turbo.',
+  bestFor: 'Consistent performance and reliable results.',
+  requiresApiKey: true,
+  supportsTools: true,
+  supportsJsonMode: true,
+  keyPlaceholder: 'sk-...',
+  defaultModel: 'gpt-4-turbo',
+  models: [
+    { id: 'gpt-4-turbo', name: 'GPT-4 Turbo' },
+    { id: 'gpt-4', name: 'GPT-4' },
+    { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo' }
+  ],
+  fields: [],
+  links: {
+    apiKeys: 'https://platform.openai.com/api-keys',
+    pricing: 'https://openai.com/pricing'
+  },
+
+  sendMessages: (messages, params, config, requestOptions) => {
+    return postChatCompletion(`${BASE_URL}/chat/completions`, bearerAuthHeader(config.apiKey),
+      buildBody(messages, params), requestOptions);
+  },
+
+  streamMessages: (messages, params, config, requestOptions, onDelta) => {
+    return streamChatCompletion(`${BASE_URL}/chat/completions`, bearerAuthHeader(config.apiKey), {
+      ...buildBody(messages, params),
+      // Ask for token usage in the final chunk
+      stream_options: { include_usage: true }
+    }, requestOptions, onDelta);
+  },
+
+  verify: async (config) => {
+    const models = await fetchModelList(`${BASE_URL}/models`, bearerAuthHeader(config.apiKey));
+    return `Verified! Access to ${models.length} models`;
+  }
+};
+
+export default openaiProvider;
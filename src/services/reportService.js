@@ -244,6 +244,18 @@ export const generateReport = (agentResults, agent, dataSource) => {
     insights: agentResults.insights || [],
     visualizations: visualizations,
     statistics: agentResults.statistics || {},
+    // Token usage and estimated cost of the execution, summed over collaborators
+    usage: agentResults.usage || null,
+    // Collaborators that failed in a collaborative run that still succeeded
+    failedCollaborators: agentResults.failedCollaborators || [],
+    // Collaborators the routing rules left out for this data source, with the reason
+    skippedCollaborators: agentResults.skippedCollaborators || [],
+    // Notifier agents: the rules, the triggering rows and the notifications sent
+    alert: agentResults.alert || null,
+    // Collaborative agents: the synthesis strategy and the conflicts it found between collaborators
+    synthesis: agentResults.synthesis || null,
+    // Collaborative agents with debate rounds: what each collaborator reported in each round
+    debate: agentResults.debate || null,
     generatedAt: new Date().toISOString() // Store as ISO string for consistent serialization
   };
 };
@@ -0,0 +1,163 @@
+import useCacheStore from '../stores/cacheStore';
+import useSettingsStore from '../stores/settingsStore';
+import { normalizeCacheSettings, stableStringify, hashString } from '../utils/cacheUtils';
+import { sumUsage } from '../utils/costUtils';
+
+/**
+ * Result cache
+ * Successful provider responses are stored under a key that hashes everything the response
+ * depends on: the data contents, the agent's type, the messages sent (system prompt and data
+ * context), the output schema, the tools offered, the provider, the model and the request settings.
+ * The rest of the agent's configuration (schedule, rules, failover, routing, budget) doesn't reach
+ * the request, so editing it keeps the cached responses. Running the same agent against unchanged
+ * data reuses the stored response instead of paying for the same request.
+ */
+
+const getCacheSettings = () => normalizeCacheSettings(useSettingsStore.getState().cache);
+
+/**
+ * Checks whether an execution may use the cache
+ * @param {Object} options - Execution options; bypassCache skips the cache for the execution
+ * @returns {boolean} - True when caching is enabled and not bypassed
+ */
+export const isCacheEnabled = (options = {}) => getCacheSettings().enabled && !options.bypassCache;
+
+/**
+ * Creates the cache key of a request
+ * @param {Object} parts - Everything the response depends on, e.g.
+ *   { dataFingerprint, agentType, messages, outputSchema, tools, provider, model, temperature }
+ * @returns {string} - Cache key
+ */
+export const createCacheKey = (parts) => `rc-${hashString(stableStringify(parts))}`;
+
+/**
+ * Looks up a cached response
+ * Expired entries are removed when they are found.
+ * @param {string} key - Cache key
+ * @returns {Object|null} - The cache entry, or null when there is no valid entry
+ */
+export const getCachedEntry = (key) => {
+  const entry = useCacheStore.getState().entries.find(e => e.key === key);
+  if (!entry) return null;
+
+  if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+    useCacheStore.getState().removeEntry(key);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Counts a hit on a cache entry
+ * @param {string} key - Cache key
+ */
+export const recordCacheHit = (key) => {
+  useCacheStore.getState().recordHit(key);
+};
+
+/**
+ * Stores a successful provider response
+ * When localStorage is full, the older half of the cache is dropped and the response is not stored.
+ * @param {string} key - Cache key
+ * @param {Object} response - generateAnalysis response ({ result, model, provider, validation })
+ * @param {Object} details - { usage, agent, dataSource, label } describing the entry in Settings
+ * @returns {boolean} - True if the response was stored
+ */
+export const cacheResponse = (key, response, details = {}) => {
+  const { ttlHours, maxEntries } = getCacheSettings();
+  const now = Date.now();
+  const { usage, agent, dataSource, label } = details;
+
+  const entry = {
+    key,
+    response: {
+      result: response.result,
+      model: response.model,
+      provider: response.provider,
+      validation: response.validation || null
+    },
+    usage: usage || null,
+    provider: response.provider,
+    model: response.model,
+    agentId: agent?.id || null,
+    agentName: agent?.name || null,
+    dataSourceId: dataSource?.id || null,
+    dataSourceName: dataSource?.name || null,
+    label: label || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlHours * 3600000).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    hits: 0
+  };
+
+  const store = useCacheStore.getState();
+  try {
+    store.putEntry(entry, maxEntries);
+    return true;
+  } catch (error) {
+    console.error('Unable to store cached response:', error);
+    store.removeEntry(key);
+    store.trimEntries(Math.floor(useCacheStore.getState().entries.length / 2));
+    return false;
+  }
+};
+
+/**
+ * Removes one cached response
+ * @param {string} key - Cache key
+ */
+export const removeCacheEntry = (key) => {
+  useCacheStore.getState().removeEntry(key);
+};
+
+/**
+ * Removes every expired entry
+ */
+export const removeExpiredEntries = () => {
+  useCacheStore.getState().removeExpired();
+};
+
+/**
+ * Removes every cached response
+ */
+export const clearCache = () => {
+  useCacheStore.getState().clearEntries();
+};
+
+/**
+ * Drops the least recently used entries beyond the configured maximum
+ */
+export const applyCacheLimits = () => {
+  useCacheStore.getState().trimEntries(getCacheSettings().maxEntries);
+};
+
+/**
+ * Summarizes the cache for the Settings page
+ * @param {Array} entries - Cache entries
+ * @returns {Object} - { count, hits, savedUsage, sizeBytes } where savedUsage adds up the usage
+ *   of every request a hit avoided
+ */
+export const getCacheStats = (entries = useCacheStore.getState().entries) => {
+  const hits = entries.reduce((total, entry) => total + (entry.hits || 0), 0);
+  const savedUsage = sumUsage(entries.flatMap(entry => Array(entry.hits || 0).fill(entry.usage)));
+
+  return {
+    count: entries.length,
+    hits,
+    savedUsage,
+    sizeBytes: JSON.stringify(entries).length * 2
+  };
+};
+
+export default {
+  isCacheEnabled,
+  createCacheKey,
+  getCachedEntry,
+  recordCacheHit,
+  cacheResponse,
+  removeCacheEntry,
+  removeExpiredEntries,
+  clearCache,
+  applyCacheLimits,
+  getCacheStats
+};
@@ -0,0 +1,221 @@
+import useAgentStore from '../stores/agentStore';
+import useDataStore from '../stores/dataStore';
+import useReportStore from '../stores/reportStore';
+import useScheduleStore from '../stores/scheduleStore';
+import useExecutionStore from '../stores/executionStore';
+import { startExecution } from './agentService';
+import { generateReport } from './reportService';
+import { stableStringify } from '../utils/cacheUtils';
+import { getAgentSchedule, getNextRunTime, getDueRuns, describeSchedule } from '../utils/scheduleUtils';
+
+/**
+ * Agent scheduler
+ * While the app is open, active agents with a schedule (an interval, a cron expression or the
+ * older configuration.refreshInterval) are executed against every data source in
+ * configuration.dataSourceIds. Runs go through the execution queue at low priority and are
+ * recorded in the execution history like any other run. Runs that came due while the app was
+ * closed are skipped, or caught up with a single run, depending on the agent's missed-run policy.
+ */
+
+// How often due schedules are checked
+const CHECK_INTERVAL_MS = 30000;
+
+// A run this late is treated as missed rather than due (the tab was closed or asleep)
+const MISSED_RUN_GRACE_MS = 2 * CHECK_INTERVAL_MS;
+
+let checkTimer = null;
+
+// Agents with a scheduled run in progress; their next due time is skipped rather than overlapped
+const runningAgents = new Set();
+
+/**
+ * Checks whether an agent should be executed on its schedule
+ * @param {Object} agent - Agent
+ * @returns {boolean} - True for active agents with a valid schedule
+ */
+export const isScheduled = (agent) => agent?.status === 'active' && !!getAgentSchedule(agent);
+
+/**
+ * Writes a line to a run's log in the execution history
+ * @param {string} runId - Run ID
+ * @param {string} message - Log message
+ */
+const logToRun = (runId, message) => {
+  useExecutionStore.getState().appendLogs(runId, [{ timestamp: new Date().toISOString(), message }]);
+};
+
+/**
+ * Executes an agent on each of its data sources
+ * Collaborative and pipeline agents get their collaborators from the agent store, and a report
+ * is saved for results that didn't save one during execution.
+ * @param {Object} agent - The scheduled agent
+ * @param {Object} schedule - Schedule from getAgentSchedule
+ * @param {string} note - Log line describing why the run started (e.g. a catch-up)
+ * @returns {Promise<Object>} - { runIds, outcome } where outcome is 'completed', 'failed', 'cancelled' or
+ *   'awaiting-approval'
+ */
+const runScheduledAgent = async (agent, schedule, note) => {
+  const { agents } = useAgentStore.getState();
+  const { getDataSourceById } = useDataStore.getState();
+
+  const dataSources = (agent.configuration?.dataSourceIds || []).map(getDataSourceById).filter(Boolean);
+  if (dataSources.length === 0) {
+    console.warn(`Scheduled agent ${agent.name} has no data sources to analyze`);
+    return { runIds: [], outcome: 'failed', error: 'No data sources configured' };
+  }
+
+  const isCollaborative = agent.type === 'collaborative' || agent.type === 'pipeline';
+  const collaborators = isCollaborative
+    ? (agent.collaborators || []).map(id => agents.find(a => a.id === id)).filter(Boolean)
+    : undefined;
+
+  const runIds = [];
+  const outcomes = [];
+
+  // Data sources run one after another so a schedule never floods the queue
+  for (const dataSource of dataSources) {
+    const execution = startExecution(agent, dataSource, {
+      trigger: 'schedule',
+      priority: 'low',
+      collaborators,
+      executionMode: agent.configuration?.executionMode,
+      synthesizeResults: agent.configuration?.synthesizeResults,
+      analysisMode: agent.configuration?.analysisMode
+    });
+    runIds.push(execution.id);
+    logToRun(execution.id, `Scheduled run (${describeSchedule(schedule)})${note ? `: ${note}` : ''}`);
+
+    try {
+      const results = await execution.promise;
+
+      if (results.success !== false && !results.cancelled && !results.reportId) {
+        const report = generateReport(results, agent, dataSource);
+        const savedReport = await useReportStore.getState().addReport(report);
+        useExecutionStore.getState().updateRun(execution.id, { reportId: savedReport?.id || report.id });
+      }
+      if (results.awaitingApproval) {
+        outcomes.push('awaiting-approval');
+      } else {
+        outcomes.push(results.cancelled ? 'cancelled' : (results.success === false ? 'failed' : 'completed'));
+      }
+    } catch (error) {
+      console.error(`Scheduled run of ${agent.name} on ${dataSource.name} failed:`, error);
+      outcomes.push('failed');
+    }
+  }
+
+  const outcome = ['failed', 'cancelled', 'awaiting-approval'].find(o => outcomes.includes(o)) || 'completed';
+  return { runIds, outcome, error: null };
+};
+
+/**
+ * Starts a scheduled run and records it in the schedule store when it finishes
+ * @param {Object} agent - The scheduled agent
+ * @param {Object} schedule - Schedule from getAgentSchedule
+ * @param {string} note - Log line describing why the run started
+ */
+const startScheduledRun = (agent, schedule, note) => {
+  runningAgents.add(agent.id);
+  const startedAt = new Date().toISOString();
+
+  runScheduledAgent(agent, schedule, note)
+    .then(({ runIds, outcome, error }) => {
+      useScheduleStore.getState().updateAgentState(agent.id, {
+        lastRunAt: startedAt,
+        lastRunIds: runIds,
+        lastOutcome: outcome,
+        lastError: error
+      });
+
+      // The agent may have been edited while it ran; only its last run time changes
+      const current = useAgentStore.getState().getAgentById(agent.id);
+      if (current) {
+        useAgentStore.getState().updateAgent({ ...current, lastRun: startedAt });
+      }
+    })
+    .finally(() => {
+      runningAgents.delete(agent.id);
+    });
+};
+
+/**
+ * Starts the runs of every schedule that is due
+ * A schedule seen for the first time, or changed since the last check, starts counting from now.
+ * @param {Date} now - Current time
+ */
+export const checkSchedules = (now = new Date()) => {
+  const { agents } = useAgentStore.getState();
+  const scheduleStore = useScheduleStore.getState();
+
+  agents.forEach(agent => {
+    const state = scheduleStore.getAgentState(agent.id);
+
+    if (!isScheduled(agent)) {
+      // A stopped agent starts a fresh schedule when it is started again
+      if (state?.nextRunAt) {
+        scheduleStore.updateAgentState(agent.id, { nextRunAt: null, scheduleKey: null });
+      }
+      return;
+    }
+
+    const schedule = getAgentSchedule(agent);
+    const scheduleKey = stableStringify(schedule);
+    if (!state?.nextRunAt || state.scheduleKey !== scheduleKey) {
+      const nextRunAt = getNextRunTime(schedule, now);
+      scheduleStore.updateAgentState(agent.id, { scheduleKey, nextRunAt: nextRunAt?.toISOString() || null });
+      return;
+    }
+
+    const dueRuns = getDueRuns(schedule, new Date(state.nextRunAt), now);
+    if (dueRuns.count === 0) return;
+
+    const nextRunAt = getNextRunTime(schedule, now);
+    const isLate = now - dueRuns.latest > MISSED_RUN_GRACE_MS;
+    // Due times before the latest one were missed; so was the latest if it is too late to count as on time
+    const missed = dueRuns.count - (isLate ? 0 : 1);
+    scheduleStore.updateAgentState(agent.id, {
+      nextRunAt: nextRunAt?.toISOString() || null,
+      lastMissedRuns: missed
+    });
+
+    if (runningAgents.has(agent.id)) {
+      console.warn(`Skipping a scheduled run of ${agent.name}: the previous scheduled run is still going`);
+      return;
+    }
+
+    const missedNote = `${missed} missed run${missed === 1 ? '' : 's'}`;
+    if (!isLate) {
+      const policyNote = schedule.missedRuns === 'catch-up' ? 'also catches up on' : 'skipped';
+      startScheduledRun(agent, schedule, missed > 0 ? `${policyNote} ${missedNote} while the app was closed` : '');
+    } else if (schedule.missedRuns === 'catch-up') {
+      startScheduledRun(agent, schedule, `catching up on ${missedNote} while the app was closed`);
+    } else {
+      console.log(`Skipped ${missedNote} of ${agent.name} while the app was closed`);
+    }
+  });
+};
+
+/**
+ * Starts checking schedules, once right away and then every 30 seconds
+ * Does nothing if the scheduler is already running.
+ */
+export const startScheduler = () => {
+  if (checkTimer) return;
+  checkSchedules();
+  checkTimer = setInterval(() => checkSchedules(), CHECK_INTERVAL_MS);
+};
+
+/**
+ * Stops checking schedules; runs already started finish normally
+ */
+export const stopScheduler = () => {
+  clearInterval(checkTimer);
+  checkTimer = null;
+};
+
+export default {
+  isScheduled,
+  checkSchedules,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,218 @@
+import {
+  profileColumns,
+  filterRows,
+  groupByAggregate,
+  calculateCorrelation,
+  detectOutliers,
+  topN,
+  FILTER_OPERATORS,
+  AGGREGATIONS
+} from '../utils/dataUtils';
+
+/**
+ * Data tools
+ * Local tools the model can call during an analysis to get exact numbers computed over the
+ * full dataset, instead of estimating them from the sample in its context. Tools are described
+ * with JSON schema parameters; each provider translates them to its own tool-calling format.
+ */
+
+// Rows a tool returns at most, so that results stay small in the conversation
+const MAX_RESULT_ROWS = 50;
+
+const WHERE_PARAMETER = {
+  type: 'array',
+  description: 'Optional filter applied first; every condition must hold',
+  items: {
+    type: 'object',
+    properties: {
+      column: { type: 'string' },
+      operator: { type: 'string', enum: FILTER_OPERATORS },
+      value: { description: 'Value to compare with; an array of values for "in"' }
+    },
+    required: ['column', 'operator', 'value']
+  }
+};
+
+const COLUMNS_PARAMETER = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Columns to include in the returned rows (default: all)'
+};
+
+const LIMIT_PARAMETER = {
+  type: 'integer',
+  description: `Maximum number of rows to return (at most ${MAX_RESULT_ROWS})`
+};
+
+/**
+ * Limits how many rows a tool returns
+ * @param {number} limit - Requested limit
+ * @param {number} fallback - Limit when none was requested
+ * @returns {number} - Limit between 1 and MAX_RESULT_ROWS
+ */
+const clampLimit = (limit, fallback) => Math.min(MAX_RESULT_ROWS, Math.max(1, parseInt(limit, 10) || fallback));
+
+/**
+ * Reads a parameter that may be a single value or a list (models send either)
+ * @param {*} value - Parameter value
+ * @returns {Array} - List of values
+ */
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+
+/**
+ * Keeps only the requested columns of rows
+ * @param {Array} rows - Dataset rows
+ * @param {Array} columns - Columns to keep (all when empty)
+ * @returns {Array} - Rows with the requested columns
+ */
+const pickColumns = (rows, columns) => {
+  const names = toList(columns);
+  if (names.length === 0) return rows;
+  return rows.map(row => Object.fromEntries(names.map(column => [column, row[column]])));
+};
+
+// Tool definitions with the function that runs each one on the (filtered) rows
+const DATA_TOOLS = [
+  {
+    name: 'column_stats',
+    description: 'Exact profile of one column: type, null rate, distinct values, quantiles, mean and ' +
+      'standard deviation for numbers, range for dates, most common values for categories.',
+    parameters: {
+      type: 'object',
+      properties: { column: { type: 'string' }, where: WHERE_PARAMETER },
+      required: ['column']
+    },
+    columns: args => [args.column],
+    run: (rows, args) => ({ rowCount: rows.length, ...profileColumns(rows, [args.column], 10)[0] })
+  },
+  {
+    name: 'group_by',
+    description: 'Groups rows by one or more columns and counts them, optionally aggregating a numeric column ' +
+      `per group (${AGGREGATIONS.join(', ')}). Largest groups first.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        group_by: { type: 'array', items: { type: 'string' }, description: 'Columns to group by' },
+        column: { type: 'string', description: 'Numeric column to aggregate (optional)' },
+        aggregations: { type: 'array', items: { type: 'string', enum: AGGREGATIONS } },
+        where: WHERE_PARAMETER,
+        limit: LIMIT_PARAMETER
+      },
+      required: ['group_by']
+    },
+    columns: args => [...toList(args.group_by), ...toList(args.column)],
+    run: (rows, args) => {
+      const aggregations = toList(args.aggregations);
+      const groups = groupByAggregate(rows, toList(args.group_by), args.column || null,
+        aggregations.length > 0 ? aggregations : ['count', 'sum', 'mean']);
+      return { groupCount: groups.length, groups: groups.slice(0, clampLimit(args.limit, MAX_RESULT_ROWS)) };
+    }
+  },
+  {
+    name: 'filter_rows',
+    description: 'Counts the rows matching a filter and returns the first of them.',
+    parameters: {
+      type: 'object',
+      properties: { where: WHERE_PARAMETER, columns: COLUMNS_PARAMETER, limit: LIMIT_PARAMETER },
+      required: ['where']
+    },
+    columns: args => toList(args.columns),
+    run: (rows, args) => ({
+      matchCount: rows.length,
+      rows: pickColumns(rows.slice(0, clampLimit(args.limit, 10)), args.columns)
+    })
+  },
+  {
+    name: 'correlation',
+    description: 'Pearson correlation between two numeric columns.',
+    parameters: {
+      type: 'object',
+      properties: { column_a: { type: 'string' }, column_b: { type: 'string' }, where: WHERE_PARAMETER },
+      required: ['column_a', 'column_b']
+    },
+    columns: args => [args.column_a, args.column_b],
+    run: (rows, args) => calculateCorrelation(rows, args.column_a, args.column_b)
+  },
+  {
+    name: 'detect_outliers',
+    description: 'Finds outliers of a numeric column with the IQR method (beyond 1.5 IQR from the quartiles).',
+    parameters: {
+      type: 'object',
+      properties: {
+        column: { type: 'string' },
+        columns: COLUMNS_PARAMETER,
+        where: WHERE_PARAMETER,
+        limit: LIMIT_PARAMETER
+      },
+      required: ['column']
+    },
+    columns: args => [args.column, ...toList(args.columns)],
+    run: (rows, args) => {
+      const indices = detectOutliers(rows, args.column);
+      return {
+        outlierCount: indices.length,
+        rowCount: rows.length,
+        outliers: pickColumns(indices.slice(0, clampLimit(args.limit, 10)).map(index => rows[index]), args.columns)
+      };
+    }
+  },
+  {
+    name: 'top_n',
+    description: 'Returns the rows with the highest (or lowest) values of a numeric column.',
+    parameters: {
+      type: 'object',
+      properties: {
+        column: { type: 'string' },
+        n: { type: 'integer', description: `Number of rows (at most ${MAX_RESULT_ROWS})` },
+        order: { type: 'string', enum: ['desc', 'asc'] },
+        columns: COLUMNS_PARAMETER,
+        where: WHERE_PARAMETER
+      },
+      required: ['column']
+    },
+    columns: args => [args.column, ...toList(args.columns)],
+    run: (rows, args) => ({
+      rows: pickColumns(topN(rows, args.column, clampLimit(args.n, 10), args.order), args.columns)
+    })
+  }
+];
+
+/**
+ * Creates the data tools for a dataset
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @returns {Object} - { definitions: [{ name, description, parameters }], execute(name, args) }
+ *   execute throws for unknown tools, unknown columns and invalid arguments
+ */
+export const createDataTools = (data, columns) => {
+  const rows = data || [];
+  const knownColumns = new Set(columns || []);
+
+  const execute = (name, args = {}) => {
+    const tool = DATA_TOOLS.find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+      throw new Error('Tool arguments must be a JSON object');
+    }
+
+    const where = Array.isArray(args.where) ? args.where : [];
+    const unknown = [...tool.columns(args), ...where.map(condition => condition.column)]
+      .filter(column => !knownColumns.has(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column: ${unknown.join(', ')}. Available columns: ${[...knownColumns].join(', ')}`);
+    }
+
+    return tool.run(filterRows(rows, where), args);
+  };
+
+  return {
+    definitions: DATA_TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters })),
+    execute
+  };
+};
+
+export default {
+  createDataTools
+};
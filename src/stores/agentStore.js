@@ -33,11 +33,11 @@ const createSampleAgents = () => {
       status: 'idle',
       configuration: {
         dataSourceIds: ['sample-data-1'],
-        thresholds: {
-          value: 800,
-          operator: 'gt'
+        rules: {
+          match: 'all',
+          conditions: [{ scope: 'row', column: 'value', operator: 'gt', value: 800 }]
         },
-        notificationChannels: ['email']
+        notificationChannels: ['in-app']
       },
       createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
       lastRun: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
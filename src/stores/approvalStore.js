@@ -0,0 +1,56 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Approval state store
+ * Persists the state runs paused at an approval step resume from (collaborator results, pipeline stage
+ * results and transformed data), keyed by run ID. It's kept apart from the execution history, which
+ * only records what the review shows, and is removed once the run is decided and finishes.
+ */
+const useApprovalStore = create(
+  persist(
+    (set, get) => ({
+      states: {},
+
+      // Selectors
+      getRunState: (runId) => {
+        return get().states[runId] || null;
+      },
+
+      // Actions
+      saveState: (runId, state) => {
+        set(current => ({
+          states: { ...current.states, [runId]: state }
+        }));
+      },
+
+      removeState: (runId) => {
+        if (!get().states[runId]) return;
+        set(current => {
+          const states = { ...current.states };
+          delete states[runId];
+          return { states };
+        });
+      },
+
+      // Drops the states of runs that are no longer in the execution history
+      keepStates: (runIds) => {
+        const kept = Object.keys(get().states).filter(runId => runIds.includes(runId));
+        if (kept.length === Object.keys(get().states).length) return;
+        set(current => ({
+          states: Object.fromEntries(kept.map(runId => [runId, current.states[runId]]))
+        }));
+      },
+
+      clearStates: () => {
+        set({ states: {} });
+      }
+    }),
+    {
+      name: 'approval_states',
+      partialize: (state) => ({ states: state.states })
+    }
+  )
+);
+
+export default useApprovalStore;
@@ -0,0 +1,64 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Result cache store
+ * Persists cached provider responses in localStorage, most recently used first.
+ * Entries: { key, response, usage, provider, model, agentId, agentName, dataSourceId,
+ * dataSourceName, label, createdAt, expiresAt, lastUsedAt, hits }
+ */
+const useCacheStore = create(
+  persist(
+    (set) => ({
+      entries: [],
+
+      // Actions
+      // Stores an entry, replacing any entry with the same key; the least recently used beyond maxEntries are dropped
+      putEntry: (entry, maxEntries) => {
+        set(state => ({
+          entries: [entry, ...state.entries.filter(e => e.key !== entry.key)].slice(0, maxEntries)
+        }));
+      },
+
+      // Counts a cache hit and moves the entry to the front
+      recordHit: (key) => {
+        set(state => {
+          const entry = state.entries.find(e => e.key === key);
+          if (!entry) return state;
+          const used = { ...entry, hits: (entry.hits || 0) + 1, lastUsedAt: new Date().toISOString() };
+          return { entries: [used, ...state.entries.filter(e => e.key !== key)] };
+        });
+      },
+
+      removeEntry: (key) => {
+        set(state => ({
+          entries: state.entries.filter(e => e.key !== key)
+        }));
+      },
+
+      // Drops entries that expired before the given time
+      removeExpired: (now = Date.now()) => {
+        set(state => ({
+          entries: state.entries.filter(e => new Date(e.expiresAt).getTime() > now)
+        }));
+      },
+
+      // Keeps at most this many entries, dropping the least recently used
+      trimEntries: (maxEntries) => {
+        set(state => ({
+          entries: state.entries.slice(0, maxEntries)
+        }));
+      },
+
+      clearEntries: () => {
+        set({ entries: [] });
+      }
+    }),
+    {
+      name: 'result_cache',
+      partialize: (state) => ({ entries: state.entries })
+    }
+  )
+);
+
+export default useCacheStore;
@@ -0,0 +1,268 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import useApprovalStore from './approvalStore';
+
+// Oldest runs are dropped beyond this many, so the history fits in localStorage
+const MAX_RUNS = 200;
+// Very chatty runs keep only their most recent log lines
+const MAX_LOG_LINES = 500;
+// Log lines older runs keep when the history no longer fits in localStorage
+const TRIMMED_LOG_LINES = 50;
+
+// Execution options worth keeping with a run; API keys and callbacks are never stored
+const RECORDED_OPTIONS = [
+  'provider',
+  'model',
+  'temperature',
+  'maxTokens',
+  'useOpenAI',
+  'forceOffline',
+  'executionMode',
+  'synthesizeResults',
+  'overrideBudget',
+  'analysisMode',
+  'chunkSize',
+  'chunkConcurrency',
+  'priority',
+  'bypassCache'
+];
+
+/**
+ * Picks the recordable execution options
+ * @param {Object} options - Execution options
+ * @returns {Object} - Options safe to persist
+ */
+const pickRecordedOptions = (options = {}) => {
+  const recorded = {};
+  RECORDED_OPTIONS.forEach(key => {
+    if (options[key] !== undefined) {
+      recorded[key] = options[key];
+    }
+  });
+  return recorded;
+};
+
+/**
+ * Determines the final status of a run from its execution results
+ * @param {Object} results - Execution results
+ * @returns {string} - 'completed', 'failed', 'cancelled' or 'awaiting-approval'
+ */
+const getRunStatus = (results) => {
+  if (results?.cancelled) return 'cancelled';
+  if (results?.awaitingApproval) return 'awaiting-approval';
+  if (!results || results.success === false) return 'failed';
+  return 'completed';
+};
+
+/**
+ * Applies a change to the history, shrinking it when localStorage is full
+ * The persist middleware writes to localStorage inside set, so a full storage throws there after the change
+ * is already applied in memory. The older runs' logs are trimmed first, then the oldest runs are dropped
+ * until the history fits; the run being changed is always kept.
+ * @param {Function} set - Store setter
+ * @param {Function} get - Store getter
+ * @param {Function|Object} change - State change passed to set
+ * @param {string} [keepId] - ID of the run being changed
+ */
+const setWithinQuota = (set, get, change, keepId) => {
+  try {
+    set(change);
+    return;
+  } catch (error) {
+    console.warn('Execution history does not fit in localStorage, trimming older runs:', error.message);
+  }
+
+  const shrinks = [
+    runs => runs.map(run => (run.id === keepId ? run : { ...run, logs: run.logs.slice(-TRIMMED_LOG_LINES) }))
+  ];
+  for (let keep = Math.floor(get().runs.length / 2); keep >= 1; keep = Math.floor(keep / 2)) {
+    const count = keep;
+    shrinks.push(runs => runs.filter((run, index) => index < count || run.id === keepId));
+  }
+  shrinks.push(runs => runs.filter(run => run.id === keepId));
+
+  for (const shrink of shrinks) {
+    try {
+      set(state => ({ runs: shrink(state.runs) }));
+      // Runs dropped from the history can't be resumed any more
+      useApprovalStore.getState().keepStates(get().runs.map(run => run.id));
+      return;
+    } catch {
+      // Still too large, shrink further
+    }
+  }
+  console.error('Execution history could not be saved to localStorage; it is kept for this session only');
+};
+
+/**
+ * Execution history store
+ * Persists every agent execution (inputs, logs, milestones, outcome) in localStorage
+ */
+const useExecutionStore = create(
+  persist(
+    (set, get) => ({
+      runs: [],
+
+      // Selectors
+      getRunById: (id) => {
+        return get().runs.find(run => run.id === id);
+      },
+
+      // Actions
+      startRun: ({ id, agent, dataSource, options = {} }) => {
+        const run = {
+          id: id || `run-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+          agentId: agent.id,
+          agentName: agent.name,
+          agentType: agent.type,
+          dataSourceId: dataSource.id,
+          dataSourceName: dataSource.name,
+          rowCount: dataSource.data?.length || dataSource.metadata?.rowCount || 0,
+          provider: options.provider || 'openai',
+          model: options.model || null,
+          options: pickRecordedOptions(options),
+          // 'manual', or 'schedule' for runs started by the scheduler
+          trigger: options.trigger || 'manual',
+          // Runs wait in the execution queue until markRunStarted
+          status: 'queued',
+          queuedAt: new Date().toISOString(),
+          startedAt: new Date().toISOString(),
+          finishedAt: null,
+          durationMs: null,
+          logs: [],
+          milestones: [],
+          error: null,
+          reportId: null,
+          usage: null,
+          collaborators: []
+        };
+
+        setWithinQuota(set, get, state => ({
+          runs: [run, ...state.runs].slice(0, MAX_RUNS)
+        }), run.id);
+        // Runs dropped from the history can't be resumed any more
+        useApprovalStore.getState().keepStates(get().runs.map(r => r.id));
+
+        return run.id;
+      },
+
+      // A queued run starts; its duration is measured from here
+      markRunStarted: (id) => {
+        setWithinQuota(set, get, state => ({
+          runs: state.runs.map(run => (run.id === id && run.status === 'queued'
+            ? { ...run, status: 'running', startedAt: new Date().toISOString() }
+            : run))
+        }), id);
+      },
+
+      appendLogs: (id, entries) => {
+        if (!entries || entries.length === 0) return;
+        setWithinQuota(set, get, state => ({
+          runs: state.runs.map(run =>
+            run.id === id
+              ? { ...run, logs: [...run.logs, ...entries].slice(-MAX_LOG_LINES) }
+              : run
+          )
+        }), id);
+      },
+
+      updateRun: (id, changes) => {
+        setWithinQuota(set, get, state => ({
+          runs: state.runs.map(run => (run.id === id ? { ...run, ...changes } : run))
+        }), id);
+      },
+
+      finishRun: (id, results) => {
+        const run = get().getRunById(id);
+        if (!run) return;
+
+        const finishedAt = new Date();
+
+        get().updateRun(id, {
+          status: getRunStatus(results),
+          finishedAt: finishedAt.toISOString(),
+          durationMs: finishedAt - new Date(run.startedAt),
+          error: results?.success === false ? (results.error || 'Unknown error') : null,
+          reportId: results?.reportId || run.reportId,
+          model: results?.aiMetadata?.model || run.model,
+          executionMethod: results?.executionMethod || null,
+          milestones: results?.milestones || run.milestones,
+          usage: results?.usage || null,
+          mapReduce: results?.mapReduce || null,
+          // Set when the response came from the result cache: { cachedAt, savedUsage }
+          cache: results?.cache || null,
+          // Notifier runs: whether the alert triggered and where it was sent
+          alert: results?.alert
+            ? {
+              triggered: results.alert.triggered,
+              rowCount: results.alert.rowCount,
+              notifications: results.alert.notifications
+            }
+            : null,
+          // Collaborative runs: how results were combined and how many conflicts were found
+          synthesis: results?.synthesis
+            ? { strategyName: results.synthesis.strategyName, conflictCount: results.synthesis.conflicts.length }
+            : null,
+          // Collaborative runs with debate rounds: how many rounds ran
+          debate: results?.debate
+            ? { rounds: results.debate.rounds, participants: results.debate.participants }
+            : null,
+          // Requests that were retried or failed over to another provider/model
+          attempts: results?.attempts || null,
+          // Collaborative runs: how failed collaborators were treated
+          failurePolicy: results?.failurePolicy?.description || null,
+          // Runs suspended at an approval step: the output to review (the state they resume from is kept
+          // in the approval store, so the history stays small)
+          approval: results?.approval
+            ? { step: results.approval.step, items: results.approval.items, requestedAt: results.approval.requestedAt }
+            : null,
+          // Collaborative runs: collaborators the routing rules left out, with the reason
+          skippedCollaborators: results?.skippedCollaborators || [],
+          collaborators: (results?.collaboratorResults || []).map(r => ({
+            agentId: r.agentId,
+            stageName: r.stageName,
+            debateRound: r.debateRound ?? null,
+            // Collaborators can run on their own provider and model
+            provider: r.aiMetadata?.provider || null,
+            model: r.aiMetadata?.model || null,
+            success: r.success !== false,
+            error: r.error || null,
+            executionMethod: r.executionMethod || null,
+            usage: r.usage || null,
+            attempts: r.attempts || null,
+            cached: !!r.cache
+          }))
+        });
+      },
+
+      deleteRun: (id) => {
+        set(state => ({
+          runs: state.runs.filter(run => run.id !== id)
+        }));
+        useApprovalStore.getState().removeState(id);
+      },
+
+      clearRuns: () => {
+        set({ runs: [] });
+        useApprovalStore.getState().clearStates();
+      }
+    }),
+    {
+      name: 'execution_history',
+      partialize: (state) => ({ runs: state.runs }),
+      // Runs still marked as running when the page was closed will never finish, except that a run
+      // resumed after approval can be reviewed and resumed again from its approval step
+      merge: (persistedState, currentState) => ({
+        ...currentState,
+        runs: (persistedState?.runs || []).map(run => {
+          if (run.status !== 'running' && run.status !== 'queued') return run;
+          return run.approval
+            ? { ...run, status: 'awaiting-approval', error: `Waiting for approval ${run.approval.step.label}` }
+            : { ...run, status: 'interrupted', error: 'The page was closed before the run finished' };
+        })
+      })
+    }
+  )
+);
+
+export default useExecutionStore;
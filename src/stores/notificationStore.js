@@ -0,0 +1,60 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+// Oldest notifications are dropped beyond this many
+const MAX_NOTIFICATIONS = 100;
+
+/**
+ * In-app notification store
+ * Persists the alerts raised by notifier agents, newest first.
+ * Each notification: { id, title, message, agentId, agentName, dataSourceName, runId, createdAt, read }
+ */
+const useNotificationStore = create(
+  persist(
+    (set) => ({
+      notifications: [],
+
+      // Actions
+      addNotification: (notification) => {
+        const entry = {
+          id: `notification-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+          createdAt: new Date().toISOString(),
+          read: false,
+          ...notification
+        };
+        set(state => ({
+          notifications: [entry, ...state.notifications].slice(0, MAX_NOTIFICATIONS)
+        }));
+        return entry;
+      },
+
+      markRead: (id) => {
+        set(state => ({
+          notifications: state.notifications.map(n => (n.id === id ? { ...n, read: true } : n))
+        }));
+      },
+
+      markAllRead: () => {
+        set(state => ({
+          notifications: state.notifications.map(n => (n.read ? n : { ...n, read: true }))
+        }));
+      },
+
+      removeNotification: (id) => {
+        set(state => ({
+          notifications: state.notifications.filter(n => n.id !== id)
+        }));
+      },
+
+      clearNotifications: () => {
+        set({ notifications: [] });
+      }
+    }),
+    {
+      name: 'notifications',
+      partialize: (state) => ({ notifications: state.notifications })
+    }
+  )
+);
+
+export default useNotificationStore;
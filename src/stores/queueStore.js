@@ -0,0 +1,60 @@
+import { create } from 'zustand';
+
+// Finished jobs are kept in the queue panel up to this many
+const MAX_FINISHED_JOBS = 20;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Checks whether a queue job has finished
+ * @param {Object} job - Queue job
+ * @returns {boolean} - True for completed, failed and cancelled jobs
+ */
+export const isFinishedJob = (job) => FINISHED_STATUSES.includes(job.status);
+
+/**
+ * Execution queue store
+ * Holds the jobs of the execution queue and the request activity per provider for the queue panel.
+ * Nothing is persisted: queued work can't survive a page reload (the execution history records it).
+ */
+const useQueueStore = create((set) => ({
+  // { id, runId, agentName, dataSourceName, provider, priority, status, enqueuedAt, startedAt, finishedAt, error }
+  jobs: [],
+
+  // Requests per provider ID: { active, waiting }
+  providers: {},
+
+  // Actions
+  addJob: (job) => {
+    set(state => ({ jobs: [...state.jobs, job] }));
+  },
+
+  updateJob: (id, changes) => {
+    set(state => {
+      const jobs = state.jobs.map(job => (job.id === id ? { ...job, ...changes } : job));
+      const finished = jobs.filter(isFinishedJob);
+      if (finished.length <= MAX_FINISHED_JOBS) return { jobs };
+
+      // Drop the jobs that finished first
+      const dropped = new Set(finished
+        .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .map(job => job.id));
+      return { jobs: jobs.filter(job => !dropped.has(job.id)) };
+    });
+  },
+
+  removeJob: (id) => {
+    set(state => ({ jobs: state.jobs.filter(job => job.id !== id) }));
+  },
+
+  clearFinished: () => {
+    set(state => ({ jobs: state.jobs.filter(job => !isFinishedJob(job)) }));
+  },
+
+  setProviderActivity: (providerId, activity) => {
+    set(state => ({ providers: { ...state.providers, [providerId]: activity } }));
+  }
+}));
+
+export default useQueueStore;
@@ -0,0 +1,45 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+/**
+ * Schedule store
+ * Persists where each scheduled agent is in its schedule, so runs that came due while
+ * the app was closed are found when it opens again.
+ * Per agent ID: { scheduleKey, nextRunAt, lastRunAt, lastRunIds, lastOutcome, lastMissedRuns }
+ */
+const useScheduleStore = create(
+  persist(
+    (set, get) => ({
+      agents: {},
+
+      // Selectors
+      getAgentState: (agentId) => {
+        return get().agents[agentId] || null;
+      },
+
+      // Actions
+      updateAgentState: (agentId, changes) => {
+        set(state => ({
+          agents: {
+            ...state.agents,
+            [agentId]: { ...state.agents[agentId], ...changes }
+          }
+        }));
+      },
+
+      removeAgentState: (agentId) => {
+        set(state => {
+          const agents = { ...state.agents };
+          delete agents[agentId];
+          return { agents };
+        });
+      }
+    }),
+    {
+      name: 'agent_schedules',
+      partialize: (state) => ({ agents: state.agents })
+    }
+  )
+);
+
+export default useScheduleStore;
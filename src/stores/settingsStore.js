@@ -1,5 +1,9 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { DEFAULT_MODEL_PRICING } from '../utils/costUtils';
+import { DEFAULT_RETRY_SETTINGS } from '../utils/retryUtils';
+import { DEFAULT_QUEUE_SETTINGS } from '../utils/queueUtils';
+import { DEFAULT_CACHE_SETTINGS } from '../utils/cacheUtils';
 
 /**
  * Settings store for application configuration
@@ -28,6 +32,31 @@ export const useSettingsStore = create(
         codeHighlighting: true
       },
       
+      // Model prices in US dollars per million tokens, used to estimate execution costs
+      modelPricing: { ...DEFAULT_MODEL_PRICING },
+      
+      // Spending budgets: daily/monthly token and dollar limits for the workspace and per agent ID
+      budgets: {
+        workspace: {},
+        agents: {}
+      },
+      
+      // How datasets are described to the model: token budget for the data context
+      // (null uses the budget of the chosen model) and how rows are sampled
+      dataContext: {
+        tokenBudget: null,
+        sampling: 'stratified'
+      },
+      
+      // Retries of provider requests that fail with a rate limit, server error or network error
+      retry: { ...DEFAULT_RETRY_SETTINGS },
+      
+      // Execution queue: executions running at once, and request limits per provider
+      queue: { ...DEFAULT_QUEUE_SETTINGS },
+      
+      // Result cache: whether responses are reused, for how long, and how many are kept
+      cache: { ...DEFAULT_CACHE_SETTINGS },
+      
       // Actions
       setApiKey: (provider, key) => {
         set(state => ({
@@ -56,6 +85,76 @@ export const useSettingsStore = create(
         }));
       },
       
+      setModelPricing: (pricing) => {
+        const modelPricing = {};
+        Object.entries(pricing).forEach(([model, price]) => {
+          modelPricing[model] = {
+            input: Number(price.input) || 0,
+            output: Number(price.output) || 0
+          };
+        });
+        set({ modelPricing });
+      },
+      
+      resetModelPricing: () => {
+        set({ modelPricing: { ...DEFAULT_MODEL_PRICING } });
+      },
+      
+      setWorkspaceBudget: (limits) => {
+        set(state => ({
+          budgets: { ...state.budgets, workspace: limits }
+        }));
+      },
+      
+      // Passing null removes the agent's budget
+      setAgentBudget: (agentId, limits) => {
+        set(state => {
+          const agents = { ...state.budgets.agents };
+          if (limits) {
+            agents[agentId] = limits;
+          } else {
+            delete agents[agentId];
+          }
+          return { budgets: { ...state.budgets, agents } };
+        });
+      },
+      
+      setDataContext: (changes) => {
+        set(state => ({
+          dataContext: {
+            ...state.dataContext,
+            ...changes
+          }
+        }));
+      },
+      
+      setRetry: (changes) => {
+        set(state => ({
+          retry: {
+            ...state.retry,
+            ...changes
+          }
+        }));
+      },
+      
+      setQueue: (changes) => {
+        set(state => ({
+          queue: {
+            ...state.queue,
+            ...changes
+          }
+        }));
+      },
+      
+      setCache: (changes) => {
+        set(state => ({
+          cache: {
+            ...state.cache,
+            ...changes
+          }
+        }));
+      },
+      
       // Check if API keys are configured
       hasApiKey: (provider) => {
         const state = get();
@@ -77,7 +176,13 @@ export const useSettingsStore = create(
             theme: 'light',
             sidebarCollapsed: false,
             codeHighlighting: true
-          }
+          },
+          modelPricing: { ...DEFAULT_MODEL_PRICING },
+          budgets: { workspace: {}, agents: {} },
+          dataContext: { tokenBudget: null, sampling: 'stratified' },
+          retry: { ...DEFAULT_RETRY_SETTINGS },
+          queue: { ...DEFAULT_QUEUE_SETTINGS },
+          cache: { ...DEFAULT_CACHE_SETTINGS }
         });
       }
     }),
@@ -86,7 +191,13 @@ export const useSettingsStore = create(
       partialize: (state) => ({
         apiKeys: state.apiKeys,
         modelConfig: state.modelConfig,
-        uiPreferences: state.uiPreferences
+        uiPreferences: state.uiPreferences,
+        modelPricing: state.modelPricing,
+        budgets: state.budgets,
+        dataContext: state.dataContext,
+        retry: state.retry,
+        queue: state.queue,
+        cache: state.cache
       })
     }
   )
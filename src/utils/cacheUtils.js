@@ -0,0 +1,104 @@
+/**
+ * Utility functions for the result cache: settings and content hashing
+ */
+
+/**
+ * Default cache settings
+ * Entries expire ttlHours after they were stored; beyond maxEntries the least recently used are dropped.
+ */
+export const DEFAULT_CACHE_SETTINGS = {
+  enabled: true,
+  ttlHours: 24,
+  maxEntries: 50
+};
+
+/**
+ * Completes cache settings with the defaults
+ * @param {Object} settings - Partial cache settings
+ * @returns {Object} - { enabled, ttlHours, maxEntries }
+ */
+export const normalizeCacheSettings = (settings = {}) => {
+  const read = (key, min) => {
+    const value = Number(settings?.[key]);
+    return Number.isFinite(value) && value >= min ? value : DEFAULT_CACHE_SETTINGS[key];
+  };
+
+  return {
+    enabled: settings?.enabled !== undefined ? !!settings.enabled : DEFAULT_CACHE_SETTINGS.enabled,
+    // A few minutes at the least; a lifetime of 0 would cache nothing
+    ttlHours: read('ttlHours', 0.05),
+    maxEntries: Math.floor(read('maxEntries', 1))
+  };
+};
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal objects always serialize the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+export const stableStringify = (value) => {
+  if (value === undefined || typeof value === 'function') return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`;
+};
+
+/**
+ * Creates an incremental 53-bit string hash (cyrb53)
+ * @returns {Object} - { update(text), digest() } where digest returns 14 hex characters
+ */
+const createHash = () => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  const update = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+  };
+
+  const digest = () => {
+    let a = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    let b = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    a >>>= 0;
+    b &= 0x1fffff;
+    return b.toString(16).padStart(6, '0') + a.toString(16).padStart(8, '0');
+  };
+
+  return { update, digest };
+};
+
+/**
+ * Hashes a string
+ * @param {string} text - Text to hash
+ * @returns {string} - 14 hex characters
+ */
+export const hashString = (text) => {
+  const hash = createHash();
+  hash.update(String(text));
+  return hash.digest();
+};
+
+/**
+ * Fingerprints the full contents of a dataset
+ * Rows are hashed one at a time, so large datasets are never serialized as a single string.
+ * @param {Array} rows - Data rows
+ * @param {Array} columns - Column names
+ * @returns {string} - Hash of the columns and every row
+ */
+export const fingerprintData = (rows = [], columns = []) => {
+  const hash = createHash();
+  hash.update(stableStringify(columns || []));
+  (rows || []).forEach(row => {
+    hash.update('\n');
+    hash.update(stableStringify(row));
+  });
+  return hash.digest();
+};
@@ -0,0 +1,128 @@
+/**
+ * Utility functions for token usage and cost accounting
+ */
+
+/**
+ * Default model prices in US dollars per million tokens
+ * Keys are model IDs or model ID prefixes, so dated versions
+ * (e.g. claude-3-5-sonnet-20241022) use the price of their family.
+ * The table is editable in Settings; these are only the starting values.
+ */
+export const DEFAULT_MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'llama-3-70b-instruct': { input: 0.59, output: 0.79 },
+  'mock-analyzer': { input: 0, output: 0 }
+};
+
+/**
+ * Normalizes provider usage into camelCase token counts
+ * Accepts the OpenAI shape (prompt_tokens, completion_tokens) that providers return
+ * as well as already normalized usage records
+ * @param {Object} usage - Usage reported by a provider
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+ */
+export const normalizeUsage = (usage) => {
+  const promptTokens = Number(usage?.promptTokens ?? usage?.prompt_tokens ?? 0) || 0;
+  const completionTokens = Number(usage?.completionTokens ?? usage?.completion_tokens ?? 0) || 0;
+  const totalTokens = Number(usage?.totalTokens ?? usage?.total_tokens ?? 0) || promptTokens + completionTokens;
+
+  return { promptTokens, completionTokens, totalTokens };
+};
+
+/**
+ * Finds the entry for a model in a table keyed by model ID or model ID prefix
+ * Tries the exact model ID, then the ID without a vendor prefix (OpenRouter's
+ * "openai/gpt-4"), then the longest table key the model ID starts with
+ * @param {string} model - Model ID
+ * @param {Object} table - Table keyed by model ID or prefix
+ * @returns {*} - The matching entry, or null if no key matches
+ */
+export const findModelEntry = (model, table) => {
+  if (!model || !table) return null;
+
+  const candidates = [model, model.split('/').pop()];
+  for (const candidate of candidates) {
+    if (table[candidate] !== undefined) return table[candidate];
+  }
+
+  const baseModel = candidates[1];
+  const prefix = Object.keys(table)
+    .filter(key => baseModel.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+};
+
+/**
+ * Finds the price of a model in a price table
+ * @param {string} model - Model ID
+ * @param {Object} pricing - Price table ({ [model]: { input, output } })
+ * @returns {Object|null} - { input, output } per million tokens, or null if the model has no price
+ */
+export const findModelPrice = (model, pricing = DEFAULT_MODEL_PRICING) => {
+  return findModelEntry(model, pricing);
+};
+
+/**
+ * Estimates the cost of a request
+ * @param {Object} usage - Usage reported by a provider
+ * @param {string} model - Model ID
+ * @param {Object} pricing - Price table
+ * @returns {number|null} - Cost in US dollars, or null if the model has no price
+ */
+export const estimateCost = (usage, model, pricing = DEFAULT_MODEL_PRICING) => {
+  const price = findModelPrice(model, pricing);
+  if (!price) return null;
+
+  const { promptTokens, completionTokens } = normalizeUsage(usage);
+  return (promptTokens * (Number(price.input) || 0) + completionTokens * (Number(price.output) || 0)) / 1000000;
+};
+
+/**
+ * Builds the usage record stored with execution results, runs and reports
+ * @param {Object} details - { provider, model, usage, pricing }
+ * @returns {Object} - { provider, model, promptTokens, completionTokens, totalTokens, cost }, plus
+ *   estimated: true when the provider reported no usage and the token counts are estimates
+ */
+export const createUsageRecord = ({ provider, model, usage, pricing = DEFAULT_MODEL_PRICING }) => {
+  return {
+    provider,
+    model,
+    ...normalizeUsage(usage),
+    cost: estimateCost(usage, model, pricing),
+    ...(usage?.estimated ? { estimated: true } : {})
+  };
+};
+
+/**
+ * Adds up usage records, e.g. every collaborator of a collaborative run
+ * Cost stays null only when none of the records has a known cost; the sum is estimated when any record is
+ * @param {Array} records - Usage records (null entries are ignored)
+ * @returns {Object|null} - Summed usage record, or null if there is nothing to add up
+ */
+export const sumUsage = (records = []) => {
+  const validRecords = records.filter(Boolean);
+  if (validRecords.length === 0) return null;
+
+  return validRecords.reduce((total, record) => {
+    const { promptTokens, completionTokens, totalTokens } = normalizeUsage(record);
+    const hasCost = typeof record.cost === 'number';
+    return {
+      promptTokens: total.promptTokens + promptTokens,
+      completionTokens: total.completionTokens + completionTokens,
+      totalTokens: total.totalTokens + totalTokens,
+      cost: hasCost ? (total.cost || 0) + record.cost : total.cost,
+      ...(total.estimated || record.estimated ? { estimated: true } : {})
+    };
+  }, { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: null });
+};
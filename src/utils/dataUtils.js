@@ -137,6 +137,260 @@ export const detectOutliers = (data, column) => {
   return outlierIndices;
 };
 
+/**
+ * Checks whether a cell holds a value (null, undefined and empty strings are missing)
+ */
+const isPresent = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Gets a quantile of sorted numbers with linear interpolation
+ */
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Profiles each column of a dataset for the model context
+ * Every profile has the column type (numeric, date, boolean, categorical or text), the null
+ * rate and the number of distinct values. Numeric columns add quantiles, mean and standard
+ * deviation, date columns their range, and the other types their most common values.
+ * @param {Array} data - The dataset rows
+ * @param {Array} columns - Column names
+ * @param {number} topCount - How many of the most common values to keep
+ * @returns {Array} - One profile per column: { column, type, count, nullRate, distinctCount, ... }
+ */
+export const profileColumns = (data, columns, topCount = 5) => {
+  if (!data || !columns || data.length === 0) {
+    return [];
+  }
+
+  return columns.map(column => {
+    const values = data.map(row => row[column]).filter(isPresent);
+    const frequencies = new Map();
+    values.forEach(value => {
+      const key = String(value).trim();
+      frequencies.set(key, (frequencies.get(key) || 0) + 1);
+    });
+
+    const profile = {
+      column,
+      type: 'empty',
+      count: values.length,
+      nullRate: 1 - values.length / data.length,
+      distinctCount: frequencies.size
+    };
+    if (values.length === 0) return profile;
+
+    const topValues = () => [...frequencies.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topCount)
+      .map(([value, count]) => ({ value, count }));
+
+    // Number('') and Number(' ') are 0, but missing values were filtered out above
+    const numbers = values
+      .map(value => (typeof value === 'number' ? value : Number(String(value).trim())))
+      .filter(Number.isFinite);
+    const keys = [...frequencies.keys()].map(key => key.toLowerCase());
+
+    if (frequencies.size <= 2 && keys.every(key => ['true', 'false', 'yes', 'no'].includes(key))) {
+      return { ...profile, type: 'boolean', topValues: topValues() };
+    }
+
+    // Mostly numeric columns are numeric; the odd unparseable cell ("n/a") doesn't change that
+    if (numbers.length >= values.length * 0.9) {
+      const sorted = [...numbers].sort((a, b) => a - b);
+      const mean = numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+      const variance = numbers.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / numbers.length;
+      return {
+        ...profile,
+        type: 'numeric',
+        min: sorted[0],
+        q1: quantile(sorted, 0.25),
+        median: quantile(sorted, 0.5),
+        q3: quantile(sorted, 0.75),
+        max: sorted[sorted.length - 1],
+        mean,
+        stdDev: Math.sqrt(variance)
+      };
+    }
+
+    // Only values shaped like dates count, since Date parses free text like "note 12" as well
+    const dates = values
+      .filter(value => value instanceof Date || /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})/.test(String(value).trim()))
+      .map(value => new Date(value).getTime())
+      .filter(Number.isFinite);
+    if (dates.length >= values.length * 0.9) {
+      return {
+        ...profile,
+        type: 'date',
+        min: new Date(dates.reduce((a, b) => Math.min(a, b))).toISOString(),
+        max: new Date(dates.reduce((a, b) => Math.max(a, b))).toISOString()
+      };
+    }
+
+    // Values that repeat a lot are categories rather than free text (names, IDs, comments)
+    if ((frequencies.size <= 50 && frequencies.size < values.length / 2) || frequencies.size <= values.length * 0.05) {
+      return { ...profile, type: 'categorical', topValues: topValues() };
+    }
+
+    const totalLength = values.reduce((sum, value) => sum + String(value).length, 0);
+    return {
+      ...profile,
+      type: 'text',
+      averageLength: totalLength / values.length,
+      topValues: topValues().filter(({ count }) => count > 1)
+    };
+  });
+};
+
+/**
+ * Compares a cell with a value, numerically when both are numbers and as text otherwise
+ */
+const compareValues = (cell, value) => {
+  const a = Number(cell);
+  const b = Number(value);
+  if (isPresent(cell) && isPresent(value) && Number.isFinite(a) && Number.isFinite(b)) {
+    return a - b;
+  }
+  return String(cell ?? '').localeCompare(String(value ?? ''));
+};
+
+// Operators accepted by filterRows
+export const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in'];
+
+/**
+ * Filters rows by conditions that must all hold
+ * @param {Array} data - The dataset rows
+ * @param {Array} conditions - [{ column, operator, value }] with an operator from FILTER_OPERATORS;
+ *   "in" takes an array of values and "contains" matches text case-insensitively
+ * @returns {Array} - Matching rows
+ */
+export const filterRows = (data, conditions = []) => {
+  if (!data) return [];
+  if (!conditions || conditions.length === 0) return data;
+
+  const tests = conditions.map(({ column, operator = 'eq', value }) => {
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown filter operator: ${operator}`);
+    }
+    return (row) => {
+      const cell = row[column];
+      switch (operator) {
+        case 'eq': return compareValues(cell, value) === 0;
+        case 'ne': return compareValues(cell, value) !== 0;
+        case 'gt': return isPresent(cell) && compareValues(cell, value) > 0;
+        case 'gte': return isPresent(cell) && compareValues(cell, value) >= 0;
+        case 'lt': return isPresent(cell) && compareValues(cell, value) < 0;
+        case 'lte': return isPresent(cell) && compareValues(cell, value) <= 0;
+        case 'contains': return String(cell ?? '').toLowerCase().includes(String(value).toLowerCase());
+        default: return (Array.isArray(value) ? value : [value]).some(item => compareValues(cell, item) === 0);
+      }
+    };
+  });
+
+  return data.filter(row => tests.every(test => test(row)));
+};
+
+// Aggregations accepted by groupByAggregate
+export const AGGREGATIONS = ['count', 'sum', 'mean', 'min', 'max', 'median'];
+
+/**
+ * Groups rows by one or more columns and aggregates a numeric column per group
+ * @param {Array} data - The dataset rows
+ * @param {Array} groupBy - Columns to group by
+ * @param {string} column - Numeric column to aggregate (optional; without it only rows are counted)
+ * @param {Array} aggregations - Aggregations from AGGREGATIONS
+ * @returns {Array} - One object per group with the group values and the aggregates, largest groups first
+ */
+export const groupByAggregate = (data, groupBy, column = null, aggregations = ['count']) => {
+  if (!data || !groupBy || groupBy.length === 0) return [];
+
+  const groups = new Map();
+  data.forEach(row => {
+    const key = JSON.stringify(groupBy.map(name => row[name] ?? null));
+    if (!groups.has(key)) groups.set(key, { rows: 0, values: [] });
+    const group = groups.get(key);
+    group.rows += 1;
+    if (column) {
+      const value = parseFloat(row[column]);
+      if (!isNaN(value)) group.values.push(value);
+    }
+  });
+
+  return [...groups.entries()].map(([key, { rows, values }]) => {
+    const result = {};
+    JSON.parse(key).forEach((value, index) => {
+      result[groupBy[index]] = value;
+    });
+    result.count = rows;
+    if (!column || values.length === 0) return result;
+
+    const sum = values.reduce((a, b) => a + b, 0);
+    const sorted = [...values].sort((a, b) => a - b);
+    const aggregates = {
+      sum,
+      mean: sum / values.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      median: quantile(sorted, 0.5)
+    };
+    aggregations
+      .filter(name => name !== 'count' && aggregates[name] !== undefined)
+      .forEach(name => {
+        result[`${name}_${column}`] = aggregates[name];
+      });
+    return result;
+  }).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Calculates the Pearson correlation between two numeric columns
+ * @param {Array} data - The dataset rows
+ * @param {string} columnA - First column
+ * @param {string} columnB - Second column
+ * @returns {Object} - { correlation, count } over the rows where both values are numbers
+ *   (correlation is null with fewer than two such rows or a constant column)
+ */
+export const calculateCorrelation = (data, columnA, columnB) => {
+  const pairs = (data || [])
+    .map(row => [parseFloat(row[columnA]), parseFloat(row[columnB])])
+    .filter(([a, b]) => !isNaN(a) && !isNaN(b));
+  if (pairs.length < 2) return { correlation: null, count: pairs.length };
+
+  const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+  const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  pairs.forEach(([a, b]) => {
+    covariance += (a - meanA) * (b - meanB);
+    varianceA += Math.pow(a - meanA, 2);
+    varianceB += Math.pow(b - meanB, 2);
+  });
+
+  const denominator = Math.sqrt(varianceA * varianceB);
+  return { correlation: denominator === 0 ? null : covariance / denominator, count: pairs.length };
+};
+
+/**
+ * Gets the rows with the highest (or lowest) values of a numeric column
+ * @param {Array} data - The dataset rows
+ * @param {string} column - Numeric column to rank by
+ * @param {number} n - Number of rows
+ * @param {string} order - 'desc' for the highest values, 'asc' for the lowest
+ * @returns {Array} - Rows, ranked; rows without a number in the column are left out
+ */
+export const topN = (data, column, n = 10, order = 'desc') => {
+  const direction = order === 'asc' ? 1 : -1;
+  return (data || [])
+    .filter(row => !isNaN(parseFloat(row[column])))
+    .sort((a, b) => direction * (parseFloat(a[column]) - parseFloat(b[column])))
+    .slice(0, n);
+};
+
 /**
  * Creates a sample dataset for testing
  */
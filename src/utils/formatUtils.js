@@ -0,0 +1,41 @@
+/**
+ * Utility functions for formatting values for display
+ */
+
+/**
+ * Formats a duration in milliseconds for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Formatted duration (e.g. "850ms", "12.4s", "3m 5s")
+ */
+export const formatDuration = (ms) => {
+  if (typeof ms !== 'number' || Number.isNaN(ms)) return '—';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+/**
+ * Formats a token count for display
+ * @param {number} tokens - Token count
+ * @returns {string} - Formatted count (e.g. "950", "12.4k", "1.2M")
+ */
+export const formatTokens = (tokens) => {
+  if (typeof tokens !== 'number' || Number.isNaN(tokens)) return '—';
+  if (tokens < 1000) return String(tokens);
+  if (tokens < 1000000) return `${(tokens / 1000).toFixed(1)}k`;
+  return `${(tokens / 1000000).toFixed(1)}M`;
+};
+
+/**
+ * Formats an estimated cost in US dollars for display
+ * Small amounts keep more decimals so single requests don't all show as $0.00
+ * @param {number|null} cost - Cost in US dollars, or null when the model has no price
+ * @returns {string} - Formatted cost (e.g. "$0.0042", "$1.25")
+ */
+export const formatCost = (cost) => {
+  if (typeof cost !== 'number' || Number.isNaN(cost)) return '—';
+  if (cost === 0) return '$0.00';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+};
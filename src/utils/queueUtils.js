@@ -0,0 +1,95 @@
+/**
+ * Utility functions for the execution queue and provider request limits
+ */
+
+// Priorities of queued executions, highest first
+export const EXECUTION_PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Default queue settings
+ * maxConcurrentRequests and requestsPerMinute apply to every provider without its own limits;
+ * null means no limit.
+ */
+export const DEFAULT_QUEUE_SETTINGS = {
+  maxConcurrentRuns: 2,
+  maxConcurrentRequests: 4,
+  requestsPerMinute: null,
+  providers: {}
+};
+
+/**
+ * Reads a limit that is either a positive whole number or null (no limit)
+ * @param {*} value - Limit value
+ * @param {number|null} fallback - Value used when the limit is missing or invalid
+ * @returns {number|null} - The limit
+ */
+const readLimit = (value, fallback) => {
+  if (value === null || value === '') return null;
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 1 ? number : fallback;
+};
+
+/**
+ * Reads a provider's own limit; a limit that isn't set falls back to the default limit
+ * @param {*} value - Limit value
+ * @returns {number|undefined} - The limit, or undefined to use the default
+ */
+const readOwnLimit = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return readLimit(value, undefined);
+};
+
+/**
+ * Completes queue settings with the defaults
+ * @param {Object} settings - Partial queue settings
+ * @returns {Object} - { maxConcurrentRuns, maxConcurrentRequests, requestsPerMinute, providers }
+ */
+export const normalizeQueueSettings = (settings = {}) => {
+  const providers = {};
+  Object.entries(settings?.providers || {}).forEach(([providerId, limits]) => {
+    providers[providerId] = {
+      maxConcurrentRequests: readOwnLimit(limits?.maxConcurrentRequests),
+      requestsPerMinute: readOwnLimit(limits?.requestsPerMinute)
+    };
+  });
+
+  return {
+    maxConcurrentRuns: readLimit(settings?.maxConcurrentRuns, null) || DEFAULT_QUEUE_SETTINGS.maxConcurrentRuns,
+    maxConcurrentRequests: settings?.maxConcurrentRequests === undefined
+      ? DEFAULT_QUEUE_SETTINGS.maxConcurrentRequests
+      : readLimit(settings.maxConcurrentRequests, DEFAULT_QUEUE_SETTINGS.maxConcurrentRequests),
+    requestsPerMinute: readLimit(settings?.requestsPerMinute, DEFAULT_QUEUE_SETTINGS.requestsPerMinute),
+    providers
+  };
+};
+
+/**
+ * Gets the request limits of a provider: its own limits where set, otherwise the defaults
+ * @param {Object} settings - Queue settings
+ * @param {string} providerId - Provider ID
+ * @returns {Object} - { maxConcurrentRequests, requestsPerMinute }; null means no limit
+ */
+export const getProviderLimits = (settings, providerId) => {
+  const normalized = normalizeQueueSettings(settings);
+  const own = normalized.providers[providerId] || {};
+  return {
+    maxConcurrentRequests: own.maxConcurrentRequests !== undefined
+      ? own.maxConcurrentRequests
+      : normalized.maxConcurrentRequests,
+    requestsPerMinute: own.requestsPerMinute !== undefined ? own.requestsPerMinute : normalized.requestsPerMinute
+  };
+};
+
+/**
+ * Orders queue entries: higher priority first, then first come first served
+ * @param {Object} a - { priority, sequence }
+ * @param {Object} b - { priority, sequence }
+ * @returns {number} - Sort order
+ */
+export const compareQueueEntries = (a, b) => {
+  const rank = (priority) => {
+    const index = EXECUTION_PRIORITIES.indexOf(priority);
+    return index === -1 ? EXECUTION_PRIORITIES.indexOf('normal') : index;
+  };
+  return rank(a.priority) - rank(b.priority) || a.sequence - b.sequence;
+};
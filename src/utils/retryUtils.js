@@ -0,0 +1,126 @@
+/**
+ * Utility functions for retrying failed provider requests with exponential backoff
+ */
+
+/**
+ * Default retry settings
+ * Delays double from baseDelayMs up to maxDelayMs; a Retry-After longer than
+ * maxDelayMs ends the retries so the request can fail over instead of waiting.
+ */
+export const DEFAULT_RETRY_SETTINGS = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Rate limits, timeouts, conflicts and server errors (529 is Anthropic's "overloaded")
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+// Network failures reported by axios and Node
+const NETWORK_ERROR_CODES = ['ERR_NETWORK', 'ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT'];
+
+/**
+ * Completes retry settings with the defaults
+ * @param {Object} settings - Partial retry settings
+ * @returns {Object} - { maxRetries, baseDelayMs, maxDelayMs }
+ */
+export const normalizeRetrySettings = (settings = {}) => {
+  const read = (key, min) => {
+    const value = Number(settings?.[key]);
+    return Number.isFinite(value) && value >= min ? value : DEFAULT_RETRY_SETTINGS[key];
+  };
+
+  return {
+    maxRetries: Math.floor(read('maxRetries', 0)),
+    baseDelayMs: read('baseDelayMs', 0),
+    maxDelayMs: read('maxDelayMs', 0)
+  };
+};
+
+/**
+ * Gets the HTTP status of a failed request
+ * @param {Error} error - Error thrown by axios or a fetch-based provider
+ * @returns {number|null} - Status code, or null when no response arrived
+ */
+export const getErrorStatus = (error) => error?.response?.status || error?.status || null;
+
+/**
+ * Decides whether a failed request is worth sending again
+ * Client errors such as invalid keys or bad requests fail the same way every time.
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} - Whether the request may succeed if retried
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError' || error.name === 'CanceledError') return false;
+
+  const status = getErrorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+
+  // fetch rejects with a TypeError when the network request itself fails
+  return NETWORK_ERROR_CODES.includes(error.code) || error.name === 'TypeError';
+};
+
+/**
+ * Reads how long the server asked the client to wait before retrying
+ * Supports retry-after-ms (OpenAI, Azure) and Retry-After in seconds or as an HTTP date.
+ * @param {Error} error - Error thrown by the request
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null when the server gave none
+ */
+export const getRetryAfterMs = (error, now = Date.now()) => {
+  const headers = error?.response?.headers;
+  if (!headers) return null;
+
+  const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = parseFloat(read('retry-after-ms'));
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) return milliseconds;
+
+  const retryAfter = read('retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Calculates the delay before a retry
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Object} settings - Retry settings
+ * @param {number} random - Random number between 0 and 1, for jitter
+ * @returns {number} - Delay in milliseconds: doubling from the base delay, within 20% either way
+ */
+export const getBackoffDelay = (retry, settings, random = Math.random()) => {
+  const { baseDelayMs, maxDelayMs } = normalizeRetrySettings(settings);
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(Math.min(maxDelayMs, delay * (0.8 + 0.4 * random)));
+};
+
+/**
+ * Waits before a retry
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait (optional)
+ * @returns {Promise<void>} - Resolves after the delay; rejects with an AbortError when cancelled
+ */
+export const wait = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('Request cancelled'), { name: 'AbortError' });
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
@@ -0,0 +1,168 @@
+import { profileColumns, detectOutliers } from './dataUtils';
+import { RULE_OPERATORS, compareValues } from './ruleUtils';
+
+/**
+ * Utility functions for routing the collaborators of a collaborative agent
+ * configuration.routing maps a collaborator ID to { match: 'all' | 'any', conditions }; a collaborator
+ * runs only when its conditions hold for the dataset. Collaborators without conditions always run.
+ */
+
+export const ROUTING_CHECKS = [
+  { id: 'column-type', label: 'Has a column of type' },
+  { id: 'column', label: 'Has a column named' },
+  { id: 'row-count', label: 'Row count' },
+  { id: 'outliers', label: 'Has outliers in' }
+];
+
+export const ROUTING_COLUMN_TYPES = ['numeric', 'date', 'categorical', 'boolean', 'text'];
+
+// Row counts are compared as numbers only
+export const ROUTING_OPERATORS = RULE_OPERATORS.filter(o => ['gt', 'gte', 'lt', 'lte', 'eq', 'neq'].includes(o.id));
+
+/**
+ * Describes what a routing condition asks of the data, e.g. "a date column" or "row count ≥ 10"
+ * @param {Object} condition - Routing condition
+ * @returns {string} - Readable condition
+ */
+export const describeRoutingCondition = (condition) => {
+  switch (condition.check) {
+    case 'column-type': return `a ${condition.columnType} column`;
+    case 'column': return `a column named ${condition.column}`;
+    case 'row-count': {
+      const operator = ROUTING_OPERATORS.find(o => o.id === condition.operator)?.label || condition.operator;
+      return `row count ${operator} ${condition.value}`;
+    }
+    case 'outliers': return `outliers in ${condition.column || 'a numeric column'}`;
+    default: return condition.check;
+  }
+};
+
+/**
+ * Creates the facts routing conditions are checked against
+ * The column profile is computed once; outliers are only looked for when a condition asks.
+ * @param {Object} dataSource - The data source to analyze ({ data, columns })
+ * @returns {Object} - { rowCount, profiles, countOutliers(column) }
+ */
+export const createRoutingContext = (dataSource) => {
+  const rows = dataSource?.data || [];
+  const columns = dataSource?.columns?.length ? dataSource.columns : Object.keys(rows[0] || {});
+  const profiles = profileColumns(rows, columns);
+  const outlierCounts = {};
+
+  return {
+    rowCount: rows.length,
+    profiles,
+    countOutliers: (column) => {
+      if (outlierCounts[column] === undefined) {
+        outlierCounts[column] = detectOutliers(rows, column).length;
+      }
+      return outlierCounts[column];
+    }
+  };
+};
+
+/**
+ * Checks one routing condition
+ * @param {Object} condition - Routing condition
+ * @param {Object} context - From createRoutingContext
+ * @returns {Object} - { passed, detail } where detail says what was found, e.g. "no date column"
+ */
+export const evaluateRoutingCondition = (condition, context) => {
+  switch (condition.check) {
+    case 'column-type': {
+      const matches = context.profiles.filter(p => p.type === condition.columnType).map(p => p.column);
+      return matches.length > 0
+        ? { passed: true, detail: `${condition.columnType} column: ${matches.join(', ')}` }
+        : { passed: false, detail: `no ${condition.columnType} column` };
+    }
+    case 'column': {
+      const profile = context.profiles.find(p => p.column === condition.column);
+      return profile && profile.count > 0
+        ? { passed: true, detail: `column ${condition.column} found` }
+        : { passed: false, detail: profile ? `column ${condition.column} is empty` : `no column ${condition.column}` };
+    }
+    case 'row-count':
+      return {
+        passed: compareValues(context.rowCount, condition.operator, condition.value),
+        detail: `${context.rowCount} row${context.rowCount === 1 ? '' : 's'}`
+      };
+    case 'outliers': {
+      const columns = condition.column
+        ? [condition.column]
+        : context.profiles.filter(p => p.type === 'numeric').map(p => p.column);
+      const found = columns
+        .map(column => ({ column, count: context.countOutliers(column) }))
+        .filter(entry => entry.count > 0);
+      return found.length > 0
+        ? { passed: true, detail: found.map(entry => `${entry.count} in ${entry.column}`).join(', ') }
+        : { passed: false, detail: 'no outliers' };
+    }
+    default:
+      return { passed: false, detail: `unknown check "${condition.check}"` };
+  }
+};
+
+/**
+ * Decides which collaborators run on a dataset
+ * @param {Array} collaborators - Collaborator agents
+ * @param {Object} routing - configuration.routing of the collaborative agent
+ * @param {Object} dataSource - The data source to analyze
+ * @returns {Object} - { selected, skipped } where skipped is [{ agentId, name, reason }]
+ */
+export const routeCollaborators = (collaborators, routing = {}, dataSource) => {
+  const routed = collaborators.filter(c => routing?.[c.id]?.conditions?.length > 0);
+  if (routed.length === 0) return { selected: collaborators, skipped: [] };
+
+  const context = createRoutingContext(dataSource);
+  const selected = [];
+  const skipped = [];
+
+  collaborators.forEach(collaborator => {
+    const rule = routing?.[collaborator.id];
+    if (!rule?.conditions?.length) {
+      selected.push(collaborator);
+      return;
+    }
+
+    const evaluated = rule.conditions.map(condition => ({ condition, ...evaluateRoutingCondition(condition, context) }));
+    const matchAny = rule.match === 'any';
+    const passed = matchAny ? evaluated.some(e => e.passed) : evaluated.every(e => e.passed);
+    if (passed) {
+      selected.push(collaborator);
+      return;
+    }
+
+    // With 'all' the first unmet condition explains the skip; with 'any' every condition was unmet
+    const unmet = evaluated.filter(e => !e.passed);
+    const reason = (matchAny ? unmet : unmet.slice(0, 1))
+      .map(e => `needs ${describeRoutingCondition(e.condition)} (${e.detail})`)
+      .join(matchAny ? ' or ' : '; ');
+    skipped.push({ agentId: collaborator.id, name: collaborator.name, reason });
+  });
+
+  return { selected, skipped };
+};
+
+/**
+ * Checks the routing rules entered on the agent form
+ * @param {Object} routing - configuration.routing
+ * @param {Array} collaborators - Selected collaborator agents, used to name them in errors
+ * @returns {string|null} - Error message, or null if the rules are valid
+ */
+export const validateRouting = (routing = {}, collaborators = []) => {
+  for (const collaborator of collaborators) {
+    const conditions = routing?.[collaborator.id]?.conditions || [];
+    for (const [index, condition] of conditions.entries()) {
+      const label = `${collaborator.name}, condition ${index + 1}`;
+      if (condition.check === 'column-type' && !ROUTING_COLUMN_TYPES.includes(condition.columnType)) {
+        return `${label}: choose a column type`;
+      }
+      if (condition.check === 'column' && !condition.column) return `${label}: enter a column`;
+      if (condition.check === 'row-count') {
+        if (!ROUTING_OPERATORS.some(o => o.id === condition.operator)) return `${label}: choose an operator`;
+        if (condition.value === '' || !Number.isFinite(Number(condition.value))) return `${label}: enter a number of rows`;
+      }
+    }
+  }
+  return null;
+};
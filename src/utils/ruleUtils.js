@@ -0,0 +1,201 @@
+/**
+ * Utility functions for notifier threshold rules
+ * A rule set is { match: 'all' | 'any', conditions } where each condition compares either every
+ * row's value of a column (scope 'row') or an aggregate of the column over all rows (scope 'aggregate').
+ */
+
+export const RULE_OPERATORS = [
+  { id: 'gt', label: '>' },
+  { id: 'gte', label: '≥' },
+  { id: 'lt', label: '<' },
+  { id: 'lte', label: '≤' },
+  { id: 'eq', label: '=' },
+  { id: 'neq', label: '≠' },
+  { id: 'contains', label: 'contains' }
+];
+
+export const RULE_AGGREGATES = [
+  { id: 'sum', label: 'Sum' },
+  { id: 'avg', label: 'Average' },
+  { id: 'min', label: 'Minimum' },
+  { id: 'max', label: 'Maximum' },
+  { id: 'count', label: 'Count' }
+];
+
+/**
+ * Converts a value to a number if it is numeric
+ * @param {*} value - Cell value
+ * @returns {number|null} - The number, or null for empty and non-numeric values
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads the rule set of a notifier agent
+ * Agents saved with the older configuration.thresholds ({ value, operator }) get a single row rule on
+ * thresholds.column, or on a column named "value", or else on the first numeric column of the data.
+ * @param {Object} configuration - Agent configuration
+ * @param {Array} rows - Data rows, used to find a column for the older format
+ * @param {Array} columns - Column names
+ * @returns {Object} - { match, conditions }
+ */
+export const getRuleSet = (configuration = {}, rows = [], columns = []) => {
+  if (configuration.rules) {
+    return {
+      match: configuration.rules.match === 'any' ? 'any' : 'all',
+      conditions: configuration.rules.conditions || []
+    };
+  }
+
+  const thresholds = configuration.thresholds;
+  if (!thresholds || thresholds.value === undefined) {
+    return { match: 'all', conditions: [] };
+  }
+
+  const column = thresholds.column ||
+    (columns.includes('value') ? 'value' : columns.find(c => rows.some(row => toNumber(row[c]) !== null)));
+
+  return {
+    match: 'all',
+    conditions: [{ scope: 'row', column, operator: thresholds.operator || 'gt', value: thresholds.value }]
+  };
+};
+
+/**
+ * Compares a value with a condition's value
+ * Numeric values are compared as numbers; anything else as case-insensitive text.
+ * @param {*} actual - Value from the data
+ * @param {string} operator - Operator ID
+ * @param {*} expected - Value from the condition
+ * @returns {boolean} - True if the comparison holds
+ */
+export const compareValues = (actual, operator, expected) => {
+  if (actual === null || actual === undefined || actual === '') return false;
+
+  const actualNumber = toNumber(actual);
+  const expectedNumber = toNumber(expected);
+  const numeric = actualNumber !== null && expectedNumber !== null && operator !== 'contains';
+  const left = numeric ? actualNumber : String(actual).toLowerCase();
+  const right = numeric ? expectedNumber : String(expected ?? '').toLowerCase();
+
+  switch (operator) {
+    case 'gt': return left > right;
+    case 'gte': return left >= right;
+    case 'lt': return left < right;
+    case 'lte': return left <= right;
+    case 'eq': return left === right;
+    case 'neq': return left !== right;
+    case 'contains': return left.includes(right);
+    default: return false;
+  }
+};
+
+/**
+ * Computes an aggregate of a column over all rows
+ * Count counts the rows with a value; the other aggregates use the numeric values only.
+ * @param {Array} rows - Data rows
+ * @param {string} column - Column name
+ * @param {string} aggregate - Aggregate ID
+ * @returns {number|null} - The aggregate, or null when the column has no numeric values
+ */
+export const computeAggregate = (rows, column, aggregate) => {
+  if (aggregate === 'count') {
+    return rows.filter(row => row[column] !== null && row[column] !== undefined && row[column] !== '').length;
+  }
+
+  const values = rows.map(row => toNumber(row[column])).filter(value => value !== null);
+  if (values.length === 0) return null;
+
+  switch (aggregate) {
+    case 'sum': return values.reduce((total, value) => total + value, 0);
+    case 'avg': return values.reduce((total, value) => total + value, 0) / values.length;
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    default: return null;
+  }
+};
+
+/**
+ * Describes a condition, e.g. "value > 800" or "Sum of value ≥ 10000"
+ * @param {Object} condition - Rule condition
+ * @returns {string} - Readable condition
+ */
+export const describeCondition = (condition) => {
+  const operator = RULE_OPERATORS.find(o => o.id === condition.operator)?.label || condition.operator;
+  const subject = condition.scope === 'aggregate'
+    ? `${RULE_AGGREGATES.find(a => a.id === condition.aggregate)?.label || condition.aggregate} of ${condition.column}`
+    : condition.column;
+  return `${subject} ${operator} ${condition.value}`;
+};
+
+/**
+ * Evaluates a rule set against data rows
+ * With match 'all', the aggregate conditions must all hold and the rows that trigger are those matching
+ * every row condition. With match 'any', one aggregate condition or one row matching any row condition
+ * is enough. A rule set with only aggregate conditions triggers without triggering rows.
+ * @param {Array} rows - Data rows
+ * @param {Object} ruleSet - { match, conditions }
+ * @returns {Object} - { triggered, conditions, rowIndexes } where each condition carries whether it
+ *   triggered and its aggregate value or number of matching rows
+ */
+export const evaluateRules = (rows, ruleSet) => {
+  const conditions = ruleSet.conditions || [];
+  const rowConditions = conditions.filter(c => c.scope !== 'aggregate');
+  const matchAll = ruleSet.match !== 'any';
+
+  const evaluated = conditions.map(condition => {
+    if (condition.scope === 'aggregate') {
+      const actual = computeAggregate(rows, condition.column, condition.aggregate);
+      return { ...condition, actual, triggered: compareValues(actual, condition.operator, condition.value) };
+    }
+    const matchedRows = rows.filter(row => compareValues(row[condition.column], condition.operator, condition.value)).length;
+    return { ...condition, matchedRows, triggered: matchedRows > 0 };
+  });
+
+  const rowIndexes = [];
+  if (rowConditions.length > 0) {
+    rows.forEach((row, index) => {
+      const test = condition => compareValues(row[condition.column], condition.operator, condition.value);
+      if (matchAll ? rowConditions.every(test) : rowConditions.some(test)) {
+        rowIndexes.push(index);
+      }
+    });
+  }
+
+  const aggregateResults = evaluated.filter(c => c.scope === 'aggregate').map(c => c.triggered);
+  const rowsTriggered = rowConditions.length === 0 ? matchAll : rowIndexes.length > 0;
+  const triggered = conditions.length > 0 && (matchAll
+    ? aggregateResults.every(Boolean) && rowsTriggered
+    : aggregateResults.some(Boolean) || (rowConditions.length > 0 && rowsTriggered));
+
+  return { triggered, conditions: evaluated, rowIndexes };
+};
+
+/**
+ * Checks a rule set entered on the agent form
+ * @param {Object} ruleSet - { match, conditions }
+ * @param {Array} columns - Known column names; empty to skip the column check
+ * @returns {string|null} - Error message, or null if the rules are valid
+ */
+export const validateRuleSet = (ruleSet, columns = []) => {
+  const conditions = ruleSet?.conditions || [];
+  if (conditions.length === 0) return 'Add at least one rule';
+
+  for (const [index, condition] of conditions.entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!condition.column) return `${label}: choose a column`;
+    if (columns.length > 0 && !columns.includes(condition.column)) {
+      return `${label}: "${condition.column}" is not a column of the selected data sources`;
+    }
+    if (!RULE_OPERATORS.some(o => o.id === condition.operator)) return `${label}: choose an operator`;
+    if (condition.value === undefined || condition.value === '') return `${label}: enter a value`;
+    if (condition.scope === 'aggregate') {
+      if (!RULE_AGGREGATES.some(a => a.id === condition.aggregate)) return `${label}: choose an aggregate`;
+      if (toNumber(condition.value) === null) return `${label}: aggregates are compared with a number`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,236 @@
+/**
+ * Utility functions for agent schedules: intervals, cron expressions and missed runs
+ */
+
+// What happens to runs that came due while the app was closed
+export const MISSED_RUN_POLICIES = ['skip', 'catch-up'];
+
+const MINUTE_MS = 60000;
+
+// Ranges of the five cron fields: minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Cron expressions that never match (e.g. February 30th) stop the search after this many steps
+const MAX_CRON_STEPS = 100000;
+
+/**
+ * Parses one field of a cron expression
+ * Supports *, numbers, ranges (1-5), lists (1,3,5) and steps (*\/15, 0-30/10).
+ * @param {string} text - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Object} - { values: Set of numbers, any: true when the field is * }
+ * @throws {Error} - When the field is invalid
+ */
+const parseCronField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!/^\d+$/.test(stepText ?? '1') || step < 1) {
+      throw new Error(`Invalid step "${part}" in the ${field.name} field`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const boundTexts = range.split('-');
+      if (boundTexts.length > 2 || boundTexts.some(n => !/^\d+$/.test(n))) {
+        throw new Error(`Invalid value "${part}" in the ${field.name} field`);
+      }
+      const bounds = boundTexts.map(Number);
+      [start, end] = bounds.length === 2 ? bounds : [bounds[0], stepText === undefined ? bounds[0] : field.max];
+    }
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`"${part}" is out of range for the ${field.name} field (${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return { values, any: text === '*' };
+};
+
+/**
+ * Parses a five-field cron expression ("minute hour day-of-month month day-of-week")
+ * @param {string} expression - Cron expression, e.g. "0 9 * * 1-5"
+ * @returns {Object} - { minutes, hours, days, months, weekdays } with a Set of values each,
+ *   and anyDay/anyWeekday for unrestricted day fields
+ * @throws {Error} - When the expression is invalid
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5 || parts[0] === '') {
+    throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // Sunday can be written as 0 or 7
+  if (weekdays.values.has(7)) weekdays.values.add(0);
+
+  return {
+    minutes: minutes.values,
+    hours: hours.values,
+    days: days.values,
+    months: months.values,
+    weekdays: weekdays.values,
+    anyDay: days.any,
+    anyWeekday: weekdays.any
+  };
+};
+
+/**
+ * Checks whether a date matches the day fields of a parsed cron expression
+ * As in cron, a restricted day of month and day of week match when either one does.
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} date - Local date
+ * @returns {boolean} - True if the day matches
+ */
+const matchesCronDay = (cron, date) => {
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekdayMatches;
+  if (cron.anyWeekday) return dayMatches;
+  return dayMatches || weekdayMatches;
+};
+
+/**
+ * Finds the first time after a given time that matches a cron expression, in local time
+ * @param {string|Object} cron - Cron expression or the result of parseCron
+ * @param {Date} after - Start of the search (exclusive)
+ * @returns {Date|null} - The next matching minute, or null if the expression never matches
+ */
+export const getNextCronTime = (cron, after) => {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_CRON_STEPS; step++) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesCronDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads an agent's schedule
+ * configuration.schedule is { type: 'interval', intervalMinutes } or { type: 'cron', cron },
+ * with missedRuns ('skip' or 'catch-up'); agents without one run every
+ * configuration.refreshInterval minutes when that is set.
+ * @param {Object} agent - Agent
+ * @returns {Object|null} - { type, intervalMinutes, cron, missedRuns }, or null for unscheduled agents
+ */
+export const getAgentSchedule = (agent) => {
+  const configuration = agent?.configuration || {};
+  const schedule = configuration.schedule || (configuration.refreshInterval
+    ? { type: 'interval', intervalMinutes: configuration.refreshInterval }
+    : null);
+  if (!schedule || schedule.type === 'none') return null;
+
+  const missedRuns = MISSED_RUN_POLICIES.includes(schedule.missedRuns) ? schedule.missedRuns : 'skip';
+
+  if (schedule.type === 'cron') {
+    try {
+      parseCron(schedule.cron);
+    } catch {
+      return null;
+    }
+    return { type: 'cron', cron: schedule.cron.trim(), missedRuns };
+  }
+
+  const intervalMinutes = Number(schedule.intervalMinutes);
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes < 1) return null;
+  return { type: 'interval', intervalMinutes, missedRuns };
+};
+
+/**
+ * Checks a schedule entered on the agent form
+ * @param {Object} schedule - { type, intervalMinutes, cron }
+ * @returns {string|null} - Error message, or null if the schedule is valid
+ */
+export const validateSchedule = (schedule) => {
+  if (!schedule || schedule.type === 'none') return null;
+
+  if (schedule.type === 'cron') {
+    try {
+      const parsed = parseCron(schedule.cron);
+      return getNextCronTime(parsed, new Date()) ? null : 'This cron expression never matches a date';
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  const intervalMinutes = Number(schedule.intervalMinutes);
+  return Number.isFinite(intervalMinutes) && intervalMinutes >= 1 ? null : 'The interval must be at least 1 minute';
+};
+
+/**
+ * Gets the first run time of a schedule after a given time
+ * @param {Object} schedule - Schedule from getAgentSchedule
+ * @param {Date} after - Start of the search (exclusive)
+ * @returns {Date|null} - The next run time
+ */
+export const getNextRunTime = (schedule, after) => {
+  if (schedule.type === 'cron') {
+    return getNextCronTime(schedule.cron, after);
+  }
+  return new Date(after.getTime() + schedule.intervalMinutes * MINUTE_MS);
+};
+
+/**
+ * Finds the run times of a schedule that came due between a due time and now
+ * @param {Object} schedule - Schedule from getAgentSchedule
+ * @param {Date} dueAt - The first run time that came due
+ * @param {Date} now - Current time
+ * @returns {Object} - { count, latest } where latest is the most recent run time that is due
+ */
+export const getDueRuns = (schedule, dueAt, now) => {
+  if (dueAt > now) return { count: 0, latest: null };
+
+  if (schedule.type === 'interval') {
+    const intervalMs = schedule.intervalMinutes * MINUTE_MS;
+    const count = Math.floor((now - dueAt) / intervalMs) + 1;
+    return { count, latest: new Date(dueAt.getTime() + (count - 1) * intervalMs) };
+  }
+
+  let count = 1;
+  let latest = dueAt;
+  let next = getNextCronTime(schedule.cron, latest);
+  while (next && next <= now && count < MAX_CRON_STEPS) {
+    count += 1;
+    latest = next;
+    next = getNextCronTime(schedule.cron, latest);
+  }
+  return { count, latest };
+};
+
+/**
+ * Describes a schedule for the agent card
+ * @param {Object} schedule - Schedule from getAgentSchedule
+ * @returns {string} - e.g. "every 60 minutes" or "cron 0 9 * * 1-5"
+ */
+export const describeSchedule = (schedule) => {
+  if (!schedule) return 'not scheduled';
+  if (schedule.type === 'cron') return `cron ${schedule.cron}`;
+  return schedule.intervalMinutes === 1 ? 'every minute' : `every ${schedule.intervalMinutes} minutes`;
+};
@@ -0,0 +1,85 @@
+/**
+ * Utility functions for validating values against JSON schemas
+ * Supports the subset of JSON Schema used for agent outputs: type, enum, properties, required,
+ * additionalProperties, items, minItems, maxItems and minLength.
+ */
+
+/**
+ * Gets the JSON schema type of a value
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const getType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Checks a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string|Array} expected - Schema type or list of types
+ * @returns {boolean} - Whether the value has one of the types
+ */
+const matchesType = (value, expected) => {
+  const actual = getType(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+};
+
+/**
+ * Validates a value against a JSON schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} - Error messages ("path: problem"); empty when the value is valid
+ */
+export const validateSchema = (value, schema, path = 'response') => {
+  if (!schema) return [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${getType(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,267 @@
+/**
+ * Utility functions for combining collaborator results without a model:
+ * de-duplicating insights, merging summaries and charts, and resolving conflicting statistics
+ */
+
+// How a collaborative agent combines its collaborators' results (configuration.synthesisStrategy)
+export const SYNTHESIS_STRATEGIES = [
+  { id: 'ai-summary', name: 'AI summary', description: 'One request asks the model to write a combined report' },
+  { id: 'merge', name: 'Merge', description: 'Combines the results without a request, dropping near-identical insights' },
+  { id: 'vote', name: 'Consensus vote', description: 'Merges the results and settles conflicting statistics by majority vote' },
+  { id: 'critic', name: 'AI summary with critic', description: 'Writes an AI summary, then asks the model to flag contradictions between collaborators' }
+];
+
+// Insights whose words overlap at least this much (Jaccard similarity) count as the same insight
+export const INSIGHT_SIMILARITY_THRESHOLD = 0.75;
+
+// Numbers within this relative difference count as the same statistic value
+export const STATISTIC_TOLERANCE = 0.01;
+
+// Words that don't distinguish one insight from another
+const STOP_WORDS = new Set(['a', 'an', 'the', 'is', 'are', 'was', 'were', 'of', 'in', 'on', 'for', 'to', 'and', 'with', 'by', 'at', 'this', 'that']);
+
+/**
+ * Gets the text of an insight, which may be a string or an object
+ * @param {string|Object} insight - Insight
+ * @returns {string} - Insight text
+ */
+export const getInsightText = (insight) => {
+  if (typeof insight === 'string') return insight;
+  return insight?.description || insight?.title || JSON.stringify(insight);
+};
+
+/**
+ * Splits text into its distinguishing words; numbers are kept whole (e.g. 12.5)
+ * @param {string} text - Insight text
+ * @returns {Set} - Lowercase words without stop words
+ */
+const tokenize = (text) => new Set(
+  String(text).toLowerCase()
+    .replace(/[^a-z0-9.\s-]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(word => word && !STOP_WORDS.has(word))
+);
+
+/**
+ * Measures how similar two insights are
+ * @param {string} a - Insight text
+ * @param {string} b - Insight text
+ * @returns {number} - Jaccard similarity of their words, from 0 to 1
+ */
+export const insightSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared += 1;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Collapses near-identical insights reported by different collaborators
+ * The first wording of an insight is kept, with every collaborator that reported it.
+ * @param {Array} results - Collaborator results ({ label, insights })
+ * @param {number} threshold - Similarity at which insights are merged
+ * @returns {Array} - [{ text, sources }] in the order the insights were first reported
+ */
+export const dedupeInsights = (results, threshold = INSIGHT_SIMILARITY_THRESHOLD) => {
+  const merged = [];
+
+  results.forEach(result => {
+    (result.insights || []).forEach(insight => {
+      const text = getInsightText(insight);
+      const match = merged.find(entry => insightSimilarity(entry.text, text) >= threshold);
+      if (!match) {
+        merged.push({ text, sources: [result.label] });
+      } else if (!match.sources.includes(result.label)) {
+        match.sources.push(result.label);
+      }
+    });
+  });
+
+  return merged;
+};
+
+/**
+ * Flattens statistics into dotted keys, e.g. { value: { mean: 5 } } becomes { 'value.mean': 5 }
+ * @param {Object} statistics - Statistics of one result
+ * @param {string} prefix - Key prefix for nested objects
+ * @returns {Object} - Flat statistics with number and text values
+ */
+const flattenStatistics = (statistics, prefix = '') => {
+  const flat = {};
+  Object.entries(statistics || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenStatistics(value, path));
+    } else if (value !== null && value !== undefined && !Array.isArray(value)) {
+      flat[path] = value;
+    }
+  });
+  return flat;
+};
+
+/**
+ * Sets a dotted key in a nested object
+ * @param {Object} target - Nested statistics
+ * @param {string} path - Dotted key
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Checks whether two statistic values agree
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - True for numbers within the tolerance and for equal text
+ */
+const valuesAgree = (a, b) => {
+  const numberA = typeof a === 'number' ? a : Number(a);
+  const numberB = typeof b === 'number' ? b : Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB)) {
+    return Math.abs(numberA - numberB) <= STATISTIC_TOLERANCE * Math.max(Math.abs(numberA), Math.abs(numberB));
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+};
+
+/**
+ * Settles a statistic the collaborators disagree on by vote
+ * Values that agree form one group; a group with more than half of the votes wins, then a group
+ * larger than every other. Without one, numbers fall back to the median and text to the first value.
+ * @param {Array} values - [{ source, value }]
+ * @returns {Object} - { value, resolution: 'majority' | 'plurality' | 'median' | 'first' }
+ */
+const voteOnValues = (values) => {
+  const groups = [];
+  values.forEach(entry => {
+    const group = groups.find(g => valuesAgree(g[0].value, entry.value));
+    if (group) group.push(entry);
+    else groups.push([entry]);
+  });
+  groups.sort((a, b) => b.length - a.length);
+
+  const [largest, second] = groups;
+  if (largest.length > values.length / 2 || largest.length > (second?.length || 0)) {
+    return { value: largest[0].value, resolution: largest.length > values.length / 2 ? 'majority' : 'plurality' };
+  }
+
+  const numbers = values.map(entry => Number(entry.value));
+  if (numbers.every(Number.isFinite)) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+      value: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+      resolution: 'median'
+    };
+  }
+  return { value: values[0].value, resolution: 'first' };
+};
+
+/**
+ * Combines the statistics of several results and lists the ones they disagree on
+ * @param {Array} results - Collaborator results ({ label, statistics })
+ * @param {string} mode - How conflicts are settled: 'first' or 'last' reported value, or 'vote'
+ * @returns {Object} - { statistics, conflicts } where each conflict is
+ *   { type: 'statistic', key, values: [{ source, value }], value, resolution }
+ */
+export const resolveStatistics = (results, mode = 'first') => {
+  const reported = {};
+  results.forEach(result => {
+    Object.entries(flattenStatistics(result.statistics)).forEach(([key, value]) => {
+      (reported[key] = reported[key] || []).push({ source: result.label, value });
+    });
+  });
+
+  const statistics = {};
+  const conflicts = [];
+  Object.entries(reported).forEach(([key, values]) => {
+    const disagree = values.some(entry => !valuesAgree(entry.value, values[0].value));
+    if (!disagree) {
+      setPath(statistics, key, values[0].value);
+      return;
+    }
+
+    const settled = mode === 'vote'
+      ? voteOnValues(values)
+      : { value: values[mode === 'last' ? values.length - 1 : 0].value, resolution: mode };
+    setPath(statistics, key, settled.value);
+    conflicts.push({ type: 'statistic', key, values, ...settled });
+  });
+
+  return { statistics, conflicts };
+};
+
+/**
+ * Describes a conflict for logs and reports
+ * @param {Object} conflict - Statistic conflict or contradiction flagged by the critic
+ * @returns {string} - e.g. "value.mean: 500 (Analyzer), 640 (Summarizer); kept 500 by majority"
+ */
+export const describeConflict = (conflict) => {
+  if (conflict.type !== 'statistic') {
+    return `${conflict.topic}: ${conflict.description}` +
+      (conflict.collaborators?.length ? ` (${conflict.collaborators.join(', ')})` : '');
+  }
+  const reports = conflict.values.map(entry => `${entry.value} (${entry.source})`).join(', ');
+  const how = {
+    majority: 'by majority',
+    plurality: 'by the largest group',
+    median: 'as the median, without a majority',
+    first: 'as the first reported value',
+    last: 'as the last reported value'
+  }[conflict.resolution];
+  return `${conflict.key}: ${reports}; kept ${conflict.value} ${how}`;
+};
+
+/**
+ * Merges collaborator results without a model
+ * Summaries are kept under a heading per collaborator, near-identical insights are reported once,
+ * titled charts are kept once per title (untitled ones are all kept) and conflicting statistics are
+ * settled as the mode says.
+ * With mode 'vote' insights are ordered by how many collaborators reported them.
+ * @param {Array} results - Collaborator results with a label each
+ * @param {Object} options - { mode: 'first' | 'last' | 'vote', threshold }
+ * @returns {Object} - { summary, insights, visualizations, statistics, conflicts, duplicateInsights }
+ */
+export const mergeResults = (results, { mode = 'first', threshold = INSIGHT_SIMILARITY_THRESHOLD } = {}) => {
+  const insights = dedupeInsights(results, threshold);
+  const totalInsights = results.reduce((count, result) => count + (result.insights || []).length, 0);
+  if (mode === 'vote') {
+    // Array sort is stable, so equally supported insights keep their order
+    insights.sort((a, b) => b.sources.length - a.sources.length);
+  }
+
+  const titles = new Set();
+  const visualizations = results.flatMap(result => result.visualizations || []).filter(viz => {
+    // Untitled charts can't be told apart by title, so none of them is dropped
+    if (!viz.title) return true;
+    if (titles.has(viz.title)) return false;
+    titles.add(viz.title);
+    return true;
+  });
+
+  const { statistics, conflicts } = resolveStatistics(results, mode);
+  const summaries = results.filter(result => result.summary && result.summary.trim().length > 0);
+
+  return {
+    summary: `# Combined Analysis Results\n\n${summaries.map(result => `## ${result.label}\n\n${result.summary.trim()}`).join('\n\n')}`,
+    insights: insights.map(entry => (mode === 'vote' && results.length > 1 && entry.sources.length > 1
+      ? `${entry.text} (reported by ${entry.sources.length} of ${results.length} collaborators)`
+      : entry.text)),
+    visualizations,
+    statistics,
+    conflicts,
+    duplicateInsights: totalInsights - insights.length
+  };
+};
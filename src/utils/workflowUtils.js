@@ -0,0 +1,117 @@
+/**
+ * Utility functions for collaborative agent workflow graphs
+ * A workflow is a directed acyclic graph where nodes are collaborator agent IDs
+ * and each edge { from, to } means "to" depends on the results of "from"
+ */
+
+/**
+ * Removes edges that reference unknown nodes, self-loops and duplicates
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {Array} edges - Workflow edges
+ * @returns {Array} - Clean list of edges
+ */
+export const sanitizeEdges = (nodeIds, edges = []) => {
+  const nodes = new Set(nodeIds);
+  const seen = new Set();
+
+  return (edges || []).filter(edge => {
+    if (!edge || !nodes.has(edge.from) || !nodes.has(edge.to) || edge.from === edge.to) {
+      return false;
+    }
+    const key = `${edge.from}->${edge.to}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Builds a map of node ID to the IDs it depends on
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {Array} edges - Workflow edges
+ * @returns {Object} - Map of node ID to upstream node IDs
+ */
+export const getDependencies = (nodeIds, edges = []) => {
+  const dependencies = {};
+  nodeIds.forEach(id => {
+    dependencies[id] = [];
+  });
+  sanitizeEdges(nodeIds, edges).forEach(edge => {
+    dependencies[edge.to].push(edge.from);
+  });
+  return dependencies;
+};
+
+/**
+ * Sorts workflow nodes so every node comes after the nodes it depends on
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {Array} edges - Workflow edges
+ * @returns {Array|null} - Sorted node IDs, or null if the graph has a cycle
+ */
+export const topologicalSort = (nodeIds, edges = []) => {
+  const dependencies = getDependencies(nodeIds, edges);
+  const remaining = new Set(nodeIds);
+  const sorted = [];
+
+  while (remaining.size > 0) {
+    // Keep the original node order among nodes that are ready
+    const ready = nodeIds.filter(id =>
+      remaining.has(id) && dependencies[id].every(dep => !remaining.has(dep))
+    );
+
+    if (ready.length === 0) {
+      return null;
+    }
+
+    ready.forEach(id => {
+      remaining.delete(id);
+      sorted.push(id);
+    });
+  }
+
+  return sorted;
+};
+
+/**
+ * Checks whether adding an edge would introduce a cycle
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {Array} edges - Existing workflow edges
+ * @param {Object} edge - Edge to add
+ * @returns {boolean} - True if the edge would create a cycle
+ */
+export const wouldCreateCycle = (nodeIds, edges, edge) => {
+  if (edge.from === edge.to) return true;
+  return topologicalSort(nodeIds, [...(edges || []), edge]) === null;
+};
+
+/**
+ * Computes the depth of each node (length of the longest path leading to it)
+ * Nodes with the same depth can run at the same time
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {Array} edges - Workflow edges
+ * @returns {Object} - Map of node ID to depth (0 for nodes without dependencies)
+ */
+export const getNodeDepths = (nodeIds, edges = []) => {
+  const dependencies = getDependencies(nodeIds, edges);
+  const order = topologicalSort(nodeIds, edges) || nodeIds;
+  const depths = {};
+
+  order.forEach(id => {
+    depths[id] = dependencies[id].reduce((max, dep) => Math.max(max, (depths[dep] ?? 0) + 1), 0);
+  });
+
+  return depths;
+};
+
+/**
+ * Creates the workflow edges equivalent to a legacy execution mode
+ * @param {Array} nodeIds - IDs of the agents in the workflow
+ * @param {string} executionMode - 'sequential' or 'parallel'
+ * @returns {Array} - Workflow edges
+ */
+export const edgesFromExecutionMode = (nodeIds, executionMode) => {
+  if (executionMode !== 'sequential') {
+    return [];
+  }
+  return nodeIds.slice(1).map((id, index) => ({ from: nodeIds[index], to: id }));
+};